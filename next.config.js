@@ -16,6 +16,10 @@ const nextConfig = {
       },
     ],
   },
+  experimental: {
+    // Runs src/instrumentation.ts on server start (schedule restore)
+    instrumentationHook: true,
+  },
   // Production optimizations
   swcMinify: true,
   compress: true,
@@ -0,0 +1,35 @@
+// Runs the industry chart aggregation (flippa_listings -> industry_multiples_timeseries)
+// Usage: node scripts/aggregate-industry-charts.js [days]
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env.local') });
+
+const APP_URL = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || process.env.FLIPPA_ADMIN_TOKEN;
+
+async function aggregate() {
+  const days = parseInt(process.argv[2] || '30', 10);
+
+  console.log(`📊 Aggregating industry multiples for the last ${days} days...`);
+
+  const response = await fetch(`${APP_URL}/api/charts/aggregate?days=${days}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-admin-token': ADMIN_TOKEN || ''
+    }
+  });
+
+  const result = await response.json();
+
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  console.log(`✅ ${result.listingsScanned} listings -> ${result.rowsUpserted} rows (${result.from} ~ ${result.to})`);
+  console.log(`   Industries: ${result.industries.join(', ') || 'none'}`);
+}
+
+aggregate().catch(error => {
+  console.error('❌ Aggregation failed:', error.message);
+  process.exit(1);
+});
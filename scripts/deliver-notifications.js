@@ -0,0 +1,34 @@
+// Delivers due notifications (email + signed webhooks) from notification_queue,
+// including retries. Needed when no server runs the built-in delivery worker
+// (SCHEDULER_ENABLED=false)
+// Usage: node scripts/deliver-notifications.js [batch]
+// Cron example (every minute):
+//   * * * * * cd /path/to/app && node scripts/deliver-notifications.js >> logs/notifications.log 2>&1
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env.local') });
+
+const APP_URL = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+async function deliver() {
+  const batch = process.argv[2];
+  const query = batch ? `?batch=${encodeURIComponent(batch)}` : '';
+
+  const response = await fetch(`${APP_URL}/api/monitoring/notifications/deliver${query}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN || ''}` }
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  console.log(`✅ ${result.processed} processed: ${result.sent} sent, ${result.retried} retrying, ${result.deadLettered} dead-lettered`);
+}
+
+deliver().catch(error => {
+  console.error('❌ Notification delivery failed:', error.message);
+  process.exit(1);
+});
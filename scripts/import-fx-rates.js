@@ -0,0 +1,43 @@
+// Import dated FX rates from a local CSV file into fx_rates
+// Usage: node scripts/import-fx-rates.js <file.csv> [source]
+// CSV columns: date,currency,rate  (rate = KRW per unit, e.g. 2025-01-02,USD,1468.5)
+// The file is posted to /api/valuation/fx-rates, which validates it with the
+// same parser as the admin upload and clears the app's cached rate table
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env.local') });
+
+const APP_URL = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+async function importRates() {
+    const file = process.argv[2];
+    const source = process.argv[3] || path.basename(file || '');
+    if (!file) {
+        console.log('Usage: node scripts/import-fx-rates.js <file.csv> [source]');
+        process.exit(1);
+    }
+
+    const response = await fetch(`${APP_URL}/api/valuation/fx-rates?source=${encodeURIComponent(source)}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'text/csv',
+            'Authorization': `Bearer ${ADMIN_TOKEN || ''}`
+        },
+        body: fs.readFileSync(file, 'utf8')
+    });
+
+    const result = await response.json();
+    (result.errors || []).forEach(error => console.log(`⚠️  line ${error.line}: ${error.message}`));
+
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+    }
+
+    console.log(`✅ Imported ${result.imported} rates, ${result.skipped} skipped`);
+}
+
+importRates().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+});
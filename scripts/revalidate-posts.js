@@ -0,0 +1,52 @@
+// Syncs changed Notion posts and revalidates their pages (post page, /posts,
+// home page and related posts in the same category)
+// Usage: node scripts/revalidate-posts.js [--full] [slug ...]
+//   no slugs: incremental sync, then revalidate what changed
+//   slugs:    revalidate only those posts, without syncing
+// Cron example (every 10 minutes):
+//   */10 * * * * cd /path/to/app && node scripts/revalidate-posts.js >> logs/revalidate.log 2>&1
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env.local') });
+
+const APP_URL = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+async function revalidate() {
+  const args = process.argv.slice(2);
+  const full = args.includes('--full');
+  const slugs = args.filter(arg => !arg.startsWith('--'));
+
+  console.log(slugs.length > 0
+    ? `🔄 Revalidating ${slugs.length} post(s)...`
+    : `🔄 Syncing Notion (${full ? 'full' : 'incremental'}) and revalidating changed posts...`);
+
+  const response = await fetch(`${APP_URL}/api/notion/revalidate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${ADMIN_TOKEN || ''}`
+    },
+    body: JSON.stringify(slugs.length > 0 ? { slugs } : { full })
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.details || result.error || `HTTP ${response.status}`);
+  }
+
+  if (result.summary) {
+    const { scanned, created, updated, unpublished, failed } = result.summary;
+    console.log(`   Scanned ${scanned}: ${created} created, ${updated} updated, ${unpublished} unpublished, ${failed} failed`);
+    (result.failed || []).forEach(entry => console.log(`   ⚠️ ${entry.title || entry.id}: ${entry.error}`));
+  }
+  if (result.unknownSlugs && result.unknownSlugs.length > 0) {
+    console.log(`   Not synced yet: ${result.unknownSlugs.join(', ')}`);
+  }
+  console.log(`✅ Revalidated ${result.revalidated.length} path(s)${result.revalidated.length ? `: ${result.revalidated.join(', ')}` : ''}`);
+}
+
+revalidate().catch(error => {
+  console.error('❌ Revalidation failed:', error.message);
+  process.exit(1);
+});
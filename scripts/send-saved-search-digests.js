@@ -0,0 +1,32 @@
+// Emails daily/weekly saved search digests (matches not sent as instant alerts)
+// Usage: node scripts/send-saved-search-digests.js [daily|weekly]
+// Cron example (daily at 08:00, weekly on Monday):
+//   0 8 * * * cd /path/to/app && node scripts/send-saved-search-digests.js daily >> logs/digests.log 2>&1
+//   0 8 * * 1 cd /path/to/app && node scripts/send-saved-search-digests.js weekly >> logs/digests.log 2>&1
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env.local') });
+
+const APP_URL = process.env.NEXT_PUBLIC_APP_URL || 'http://localhost:3000';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+async function sendDigests() {
+  const frequency = process.argv[2] || 'daily';
+
+  const response = await fetch(`${APP_URL}/api/saved-searches/digest?frequency=${encodeURIComponent(frequency)}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${ADMIN_TOKEN || ''}` }
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  console.log(`✅ Sent ${result.frequency} digests to ${result.users} user(s) covering ${result.matches} match(es)`);
+}
+
+sendDigests().catch(error => {
+  console.error('❌ Saved search digests failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+import { createClient } from '@/lib/supabase/server'
+import { redirect } from 'next/navigation'
+import NotificationInbox from '@/components/dashboard/NotificationInbox'
+import NotificationPreferencesForm from '@/components/dashboard/NotificationPreferencesForm'
+import { resolveAllChannels } from '@/lib/notifications/user-notifications'
+import type { UserNotification } from '@/types'
+
+const PAGE_SIZE = 50
+
+export default async function NotificationsPage() {
+  const supabase = await createClient()
+  const { data: { user } } = await supabase.auth.getUser()
+
+  if (!user) {
+    redirect('/auth/login')
+  }
+
+  const { data: rows } = await supabase
+    .from('notification_queue')
+    .select('notification_id, user_id, event_type, scan_id, priority, subject, content, listing_id, read_at, created_at')
+    .eq('user_id', user.id)
+    .eq('notification_type', 'dashboard')
+    .order('created_at', { ascending: false })
+    .limit(PAGE_SIZE + 1)
+
+  const { data: preferences } = await supabase
+    .from('notification_preferences')
+    .select('*')
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">알림</h1>
+          <p className="text-gray-600 mt-2">
+            저장한 검색과 매물 모니터링 알림을 스캔별로 모아 보여드립니다.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2">
+            <NotificationInbox
+              initialNotifications={((rows || []) as UserNotification[]).slice(0, PAGE_SIZE)}
+              initialHasMore={(rows || []).length > PAGE_SIZE}
+            />
+          </div>
+          <NotificationPreferencesForm
+            initialEmail={preferences?.email || user.email || ''}
+            initialChannels={resolveAllChannels(preferences)}
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,6 @@
 import { createClient } from '@/lib/supabase/server'
 import Link from 'next/link'
-import { BookOpen, Users, TrendingUp, Clock, Bookmark, History } from 'lucide-react'
+import { BookOpen, Users, TrendingUp, Clock, Bookmark, History, Search } from 'lucide-react'
 import ReadingHistory from '@/components/dashboard/ReadingHistory'
 import BookmarksList from '@/components/dashboard/BookmarksList'
 import MembershipCTA from '@/components/membership/MembershipCTA'
@@ -53,6 +53,12 @@ export default async function DashboardPage() {
     .order('created_at', { ascending: false })
     .limit(10)
 
+  // Fetch saved listing searches
+  const { count: savedSearchCount } = await supabase
+    .from('saved_searches')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', user!.id)
+
   // Calculate stats
   const { count: totalReadPosts } = await supabase
     .from('user_reading_history')
@@ -178,6 +184,27 @@ export default async function DashboardPage() {
               </div>
             </div>
 
+            {/* Saved Searches */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+                  <Search className="w-5 h-5" />
+                  저장한 검색
+                </h2>
+                <Link
+                  href="/dashboard/saved-searches"
+                  className="text-sm text-founder-primary hover:underline"
+                >
+                  관리
+                </Link>
+              </div>
+              <p className="text-sm text-gray-600">
+                {savedSearchCount
+                  ? `${savedSearchCount}개의 검색 조건으로 새 매물 알림을 받고 있습니다.`
+                  : '검색 조건을 저장하고 새 매물 알림을 받아보세요.'}
+              </p>
+            </div>
+
             {/* Membership Status */}
             <div className="bg-white rounded-lg shadow p-6">
               <h2 className="text-lg font-bold text-gray-900 mb-4">멤버십 상태</h2>
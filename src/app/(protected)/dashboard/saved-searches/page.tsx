@@ -0,0 +1,33 @@
+import { createClient } from '@/lib/supabase/server'
+import { redirect } from 'next/navigation'
+import SavedSearchManager from '@/components/dashboard/SavedSearchManager'
+
+export default async function SavedSearchesPage() {
+  const supabase = await createClient()
+  const { data: { user } } = await supabase.auth.getUser()
+
+  if (!user) {
+    redirect('/auth/login')
+  }
+
+  const { data: searches } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('created_at', { ascending: false })
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">저장한 검색</h1>
+          <p className="text-gray-600 mt-2">
+            원하는 조건의 매물이 새로 등록되거나 변경되면 이메일로 알려드립니다.
+          </p>
+        </div>
+
+        <SavedSearchManager initialSearches={searches || []} defaultEmail={user.email} />
+      </div>
+    </div>
+  )
+}
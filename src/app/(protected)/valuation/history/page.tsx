@@ -5,6 +5,7 @@ import { ValuationHistory } from '@/components/valuation/ui/ValuationHistory'
 import { ArrowLeft } from 'lucide-react'
 import Link from 'next/link'
 import { useRouter } from 'next/navigation'
+import type { FxRateSnapshot } from '@/types/valuation'
 
 interface ValuationHistoryItem {
   id: string
@@ -14,6 +15,7 @@ interface ValuationHistoryItem {
   estimatedValue: number
   multiple: number
   currency: string
+  fxRate?: FxRateSnapshot | null
   isDraft: boolean
   createdAt: string
   updatedAt: string
@@ -23,11 +25,28 @@ export default function ValuationHistoryPage() {
   const router = useRouter()
   const [valuations, setValuations] = useState<ValuationHistoryItem[]>([])
   const [isLoading, setIsLoading] = useState(true)
+  const [isPremium, setIsPremium] = useState(false)
+  const [displayCurrency, setDisplayCurrency] = useState<'USD' | 'KRW'>('USD')
 
   useEffect(() => {
     fetchValuations()
+    fetchMembership()
   }, [])
 
+  // PDF reports are premium-only; the quota endpoint reports the membership status
+  const fetchMembership = async () => {
+    try {
+      const response = await fetch('/api/valuation/quota')
+      const data = await response.json()
+      
+      if (data.success) {
+        setIsPremium(data.quota.membershipStatus === 'premium')
+      }
+    } catch (error) {
+      console.error('Failed to fetch membership status:', error)
+    }
+  }
+
   const fetchValuations = async () => {
     try {
       const response = await fetch('/api/valuation/history')
@@ -78,15 +97,34 @@ export default function ValuationHistoryPage() {
           <h1 className="text-heading-1 font-serif text-medium-black mb-3">
             밸류에이션 히스토리
           </h1>
-          <p className="text-body text-medium-black-secondary leading-relaxed">
-            저장된 기업가치 산정 결과를 확인하고 비교해보세요
-          </p>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <p className="text-body text-medium-black-secondary leading-relaxed">
+              저장된 기업가치 산정 결과를 확인하고 비교해보세요
+            </p>
+            <div className="inline-flex rounded-lg border border-medium-gray-border overflow-hidden self-start">
+              {(['USD', 'KRW'] as const).map(currency => (
+                <button
+                  key={currency}
+                  onClick={() => setDisplayCurrency(currency)}
+                  className={`px-4 py-2 text-body-small transition-colors ${
+                    displayCurrency === currency
+                      ? 'bg-medium-black text-white'
+                      : 'text-medium-black-secondary hover:bg-medium-gray-light'
+                  }`}
+                >
+                  {currency === 'USD' ? '달러 (USD)' : '원화 (KRW)'}
+                </button>
+              ))}
+            </div>
+          </div>
         </div>
         
         <ValuationHistory 
           valuations={valuations}
           onView={handleView}
           onDelete={handleDelete}
+          canDownloadReport={isPremium}
+          displayCurrency={displayCurrency}
           isLoading={isLoading}
         />
       </div>
@@ -6,6 +6,7 @@ import { ArrowLeft } from 'lucide-react'
 import Link from 'next/link'
 import { useRouter } from 'next/navigation'
 import { useState } from 'react'
+import { useToast } from '@/components/ui/Toast'
 
 // export const metadata: Metadata = {
 //   title: '새 밸류에이션 | The Founder',
@@ -14,6 +15,7 @@ import { useState } from 'react'
 
 export default function NewValuationPage() {
   const router = useRouter()
+  const { addToast } = useToast()
   const [isCalculating, setIsCalculating] = useState(false)
 
   const handleSubmit = async (data: any) => {
@@ -39,6 +41,12 @@ export default function NewValuationPage() {
         
         // Redirect to valuation dashboard with results tab
         router.push('/valuation?tab=results')
+      } else if (result.code === 'QUOTA_EXCEEDED' || result.code === 'QUOTA_UNAVAILABLE') {
+        addToast({
+          type: 'error',
+          title: result.code === 'QUOTA_EXCEEDED' ? '이용 한도 초과' : '이용 한도 확인 실패',
+          description: result.message
+        })
       } else {
         console.error('Valuation calculation failed:', result.error)
         // TODO: Show error message to user
@@ -1,6 +1,7 @@
 import { Metadata } from 'next'
 import { redirect } from 'next/navigation'
 import { createClient } from '@/lib/supabase/server'
+import { getValuationQuota } from '@/lib/valuation/quota'
 import ValuationDashboard from '@/components/valuation/ValuationDashboard'
 
 export const metadata: Metadata = {
@@ -18,23 +19,9 @@ export default async function ValuationPage() {
   }
 
   // Check if user has access (free tier: 3 per month, premium: unlimited)
-  const { data: profile } = await supabase
-    .from('profiles')
-    .select('membership_status')
-    .eq('id', user.id)
-    .single()
-
-  const currentMonth = new Date().toISOString().slice(0, 7) // YYYY-MM format
-  
-  const { count: valuationCount } = await supabase
-    .from('valuations')
-    .select('*', { count: 'exact', head: true })
-    .eq('user_id', user.id)
-    .gte('created_at', `${currentMonth}-01`)
-    .lt('created_at', `${new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1).toISOString()}`)
-
-  const monthlyLimit = profile?.membership_status === 'premium' ? null : 3
-  const remainingValuations = monthlyLimit ? Math.max(0, monthlyLimit - (valuationCount || 0)) : null
+  // The banner is informational; the API enforces the quota
+  const quota = await getValuationQuota(user.id).catch(() => null)
+  const remainingValuations = quota ? quota.remaining : null
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
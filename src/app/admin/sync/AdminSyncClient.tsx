@@ -16,7 +16,7 @@ export default function AdminSyncClient({ config }: AdminSyncClientProps) {
   const [syncResult, setSyncResult] = useState<any>(null)
   const [error, setError] = useState<string | null>(null)
 
-  const handleSync = async () => {
+  const handleSync = async (full = false) => {
     setSyncing(true)
     setError(null)
     setSyncResult(null)
@@ -37,7 +37,8 @@ export default function AdminSyncClient({ config }: AdminSyncClientProps) {
 
       const tokenToUse = adminToken || localStorage.getItem('adminToken')
 
-      const response = await fetch('/api/notion/sync', {
+      // Incremental by default; a full sync re-checks every page
+      const response = await fetch(`/api/notion/sync${full ? '?full=true' : ''}`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${tokenToUse}`,
@@ -137,7 +138,7 @@ export default function AdminSyncClient({ config }: AdminSyncClientProps) {
         <div className="p-6">
           <div className="flex gap-4">
             <button 
-              onClick={handleSync} 
+              onClick={() => handleSync()} 
               disabled={syncing || !config.hasNotionToken}
               className="inline-flex items-center px-4 py-2 bg-black text-white font-medium rounded-md hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
@@ -150,6 +151,13 @@ export default function AdminSyncClient({ config }: AdminSyncClientProps) {
                 'Sync Posts'
               )}
             </button>
+            <button 
+              onClick={() => handleSync(true)} 
+              disabled={syncing || !config.hasNotionToken}
+              className="inline-flex items-center px-4 py-2 bg-white text-black font-medium rounded-md border border-gray-300 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Full Resync
+            </button>
             <button 
               onClick={handleTestSync} 
               disabled={syncing || !config.hasNotionToken}
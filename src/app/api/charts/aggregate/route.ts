@@ -0,0 +1,30 @@
+// Rebuilds industry_multiples_timeseries from flippa_listings
+
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdminAuthenticated } from '@/lib/auth/admin'
+import { aggregateIndustryMultiples } from '@/lib/charts/aggregation'
+
+// POST /api/charts/aggregate?days=30 - Run the daily industry aggregation
+export async function POST(request: NextRequest) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  const days = parseInt(request.nextUrl.searchParams.get('days') || '30', 10)
+  if (isNaN(days) || days < 1 || days > 365) {
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid days parameter. Must be between 1 and 365.'
+    }, { status: 400 })
+  }
+
+  const result = await aggregateIndustryMultiples({ days })
+
+  return NextResponse.json({
+    ...result,
+    timestamp: new Date().toISOString()
+  }, { status: result.success ? 200 : 500 })
+}
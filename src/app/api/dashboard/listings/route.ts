@@ -1,6 +1,7 @@
 // Enhanced listings API with search, filtering, and pagination
 import { NextRequest, NextResponse } from 'next/server'
 import { createClient } from '@supabase/supabase-js'
+import { applyListingsFilter, parseListingsFilter } from '@/lib/dashboard/listings-filter'
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL!,
@@ -12,40 +13,12 @@ const supabase = createClient(
   }
 )
 
-interface ListingsFilter {
-  search?: string
-  category?: string
-  priceMin?: number
-  priceMax?: number
-  revenueMin?: number
-  revenueMax?: number
-  ageMin?: number
-  ageMax?: number
-  sortBy?: string
-  sortOrder?: 'asc' | 'desc'
-  page?: number
-  limit?: number
-}
-
 export async function GET(request: NextRequest) {
   try {
     const { searchParams } = new URL(request.url)
     
     // Parse filters
-    const filters: ListingsFilter = {
-      search: searchParams.get('search') || undefined,
-      category: searchParams.get('category') || undefined,
-      priceMin: searchParams.get('priceMin') ? Number(searchParams.get('priceMin')) : undefined,
-      priceMax: searchParams.get('priceMax') ? Number(searchParams.get('priceMax')) : undefined,
-      revenueMin: searchParams.get('revenueMin') ? Number(searchParams.get('revenueMin')) : undefined,
-      revenueMax: searchParams.get('revenueMax') ? Number(searchParams.get('revenueMax')) : undefined,
-      ageMin: searchParams.get('ageMin') ? Number(searchParams.get('ageMin')) : undefined,
-      ageMax: searchParams.get('ageMax') ? Number(searchParams.get('ageMax')) : undefined,
-      sortBy: searchParams.get('sortBy') || 'created_at',
-      sortOrder: (searchParams.get('sortOrder') || 'desc') as 'asc' | 'desc',
-      page: searchParams.get('page') ? Number(searchParams.get('page')) : 1,
-      limit: searchParams.get('limit') ? Number(searchParams.get('limit')) : 20
-    }
+    const filters = parseListingsFilter(searchParams)
 
     // Validate pagination
     filters.page = Math.max(1, filters.page)
@@ -58,39 +31,8 @@ export async function GET(request: NextRequest) {
       .from('flippa_listings')
       .select('*', { count: 'exact' })
 
-    // Apply search filter (full-text search on title and description)
-    if (filters.search) {
-      query = query.or(`title.ilike.%${filters.search}%,description.ilike.%${filters.search}%`)
-    }
-
-    // Apply category filter
-    if (filters.category && filters.category !== 'all') {
-      query = query.eq('category', filters.category)
-    }
-
-    // Apply price filters (asking_price)
-    if (filters.priceMin !== undefined) {
-      query = query.gte('asking_price', filters.priceMin)
-    }
-    if (filters.priceMax !== undefined) {
-      query = query.lte('asking_price', filters.priceMax)
-    }
-
-    // Apply revenue filters (monthly_revenue)
-    if (filters.revenueMin !== undefined) {
-      query = query.gte('monthly_revenue', filters.revenueMin)
-    }
-    if (filters.revenueMax !== undefined) {
-      query = query.lte('monthly_revenue', filters.revenueMax)
-    }
-
-    // Apply age filters (age_months)
-    if (filters.ageMin !== undefined) {
-      query = query.gte('age_months', filters.ageMin)
-    }
-    if (filters.ageMax !== undefined) {
-      query = query.lte('age_months', filters.ageMax)
-    }
+    // Apply search, category, price, revenue, age, multiple and keyword filters
+    query = applyListingsFilter(query, filters)
 
     // Apply sorting
     const sortColumn = {
@@ -116,6 +58,7 @@ export async function GET(request: NextRequest) {
     // Transform listings for frontend
     const transformedListings = listings?.map(listing => ({
       id: listing.id,
+      listing_id: listing.listing_id,
       session_id: listing.session_id,
       title: listing.title || 'Untitled',
       url: listing.url,
@@ -0,0 +1,67 @@
+// Field-level history and price timeline for one listing
+
+import { NextRequest, NextResponse } from 'next/server'
+import { createServerClient } from '@/lib/supabase'
+import { ListingHistoryRecorder } from '@/lib/monitoring/listing-history'
+import { getListedAt } from '@/lib/utils/listing-fields'
+
+// GET /api/listings/[id]/history - Timeline by Flippa listing_id (or numeric row id)
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const id = decodeURIComponent(params.id || '').trim()
+  if (!id || id.length > 200) {
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid listing id'
+    }, { status: 400 })
+  }
+
+  try {
+    const supabase = createServerClient()
+
+    // Numeric ids may be either the row id or a Flippa listing id
+    let query = supabase
+      .from('flippa_listings')
+      .select('*')
+    query = /^\d+$/.test(id)
+      ? query.or(`listing_id.eq.${id},id.eq.${id}`)
+      : query.eq('listing_id', id)
+
+    const { data: rows } = await query.limit(1)
+    const listing = rows?.[0] || null
+    const listingId = listing?.listing_id ? String(listing.listing_id) : id
+
+    const timeline = await new ListingHistoryRecorder(supabase).getTimeline(
+      listingId,
+      listing ? getListedAt(listing) : null
+    )
+
+    if (!listing && timeline.events.length === 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Listing not found'
+      }, { status: 404 })
+    }
+
+    return NextResponse.json({
+      success: true,
+      listing: listing ? {
+        id: listing.id,
+        listing_id: listingId,
+        title: listing.title,
+        url: listing.url,
+        category: listing.category
+      } : { listing_id: listingId },
+      timeline,
+      timestamp: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error('Error loading listing history:', error)
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to load listing history'
+    }, { status: 500 })
+  }
+}
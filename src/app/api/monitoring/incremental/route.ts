@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { SmartFlippaScanner } from '@/lib/scraping/smart-flippa-scanner';
+import { isValidScanId } from '@/lib/monitoring/scan-progress';
 
 export const runtime = 'nodejs';
 export const maxDuration = 300; // 5 minutes
@@ -38,9 +39,18 @@ export async function POST(req: NextRequest) {
     const {
       maxPages = 5,
       checkModified = true,
-      notifyHighValue = true
+      notifyHighValue = true,
+      scanId
     } = body;
 
+    // Optional client-chosen id, streamed from /api/monitoring/scan/[scanId]/events
+    if (scanId !== undefined && !isValidScanId(scanId)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid scan id' },
+        { status: 400 }
+      );
+    }
+
     console.log('🚀 Starting incremental scan with options:', {
       maxPages,
       checkModified,
@@ -48,7 +58,7 @@ export async function POST(req: NextRequest) {
     });
 
     // Create scanner instance
-    const scanner = new SmartFlippaScanner();
+    const scanner = new SmartFlippaScanner(scanId);
     
     // Perform incremental scan
     const result = await scanner.performIncrementalScan({
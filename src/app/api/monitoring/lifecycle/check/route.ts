@@ -0,0 +1,48 @@
+// Explicit page checks for listings whose lifecycle state is in doubt
+
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdminAuthenticated } from '@/lib/auth/admin'
+import { DEFAULT_MAX_CHECKS_PER_SCAN, ListingLifecycleTracker } from '@/lib/monitoring/listing-lifecycle'
+
+// Each check loads a page through FlareSolverr
+const MAX_LISTINGS_PER_REQUEST = 25
+
+// POST /api/monitoring/lifecycle/check - Check listing pages and apply sold/removed/relisted states
+// Body: { listingIds?: string[] } - without ids, the unseen listings most due for a check
+export async function POST(request: NextRequest) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  try {
+    const body = await request.json().catch(() => ({}))
+    const requested = Array.isArray(body?.listingIds)
+      ? Array.from(new Set<string>(body.listingIds.map(String).filter(Boolean)))
+      : null
+
+    if (requested && requested.length > MAX_LISTINGS_PER_REQUEST) {
+      return NextResponse.json({
+        success: false,
+        error: `At most ${MAX_LISTINGS_PER_REQUEST} listings can be checked per request`
+      }, { status: 400 })
+    }
+
+    const tracker = new ListingLifecycleTracker()
+    const listingIds = requested || await tracker.selectListingsToCheck(DEFAULT_MAX_CHECKS_PER_SCAN)
+    const { checked, transitions } = await tracker.checkListings(null, listingIds)
+
+    return NextResponse.json({
+      success: true,
+      data: { checked, transitions }
+    })
+  } catch (error) {
+    console.error('Error checking listing lifecycle:', error)
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to check listings'
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,37 @@
+// Drains the notification queue (email + webhooks); meant to be called from cron
+
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdminAuthenticated } from '@/lib/auth/admin'
+import { NotificationDeliveryWorker } from '@/lib/notifications/delivery-worker'
+
+export const runtime = 'nodejs'
+
+// POST /api/monitoring/notifications/deliver - Deliver due notifications
+export async function POST(request: NextRequest) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  try {
+    const batchSize = parseInt(request.nextUrl.searchParams.get('batch') || '25', 10)
+    const worker = new NotificationDeliveryWorker({
+      batchSize: isNaN(batchSize) ? 25 : Math.min(Math.max(batchSize, 1), 100)
+    })
+    const summary = await worker.drain()
+
+    return NextResponse.json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error('Error delivering notifications:', error)
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to deliver notifications'
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,95 @@
+// Update or remove a single change-detection rule
+
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdminAuthenticated } from '@/lib/auth/admin'
+import { createServerClient } from '@/lib/supabase'
+import { validateChangeRule } from '@/lib/monitoring/change-rules'
+
+// PATCH /api/monitoring/rules/[id] - Update fields of a rule
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  try {
+    const supabase = createServerClient()
+    const { data: existing } = await supabase
+      .from('change_detection_rules')
+      .select('*')
+      .eq('id', params.id)
+      .single()
+
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        error: 'Rule not found'
+      }, { status: 404 })
+    }
+
+    // Validate the rule as it will be after the update
+    const body = await request.json().catch(() => ({}))
+    const { rule, errors } = validateChangeRule({ ...existing, ...body })
+
+    if (!rule) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid rule',
+        details: errors
+      }, { status: 400 })
+    }
+
+    const { data, error } = await supabase
+      .from('change_detection_rules')
+      .update({ ...rule, updated_at: new Date().toISOString() })
+      .eq('id', params.id)
+      .select('*')
+      .single()
+
+    if (error) throw error
+
+    return NextResponse.json({ success: true, data })
+  } catch (error) {
+    console.error('Error updating change rule:', error)
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to update change rule'
+    }, { status: 500 })
+  }
+}
+
+// DELETE /api/monitoring/rules/[id] - Remove a rule
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  try {
+    const supabase = createServerClient()
+    const { error } = await supabase
+      .from('change_detection_rules')
+      .delete()
+      .eq('id', params.id)
+
+    if (error) throw error
+
+    return NextResponse.json({ success: true })
+  } catch (error) {
+    console.error('Error deleting change rule:', error)
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to delete change rule'
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,83 @@
+// Change-detection rules evaluated after each monitoring scan
+
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdminAuthenticated } from '@/lib/auth/admin'
+import { createServerClient } from '@/lib/supabase'
+import { validateChangeRule } from '@/lib/monitoring/change-rules'
+
+// GET /api/monitoring/rules - List all rules (active and inactive)
+export async function GET(request: NextRequest) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  try {
+    const supabase = createServerClient()
+    const { data, error } = await supabase
+      .from('change_detection_rules')
+      .select('*')
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return NextResponse.json({ success: true, data: data || [] })
+  } catch (error) {
+    console.error('Error fetching change rules:', error)
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to fetch change rules'
+    }, { status: 500 })
+  }
+}
+
+// POST /api/monitoring/rules - Create a rule
+export async function POST(request: NextRequest) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  try {
+    const body = await request.json().catch(() => null)
+    const { rule, errors } = validateChangeRule(body)
+
+    if (!rule) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid rule',
+        details: errors
+      }, { status: 400 })
+    }
+
+    const supabase = createServerClient()
+    const { data, error } = await supabase
+      .from('change_detection_rules')
+      .insert(rule)
+      .select('*')
+      .single()
+
+    if (error) {
+      // Unique violation on rule_key
+      if (error.code === '23505') {
+        return NextResponse.json({
+          success: false,
+          error: `Rule ${rule.rule_key} already exists`
+        }, { status: 409 })
+      }
+      throw error
+    }
+
+    return NextResponse.json({ success: true, data }, { status: 201 })
+  } catch (error) {
+    console.error('Error creating change rule:', error)
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to create change rule'
+    }, { status: 500 })
+  }
+}
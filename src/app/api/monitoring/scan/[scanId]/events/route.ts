@@ -0,0 +1,156 @@
+import { NextResponse } from 'next/server'
+import { createServerClient } from '@/lib/supabase'
+import {
+  ScanProgressEvent,
+  TERMINAL_SCAN_EVENTS,
+  isValidScanId,
+  parseLastEventId,
+  readScanEvents,
+  subscribeScanEvents
+} from '@/lib/monitoring/scan-progress'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+// Events from other instances are picked up by polling
+const POLL_INTERVAL_MS = 2000
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 15000
+// Streams end before typical function/proxy timeouts; EventSource reconnects
+// with Last-Event-ID and the replay continues where it stopped
+const MAX_STREAM_MS = 4 * 60 * 1000
+const RECONNECT_DELAY_MS = 3000
+const READ_BATCH = 200
+
+function formatEvent(event: ScanProgressEvent): string {
+  const data = JSON.stringify({ ...event.data, createdAt: event.createdAt })
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`
+}
+
+// Server-Sent Events stream of a scan's progress. Replays events after the
+// Last-Event-ID header (or ?lastEventId=) and ends after completed/failed
+export async function GET(
+  request: Request,
+  { params }: { params: { scanId: string } }
+) {
+  const { scanId } = params
+
+  if (!isValidScanId(scanId)) {
+    return NextResponse.json(
+      { success: false, error: 'Invalid scan id' },
+      { status: 400 }
+    )
+  }
+
+  const url = new URL(request.url)
+  let lastEventId = parseLastEventId(
+    request.headers.get('last-event-id') || url.searchParams.get('lastEventId')
+  )
+
+  const supabase = createServerClient()
+  const encoder = new TextEncoder()
+  let stop = () => {}
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      let closed = false
+      let reading = false
+      let readAgain = false
+
+      const send = (chunk: string) => {
+        if (!closed) controller.enqueue(encoder.encode(chunk))
+      }
+
+      // Send new events; wake-ups during a read trigger one more read
+      const flush = async () => {
+        if (reading) {
+          readAgain = true
+          return
+        }
+        reading = true
+        try {
+          do {
+            readAgain = false
+            const events = await readScanEvents(supabase, scanId, lastEventId, READ_BATCH)
+            for (const event of events) {
+              send(formatEvent(event))
+              lastEventId = event.id
+              if (TERMINAL_SCAN_EVENTS.includes(event.type)) {
+                stop()
+                return
+              }
+            }
+            if (events.length === READ_BATCH) readAgain = true
+          } while (readAgain && !closed)
+        } catch (error) {
+          console.error(`Error streaming progress for scan ${scanId}:`, error)
+        } finally {
+          reading = false
+        }
+      }
+
+      // Scans recorded before progress events existed: report the final state once
+      const sendLegacyResult = async () => {
+        const { data: session } = await supabase
+          .from('scan_sessions')
+          .select('status, pages_scanned, listings_found, new_listings, deleted_listings, errors, completed_at')
+          .eq('scan_id', scanId)
+          .maybeSingle()
+
+        if (!session || session.status === 'running' || closed || lastEventId > 0) return
+
+        const type = session.status === 'failed' ? 'failed' : 'completed'
+        const data = type === 'failed'
+          ? { message: session.errors?.[0]?.message || 'Scan failed' }
+          : {
+              pagesScanned: session.pages_scanned || 0,
+              totalListings: session.listings_found || 0,
+              newListings: session.new_listings || 0,
+              deletedListings: session.deleted_listings || 0
+            }
+        send(`event: ${type}\ndata: ${JSON.stringify({ ...data, createdAt: session.completed_at })}\n\n`)
+        stop()
+      }
+
+      const unsubscribe = subscribeScanEvents(scanId, () => {
+        flush()
+      })
+      const poll = setInterval(flush, POLL_INTERVAL_MS)
+      const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_INTERVAL_MS)
+      const deadline = setTimeout(() => stop(), MAX_STREAM_MS)
+
+      stop = () => {
+        if (closed) return
+        closed = true
+        unsubscribe()
+        clearInterval(poll)
+        clearInterval(heartbeat)
+        clearTimeout(deadline)
+        request.signal.removeEventListener('abort', stop)
+        try {
+          controller.close()
+        } catch {
+          // Already closed by the client
+        }
+      }
+      request.signal.addEventListener('abort', stop)
+
+      send(`retry: ${RECONNECT_DELAY_MS}\n\n`)
+      flush()
+        .then(() => (lastEventId === 0 ? sendLegacyResult() : undefined))
+        .catch(error => console.error(`Error loading scan ${scanId}:`, error))
+    },
+    cancel() {
+      stop()
+    }
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  })
+}
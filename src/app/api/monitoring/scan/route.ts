@@ -1,10 +1,22 @@
 import { NextResponse } from 'next/server'
+import { ScanProgressReporter, isValidScanId } from '@/lib/monitoring/scan-progress'
+import { runScanPipeline } from '@/lib/monitoring/scan-pipeline'
 
 export async function POST(request: Request) {
   try {
     const body = await request.json()
     const { manual = false, options = {} } = body
     
+    // Clients pick the scan id so they can subscribe to
+    // /api/monitoring/scan/[scanId]/events before the scan starts
+    if (body.scanId !== undefined && !isValidScanId(body.scanId)) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid scan id'
+      }, { status: 400 })
+    }
+    const progress = body.scanId ? new ScanProgressReporter(body.scanId) : null
+    
     // Check monitoring mode
     const mode = process.env.MONITORING_MODE || 'auto'
     console.log(`🔧 Monitoring mode: ${mode}`)
@@ -17,42 +29,61 @@ export async function POST(request: Request) {
         const { RealFlippaScraper } = await import('@/lib/scraping/real-flippa-scraper.js')
         const scraper = new RealFlippaScraper()
         
+        await progress?.started({ totalPages: options.pages || 2, manual, mode })
+        const scanId = progress?.scanId || `scan_${Date.now()}`
         const result = await scraper.performScan({
           maxPages: options.pages || 2,
-          manual
+          manual,
+          scanId,
+          onProgress: (type: 'page' | 'error' | 'comparison', data: Record<string, any>) => progress?.emit(type, data),
+          // History, change rules, lifecycle and saved search alerts
+          onListings: async (listings: Map<string, any>) => {
+            const { comparisonResult, lifecycle, savedSearchMatches } = await runScanPipeline(scanId, listings, {
+              pagesScanned: options.pages || 2
+            })
+            return {
+              updatedListings: comparisonResult.updatedListings.length,
+              unseenListings: comparisonResult.unseenListings.length,
+              ruleMatches: comparisonResult.ruleMatches.length,
+              savedSearchMatches,
+              soldListings: lifecycle.sold,
+              relistedListings: lifecycle.relisted,
+              listingPagesChecked: lifecycle.checked
+            }
+          }
         })
         
-        return NextResponse.json(result)
+        if (result.success) {
+          await progress?.completed({ ...result.results, duration: result.duration })
+        } else {
+          await progress?.failed(result.error || 'Scan failed')
+        }
+        
+        return NextResponse.json(result, { status: result.success ? 200 : 502 })
         
       } catch (realError) {
-        console.error('Real scraping failed, falling back:', realError.message)
+        const message = realError instanceof Error ? realError.message : String(realError)
+        console.error('Real scraping failed:', message)
+        
+        // Nothing was scanned; report the failure so schedules back off
+        const failedId = progress?.scanId || `failed_scan_${Date.now()}`
+        await progress?.failed(message || 'Real scraping failed')
         
-        // Fall back to mock data if real scraping fails
         return NextResponse.json({
-          success: true,
-          scanId: `fallback_scan_${Date.now()}`,
-          results: {
-            scanId: `fallback_scan_${Date.now()}`,
-            duration: 30,
-            pagesScanned: 2,
-            scannedListings: 0,
-            newListings: 0,
-            priceChanges: 0,
-            deletedListings: 0,
-            totalChanges: 0,
-            mode: 'fallback',
-            message: 'Real scraping failed, using fallback mode',
-            error: realError.message
-          },
+          success: false,
+          error: 'Real scraping failed',
+          details: message,
+          scanId: failedId,
+          mode: 'production',
           timestamp: new Date().toISOString()
-        })
+        }, { status: 502 })
       }
     }
     
     // Mock mode - return simulated data
     console.log('🎭 Using mock scraping mode')
     
-    const scanId = `mock_scan_${Date.now()}`
+    const scanId = progress?.scanId || `mock_scan_${Date.now()}`
     const mockResults = {
       scannedListings: 25,
       newListings: Math.floor(Math.random() * 5) + 1,
@@ -63,17 +94,21 @@ export async function POST(request: Request) {
     
     mockResults.totalChanges = mockResults.newListings + mockResults.priceChanges + mockResults.deletedListings
     
+    const results = {
+      scanId,
+      duration: 45,
+      pagesScanned: 3,
+      ...mockResults,
+      mode: 'mock',
+      message: 'Using simulated data (mock mode)'
+    }
+    await progress?.started({ totalPages: results.pagesScanned, manual, mode: 'mock' })
+    await progress?.completed(results)
+    
     return NextResponse.json({
       success: true,
       scanId,
-      results: {
-        scanId,
-        duration: 45,
-        pagesScanned: 3,
-        ...mockResults,
-        mode: 'mock',
-        message: 'Using simulated data (mock mode)'
-      },
+      results,
       timestamp: new Date().toISOString()
     })
     
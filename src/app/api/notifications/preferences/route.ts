@@ -0,0 +1,117 @@
+// API route for the signed-in user's notification preferences: which types
+// they receive in the inbox and by email
+import { createClient } from '@/lib/supabase/server'
+import { resolveAllChannels, sanitizePreferences } from '@/lib/notifications/user-notifications'
+import { NextRequest, NextResponse } from 'next/server'
+
+const unauthorized = () => NextResponse.json(
+  {
+    error: 'Unauthorized',
+    code: 'UNAUTHORIZED',
+    message: '로그인이 필요합니다'
+  },
+  { status: 401 }
+)
+
+export async function GET() {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) return unauthorized()
+
+    const { data: preferences, error } = await supabase
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', user.id)
+      .maybeSingle()
+
+    if (error) throw error
+
+    return NextResponse.json({
+      success: true,
+      preferences: {
+        email: preferences?.email || user.email || null,
+        channels: resolveAllChannels(preferences)
+      }
+    })
+
+  } catch (error) {
+    console.error('Notification preferences fetch error:', error)
+    return NextResponse.json(
+      {
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        message: '알림 설정을 불러오는 중 오류가 발생했습니다'
+      },
+      { status: 500 }
+    )
+  }
+}
+
+export async function PUT(request: NextRequest) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) return unauthorized()
+
+    let body
+    try {
+      body = await request.json()
+    } catch (error) {
+      return NextResponse.json(
+        {
+          error: 'Invalid JSON',
+          code: 'PARSE_ERROR',
+          message: '잘못된 요청 형식입니다'
+        },
+        { status: 400 }
+      )
+    }
+
+    const { email, channels, errors } = sanitizePreferences(body)
+
+    if (errors.length > 0) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          message: '입력값을 확인해주세요',
+          details: errors
+        },
+        { status: 400 }
+      )
+    }
+
+    const { data: preferences, error } = await supabase
+      .from('notification_preferences')
+      .upsert({
+        user_id: user.id,
+        email: email || user.email || null,
+        channels,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select('*')
+      .single()
+
+    if (error) throw error
+
+    return NextResponse.json({
+      success: true,
+      preferences: {
+        email: preferences.email,
+        channels: resolveAllChannels(preferences)
+      }
+    })
+
+  } catch (error) {
+    console.error('Notification preferences update error:', error)
+    return NextResponse.json(
+      {
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        message: '알림 설정을 저장하는 중 오류가 발생했습니다'
+      },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,161 @@
+// API route for the signed-in user's notification inbox
+import { createClient } from '@/lib/supabase/server'
+import { isNotificationEventType } from '@/lib/notifications/user-notifications'
+import { NextRequest, NextResponse } from 'next/server'
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+// Bulk mark-as-read by id accepts at most this many ids per request
+const MAX_IDS = 200
+
+const INBOX_COLUMNS = 'notification_id, user_id, event_type, scan_id, priority, subject, content, listing_id, read_at, created_at'
+
+const unauthorized = () => NextResponse.json(
+  {
+    error: 'Unauthorized',
+    code: 'UNAUTHORIZED',
+    message: '로그인이 필요합니다'
+  },
+  { status: 401 }
+)
+
+export async function GET(request: NextRequest) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) return unauthorized()
+
+    const { searchParams } = new URL(request.url)
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '', 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    const unreadOnly = searchParams.get('unread') === 'true'
+    const before = searchParams.get('before')
+
+    if (before && isNaN(Date.parse(before))) {
+      return NextResponse.json(
+        {
+          error: 'Invalid cursor',
+          code: 'VALIDATION_ERROR',
+          message: '잘못된 페이지 요청입니다'
+        },
+        { status: 400 }
+      )
+    }
+
+    let query = supabase
+      .from('notification_queue')
+      .select(INBOX_COLUMNS)
+      .eq('user_id', user.id)
+      .eq('notification_type', 'dashboard')
+      .order('created_at', { ascending: false })
+      .limit(limit + 1)
+
+    if (unreadOnly) query = query.is('read_at', null)
+    if (before) query = query.lt('created_at', before)
+
+    const { data: rows, error } = await query
+    if (error) throw error
+
+    const { count: unreadCount } = await supabase
+      .from('notification_queue')
+      .select('notification_id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .eq('notification_type', 'dashboard')
+      .is('read_at', null)
+
+    const notifications = (rows || []).slice(0, limit)
+
+    return NextResponse.json({
+      success: true,
+      notifications,
+      unreadCount: unreadCount || 0,
+      hasMore: (rows || []).length > limit
+    })
+
+  } catch (error) {
+    console.error('Notifications fetch error:', error)
+    return NextResponse.json(
+      {
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        message: '알림을 불러오는 중 오류가 발생했습니다'
+      },
+      { status: 500 }
+    )
+  }
+}
+
+// Mark notifications read: by ids, or all unread ones (optionally one scan/type group)
+export async function PATCH(request: NextRequest) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) return unauthorized()
+
+    let body
+    try {
+      body = await request.json()
+    } catch (error) {
+      return NextResponse.json(
+        {
+          error: 'Invalid JSON',
+          code: 'PARSE_ERROR',
+          message: '잘못된 요청 형식입니다'
+        },
+        { status: 400 }
+      )
+    }
+
+    const ids = Array.isArray(body?.ids) ? body.ids.filter((id: unknown) => typeof id === 'string') : null
+    const all = body?.all === true
+    const errors: { field: string; message: string }[] = []
+
+    if (!all && (!ids || ids.length === 0)) {
+      errors.push({ field: 'ids', message: '읽음 처리할 알림을 선택해주세요' })
+    }
+    if (ids && ids.length > MAX_IDS) {
+      errors.push({ field: 'ids', message: `한 번에 최대 ${MAX_IDS}개까지 읽음 처리할 수 있습니다` })
+    }
+    if (body?.eventType !== undefined && !isNotificationEventType(body.eventType)) {
+      errors.push({ field: 'eventType', message: '알 수 없는 알림 종류입니다' })
+    }
+
+    if (errors.length > 0) {
+      return NextResponse.json(
+        {
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          message: '입력값을 확인해주세요',
+          details: errors
+        },
+        { status: 400 }
+      )
+    }
+
+    let query = supabase
+      .from('notification_queue')
+      .update({ read_at: new Date().toISOString(), status: 'read' })
+      .eq('user_id', user.id)
+      .eq('notification_type', 'dashboard')
+      .is('read_at', null)
+
+    if (!all) query = query.in('notification_id', ids)
+    if (typeof body?.scanId === 'string') query = query.eq('scan_id', body.scanId)
+    if (body?.eventType) query = query.eq('event_type', body.eventType)
+
+    const { data: updated, error } = await query.select('notification_id')
+    if (error) throw error
+
+    return NextResponse.json({ success: true, updated: updated?.length || 0 })
+
+  } catch (error) {
+    console.error('Notifications update error:', error)
+    return NextResponse.json(
+      {
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        message: '알림을 읽음 처리하는 중 오류가 발생했습니다'
+      },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,48 @@
+// API route for the header bell: the signed-in user's unread notification count
+import { createClient } from '@/lib/supabase/server'
+import { NextResponse } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET() {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json(
+        {
+          error: 'Unauthorized',
+          code: 'UNAUTHORIZED',
+          message: '로그인이 필요합니다'
+        },
+        { status: 401 }
+      )
+    }
+
+    const { count, error } = await supabase
+      .from('notification_queue')
+      .select('notification_id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .eq('notification_type', 'dashboard')
+      .is('read_at', null)
+
+    if (error) throw error
+
+    return NextResponse.json(
+      { success: true, count: count || 0 },
+      { headers: { 'Cache-Control': 'private, no-store' } }
+    )
+
+  } catch (error) {
+    console.error('Unread notification count error:', error)
+    return NextResponse.json(
+      {
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        message: '알림 수를 불러오는 중 오류가 발생했습니다'
+      },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,82 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { runIncrementalSync } from '@/lib/notion/incremental-sync'
+import { changedPostsFromReport, revalidateChangedPosts, type ChangedPost } from '@/lib/notion/revalidation'
+import { createServerClient } from '@/lib/supabase'
+
+// Revalidates post pages on demand.
+// - No body: runs an incremental sync and revalidates what it changed (for a
+//   local cron, see scripts/revalidate-posts.js)
+// - { slugs: [...] }: revalidates those posts without syncing (for webhooks)
+export async function POST(request: NextRequest) {
+  try {
+    // Verify admin token
+    const authHeader = request.headers.get('authorization')
+    if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_TOKEN}`) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    let body: any = {}
+    try {
+      const text = await request.text()
+      body = text ? JSON.parse(text) : {}
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 })
+    }
+
+    const supabase = createServerClient()
+
+    if (body.slugs !== undefined) {
+      if (!Array.isArray(body.slugs) || body.slugs.length === 0 || body.slugs.some((slug: unknown) => typeof slug !== 'string' || !slug)) {
+        return NextResponse.json({ error: 'slugs must be a non-empty array of strings' }, { status: 400 })
+      }
+
+      const { data, error } = await supabase
+        .from('posts')
+        .select('slug, category')
+        .in('slug', body.slugs)
+      if (error) throw error
+
+      const known = new Map((data || []).map((row: any) => [row.slug, row.category]))
+      const changed: ChangedPost[] = body.slugs.map((slug: string) => ({ slug, category: known.get(slug) ?? null }))
+      const revalidated = await revalidateChangedPosts(supabase, changed)
+
+      return NextResponse.json({
+        success: true,
+        revalidated,
+        unknownSlugs: body.slugs.filter((slug: string) => !known.has(slug))
+      })
+    }
+
+    const report = await runIncrementalSync({ full: body.full === true })
+    const revalidated = await revalidateChangedPosts(supabase, changedPostsFromReport(report))
+
+    return NextResponse.json({
+      success: report.failed.length === 0,
+      revalidated,
+      summary: {
+        scanned: report.scanned,
+        created: report.created.length,
+        updated: report.updated.length,
+        unpublished: report.unpublished.length,
+        failed: report.failed.length
+      },
+      failed: report.failed
+    }, { status: report.failed.length > 0 ? 207 : 200 })
+  } catch (error) {
+    console.error('Revalidation error:', error)
+    return NextResponse.json(
+      {
+        error: 'Failed to revalidate posts',
+        details: error instanceof Error ? error.message : (error as { message?: string })?.message || 'Unknown error'
+      },
+      { status: 500 }
+    )
+  }
+}
+
+export async function GET() {
+  return NextResponse.json(
+    { message: 'Use POST method to revalidate posts' },
+    { status: 405 }
+  )
+}
@@ -1,5 +1,7 @@
 import { NextRequest, NextResponse } from 'next/server'
 import { getPostBySlug } from '@/lib/notion/converter'
+import { findCurrentSlug } from '@/lib/notion/slug-history'
+import { createAdminClient } from '@/lib/supabase/admin'
 
 export async function GET(
   request: NextRequest,
@@ -9,6 +11,14 @@ export async function GET(
     const post = await getPostBySlug(params.slug)
     
     if (!post) {
+      // Old slug of a renamed post
+      const currentSlug = await findCurrentSlug(createAdminClient(), decodeURIComponent(params.slug))
+      if (currentSlug) {
+        const url = request.nextUrl.clone()
+        url.pathname = `/api/posts/${encodeURIComponent(currentSlug)}`
+        return NextResponse.redirect(url, 301)
+      }
+      
       return NextResponse.json(
         { error: 'Post not found' },
         { status: 404 }
@@ -6,6 +6,8 @@ interface ChartDataPoint {
   date: string
   value: number
   volume?: number
+  high?: number
+  low?: number
 }
 
 interface IndustryStats {
@@ -24,6 +26,8 @@ interface IndustryChartData {
   trend: 'up' | 'down' | 'stable'
   chartData: ChartDataPoint[]
   stats: IndustryStats
+  sampleSize: number
+  fallback: boolean
 }
 
 // Industry configuration
@@ -42,6 +46,7 @@ const INDUSTRIES = [
   '미디어/컨텐츠'
 ]
 
+// Baseline multiples used only for series without enough real listings
 const BASE_MULTIPLES: Record<string, number> = {
   'SaaS': 4.2,
   'E-commerce': 2.8,
@@ -57,65 +62,47 @@ const BASE_MULTIPLES: Record<string, number> = {
   '미디어/컨텐츠': 3.2
 }
 
-// Mock data generator with proper scope
-function generateMockData(requestedDays: number = 30): IndustryChartData[] {
-  return INDUSTRIES.map(industry => {
-    const baseMultiple = BASE_MULTIPLES[industry] || 3.0
-    const chartData: ChartDataPoint[] = []
-    let currentValue = baseMultiple
+const DEFAULT_BASE_MULTIPLE = 3.0
 
-    // Generate time series data
-    for (let i = requestedDays - 1; i >= 0; i--) {
-      const date = new Date()
-      date.setDate(date.getDate() - i)
-      
-      // Add realistic variation
-      const dailyChange = (Math.random() - 0.5) * 0.1 // ±5% daily change
-      currentValue *= (1 + dailyChange)
-      currentValue = Math.max(1.0, Math.min(8.0, currentValue)) // Keep within bounds
-      
-      chartData.push({
-        date: date.toISOString().split('T')[0],
-        value: Number(currentValue.toFixed(2)),
-        volume: Math.floor(Math.random() * 1000000 + 100000)
-      })
-    }
+// A series needs at least this many listings in the window to be served as real data
+const MIN_SERIES_SAMPLES = 10
 
-    // Calculate statistics
-    const values = chartData.map(d => d.value)
-    const high30d = Math.max(...values)
-    const low30d = Math.min(...values)
-    const avg30d = values.reduce((a, b) => a + b, 0) / values.length
-    
-    const current = values[values.length - 1]
-    const previous = values[values.length - 2] || current
-    const change24h = current - previous
-    const changePercent = previous !== 0 ? (change24h / previous) * 100 : 0
-    
-    const trend: 'up' | 'down' | 'stable' = 
-      changePercent > 1 ? 'up' : 
-      changePercent < -1 ? 'down' : 'stable'
+// Flat baseline series, flagged as fallback, for industries with too few samples
+function buildFallbackSeries(industry: string, days: number, sampleSize = 0): IndustryChartData {
+  const baseMultiple = BASE_MULTIPLES[industry] || DEFAULT_BASE_MULTIPLE
+  const chartData: ChartDataPoint[] = []
 
-    return {
-      industry,
-      current,
-      change24h: Number(change24h.toFixed(2)),
-      changePercent: Number(changePercent.toFixed(1)),
-      trend,
-      chartData,
-      stats: {
-        high30d: Number(high30d.toFixed(2)),
-        low30d: Number(low30d.toFixed(2)),
-        avg30d: Number(avg30d.toFixed(2)),
-        totalTransactions: Math.floor(Math.random() * 100 + 20),
-        avgPrice: Math.floor(Math.random() * 200000 + 50000)
-      }
-    }
-  })
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date()
+    date.setDate(date.getDate() - i)
+    chartData.push({
+      date: date.toISOString().split('T')[0],
+      value: baseMultiple,
+      volume: 0
+    })
+  }
+
+  return {
+    industry,
+    current: baseMultiple,
+    change24h: 0,
+    changePercent: 0,
+    trend: 'stable',
+    chartData,
+    stats: {
+      high30d: baseMultiple,
+      low30d: baseMultiple,
+      avg30d: baseMultiple,
+      totalTransactions: sampleSize,
+      avgPrice: 0
+    },
+    sampleSize,
+    fallback: true
+  }
 }
 
 // Database data processor
-async function processDbData(dbData: any[], days: number): Promise<IndustryChartData[]> {
+function processDbData(dbData: any[], days: number): IndustryChartData[] {
   const industriesMap = new Map<string, any[]>()
   
   // Group by industry
@@ -129,31 +116,41 @@ async function processDbData(dbData: any[], days: number): Promise<IndustryChart
   const result: IndustryChartData[] = []
   
   for (const [industry, data] of industriesMap.entries()) {
-    if (data.length < 2) continue
+    // A listing observed on several days is one sample
+    const listingIds = new Set<string>()
+    data.forEach((d: any) => (d.listing_ids || []).forEach((id: string) => listingIds.add(id)))
+    const sampleSize = listingIds.size
+    const observations = data.reduce((sum, d) => sum + (d.transaction_count || 0), 0)
     
     // Sort by date
     data.sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
     
-    // Transform to chart data
-    const chartData: ChartDataPoint[] = data.map(d => ({
-      date: d.date,
-      value: Number(d.avg_profit_multiple || 0),
-      volume: d.transaction_count || 0
-    }))
+    // Transform to chart data (median is robust to the odd mis-scraped multiple)
+    const chartData: ChartDataPoint[] = data
+      .map((d): ChartDataPoint => ({
+        date: d.date,
+        value: Number(d.median_profit_multiple ?? d.avg_profit_multiple ?? 0),
+        volume: Number(d.total_volume || 0),
+        high: d.high_multiple !== null ? Number(d.high_multiple) : undefined,
+        low: d.low_multiple !== null ? Number(d.low_multiple) : undefined
+      }))
+      .filter((point: ChartDataPoint) => point.value > 0)
     
-    const values = chartData.map(d => d.value).filter(v => v > 0)
-    if (values.length === 0) continue
+    if (chartData.length < 2 || sampleSize < MIN_SERIES_SAMPLES) {
+      result.push(buildFallbackSeries(industry, days, sampleSize))
+      continue
+    }
     
+    const values = chartData.map(d => d.value)
     const current = values[values.length - 1]
-    const previous = values[values.length - 2] || current
+    const previous = values[values.length - 2]
     const change24h = current - previous
     const changePercent = previous !== 0 ? (change24h / previous) * 100 : 0
     
     // Calculate stats
-    const high30d = Math.max(...values)
-    const low30d = Math.min(...values)
+    const high30d = Math.max(...chartData.map(d => d.high ?? d.value))
+    const low30d = Math.min(...chartData.map(d => d.low ?? d.value))
     const avg30d = values.reduce((sum, val) => sum + val, 0) / values.length
-    const totalTransactions = data.reduce((sum, d) => sum + (d.transaction_count || 0), 0)
     const totalVolume = data.reduce((sum, d) => sum + Number(d.total_volume || 0), 0)
     
     // Determine trend
@@ -177,9 +174,11 @@ async function processDbData(dbData: any[], days: number): Promise<IndustryChart
         high30d: Number(high30d.toFixed(2)),
         low30d: Number(low30d.toFixed(2)),
         avg30d: Number(avg30d.toFixed(2)),
-        totalTransactions,
-        avgPrice: totalTransactions > 0 ? Math.round(totalVolume / totalTransactions) : 0
-      }
+        totalTransactions: sampleSize,
+        avgPrice: observations > 0 ? Math.round(totalVolume / observations) : 0
+      },
+      sampleSize,
+      fallback: false
     })
   }
   
@@ -204,11 +203,9 @@ export async function GET(request: NextRequest) {
     }
     
     let data: IndustryChartData[] = []
-    let usingMockData = false
     let dbError: string | null = null
     
     try {
-      // Try to fetch from database
       const supabase = await createClient()
       const startDate = new Date()
       startDate.setDate(startDate.getDate() - days)
@@ -230,42 +227,34 @@ export async function GET(request: NextRequest) {
         throw new Error(`Database error: ${error.message}`)
       }
       
-      if (!dbData || dbData.length === 0) {
-        throw new Error('No data available in database')
-      }
-      
-      // Process database data
-      data = await processDbData(dbData, days)
-      
-      if (data.length === 0) {
-        throw new Error('No valid data after processing')
-      }
-      
+      data = processDbData(dbData || [], days)
     } catch (error) {
       console.error('Database fetch failed:', error)
       dbError = error instanceof Error ? error.message : 'Unknown database error'
-      
-      // Use mock data as fallback
-      data = generateMockData(days)
-      usingMockData = true
-      
-      // Filter mock data by industries if specified
-      if (industries && industries.length > 0) {
-        data = data.filter(item => industries.includes(item.industry))
+    }
+    
+    // Requested (or, with no data at all, configured) industries missing from the
+    // aggregates are still returned, as fallback series
+    const expected = industries && industries.length > 0
+      ? industries
+      : data.length === 0 ? INDUSTRIES : []
+    for (const industry of expected) {
+      if (!data.some(item => item.industry === industry)) {
+        data.push(buildFallbackSeries(industry, days))
       }
     }
     
-    // Apply sorting
+    // Apply sorting (real series always rank ahead of fallback series)
     switch (sortBy) {
       case 'change':
-        data.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent))
+        data.sort((a, b) => Number(a.fallback) - Number(b.fallback) || Math.abs(b.changePercent) - Math.abs(a.changePercent))
         break
       case 'value':
-        data.sort((a, b) => b.current - a.current)
+        data.sort((a, b) => Number(a.fallback) - Number(b.fallback) || b.current - a.current)
         break
       case 'transactions':
       default:
-        data.sort((a, b) => b.stats.totalTransactions - a.stats.totalTransactions)
+        data.sort((a, b) => Number(a.fallback) - Number(b.fallback) || b.stats.totalTransactions - a.stats.totalTransactions)
         break
     }
     
@@ -274,6 +263,9 @@ export async function GET(request: NextRequest) {
       data = data.slice(0, limit)
     }
     
+    const fallbackIndustries = data.filter(item => item.fallback).map(item => item.industry)
+    const allFallback = data.length === 0 || fallbackIndustries.length === data.length
+    
     // Response object
     const response = {
       success: true,
@@ -281,18 +273,20 @@ export async function GET(request: NextRequest) {
       lastUpdated: new Date().toISOString(),
       period: `${days}d`,
       totalIndustries: data.length,
+      fallback: allFallback,
       meta: {
         days,
         limit,
         sortBy,
-        usingMockData,
+        minSamples: MIN_SERIES_SAMPLES,
+        fallbackIndustries,
         dbError
       }
     }
     
     return NextResponse.json(response, {
       headers: {
-        'Cache-Control': usingMockData 
+        'Cache-Control': allFallback
           ? 'public, s-maxage=60, stale-while-revalidate=120' 
           : 'public, s-maxage=300, stale-while-revalidate=600',
         'Access-Control-Allow-Origin': '*',
@@ -304,21 +298,23 @@ export async function GET(request: NextRequest) {
   } catch (error) {
     console.error('API error:', error)
     
-    // Always return mock data on error
-    const mockData = generateMockData(30)
+    // Serve baseline series, clearly flagged, rather than failing the page
+    const fallbackData = INDUSTRIES.slice(0, 8).map(industry => buildFallbackSeries(industry, 30))
     
     return NextResponse.json({
       success: true,
-      data: mockData.slice(0, 8),
+      data: fallbackData,
       lastUpdated: new Date().toISOString(),
       period: '30d',
-      totalIndustries: 8,
+      totalIndustries: fallbackData.length,
+      fallback: true,
       meta: {
         days: 30,
         limit: 8,
         sortBy: 'transactions',
-        usingMockData: true,
-        error: error instanceof Error ? error.message : 'Unknown error'
+        minSamples: MIN_SERIES_SAMPLES,
+        fallbackIndustries: fallbackData.map(item => item.industry),
+        dbError: error instanceof Error ? error.message : 'Unknown error'
       }
     }, {
       status: 200,
@@ -0,0 +1,177 @@
+// API route for a single saved listing search and its recent matches
+import { createClient } from '@/lib/supabase/server'
+import { sanitizeListingsCriteria } from '@/lib/dashboard/listings-filter'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SavedSearchDelivery } from '@/types'
+
+const RECENT_MATCH_LIMIT = 20
+const DELIVERY_OPTIONS: SavedSearchDelivery[] = ['instant', 'daily', 'weekly']
+
+const unauthorized = () => NextResponse.json(
+  { 
+    error: 'Unauthorized', 
+    code: 'UNAUTHORIZED',
+    message: '로그인이 필요합니다' 
+  },
+  { status: 401 }
+)
+
+const notFound = () => NextResponse.json(
+  { 
+    error: 'Saved search not found', 
+    code: 'NOT_FOUND',
+    message: '저장한 검색을 찾을 수 없습니다' 
+  },
+  { status: 404 }
+)
+
+const serverError = (message: string) => NextResponse.json(
+  { 
+    error: 'Internal server error', 
+    code: 'INTERNAL_ERROR',
+    message 
+  },
+  { status: 500 }
+)
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) return unauthorized()
+    
+    const { data: search } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('id', params.id)
+      .eq('user_id', user.id)
+      .single()
+    
+    if (!search) return notFound()
+    
+    const { data: matches } = await supabase
+      .from('saved_search_matches')
+      .select('*')
+      .eq('saved_search_id', search.id)
+      .order('matched_at', { ascending: false })
+      .limit(RECENT_MATCH_LIMIT)
+    
+    return NextResponse.json({ success: true, search, matches: matches || [] })
+    
+  } catch (error) {
+    console.error('Saved search fetch error:', error)
+    return serverError('저장한 검색을 불러오는 중 오류가 발생했습니다')
+  }
+}
+
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) return unauthorized()
+    
+    let body
+    try {
+      body = await request.json()
+    } catch (error) {
+      return NextResponse.json(
+        { 
+          error: 'Invalid JSON', 
+          code: 'PARSE_ERROR',
+          message: '잘못된 요청 형식입니다' 
+        },
+        { status: 400 }
+      )
+    }
+    
+    const updates: Record<string, any> = { updated_at: new Date().toISOString() }
+    const errors: { field: string; message: string }[] = []
+    
+    if (body?.name !== undefined) {
+      const name = typeof body.name === 'string' ? body.name.trim() : ''
+      if (!name || name.length > 100) {
+        errors.push({ field: 'name', message: '검색 이름을 100자 이내로 입력해주세요' })
+      }
+      updates.name = name
+    }
+    if (body?.filters !== undefined) {
+      const { criteria, errors: filterErrors } = sanitizeListingsCriteria(body.filters)
+      errors.push(...filterErrors)
+      updates.filters = criteria
+    }
+    if (body?.delivery !== undefined) {
+      if (!DELIVERY_OPTIONS.includes(body.delivery)) {
+        errors.push({ field: 'delivery', message: '알림 주기를 선택해주세요' })
+      }
+      updates.delivery = body.delivery
+    }
+    if (body?.isActive !== undefined) updates.is_active = Boolean(body.isActive)
+    if (body?.notifyEmail !== undefined) {
+      updates.notify_email = typeof body.notifyEmail === 'string' && body.notifyEmail.trim()
+        ? body.notifyEmail.trim()
+        : null
+    }
+    
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { 
+          error: 'Validation failed', 
+          code: 'VALIDATION_ERROR',
+          message: '입력값을 확인해주세요',
+          details: errors
+        },
+        { status: 400 }
+      )
+    }
+    
+    const { data: search, error } = await supabase
+      .from('saved_searches')
+      .update(updates)
+      .eq('id', params.id)
+      .eq('user_id', user.id)
+      .select('*')
+      .maybeSingle()
+    
+    if (error) throw error
+    if (!search) return notFound()
+    
+    return NextResponse.json({ success: true, search })
+    
+  } catch (error) {
+    console.error('Saved search update error:', error)
+    return serverError('저장한 검색을 수정하는 중 오류가 발생했습니다')
+  }
+}
+
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) return unauthorized()
+    
+    const { data: deleted, error } = await supabase
+      .from('saved_searches')
+      .delete()
+      .eq('id', params.id)
+      .eq('user_id', user.id)
+      .select('id')
+    
+    if (error) throw error
+    if (!deleted || deleted.length === 0) return notFound()
+    
+    return NextResponse.json({ success: true })
+    
+  } catch (error) {
+    console.error('Saved search delete error:', error)
+    return serverError('저장한 검색을 삭제하는 중 오류가 발생했습니다')
+  }
+}
@@ -0,0 +1,42 @@
+// Sends daily/weekly saved search digests; meant to be called from cron
+
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdminAuthenticated } from '@/lib/auth/admin'
+import { SavedSearchAlerts } from '@/lib/monitoring/saved-search-alerts'
+
+export const runtime = 'nodejs'
+
+// POST /api/saved-searches/digest?frequency=daily|weekly - Email pending matches
+export async function POST(request: NextRequest) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  const frequency = request.nextUrl.searchParams.get('frequency') || 'daily'
+  if (frequency !== 'daily' && frequency !== 'weekly') {
+    return NextResponse.json({
+      success: false,
+      error: 'frequency must be daily or weekly'
+    }, { status: 400 })
+  }
+
+  try {
+    const summary = await new SavedSearchAlerts().sendDigests(frequency)
+
+    return NextResponse.json({
+      success: true,
+      frequency,
+      ...summary,
+      timestamp: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error('Error sending saved search digests:', error)
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to send saved search digests'
+    }, { status: 500 })
+  }
+}
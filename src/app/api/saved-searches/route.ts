@@ -0,0 +1,147 @@
+// API route for listing and creating the user's saved listing searches
+import { createClient } from '@/lib/supabase/server'
+import { sanitizeListingsCriteria } from '@/lib/dashboard/listings-filter'
+import { NextRequest, NextResponse } from 'next/server'
+import type { SavedSearchDelivery } from '@/types'
+
+const MAX_SAVED_SEARCHES = 20
+const DELIVERY_OPTIONS: SavedSearchDelivery[] = ['instant', 'daily', 'weekly']
+
+export async function GET() {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    
+    if (authError || !user) {
+      return NextResponse.json(
+        { 
+          error: 'Unauthorized', 
+          code: 'UNAUTHORIZED',
+          message: '로그인이 필요합니다' 
+        },
+        { status: 401 }
+      )
+    }
+    
+    const { data: searches, error } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+    
+    if (error) throw error
+    
+    return NextResponse.json({ success: true, searches: searches || [] })
+    
+  } catch (error) {
+    console.error('Saved searches fetch error:', error)
+    return NextResponse.json(
+      { 
+        error: 'Internal server error', 
+        code: 'INTERNAL_ERROR',
+        message: '저장한 검색을 불러오는 중 오류가 발생했습니다' 
+      },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    
+    if (authError || !user) {
+      return NextResponse.json(
+        { 
+          error: 'Unauthorized', 
+          code: 'UNAUTHORIZED',
+          message: '로그인이 필요합니다' 
+        },
+        { status: 401 }
+      )
+    }
+    
+    let body
+    try {
+      body = await request.json()
+    } catch (error) {
+      return NextResponse.json(
+        { 
+          error: 'Invalid JSON', 
+          code: 'PARSE_ERROR',
+          message: '잘못된 요청 형식입니다' 
+        },
+        { status: 400 }
+      )
+    }
+    
+    const name = typeof body?.name === 'string' ? body.name.trim() : ''
+    const delivery = body?.delivery || 'instant'
+    const { criteria, errors } = sanitizeListingsCriteria(body?.filters)
+    
+    if (!name || name.length > 100) {
+      errors.push({ field: 'name', message: '검색 이름을 100자 이내로 입력해주세요' })
+    }
+    if (!DELIVERY_OPTIONS.includes(delivery)) {
+      errors.push({ field: 'delivery', message: '알림 주기를 선택해주세요' })
+    }
+    
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { 
+          error: 'Validation failed', 
+          code: 'VALIDATION_ERROR',
+          message: '입력값을 확인해주세요',
+          details: errors
+        },
+        { status: 400 }
+      )
+    }
+    
+    const { count } = await supabase
+      .from('saved_searches')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+    
+    if ((count || 0) >= MAX_SAVED_SEARCHES) {
+      return NextResponse.json(
+        { 
+          error: 'Too many saved searches', 
+          code: 'LIMIT_EXCEEDED',
+          message: `저장한 검색은 최대 ${MAX_SAVED_SEARCHES}개까지 만들 수 있습니다` 
+        },
+        { status: 400 }
+      )
+    }
+    
+    const { data: search, error } = await supabase
+      .from('saved_searches')
+      .insert({
+        user_id: user.id,
+        name,
+        filters: criteria,
+        delivery,
+        notify_email: typeof body?.notifyEmail === 'string' && body.notifyEmail.trim()
+          ? body.notifyEmail.trim()
+          : user.email || null
+      })
+      .select('*')
+      .single()
+    
+    if (error) throw error
+    
+    return NextResponse.json({ success: true, search }, { status: 201 })
+    
+  } catch (error) {
+    console.error('Saved search create error:', error)
+    return NextResponse.json(
+      { 
+        error: 'Internal server error', 
+        code: 'INTERNAL_ERROR',
+        message: '검색을 저장하는 중 오류가 발생했습니다' 
+      },
+      { status: 500 }
+    )
+  }
+}
@@ -1,6 +1,9 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
 import { SimpleScheduler } from '@/lib/scheduling/simple-scheduler';
+import { validateScheduleTiming } from '@/lib/scheduling/schedule-times';
+import { MISFIRE_POLICIES } from '@/lib/scheduling/schedule-executions';
+import { validateFailurePolicy } from '@/lib/scheduling/schedule-failures';
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL!,
@@ -19,6 +22,32 @@ export async function POST(request: Request) {
       }, { status: 400 });
     }
     
+    // Cron expression, timezone and specific times must be usable by the scheduler
+    const timingErrors = validateScheduleTiming({ ...body, timezone: body.timezone || 'UTC' });
+    if (timingErrors.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid schedule timing',
+        details: timingErrors
+      }, { status: 400 });
+    }
+    
+    if (body.misfire_policy !== undefined && !MISFIRE_POLICIES.includes(body.misfire_policy)) {
+      return NextResponse.json({
+        success: false,
+        error: `misfire_policy must be one of ${MISFIRE_POLICIES.join(', ')}`
+      }, { status: 400 });
+    }
+    
+    const policyErrors = validateFailurePolicy(body);
+    if (policyErrors.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid failure policy',
+        details: policyErrors
+      }, { status: 400 });
+    }
+    
     // Create schedule record
     const { data: schedule, error } = await supabase
       .from('scraping_schedules')
@@ -30,6 +59,11 @@ export async function POST(request: Request) {
         specific_times: body.specific_times,
         days_of_week: body.days_of_week,
         timezone: body.timezone || 'UTC',
+        misfire_policy: body.misfire_policy || 'run_once',
+        backoff_base_seconds: body.backoff_base_seconds ?? 300,
+        backoff_max_seconds: body.backoff_max_seconds ?? 21600,
+        pause_after_failures: body.pause_after_failures ?? 5,
+        circuit_key: body.circuit_key?.trim() || null,
         max_pages: body.max_pages || 2,
         scan_options: body.scan_options || {},
         notification_settings: body.notification_settings || {},
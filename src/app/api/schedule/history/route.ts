@@ -89,6 +89,8 @@ export async function GET(request: Request) {
       totalExecutions: executions?.length || 0,
       successfulExecutions: executions?.filter(e => e.status === 'completed').length || 0,
       failedExecutions: executions?.filter(e => e.status === 'failed').length || 0,
+      // Missed runs the misfire policy didn't execute
+      skippedExecutions: executions?.filter(e => e.status === 'skipped').length || 0,
       averageDuration: 0,
       averageNewListings: 0,
       totalNewListings: 0,
@@ -110,7 +112,8 @@ export async function GET(request: Request) {
         stats.totalNewListings = completedExecutions.reduce((sum, e) => sum + (e.new_listings || 0), 0);
       }
       
-      stats.successRate = (stats.successfulExecutions / stats.totalExecutions) * 100;
+      const attempted = stats.totalExecutions - stats.skippedExecutions;
+      stats.successRate = attempted > 0 ? (stats.successfulExecutions / attempted) * 100 : 0;
     }
     
     // Format executions with schedule names
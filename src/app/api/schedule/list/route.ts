@@ -32,9 +32,23 @@ export async function GET() {
       }, { status: 500 });
     }
     
+    // Attach the circuit breaker state of schedules that share one
+    const circuitKeys = Array.from(new Set((schedules || []).map(s => s.circuit_key).filter(Boolean)));
+    const circuits = new Map<string, any>();
+    if (circuitKeys.length > 0) {
+      const { data: breakers } = await supabase
+        .from('schedule_circuit_breakers')
+        .select('circuit_key, state, failure_count, open_until, last_error')
+        .in('circuit_key', circuitKeys);
+      (breakers || []).forEach(breaker => circuits.set(breaker.circuit_key, breaker));
+    }
+    
     return NextResponse.json({
       success: true,
-      schedules: schedules || []
+      schedules: (schedules || []).map(schedule => ({
+        ...schedule,
+        circuit: schedule.circuit_key ? circuits.get(schedule.circuit_key) || null : null
+      }))
     });
     
   } catch (error) {
@@ -1,20 +1,36 @@
 import { NextResponse } from 'next/server';
+import { sendMail, smtpConfigFromEnv } from '@/lib/notifications/smtp';
+import { sendWebhook } from '@/lib/notifications/webhook';
+import { generateId } from '@/lib/utils';
 
 export async function POST(request: Request) {
   try {
     const settings = await request.json();
     
-    // Simulate sending notifications
     const results = {
       email: false,
       webhook: false
     };
+    const errors: Record<string, string> = {};
     
     // Test email notification
     if (settings.email_enabled && settings.email_address) {
-      // In a real implementation, you would send an actual email here
-      console.log(`📧 Would send test email to: ${settings.email_address}`);
-      results.email = true;
+      const smtp = smtpConfigFromEnv();
+      if (!smtp) {
+        errors.email = 'SMTP is not configured (SMTP_HOST)';
+      } else {
+        try {
+          await sendMail(smtp, {
+            to: settings.email_address,
+            subject: 'Flippa Scraper test notification',
+            text: `This is a test notification from Flippa Scraper.\nSent at ${new Date().toISOString()}`
+          });
+          results.email = true;
+        } catch (error) {
+          console.error('Email test failed:', error);
+          errors.email = error instanceof Error ? error.message : 'Unknown error';
+        }
+      }
     }
     
     // Test webhook notification
@@ -26,19 +42,16 @@ export async function POST(request: Request) {
           timestamp: new Date().toISOString()
         };
         
-        // Send test webhook
-        const response = await fetch(settings.webhook_url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(webhookData)
+        // Signed the same way as queued deliveries
+        await sendWebhook(settings.webhook_url, webhookData, {
+          id: generateId('test'),
+          secret: process.env.NOTIFICATION_WEBHOOK_SECRET
         });
         
-        results.webhook = response.ok;
+        results.webhook = true;
       } catch (error) {
         console.error('Webhook test failed:', error);
-        results.webhook = false;
+        errors.webhook = error instanceof Error ? error.message : 'Unknown error';
       }
     }
     
@@ -48,6 +61,7 @@ export async function POST(request: Request) {
     return NextResponse.json({
       success: allSuccess,
       results,
+      errors,
       message: allSuccess 
         ? 'Test notifications sent successfully' 
         : 'Some notifications failed to send'
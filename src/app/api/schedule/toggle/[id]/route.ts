@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
 import { SimpleScheduler } from '@/lib/scheduling/simple-scheduler';
+import { MANUAL_PAUSE_REASON } from '@/lib/scheduling/schedule-failures';
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL!,
@@ -15,12 +16,23 @@ export async function PUT(
     const scheduleId = params.id;
     const { enabled } = await request.json();
     
-    // Update enabled status
+    // Update enabled status. Resuming clears the failure streak and backoff
+    // so an auto-paused schedule gets a clean start
+    const now = new Date().toISOString();
     const { data: schedule, error } = await supabase
       .from('scraping_schedules')
       .update({
         enabled,
-        updated_at: new Date().toISOString()
+        ...(enabled ? {
+          consecutive_failures: 0,
+          backoff_until: null,
+          paused_reason: null,
+          paused_at: null
+        } : {
+          paused_reason: MANUAL_PAUSE_REASON,
+          paused_at: now
+        }),
+        updated_at: now
       })
       .eq('schedule_id', scheduleId)
       .select()
@@ -1,6 +1,9 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
 import { SimpleScheduler } from '@/lib/scheduling/simple-scheduler';
+import { validateScheduleTiming } from '@/lib/scheduling/schedule-times';
+import { MISFIRE_POLICIES } from '@/lib/scheduling/schedule-executions';
+import { validateFailurePolicy } from '@/lib/scheduling/schedule-failures';
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL!,
@@ -15,6 +18,51 @@ export async function PUT(
     const scheduleId = params.id;
     const body = await request.json();
     
+    // Validate the timing as it will be after the update
+    const { data: existing } = await supabase
+      .from('scraping_schedules')
+      .select('frequency, custom_cron, specific_times, days_of_week, timezone')
+      .eq('schedule_id', scheduleId)
+      .single();
+    
+    if (!existing) {
+      return NextResponse.json({
+        success: false,
+        error: 'Schedule not found'
+      }, { status: 404 });
+    }
+    
+    const timingErrors = validateScheduleTiming({
+      frequency: body.frequency ?? existing.frequency,
+      custom_cron: body.custom_cron ?? existing.custom_cron,
+      specific_times: body.specific_times ?? existing.specific_times,
+      days_of_week: body.days_of_week ?? existing.days_of_week,
+      timezone: body.timezone ?? existing.timezone
+    });
+    if (timingErrors.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid schedule timing',
+        details: timingErrors
+      }, { status: 400 });
+    }
+    
+    if (body.misfire_policy !== undefined && !MISFIRE_POLICIES.includes(body.misfire_policy)) {
+      return NextResponse.json({
+        success: false,
+        error: `misfire_policy must be one of ${MISFIRE_POLICIES.join(', ')}`
+      }, { status: 400 });
+    }
+    
+    const policyErrors = validateFailurePolicy(body);
+    if (policyErrors.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid failure policy',
+        details: policyErrors
+      }, { status: 400 });
+    }
+    
     // Update schedule record
     const { data: schedule, error } = await supabase
       .from('scraping_schedules')
@@ -26,6 +74,11 @@ export async function PUT(
         specific_times: body.specific_times,
         days_of_week: body.days_of_week,
         timezone: body.timezone,
+        misfire_policy: body.misfire_policy,
+        backoff_base_seconds: body.backoff_base_seconds,
+        backoff_max_seconds: body.backoff_max_seconds,
+        pause_after_failures: body.pause_after_failures,
+        circuit_key: body.circuit_key === undefined ? undefined : body.circuit_key?.trim() || null,
         max_pages: body.max_pages,
         scan_options: body.scan_options,
         notification_settings: body.notification_settings,
@@ -1,12 +1,24 @@
 // API route for valuation calculation
 import { createClient } from '@/lib/supabase/server'
-import { ValuationEngine } from '@/lib/valuation/engine'
+import { ValuationEngine, ValuationMode, convertPeers, toEngineInput } from '@/lib/valuation/engine'
 import { ValuationDataService } from '@/lib/valuation/data-service'
 import { validateValuationInput } from '@/lib/valuation/validation'
 import { withCache, valuationCache, apiRateLimiter } from '@/lib/valuation/cache'
+import { toComparableCompany } from '@/lib/valuation/similarity'
+import { inputCurrency } from '@/lib/valuation/fx'
+import {
+  claimValuationUse,
+  quotaExceededError,
+  quotaUnavailableError,
+  releaseValuationUse,
+  QuotaUnavailableError
+} from '@/lib/valuation/quota'
 import { NextRequest, NextResponse } from 'next/server'
 
 export async function POST(request: NextRequest) {
+  // Quota slot taken for this run; given back if the run produces no result
+  let usageId: string | null = null
+  
   try {
     // Rate limiting check
     if (!apiRateLimiter.canMakeRequest()) {
@@ -64,6 +76,15 @@ export async function POST(request: NextRequest) {
       )
     }
     
+    // Monthly plan quota (free: 3 per month), claimed before the run so
+    // concurrent requests can't all pass the check
+    const claim = await claimValuationUse(user.id, 'calculate', body)
+    if (!claim.usageId) {
+      return NextResponse.json(quotaExceededError(claim.quota), { status: 403 })
+    }
+    usageId = claim.usageId
+    const quota = claim.quota
+    
     const {
       companyName,
       industry,
@@ -76,12 +97,18 @@ export async function POST(request: NextRequest) {
       discountRate,
       terminalGrowthRate,
       projectionYears,
+      cashFlowSchedule,
+      midYearConvention,
+      terminalValueMethod,
+      exitMultiple,
       // Venture parameters
       stage,
       totalAddressableMarket,
       marketShare,
       burnRate,
-      runwayMonths
+      runwayMonths,
+      // 'blended' (default), 'max', or a single method name
+      valuationMode = 'blended'
     } = body
     
     // Get industry benchmarks with caching
@@ -93,6 +120,7 @@ export async function POST(request: NextRequest) {
     )
     
     if (!industryData) {
+      await releaseValuationUse(usageId)
       return NextResponse.json(
         { 
           error: 'Industry data not found', 
@@ -103,6 +131,18 @@ export async function POST(request: NextRequest) {
       )
     }
     
+    // Amounts are in the input currency; listings and peers are converted to it
+    const currency = inputCurrency(body)
+    const fxTable = await ValuationDataService.getFxRateTable()
+    const comparablePeers = toEngineInput(body).comparablePeers
+    
+    // Distribution of comparable multiples for the interval and percentile rank
+    const comparableDistribution = await ValuationDataService.getComparableDistribution(
+      industry,
+      Number(monthlyRevenue || 0),
+      currency
+    )
+    
     // Calculate valuation using the engine
     const engineResult = await ValuationEngine.calculateValuation({
       companyName,
@@ -113,35 +153,69 @@ export async function POST(request: NextRequest) {
       growthRate: Number(growthRate || 0),
       freeCashFlow: freeCashFlow ? Number(freeCashFlow) : undefined,
       discountRate: discountRate ? Number(discountRate) : undefined,
-      terminalGrowthRate: terminalGrowthRate ? Number(terminalGrowthRate) : undefined,
+      // 0% terminal growth is a valid Gordon input
+      terminalGrowthRate: terminalGrowthRate !== undefined && terminalGrowthRate !== null && terminalGrowthRate !== ''
+        ? Number(terminalGrowthRate)
+        : undefined,
       projectionYears: projectionYears ? Number(projectionYears) : undefined,
+      cashFlowSchedule: Array.isArray(cashFlowSchedule) && cashFlowSchedule.length > 0
+        ? cashFlowSchedule.map(Number)
+        : undefined,
+      midYearConvention: Boolean(midYearConvention),
+      terminalValueMethod,
+      exitMultiple: exitMultiple ? Number(exitMultiple) : undefined,
+      comparablePeers: comparablePeers ? convertPeers(comparablePeers, currency, fxTable) : undefined,
       stage,
       totalAddressableMarket: totalAddressableMarket ? Number(totalAddressableMarket) : undefined,
       marketShare: marketShare ? Number(marketShare) : undefined,
       burnRate: burnRate ? Number(burnRate) : undefined,
       runwayMonths: runwayMonths ? Number(runwayMonths) : undefined
-    }, industryData)
+    }, industryData, { mode: valuationMode as ValuationMode, comparables: comparableDistribution })
     
-    // Get comparable listings for context
-    const comparableListings = await ValuationDataService.getComparableListings(
+    // A forced method needs its own inputs (e.g. DCF without cash flow data)
+    if (engineResult.estimatedValue <= 0 && valuationMode !== 'blended' && valuationMode !== 'max') {
+      await releaseValuationUse(usageId)
+      return NextResponse.json(
+        { 
+          error: 'Method not applicable', 
+          code: 'METHOD_UNAVAILABLE',
+          message: '선택한 평가 방식에 필요한 입력값이 부족합니다' 
+        },
+        { status: 400 }
+      )
+    }
+    
+    // Comparable listings for context, ranked by similarity to the input
+    const similarListings = await ValuationDataService.findSimilarListings({
       industry,
-      monthlyRevenue,
-      5
-    )
+      monthlyRevenue: Number(monthlyRevenue || 0),
+      monthlyProfit: Number(monthlyProfit || 0),
+      businessAge: Number(businessAge || 0),
+      monetizationModel: body.monetizationModel,
+      currency
+    }, 5)
+    
+    // Rate of the day against the other currency, stored with the valuation
+    const fxRate = fxTable.snapshot(currency === 'KRW' ? 'USD' : currency)
     
     // Prepare response
     const response = {
       success: true,
       valuation: {
         estimatedValue: engineResult.estimatedValue,
-        currency: 'USD',
+        currency,
         multiple: engineResult.multiple,
         method: engineResult.method,
+        mode: engineResult.mode,
         confidenceInterval: engineResult.confidenceInterval,
         confidenceLevel: engineResult.percentileRank >= 70 ? 'high' : 
                         engineResult.percentileRank >= 40 ? 'medium' : 'low',
         percentileRank: engineResult.percentileRank,
-        details: engineResult.details
+        sampleSize: engineResult.sampleSize,
+        details: engineResult.details,
+        fxRate,
+        // Sent back with /save and /sensitivity to refer to this run
+        usageId
       },
       industryBenchmark: {
         avgProfitMultiple: industryData.avg_profit_multiple,
@@ -151,14 +225,13 @@ export async function POST(request: NextRequest) {
         sampleSize: industryData.sample_size,
         lastUpdated: industryData.date_calculated
       },
-      comparables: comparableListings.map(listing => ({
-        title: listing.title,
-        askingPrice: listing.asking_price,
-        monthlyRevenue: listing.monthly_revenue,
-        monthlyProfit: listing.monthly_profit,
-        profitMultiple: listing.profit_multiple,
-        revenueMultiple: listing.revenue_multiple
-      })),
+      comparables: similarListings.map(toComparableCompany),
+      quota: {
+        limit: quota.limit,
+        used: quota.used,
+        remaining: quota.remaining,
+        resetsAt: quota.resetsAt
+      },
       metadata: {
         calculatedAt: new Date().toISOString(),
         userId: user.id,
@@ -178,6 +251,9 @@ export async function POST(request: NextRequest) {
   } catch (error) {
     console.error('Valuation calculation error:', error)
     
+    // A failed run doesn't count against the quota
+    if (usageId) await releaseValuationUse(usageId)
+    
     // Log error details for monitoring
     const errorDetails = {
       timestamp: new Date().toISOString(),
@@ -186,6 +262,10 @@ export async function POST(request: NextRequest) {
     }
     console.error('Error details:', errorDetails)
     
+    if (error instanceof QuotaUnavailableError) {
+      return NextResponse.json(quotaUnavailableError(), { status: 503 })
+    }
+    
     // Different error responses based on error type
     if (error instanceof SyntaxError) {
       return NextResponse.json(
@@ -0,0 +1,117 @@
+// API route for similarity-ranked comparable listings
+import { createClient } from '@/lib/supabase/server'
+import { ValuationDataService } from '@/lib/valuation/data-service'
+import { apiRateLimiter } from '@/lib/valuation/cache'
+import { toComparableCompany } from '@/lib/valuation/similarity'
+import { inputCurrency } from '@/lib/valuation/fx'
+import { NextRequest, NextResponse } from 'next/server'
+
+const DEFAULT_LIMIT = 10
+const MAX_LIMIT = 50
+
+/**
+ * POST body:
+ * {
+ *   industry: string,
+ *   monthlyRevenue: number,
+ *   monthlyProfit: number,
+ *   businessAge?: number,        // months
+ *   monetizationModel?: string,
+ *   excludeOutliers?: boolean,
+ *   currency?: 'USD' | 'KRW',     // of the amounts sent and returned (default KRW); listings are
+ *                                // converted at the rate of each listing's date
+ *   limit?: number               // default 10, max 50
+ * }
+ */
+export async function POST(request: NextRequest) {
+  try {
+    if (!apiRateLimiter.canMakeRequest()) {
+      return NextResponse.json(
+        { 
+          error: 'Too many requests', 
+          code: 'RATE_LIMIT',
+          message: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.' 
+        },
+        { status: 429 }
+      )
+    }
+
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    
+    if (authError || !user) {
+      return NextResponse.json(
+        { 
+          error: 'Unauthorized', 
+          code: 'UNAUTHORIZED',
+          message: '로그인이 필요합니다' 
+        },
+        { status: 401 }
+      )
+    }
+    
+    let body
+    try {
+      body = await request.json()
+    } catch (error) {
+      return NextResponse.json(
+        { 
+          error: 'Invalid JSON', 
+          code: 'PARSE_ERROR',
+          message: '잘못된 요청 형식입니다' 
+        },
+        { status: 400 }
+      )
+    }
+    
+    const industry = typeof body?.industry === 'string' ? body.industry.trim() : ''
+    const monthlyRevenue = Number(body?.monthlyRevenue || 0)
+    const monthlyProfit = Number(body?.monthlyProfit || 0)
+    
+    if (!industry || !Number.isFinite(monthlyRevenue) || monthlyRevenue < 0 || !Number.isFinite(monthlyProfit)) {
+      return NextResponse.json(
+        { 
+          error: 'Validation failed', 
+          code: 'VALIDATION_ERROR',
+          message: '업종과 월 매출, 월 순이익을 확인해주세요' 
+        },
+        { status: 400 }
+      )
+    }
+    
+    const limit = Math.min(Math.max(Number(body?.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    
+    const currency = inputCurrency(body)
+    const matches = await ValuationDataService.findSimilarListings({
+      industry,
+      monthlyRevenue,
+      monthlyProfit,
+      businessAge: body?.businessAge ? Number(body.businessAge) : undefined,
+      monetizationModel: typeof body?.monetizationModel === 'string' ? body.monetizationModel : undefined,
+      currency
+    }, limit)
+    
+    const comparables = matches
+      .filter(match => !body?.excludeOutliers || !match.isOutlier)
+      .map(toComparableCompany)
+    
+    return NextResponse.json({
+      success: true,
+      comparables,
+      currency,
+      outlierCount: matches.filter(match => match.isOutlier).length
+    })
+    
+  } catch (error) {
+    console.error('Comparable matching error:', error)
+    
+    return NextResponse.json(
+      { 
+        error: 'Internal server error', 
+        code: 'INTERNAL_ERROR',
+        message: '유사 매물 검색 중 오류가 발생했습니다' 
+      },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,86 @@
+// Dated FX rates used for valuation currency conversion
+
+import { NextRequest, NextResponse } from 'next/server'
+import { isAdminAuthenticated } from '@/lib/auth/admin'
+import { ValuationDataService } from '@/lib/valuation/data-service'
+import { FxRate, isCurrency, parseFxRatesCsv, toRateDate } from '@/lib/valuation/fx'
+
+// GET /api/valuation/fx-rates?currency=USD&date=2025-01-02 - Rate as of a date (defaults to today)
+export async function GET(request: NextRequest) {
+  const searchParams = request.nextUrl.searchParams
+  const currency = (searchParams.get('currency') || 'USD').toUpperCase()
+  const date = searchParams.get('date') || undefined
+
+  if (!isCurrency(currency)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Unsupported currency'
+    }, { status: 400 })
+  }
+  if (date && isNaN(new Date(date).getTime())) {
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid date parameter. Use YYYY-MM-DD.'
+    }, { status: 400 })
+  }
+
+  const table = await ValuationDataService.getFxRateTable()
+
+  return NextResponse.json({
+    success: true,
+    rate: table.snapshot(currency, date ? toRateDate(date) : undefined)
+  })
+}
+
+// POST /api/valuation/fx-rates?source=... - Import rates from CSV (text/csv body) or JSON { csv } / { rates: FxRate[] }
+export async function POST(request: NextRequest) {
+  if (!isAdminAuthenticated(request)) {
+    return NextResponse.json({
+      success: false,
+      error: 'Authentication required - check admin token'
+    }, { status: 401 })
+  }
+
+  let rates: FxRate[] = []
+  let errors: { line: number; message: string }[] = []
+
+  try {
+    const contentType = request.headers.get('content-type') || ''
+    if (contentType.includes('text/csv') || contentType.includes('text/plain')) {
+      ({ rates, errors } = parseFxRatesCsv(await request.text(), request.nextUrl.searchParams.get('source') || 'csv'))
+    } else {
+      const body = await request.json()
+      if (typeof body?.csv === 'string') {
+        ({ rates, errors } = parseFxRatesCsv(body.csv, body.source || 'csv'))
+      } else if (Array.isArray(body?.rates)) {
+        // Reuse the CSV validation for JSON rows
+        const csv = ['date,currency,rate', ...body.rates.map((rate: any) =>
+          `${rate.rateDate},${rate.currency},${rate.krwPerUnit}`)].join('\n')
+        ;({ rates, errors } = parseFxRatesCsv(csv, body.source || 'api'))
+      }
+    }
+  } catch (error) {
+    return NextResponse.json({
+      success: false,
+      error: 'Invalid request body'
+    }, { status: 400 })
+  }
+
+  if (rates.length === 0) {
+    return NextResponse.json({
+      success: false,
+      error: 'No valid rates to import',
+      errors
+    }, { status: 400 })
+  }
+
+  const result = await ValuationDataService.importFxRates(rates)
+
+  return NextResponse.json({
+    success: !result.error,
+    imported: result.imported,
+    skipped: errors.length,
+    errors,
+    ...(result.error ? { error: result.error } : {})
+  }, { status: result.error ? 500 : 200 })
+}
@@ -63,6 +63,7 @@ export async function GET(request: NextRequest) {
         estimatedValue: v.results?.valuation || 0,
         multiple: v.results?.key_metrics?.profit_multiple || 0,
         currency: v.currency,
+        fxRate: v.fx_rate || null,
         isDraft: v.is_draft,
         createdAt: v.created_at,
         updatedAt: v.updated_at
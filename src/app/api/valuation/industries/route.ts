@@ -1,6 +1,7 @@
 // API route for fetching available industries and their data
 import { ValuationDataService } from '@/lib/valuation/data-service'
 import { getIndustryInsights, INDUSTRY_OPTIONS } from '@/lib/valuation/utils'
+import { inputCurrency } from '@/lib/valuation/fx'
 import { NextRequest, NextResponse } from 'next/server'
 
 export async function GET(request: NextRequest) {
@@ -133,7 +134,8 @@ export async function POST(request: NextRequest) {
     const comparables = await ValuationDataService.getComparableListings(
       industry,
       monthlyRevenue,
-      limit
+      limit,
+      inputCurrency(body)
     )
     
     return NextResponse.json({ 
@@ -151,6 +153,7 @@ export async function POST(request: NextRequest) {
         listingStatus: listing.listing_status,
         listingDate: listing.listing_date
       })),
+      currency: inputCurrency(body),
       total: comparables.length
     })
     
@@ -0,0 +1,42 @@
+// API route for the current user's monthly valuation quota
+import { createClient } from '@/lib/supabase/server'
+import { getValuationQuota, quotaUnavailableError, QuotaUnavailableError } from '@/lib/valuation/quota'
+import { NextResponse } from 'next/server'
+
+export async function GET() {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    
+    if (authError || !user) {
+      return NextResponse.json(
+        { 
+          error: 'Unauthorized', 
+          code: 'UNAUTHORIZED',
+          message: '로그인이 필요합니다' 
+        },
+        { status: 401 }
+      )
+    }
+    
+    const quota = await getValuationQuota(user.id)
+    
+    return NextResponse.json({ success: true, quota })
+    
+  } catch (error) {
+    console.error('Valuation quota error:', error)
+    
+    if (error instanceof QuotaUnavailableError) {
+      return NextResponse.json(quotaUnavailableError(), { status: 503 })
+    }
+    
+    return NextResponse.json(
+      { 
+        error: 'Internal server error', 
+        code: 'INTERNAL_ERROR',
+        message: '이용 한도를 확인하는 중 오류가 발생했습니다' 
+      },
+      { status: 500 }
+    )
+  }
+}
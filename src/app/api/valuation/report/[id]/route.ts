@@ -0,0 +1,108 @@
+// API route for downloading a saved valuation as a PDF report (premium only)
+import { createClient } from '@/lib/supabase/server'
+import { checkUserSubscription } from '@/lib/subscription/service'
+import { ValuationDataService } from '@/lib/valuation/data-service'
+import { buildValuationReportHtml, engineInputFromValuation, engineResultFromValuation, renderPdf } from '@/lib/valuation/report'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Puppeteer needs the Node.js runtime
+export const runtime = 'nodejs'
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    
+    if (authError || !user) {
+      return NextResponse.json(
+        { 
+          error: 'Unauthorized', 
+          code: 'UNAUTHORIZED',
+          message: '로그인이 필요합니다' 
+        },
+        { status: 401 }
+      )
+    }
+    
+    const subscription = await checkUserSubscription(user.id)
+    if (subscription.status !== 'premium' || !subscription.isActive) {
+      return NextResponse.json(
+        { 
+          error: 'Premium membership required', 
+          code: 'PREMIUM_REQUIRED',
+          message: 'PDF 리포트는 프리미엄 회원 전용 기능입니다' 
+        },
+        { status: 403 }
+      )
+    }
+    
+    const valuation = await ValuationDataService.getValuationById(params.id, user.id)
+    if (!valuation) {
+      return NextResponse.json(
+        { 
+          error: 'Valuation not found', 
+          code: 'NOT_FOUND',
+          message: '밸류에이션을 찾을 수 없습니다' 
+        },
+        { status: 404 }
+      )
+    }
+    
+    const industryData = await ValuationDataService.getIndustryMultiples(valuation.industry)
+    if (!industryData) {
+      return NextResponse.json(
+        { 
+          error: 'Industry data not found', 
+          code: 'NOT_FOUND',
+          message: '해당 산업의 벤치마크 데이터를 찾을 수 없습니다' 
+        },
+        { status: 404 }
+      )
+    }
+    
+    // The report shows the result as saved; benchmarks and comparables are current context
+    const engineInput = engineInputFromValuation(valuation)
+    const engineResult = engineResultFromValuation(valuation)
+    
+    const [comparables, timeseries] = await Promise.all([
+      ValuationDataService.getComparableListings(valuation.industry, engineInput.monthlyRevenue, 10, valuation.currency),
+      ValuationDataService.getIndustryTimeseries(valuation.industry, 90)
+    ])
+    
+    const html = buildValuationReportHtml({
+      valuation,
+      engineInput,
+      engineResult,
+      industryData,
+      comparables,
+      timeseries,
+      generatedAt: new Date()
+    })
+    const pdf = await renderPdf(html)
+    
+    const filename = `${valuation.company_name}_기업가치평가_${new Date().toISOString().split('T')[0]}.pdf`
+    
+    return new NextResponse(new Uint8Array(pdf), {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="valuation-report.pdf"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+        'Cache-Control': 'private, no-store'
+      }
+    })
+    
+  } catch (error) {
+    console.error('Valuation report error:', error)
+    
+    return NextResponse.json(
+      { 
+        error: 'Internal server error', 
+        code: 'INTERNAL_ERROR',
+        message: '리포트를 생성하는 중 오류가 발생했습니다' 
+      },
+      { status: 500 }
+    )
+  }
+}
@@ -1,9 +1,19 @@
 // API route for saving valuation results
 import { createClient } from '@/lib/supabase/server'
 import { ValuationDataService } from '@/lib/valuation/data-service'
-import { ValuationEngine } from '@/lib/valuation/engine'
+import { ValuationEngine, toValuationMethod } from '@/lib/valuation/engine'
+import {
+  claimValuationUse,
+  getValuationUse,
+  linkValuationUse,
+  quotaExceededError,
+  quotaUnavailableError,
+  QuotaUnavailableError
+} from '@/lib/valuation/quota'
+import { sanitizeScenarios } from '@/lib/valuation/sensitivity'
+import { inputCurrency, isFxRateSnapshot } from '@/lib/valuation/fx'
 import { NextRequest, NextResponse } from 'next/server'
-import { ValuationInput, ValuationResult, ValuationMethod } from '@/types'
+import { ValuationInput, ValuationResult } from '@/types'
 
 export async function POST(request: NextRequest) {
   try {
@@ -26,6 +36,8 @@ export async function POST(request: NextRequest) {
       inputData, 
       results,
       notes,
+      scenarios,
+      fxRate,
       isDraft = false
     } = body
     
@@ -40,17 +52,41 @@ export async function POST(request: NextRequest) {
       )
     }
     
+    // Saving a /calculate run uses the slot the run already took; anything
+    // else saved here uses a slot of its own
+    const usageId = body.usageId ?? results.usageId
+    const calculatedUse = typeof usageId === 'string' ? await getValuationUse(user.id, usageId) : null
+    let useId = calculatedUse && !calculatedUse.valuation_id ? calculatedUse.id : null
+    
+    if (!useId) {
+      const claim = await claimValuationUse(user.id, 'save', inputData)
+      if (!claim.usageId) {
+        return NextResponse.json(quotaExceededError(claim.quota), { status: 403 })
+      }
+      useId = claim.usageId
+    }
+    
+    // Amounts are in the currency they were entered in (won from ValuationForm)
+    const currency = inputCurrency({ currency: body.currency ?? results.currency ?? inputData.currency })
+    
+    // Keep the rate the result was calculated with; look up today's rate if the client didn't send one
+    const storedFxRate = isFxRateSnapshot(fxRate ?? results.fxRate)
+      ? (fxRate ?? results.fxRate)
+      : (await ValuationDataService.getFxRateTable()).snapshot(currency === 'KRW' ? 'USD' : currency)
+    
     // Prepare valuation data
     const valuationData = {
       user_id: user.id,
       company_name: companyName,
       industry: industry,
       country: 'KR' as const,
-      currency: 'USD' as const,
-      valuation_method: (results.method || 'multiple') as ValuationMethod,
+      currency,
+      valuation_method: toValuationMethod(results.method || 'multiple'),
       input_data: inputData as ValuationInput,
       results: results as ValuationResult,
       notes: notes || null,
+      scenarios: sanitizeScenarios(scenarios),
+      fx_rate: storedFxRate,
       is_draft: isDraft
     }
     
@@ -67,6 +103,17 @@ export async function POST(request: NextRequest) {
       )
     }
     
+    // Linking only succeeds while the run is unlinked: a second save of the
+    // same run needs a slot of its own
+    if (!(await linkValuationUse(useId, savedValuation.id))) {
+      const claim = await claimValuationUse(user.id, 'save', inputData)
+      if (!claim.usageId) {
+        await ValuationDataService.deleteValuation(savedValuation.id, user.id)
+        return NextResponse.json(quotaExceededError(claim.quota), { status: 403 })
+      }
+      await linkValuationUse(claim.usageId, savedValuation.id)
+    }
+    
     // If saving from a template, increment its use count
     if (body.templateId) {
       await ValuationDataService.incrementTemplateUseCount(body.templateId)
@@ -79,7 +126,7 @@ export async function POST(request: NextRequest) {
         company_name: companyName,
         industry: industry,
         country: 'KR',
-        currency: 'USD',
+        currency,
         company_data: {
           key_metrics: {
             monthlyRevenue: inputData.revenue,
@@ -100,6 +147,10 @@ export async function POST(request: NextRequest) {
   } catch (error) {
     console.error('Save valuation error:', error)
     
+    if (error instanceof QuotaUnavailableError) {
+      return NextResponse.json(quotaUnavailableError(), { status: 503 })
+    }
+    
     return NextResponse.json(
       { 
         error: 'Internal server error', 
@@ -126,6 +177,11 @@ export async function PUT(request: NextRequest) {
     const body = await request.json()
     const { id, ...updates } = body
     
+    // Bear/base/bull scenarios can be saved onto an existing valuation
+    if (updates.scenarios !== undefined) {
+      updates.scenarios = sanitizeScenarios(updates.scenarios)
+    }
+    
     if (!id) {
       return NextResponse.json(
         { error: 'Missing valuation ID', message: '가치평가 ID가 필요합니다' },
@@ -0,0 +1,204 @@
+// API route for sensitivity tables, tornado analysis and bear/base/bull scenarios
+import { createClient } from '@/lib/supabase/server'
+import { ValuationEngine, ValuationMode, convertPeers, toEngineInput } from '@/lib/valuation/engine'
+import { ValuationDataService } from '@/lib/valuation/data-service'
+import { validateValuationInput } from '@/lib/valuation/validation'
+import { apiRateLimiter } from '@/lib/valuation/cache'
+import { inputCurrency } from '@/lib/valuation/fx'
+import {
+  getValuationQuota,
+  getValuationUse,
+  getValuationUseForValuation,
+  quotaUnavailableError,
+  QuotaUnavailableError
+} from '@/lib/valuation/quota'
+import {
+  buildAxis,
+  defaultScenarios,
+  isSensitivityVariable,
+  runScenarios,
+  runSensitivityTable,
+  runTornado,
+  sanitizeScenarios,
+  SweepAxisRequest
+} from '@/lib/valuation/sensitivity'
+import { NextRequest, NextResponse } from 'next/server'
+
+/**
+ * POST body:
+ * {
+ *   usageId?: string,                      // a /api/valuation/calculate run of this user
+ *   valuationId?: string,                  // or one of their saved valuations
+ *   input?: { ...same fields as /api/valuation/calculate },  // premium only
+ *   x?: { variable, from?, to?, steps? },  // defaults to growthRate
+ *   y?: { variable, from?, to?, steps? },  // optional second axis (two-way table)
+ *   scenarios?: ValuationScenario[]        // defaults to bear/base/bull
+ * }
+ * Runs sweep the input of a valuation the user already ran, so they don't use
+ * another quota slot; arbitrary input would be a free valuation.
+ */
+export async function POST(request: NextRequest) {
+  try {
+    if (!apiRateLimiter.canMakeRequest()) {
+      return NextResponse.json(
+        { 
+          error: 'Too many requests', 
+          code: 'RATE_LIMIT',
+          message: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.' 
+        },
+        { status: 429 }
+      )
+    }
+
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    
+    if (authError || !user) {
+      return NextResponse.json(
+        { 
+          error: 'Unauthorized', 
+          code: 'UNAUTHORIZED',
+          message: '로그인이 필요합니다' 
+        },
+        { status: 401 }
+      )
+    }
+    
+    let body
+    try {
+      body = await request.json()
+    } catch (error) {
+      return NextResponse.json(
+        { 
+          error: 'Invalid JSON', 
+          code: 'PARSE_ERROR',
+          message: '잘못된 요청 형식입니다' 
+        },
+        { status: 400 }
+      )
+    }
+    
+    const rawInput = await resolveInput(user.id, body)
+    if (!rawInput) {
+      return NextResponse.json(
+        { 
+          error: 'Valuation required', 
+          code: 'VALUATION_REQUIRED',
+          message: '민감도 분석은 먼저 산정한 밸류에이션에 대해서만 실행할 수 있습니다' 
+        },
+        { status: 403 }
+      )
+    }
+    
+    // Stored input may be the form's camelCase or the saved snake_case shape
+    const currency = inputCurrency(rawInput)
+    const input = toEngineInput(rawInput)
+    if (input.comparablePeers) {
+      input.comparablePeers = convertPeers(input.comparablePeers, currency, await ValuationDataService.getFxRateTable())
+    }
+    const validationErrors = validateValuationInput(input)
+    const axes: SweepAxisRequest[] = [body?.x || { variable: 'growthRate' }, ...(body?.y ? [body.y] : [])]
+    
+    axes.forEach((axis, index) => {
+      if (!isSensitivityVariable(axis?.variable)) {
+        validationErrors.push({
+          field: index === 0 ? 'x' : 'y',
+          message: '지원하지 않는 민감도 분석 변수입니다'
+        })
+      }
+    })
+    if (axes.length === 2 && axes[0].variable === axes[1].variable) {
+      validationErrors.push({ field: 'y', message: '두 축에는 서로 다른 변수를 선택해주세요' })
+    }
+    
+    if (validationErrors.length > 0) {
+      return NextResponse.json(
+        { 
+          error: 'Validation failed', 
+          code: 'VALIDATION_ERROR',
+          message: '입력값을 확인해주세요',
+          details: validationErrors 
+        },
+        { status: 400 }
+      )
+    }
+    
+    const industryData = await ValuationDataService.getIndustryMultiples(input.industry)
+    
+    if (!industryData) {
+      return NextResponse.json(
+        { 
+          error: 'Industry data not found', 
+          code: 'NOT_FOUND',
+          message: '해당 산업의 벤치마크 데이터를 찾을 수 없습니다' 
+        },
+        { status: 404 }
+      )
+    }
+    
+    const comparables = await ValuationDataService.getComparableDistribution(input.industry, input.monthlyRevenue, currency)
+    const options = { mode: (rawInput.valuationMode || 'blended') as ValuationMode, comparables }
+    
+    const base = await ValuationEngine.calculateValuation(input, industryData, options)
+    const x = buildAxis(input, axes[0])
+    const y = axes[1] ? buildAxis(input, axes[1]) : undefined
+    const requestedScenarios = sanitizeScenarios(body?.scenarios)
+    
+    const [table, tornado, scenarios] = await Promise.all([
+      runSensitivityTable(input, industryData, options, x, y),
+      runTornado(input, industryData, options),
+      runScenarios(
+        input,
+        industryData,
+        options,
+        requestedScenarios.length > 0 ? requestedScenarios : defaultScenarios(input)
+      )
+    ])
+    
+    return NextResponse.json({
+      success: true,
+      baseValue: base.estimatedValue,
+      table,
+      tornado,
+      scenarios
+    })
+    
+  } catch (error) {
+    console.error('Sensitivity analysis error:', error)
+    
+    if (error instanceof QuotaUnavailableError) {
+      return NextResponse.json(quotaUnavailableError(), { status: 503 })
+    }
+    
+    return NextResponse.json(
+      { 
+        error: 'Internal server error', 
+        code: 'INTERNAL_ERROR',
+        message: '민감도 분석 중 오류가 발생했습니다' 
+      },
+      { status: 500 }
+    )
+  }
+}
+
+// Input of the run or saved valuation the request refers to; raw input only
+// for plans without a quota
+async function resolveInput(userId: string, body: any): Promise<Record<string, any> | null> {
+  if (typeof body?.usageId === 'string') {
+    const use = await getValuationUse(userId, body.usageId)
+    return use?.input_data || null
+  }
+  
+  if (typeof body?.valuationId === 'string') {
+    const use = await getValuationUseForValuation(userId, body.valuationId)
+    if (use?.input_data) return use.input_data
+    
+    const valuation = await ValuationDataService.getValuationById(body.valuationId, userId)
+    return valuation
+      ? { ...valuation.input_data, companyName: valuation.company_name, industry: valuation.industry, currency: valuation.currency }
+      : null
+  }
+  
+  const quota = await getValuationQuota(userId)
+  return quota.limit === null && body?.input ? body.input : null
+}
@@ -1,5 +1,7 @@
-import { notFound } from 'next/navigation'
+import { notFound, permanentRedirect } from 'next/navigation'
 import { getPostBySlug } from '@/lib/notion/client'
+import { findCurrentSlug } from '@/lib/notion/slug-history'
+import { createAdminClient } from '@/lib/supabase/admin'
 import { renderBlock } from '@/lib/notion/renderer'
 import { createClient } from '@/lib/supabase/server'
 import PremiumGate from '@/components/blog/PremiumGate'
@@ -14,6 +16,12 @@ export default async function BlogPostPage({
   const post = await getPostBySlug(params.slug)
   
   if (!post) {
+    // Old slug of a post renamed since the middleware last loaded redirects
+    // (permanentRedirect answers 308; the middleware's redirects are 301)
+    const currentSlug = await findCurrentSlug(createAdminClient(), decodeURIComponent(params.slug))
+    if (currentSlug) {
+      permanentRedirect(`/blog/${encodeURIComponent(currentSlug)}`)
+    }
     notFound()
   }
 
@@ -1,6 +1,8 @@
 import { Metadata } from 'next'
-import { notFound } from 'next/navigation'
+import { notFound, permanentRedirect } from 'next/navigation'
 import { getPostBySlug, getAllPosts } from '@/lib/notion/converter'
+import { findCurrentSlug } from '@/lib/notion/slug-history'
+import { createAdminClient } from '@/lib/supabase/admin'
 import { createClient } from '@/lib/supabase/server'
 import { checkUserSubscription } from '@/lib/subscription/service'
 import { truncateContent } from '@/utils/content'
@@ -61,6 +63,12 @@ export default async function PostPage({
   const post = await getPostBySlug(decodedSlug)
   
   if (!post) {
+    // Old slug of a post renamed since the middleware last loaded redirects
+    // (permanentRedirect answers 308; the middleware's redirects are 301)
+    const currentSlug = await findCurrentSlug(createAdminClient(), decodedSlug)
+    if (currentSlug) {
+      permanentRedirect(`/posts/${encodeURIComponent(currentSlug)}`)
+    }
     notFound()
   }
   
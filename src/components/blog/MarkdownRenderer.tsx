@@ -3,6 +3,7 @@
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 import Image from 'next/image'
+import { notionAssetLoader, parseMirroredImage } from '@/lib/notion/asset-variants'
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter'
 import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism'
 
@@ -80,14 +81,29 @@ export default function MarkdownRenderer({ content }: MarkdownRendererProps) {
         img: ({ src, alt }) => {
           if (!src) return null
           
+          // Mirrored Notion images have width variants to serve through next/image
+          const mirrored = parseMirroredImage(src)
+          
           return (
             <figure className="my-6">
               <div className="relative w-full h-auto rounded-lg overflow-hidden">
-                <img
-                  src={src}
-                  alt={alt || ''}
-                  className="w-full h-auto"
-                />
+                {mirrored ? (
+                  <Image
+                    loader={notionAssetLoader}
+                    src={src}
+                    alt={alt || ''}
+                    width={mirrored.width}
+                    height={mirrored.height}
+                    sizes="(max-width: 768px) 100vw, 768px"
+                    className="w-full h-auto"
+                  />
+                ) : (
+                  <img
+                    src={src}
+                    alt={alt || ''}
+                    className="w-full h-auto"
+                  />
+                )}
               </div>
               {alt && (
                 <figcaption className="text-center text-sm text-gray-600 mt-2">
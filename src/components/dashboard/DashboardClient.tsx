@@ -1,6 +1,6 @@
 'use client'
 
-import { useState, useEffect, useCallback } from 'react'
+import { Fragment, useState, useEffect, useCallback } from 'react'
 import { 
   Card, 
   CardContent, 
@@ -11,7 +11,8 @@ import {
 import { Button } from '@/components/ui/Button'
 import { Input } from '@/components/ui/Input'
 import { SimpleSelect as Select } from '@/components/ui/Select'
-import { Loader2, Search, Download, RefreshCw } from 'lucide-react'
+import { Loader2, Search, Download, RefreshCw, History } from 'lucide-react'
+import { ListingHistoryPanel } from './ListingHistoryPanel'
 
 interface DashboardProps {
   initialData?: any
@@ -31,6 +32,7 @@ export function DashboardClient({ initialData }: DashboardProps) {
   const [selectedCategory, setSelectedCategory] = useState('all')
   const [priceRange, setPriceRange] = useState({ min: '', max: '' })
   const [currentPage, setCurrentPage] = useState(1)
+  const [historyListingId, setHistoryListingId] = useState<string | null>(null)
 
   // Fetch dashboard data
   const fetchDashboardData = useCallback(async () => {
@@ -298,11 +300,15 @@ export function DashboardClient({ initialData }: DashboardProps) {
                   <th className="text-right p-2">Multiple</th>
                   <th className="text-right p-2">Age</th>
                   <th className="text-right p-2">Traffic</th>
+                  <th className="p-2"></th>
                 </tr>
               </thead>
               <tbody>
-                {listings?.data?.listings?.map((listing: any) => (
-                  <tr key={listing.id} className="border-b hover:bg-gray-50">
+                {listings?.data?.listings?.map((listing: any) => {
+                  const historyId = String(listing.listing_id || listing.id)
+                  return (
+                  <Fragment key={listing.id}>
+                  <tr className="border-b hover:bg-gray-50">
                     <td className="p-2">
                       <a 
                         href={listing.url} 
@@ -325,8 +331,26 @@ export function DashboardClient({ initialData }: DashboardProps) {
                     <td className="text-right p-2">
                       {listing.page_views_monthly?.toLocaleString() || 'N/A'}
                     </td>
+                    <td className="text-right p-2">
+                      <button
+                        onClick={() => setHistoryListingId(id => id === historyId ? null : historyId)}
+                        className="p-1 text-gray-500 hover:text-blue-600"
+                        title="Price history"
+                      >
+                        <History className="h-4 w-4" />
+                      </button>
+                    </td>
                   </tr>
-                ))}
+                  {historyListingId === historyId && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan={8} className="p-4">
+                        <ListingHistoryPanel listingId={historyId} />
+                      </td>
+                    </tr>
+                  )}
+                  </Fragment>
+                  )
+                })}
               </tbody>
             </table>
           </div>
@@ -6,6 +6,8 @@ import {
   Filter, RefreshCw, Calendar, Search, ChevronDown,
   Eye, DollarSign, Clock, Hash, Settings
 } from 'lucide-react';
+import { generateId } from '@/lib/utils';
+import { useScanProgress } from '@/hooks/useScanProgress';
 
 interface Change {
   change_id: string;
@@ -39,6 +41,12 @@ export default function IncrementalMonitoringDashboard() {
   const [selectedChange, setSelectedChange] = useState<Change | null>(null);
   const [setupStatus, setSetupStatus] = useState<any>(null);
   const [showSetup, setShowSetup] = useState(false);
+  const [liveScanId, setLiveScanId] = useState<string | null>(null);
+  
+  // Streamed progress of the scan started from this dashboard
+  const liveScan = useScanProgress(liveScanId, {
+    onFinish: () => fetchChanges()
+  });
   
   // Filters
   const [filters, setFilters] = useState({
@@ -93,7 +101,10 @@ export default function IncrementalMonitoringDashboard() {
   };
 
   const startIncrementalScan = async () => {
+    // Chosen here so the progress stream is open while the scan runs
+    const scanId = generateId('scan');
     setIsScanning(true);
+    setLiveScanId(scanId);
     try {
       const response = await fetch('/api/monitoring/incremental', {
         method: 'POST',
@@ -101,7 +112,8 @@ export default function IncrementalMonitoringDashboard() {
         body: JSON.stringify({
           maxPages: 5,
           checkModified: true,
-          notifyHighValue: true
+          notifyHighValue: true,
+          scanId
         })
       });
 
@@ -295,6 +307,81 @@ export default function IncrementalMonitoringDashboard() {
         </div>
       </div>
 
+      {/* Live Scan Progress */}
+      {liveScanId && liveScan.status !== 'idle' && (
+        <div className={`rounded-lg p-6 border ${
+          liveScan.status === 'failed' ? 'bg-red-50 border-red-200' :
+          liveScan.status === 'completed' ? 'bg-green-50 border-green-200' :
+          'bg-blue-50 border-blue-200'
+        }`}>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-semibold flex items-center gap-2">
+              <Activity className={`w-5 h-5 ${liveScan.status === 'running' ? 'animate-pulse' : ''}`} />
+              {liveScan.status === 'completed' ? 'Scan Completed' :
+               liveScan.status === 'failed' ? 'Scan Failed' :
+               liveScan.page > 0 ? `Scanning page ${liveScan.page}${liveScan.totalPages ? ` of ${liveScan.totalPages}` : ''}` :
+               'Starting scan...'}
+            </h3>
+            <div className="flex items-center gap-3">
+              {(liveScan.status === 'running' || liveScan.status === 'connecting') && !liveScan.connected && (
+                <span className="text-sm text-yellow-700">Reconnecting...</span>
+              )}
+              {liveScan.status !== 'running' && liveScan.status !== 'connecting' && (
+                <button
+                  onClick={() => setLiveScanId(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  &times;
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+            <div
+              className={`h-2 rounded-full transition-all ${liveScan.status === 'failed' ? 'bg-red-500' : 'bg-blue-600'}`}
+              style={{ width: `${liveScan.percent}%` }}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <span className="text-gray-600">Listings found:</span>
+              <span className="ml-2 font-medium">{liveScan.listingsFound}</span>
+            </div>
+            <div>
+              <span className="text-gray-600">New:</span>
+              <span className="ml-2 font-medium text-green-600">
+                {liveScan.results?.newListings ?? liveScan.comparison?.newListings ?? '—'}
+              </span>
+            </div>
+            <div>
+              <span className="text-gray-600">Modified:</span>
+              <span className="ml-2 font-medium text-blue-600">
+                {liveScan.results?.modifiedListings ?? (liveScan.comparison ? `≤ ${liveScan.comparison.possiblyModified ?? 0}` : '—')}
+              </span>
+            </div>
+            <div>
+              <span className="text-gray-600">Deleted:</span>
+              <span className="ml-2 font-medium text-red-600">
+                {liveScan.results?.deletedListings ?? liveScan.comparison?.deletedListings ?? '—'}
+              </span>
+            </div>
+          </div>
+
+          {liveScan.failure && (
+            <p className="mt-3 text-sm text-red-700">{liveScan.failure}</p>
+          )}
+          {liveScan.errors.length > 0 && (
+            <ul className="mt-3 space-y-1 text-sm text-red-600">
+              {liveScan.errors.map((error, idx) => (
+                <li key={idx}>{error.page ? `Page ${error.page}: ` : ''}{error.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Filters */}
       <div className="bg-white rounded-lg shadow p-6">
         <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
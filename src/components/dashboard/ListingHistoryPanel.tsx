@@ -0,0 +1,145 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { Loader2, TrendingDown } from 'lucide-react'
+import PriceTrendChart from './PriceTrendChart'
+import type { ListingTimeline } from '@/lib/monitoring/listing-history'
+
+interface ListingHistoryPanelProps {
+  listingId: string
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  title: 'Title',
+  asking_price: 'Price',
+  monthly_revenue: 'Revenue',
+  monthly_profit: 'Profit',
+  profit_multiple: 'Multiple',
+  bid_count: 'Bids',
+  watch_count: 'Watchers',
+  badges: 'Badges'
+}
+
+const MONEY_FIELDS = ['asking_price', 'monthly_revenue', 'monthly_profit']
+
+function formatValue(field: string, value: any): string {
+  if (value === null || value === undefined) return '—'
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none'
+  if (typeof value === 'number') {
+    if (MONEY_FIELDS.includes(field)) return `$${value.toLocaleString()}`
+    if (field === 'profit_multiple') return `${value.toFixed(2)}x`
+    return value.toLocaleString()
+  }
+  return String(value)
+}
+
+export function ListingHistoryPanel({ listingId }: ListingHistoryPanelProps) {
+  const [timeline, setTimeline] = useState<ListingTimeline | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    fetch(`/api/listings/${encodeURIComponent(listingId)}/history`)
+      .then(async response => {
+        const data = await response.json()
+        if (!response.ok || !data.success) throw new Error(data.error || 'Failed to load history')
+        if (!cancelled) setTimeline(data.timeline)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load history')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [listingId])
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8 text-gray-500">
+        <Loader2 className="h-5 w-5 animate-spin mr-2" />
+        Loading history...
+      </div>
+    )
+  }
+
+  if (error || !timeline) {
+    return <div className="py-6 text-center text-sm text-gray-500">{error || 'No history available'}</div>
+  }
+
+  const priceData = (timeline.series.asking_price || [])
+    .filter(point => typeof point.value === 'number')
+    .map(point => ({
+      timestamp: point.observedAt,
+      price: point.value as number,
+      label: new Date(point.observedAt).toLocaleDateString()
+    }))
+
+  const events = timeline.events.filter(event => event.oldValue !== null).reverse()
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+        <div>
+          <div className="text-gray-500">First seen</div>
+          <div className="font-medium">
+            {timeline.firstSeenAt ? new Date(timeline.firstSeenAt).toLocaleDateString() : 'N/A'}
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-500">Time on market</div>
+          <div className="font-medium">
+            {timeline.daysOnMarket !== null ? `${timeline.daysOnMarket} days` : 'N/A'}
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-500">Price cuts</div>
+          <div className="font-medium flex items-center gap-1">
+            {timeline.priceCuts.length > 0 && <TrendingDown className="h-4 w-4 text-red-500" />}
+            {timeline.priceCuts.length}
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-500">Total price change</div>
+          <div className={`font-medium ${(timeline.totalPriceChangePercentage || 0) < 0 ? 'text-red-600' : ''}`}>
+            {timeline.totalPriceChangePercentage !== null
+              ? `${timeline.totalPriceChangePercentage > 0 ? '+' : ''}${timeline.totalPriceChangePercentage.toFixed(1)}%`
+              : 'N/A'}
+          </div>
+        </div>
+      </div>
+
+      <PriceTrendChart data={priceData} height={240} endTimestamp={new Date().toISOString()} />
+
+      {events.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-gray-500">
+              <th className="text-left p-2">Date</th>
+              <th className="text-left p-2">Field</th>
+              <th className="text-right p-2">From</th>
+              <th className="text-right p-2">To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event, index) => (
+              <tr key={`${event.observedAt}-${event.field}-${index}`} className="border-b">
+                <td className="p-2">{new Date(event.observedAt).toLocaleDateString()}</td>
+                <td className="p-2">{FIELD_LABELS[event.field] || event.field}</td>
+                <td className="text-right p-2 text-gray-500">{formatValue(event.field, event.oldValue)}</td>
+                <td className="text-right p-2">{formatValue(event.field, event.newValue)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
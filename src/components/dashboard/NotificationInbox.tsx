@@ -0,0 +1,274 @@
+'use client'
+
+import { useMemo, useState } from 'react'
+import { formatDistanceToNow } from 'date-fns'
+import { ko } from 'date-fns/locale'
+import { Bell, CheckCheck, ExternalLink } from 'lucide-react'
+import { groupNotifications } from '@/lib/notifications/user-notifications'
+import { NOTIFICATIONS_READ_EVENT } from '@/components/layout/HeaderClient'
+import type { UserNotification } from '@/types'
+
+interface NotificationInboxProps {
+  initialNotifications: UserNotification[]
+  initialHasMore: boolean
+}
+
+// Matches the API's per-request limit for marking by id
+const MARK_READ_CHUNK = 200
+
+function timeAgo(value: string) {
+  return formatDistanceToNow(new Date(value), { addSuffix: true, locale: ko })
+}
+
+// Listing links carried by the alert payload
+function notificationLinks(notification: UserNotification): { title: string; url: string }[] {
+  const content = notification.content || {}
+  if (Array.isArray(content.listings)) {
+    return content.listings
+      .filter((listing: any) => listing.url)
+      .map((listing: any) => ({ title: listing.title || listing.listing_id, url: listing.url }))
+  }
+  if (content.listing?.url) {
+    return [{ title: content.listing.title || notification.listing_id || '매물 보기', url: content.listing.url }]
+  }
+  return []
+}
+
+export default function NotificationInbox({ initialNotifications, initialHasMore }: NotificationInboxProps) {
+  const [notifications, setNotifications] = useState<UserNotification[]>(initialNotifications)
+  const [hasMore, setHasMore] = useState(initialHasMore)
+  const [selected, setSelected] = useState<Set<string>>(new Set())
+  const [unreadOnly, setUnreadOnly] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [message, setMessage] = useState<string | null>(null)
+
+  const groups = useMemo(() => groupNotifications(
+    unreadOnly ? notifications.filter(notification => !notification.read_at) : notifications
+  ), [notifications, unreadOnly])
+  const unreadCount = notifications.filter(notification => !notification.read_at).length
+
+  const applyRead = (ids: Set<string> | null) => {
+    const now = new Date().toISOString()
+    setNotifications(prev => prev.map(notification =>
+      !notification.read_at && (!ids || ids.has(notification.notification_id))
+        ? { ...notification, read_at: now }
+        : notification
+    ))
+    setSelected(new Set())
+    window.dispatchEvent(new Event(NOTIFICATIONS_READ_EVENT))
+  }
+
+  const patch = async (body: Record<string, any>) => {
+    const response = await fetch('/api/notifications', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.message || '읽음 처리하지 못했습니다')
+    }
+  }
+
+  const markRead = async (ids: string[]) => {
+    const unreadIds = ids.filter(id => notifications.some(n => n.notification_id === id && !n.read_at))
+    if (unreadIds.length === 0) return
+    setMessage(null)
+    try {
+      for (let i = 0; i < unreadIds.length; i += MARK_READ_CHUNK) {
+        await patch({ ids: unreadIds.slice(i, i + MARK_READ_CHUNK) })
+      }
+      applyRead(new Set(unreadIds))
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : '읽음 처리하지 못했습니다')
+    }
+  }
+
+  const markAllRead = async () => {
+    setMessage(null)
+    try {
+      await patch({ all: true })
+      applyRead(null)
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : '읽음 처리하지 못했습니다')
+    }
+  }
+
+  const loadMore = async () => {
+    const oldest = notifications[notifications.length - 1]
+    if (!oldest) return
+    setLoadingMore(true)
+    try {
+      const response = await fetch(`/api/notifications?before=${encodeURIComponent(oldest.created_at)}`)
+      const data = await response.json()
+      if (!response.ok) {
+        setMessage(data.message || '알림을 불러오지 못했습니다')
+        return
+      }
+      setNotifications(prev => [...prev, ...data.notifications])
+      setHasMore(data.hasMore)
+    } catch (error) {
+      setMessage('알림을 불러오지 못했습니다')
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const toggle = (ids: string[], checked: boolean) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      ids.forEach(id => checked ? next.add(id) : next.delete(id))
+      return next
+    })
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-6 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <Bell className="w-5 h-5" />
+          알림함
+          {unreadCount > 0 && (
+            <span className="px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">읽지 않음 {unreadCount}</span>
+          )}
+        </h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-1 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={unreadOnly}
+              onChange={(e) => setUnreadOnly(e.target.checked)}
+            />
+            읽지 않은 알림만
+          </label>
+          <button
+            onClick={() => markRead(Array.from(selected))}
+            disabled={selected.size === 0}
+            className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg disabled:opacity-50 hover:bg-gray-50"
+          >
+            선택 읽음 처리 ({selected.size})
+          </button>
+          <button
+            onClick={markAllRead}
+            disabled={unreadCount === 0}
+            className="inline-flex items-center gap-1 px-3 py-1.5 text-sm text-white bg-founder-primary rounded-lg disabled:opacity-50 hover:bg-opacity-90"
+          >
+            <CheckCheck className="w-4 h-4" />
+            모두 읽음
+          </button>
+        </div>
+      </div>
+
+      {message && <p className="px-6 pt-4 text-sm text-red-600">{message}</p>}
+
+      {groups.length === 0 ? (
+        <div className="text-center py-12">
+          <Bell className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500 mb-2">{unreadOnly ? '읽지 않은 알림이 없습니다.' : '받은 알림이 없습니다.'}</p>
+          <p className="text-sm text-gray-400">
+            오른쪽 알림 설정에서 받고 싶은 알림을 선택하세요.
+          </p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {groups.map(group => {
+            const groupIds = group.notifications.map(notification => notification.notification_id)
+            const allSelected = groupIds.every(id => selected.has(id))
+
+            return (
+              <section key={group.key} className="p-6">
+                <div className="flex items-center justify-between gap-4 mb-3">
+                  <label className="flex items-center gap-2 min-w-0">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={(e) => toggle(groupIds, e.target.checked)}
+                    />
+                    <span className="font-semibold text-gray-900">{group.label}</span>
+                    <span className="text-xs text-gray-400 truncate">
+                      {group.scanId ? `스캔 ${group.scanId.slice(-8)}` : '스캔 외 알림'} · {timeAgo(group.latestAt)}
+                    </span>
+                    {group.unread > 0 && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">{group.unread}</span>
+                    )}
+                  </label>
+                  {group.unread > 0 && (
+                    <button
+                      onClick={() => markRead(groupIds)}
+                      className="text-sm text-founder-primary hover:underline flex-shrink-0"
+                    >
+                      그룹 읽음 처리
+                    </button>
+                  )}
+                </div>
+
+                <ul className="space-y-2">
+                  {group.notifications.map(notification => {
+                    const links = notificationLinks(notification)
+                    return (
+                      <li
+                        key={notification.notification_id}
+                        className={`flex items-start gap-3 p-3 rounded-lg ${notification.read_at ? 'bg-white' : 'bg-blue-50'}`}
+                      >
+                        <input
+                          type="checkbox"
+                          className="mt-1"
+                          checked={selected.has(notification.notification_id)}
+                          onChange={(e) => toggle([notification.notification_id], e.target.checked)}
+                        />
+                        <div
+                          className="flex-1 min-w-0 cursor-pointer"
+                          onClick={() => markRead([notification.notification_id])}
+                        >
+                          <p className={`text-sm ${notification.read_at ? 'text-gray-700' : 'font-medium text-gray-900'}`}>
+                            {notification.subject || '알림'}
+                            {notification.priority === 'high' && (
+                              <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-red-100 text-red-700">중요</span>
+                            )}
+                          </p>
+                          {notification.content?.reason && (
+                            <p className="text-sm text-gray-600 mt-1">{notification.content.reason}</p>
+                          )}
+                          {links.length > 0 && (
+                            <ul className="mt-1 space-y-0.5">
+                              {links.map(link => (
+                                <li key={link.url}>
+                                  <a
+                                    href={link.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="inline-flex items-center gap-1 text-sm text-founder-primary hover:underline"
+                                  >
+                                    {link.title}
+                                    <ExternalLink className="w-3 h-3" />
+                                  </a>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          <p className="text-xs text-gray-400 mt-1">{timeAgo(notification.created_at)}</p>
+                        </div>
+                      </li>
+                    )
+                  })}
+                </ul>
+              </section>
+            )
+          })}
+        </div>
+      )}
+
+      {hasMore && (
+        <div className="p-6 border-t border-gray-200 text-center">
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="text-sm text-founder-primary hover:underline disabled:opacity-50"
+          >
+            {loadingMore ? '불러오는 중...' : '이전 알림 더 보기'}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
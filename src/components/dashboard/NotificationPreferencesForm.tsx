@@ -0,0 +1,126 @@
+'use client'
+
+import { useState } from 'react'
+import { Settings } from 'lucide-react'
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_CHANNEL_LABELS,
+  NOTIFICATION_EVENT_LABELS,
+  NOTIFICATION_EVENT_TYPES
+} from '@/lib/notifications/user-notifications'
+import type { NotificationChannel, NotificationChannelSettings, NotificationEventType } from '@/types'
+
+interface NotificationPreferencesFormProps {
+  initialEmail: string
+  initialChannels: Record<NotificationEventType, NotificationChannelSettings>
+}
+
+export default function NotificationPreferencesForm({ initialEmail, initialChannels }: NotificationPreferencesFormProps) {
+  const [email, setEmail] = useState(initialEmail)
+  const [channels, setChannels] = useState(initialChannels)
+  const [errors, setErrors] = useState<Record<string, string>>({})
+  const [message, setMessage] = useState<string | null>(null)
+  const [saving, setSaving] = useState(false)
+
+  const setChannel = (eventType: NotificationEventType, channel: NotificationChannel, enabled: boolean) => {
+    setChannels(prev => ({ ...prev, [eventType]: { ...prev[eventType], [channel]: enabled } }))
+  }
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setSaving(true)
+    setErrors({})
+    setMessage(null)
+
+    try {
+      const response = await fetch('/api/notifications/preferences', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, channels })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        const fieldErrors: Record<string, string> = {}
+        ;(data.details || []).forEach((detail: { field: string; message: string }) => {
+          fieldErrors[detail.field] = detail.message
+        })
+        setErrors(fieldErrors)
+        setMessage(data.message || '알림 설정을 저장하지 못했습니다')
+        return
+      }
+
+      setEmail(data.preferences.email || '')
+      setChannels(data.preferences.channels)
+      setMessage('알림 설정을 저장했습니다.')
+    } catch (error) {
+      setMessage('알림 설정을 저장하지 못했습니다')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 h-fit">
+      <h2 className="text-lg font-bold text-gray-900 mb-1 flex items-center gap-2">
+        <Settings className="w-5 h-5" />
+        알림 설정
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">알림 종류별로 받을 방법을 선택하세요.</p>
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="text-left font-medium pb-2">알림 종류</th>
+              {NOTIFICATION_CHANNELS.map(channel => (
+                <th key={channel} className="font-medium pb-2 w-16">{NOTIFICATION_CHANNEL_LABELS[channel]}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {NOTIFICATION_EVENT_TYPES.map(eventType => (
+              <tr key={eventType}>
+                <td className="py-2 text-gray-900">{NOTIFICATION_EVENT_LABELS[eventType]}</td>
+                {NOTIFICATION_CHANNELS.map(channel => (
+                  <td key={channel} className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={channels[eventType]?.[channel] ?? false}
+                      onChange={(e) => setChannel(eventType, channel, e.target.checked)}
+                      aria-label={`${NOTIFICATION_EVENT_LABELS[eventType]} ${NOTIFICATION_CHANNEL_LABELS[channel]}`}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">알림 이메일</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className={`w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-founder-primary ${errors.email ? 'border-red-500' : 'border-gray-300'}`}
+          />
+          {errors.email && <p className="text-xs text-red-600 mt-1">{errors.email}</p>}
+          <p className="text-xs text-gray-400 mt-1">
+            저장한 검색 이메일은 각 검색에 지정한 주소로 발송됩니다.
+          </p>
+        </div>
+
+        {message && <p className="text-sm text-gray-600">{message}</p>}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full px-4 py-2 bg-founder-primary text-white font-medium rounded-lg hover:bg-opacity-90 transition-colors disabled:opacity-50"
+        >
+          {saving ? '저장 중...' : '설정 저장'}
+        </button>
+      </form>
+    </div>
+  )
+}
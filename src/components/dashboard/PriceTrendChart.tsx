@@ -9,9 +9,11 @@ interface PriceTrendChartProps {
     label: string;
   }>;
   height?: number;
+  // Extend the last price to this time (e.g. now) so time on market is visible
+  endTimestamp?: string;
 }
 
-export default function PriceTrendChart({ data, height = 200 }: PriceTrendChartProps) {
+export default function PriceTrendChart({ data, height = 200, endTimestamp }: PriceTrendChartProps) {
   const canvasRef = useRef<HTMLCanvasElement>(null);
 
   useEffect(() => {
@@ -72,35 +74,54 @@ export default function PriceTrendChart({ data, height = 200 }: PriceTrendChartP
       ctx.fillText(`$${Math.round(price).toLocaleString()}`, padding - 5, y + 4);
     }
 
-    // Draw line chart
+    // Position points by time so gaps between price changes show; fall back
+    // to even spacing when timestamps are missing
+    const times = data.map(d => new Date(d.timestamp).getTime());
+    const endTime = endTimestamp ? new Date(endTimestamp).getTime() : NaN;
+    const useTime = times.every(t => !isNaN(t));
+    const firstTime = useTime ? Math.min(...times) : 0;
+    const lastTime = useTime ? Math.max(...times, isNaN(endTime) ? -Infinity : endTime) : 0;
+    const timeRange = lastTime - firstTime || 1;
+
+    const xAt = (index: number) => {
+      if (useTime) return padding + (graphWidth * (times[index] - firstTime) / timeRange);
+      return padding + (data.length > 1 ? graphWidth * index / (data.length - 1) : graphWidth / 2);
+    };
+    const yAt = (price: number) => padding + (graphHeight * (maxPrice - price) / priceRange);
+
+    // Draw step line: a price holds until the next change
     ctx.strokeStyle = '#3b82f6';
     ctx.lineWidth = 2;
     ctx.beginPath();
 
     data.forEach((point, index) => {
-      const x = padding + (graphWidth * index / (data.length - 1));
-      const y = padding + (graphHeight * (maxPrice - point.price) / priceRange);
+      const x = xAt(index);
+      const y = yAt(point.price);
 
       if (index === 0) {
         ctx.moveTo(x, y);
       } else {
+        ctx.lineTo(x, yAt(data[index - 1].price));
         ctx.lineTo(x, y);
       }
     });
+    if (useTime && !isNaN(endTime) && endTime > times[times.length - 1]) {
+      ctx.lineTo(padding + graphWidth * (endTime - firstTime) / timeRange, yAt(data[data.length - 1].price));
+    }
     ctx.stroke();
 
-    // Draw points
+    // Draw points; price cuts are red
     data.forEach((point, index) => {
-      const x = padding + (graphWidth * index / (data.length - 1));
-      const y = padding + (graphHeight * (maxPrice - point.price) / priceRange);
+      const x = xAt(index);
+      const y = yAt(point.price);
+      const isCut = index > 0 && point.price < data[index - 1].price;
 
       // Point
-      ctx.fillStyle = '#3b82f6';
+      ctx.fillStyle = isCut ? '#ef4444' : '#3b82f6';
       ctx.beginPath();
-      ctx.arc(x, y, 4, 0, Math.PI * 2);
+      ctx.arc(x, y, isCut ? 5 : 4, 0, Math.PI * 2);
       ctx.fill();
 
-      // Hover area (invisible, just for tooltip positioning)
       if (index === data.length - 1) {
         // Show last price
         ctx.fillStyle = '#1f2937';
@@ -125,7 +146,7 @@ export default function PriceTrendChart({ data, height = 200 }: PriceTrendChartP
       );
       
       // Last timestamp
-      const lastDate = new Date(data[data.length - 1].timestamp);
+      const lastDate = new Date(useTime ? lastTime : data[data.length - 1].timestamp);
       ctx.fillText(
         lastDate.toLocaleDateString(), 
         rect.width - padding, 
@@ -133,7 +154,7 @@ export default function PriceTrendChart({ data, height = 200 }: PriceTrendChartP
       );
     }
 
-  }, [data, height]);
+  }, [data, height, endTimestamp]);
 
   if (data.length === 0) {
     return (
@@ -0,0 +1,349 @@
+'use client'
+
+import { useState } from 'react'
+import { formatDistanceToNow } from 'date-fns'
+import { ko } from 'date-fns/locale'
+import { Bell, BellOff, Search, Trash2, ChevronDown, ChevronUp } from 'lucide-react'
+import { describeListingsCriteria } from '@/lib/dashboard/listings-filter'
+import type { SavedSearch, SavedSearchDelivery, SavedSearchMatch } from '@/types'
+
+interface SavedSearchManagerProps {
+  initialSearches: SavedSearch[]
+  defaultEmail?: string | null
+}
+
+const DELIVERY_LABELS: Record<SavedSearchDelivery, string> = {
+  instant: '즉시',
+  daily: '일간 요약',
+  weekly: '주간 요약'
+}
+
+const EMPTY_FORM = {
+  name: '',
+  category: '',
+  search: '',
+  keywords: '',
+  priceMin: '',
+  priceMax: '',
+  revenueMin: '',
+  revenueMax: '',
+  ageMin: '',
+  ageMax: '',
+  multipleMax: '',
+  delivery: 'instant' as SavedSearchDelivery,
+  notifyEmail: ''
+}
+
+const NUMBER_FIELDS: { key: keyof typeof EMPTY_FORM; label: string }[] = [
+  { key: 'priceMin', label: '최소 가격 ($)' },
+  { key: 'priceMax', label: '최대 가격 ($)' },
+  { key: 'revenueMin', label: '최소 월 매출 ($)' },
+  { key: 'revenueMax', label: '최대 월 매출 ($)' },
+  { key: 'ageMin', label: '최소 운영 기간 (개월)' },
+  { key: 'ageMax', label: '최대 운영 기간 (개월)' },
+  { key: 'multipleMax', label: '최대 수익 멀티플 (x)' }
+]
+
+export default function SavedSearchManager({ initialSearches, defaultEmail }: SavedSearchManagerProps) {
+  const [searches, setSearches] = useState<SavedSearch[]>(initialSearches)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [errors, setErrors] = useState<Record<string, string>>({})
+  const [message, setMessage] = useState<string | null>(null)
+  const [saving, setSaving] = useState(false)
+  const [expandedId, setExpandedId] = useState<string | null>(null)
+  const [matches, setMatches] = useState<Record<string, SavedSearchMatch[]>>({})
+
+  const updateField = (key: keyof typeof EMPTY_FORM, value: string) => {
+    setForm(prev => ({ ...prev, [key]: value }))
+  }
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setSaving(true)
+    setErrors({})
+    setMessage(null)
+
+    const filters: Record<string, any> = {
+      category: form.category,
+      search: form.search,
+      keywords: form.keywords
+    }
+    NUMBER_FIELDS.forEach(({ key }) => {
+      if (form[key] !== '') filters[key] = form[key]
+    })
+
+    try {
+      const response = await fetch('/api/saved-searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: form.name,
+          filters,
+          delivery: form.delivery,
+          notifyEmail: form.notifyEmail || undefined
+        })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        const fieldErrors: Record<string, string> = {}
+        ;(data.details || []).forEach((detail: { field: string; message: string }) => {
+          fieldErrors[detail.field] = detail.message
+        })
+        setErrors(fieldErrors)
+        setMessage(data.message || '검색을 저장하지 못했습니다')
+        return
+      }
+
+      setSearches(prev => [data.search, ...prev])
+      setForm(EMPTY_FORM)
+      setMessage('검색을 저장했습니다. 조건에 맞는 매물이 등록되면 알려드립니다.')
+    } catch (error) {
+      setMessage('검색을 저장하지 못했습니다')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleUpdate = async (search: SavedSearch, updates: Record<string, any>) => {
+    const response = await fetch(`/api/saved-searches/${search.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(updates)
+    })
+    if (!response.ok) return
+    const data = await response.json()
+    setSearches(prev => prev.map(item => item.id === search.id ? data.search : item))
+  }
+
+  const handleDelete = async (search: SavedSearch) => {
+    if (!confirm(`'${search.name}' 검색을 삭제하시겠습니까?`)) return
+    const response = await fetch(`/api/saved-searches/${search.id}`, { method: 'DELETE' })
+    if (response.ok) {
+      setSearches(prev => prev.filter(item => item.id !== search.id))
+    }
+  }
+
+  const toggleMatches = async (search: SavedSearch) => {
+    if (expandedId === search.id) {
+      setExpandedId(null)
+      return
+    }
+    setExpandedId(search.id)
+    if (matches[search.id]) return
+
+    const response = await fetch(`/api/saved-searches/${search.id}`)
+    if (!response.ok) return
+    const data = await response.json()
+    setMatches(prev => ({ ...prev, [search.id]: data.matches || [] }))
+  }
+
+  const inputClass = (key: string) =>
+    `w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-founder-primary ${errors[key] ? 'border-red-500' : 'border-gray-300'}`
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Saved searches */}
+      <div className="lg:col-span-2 bg-white rounded-lg shadow">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <Search className="w-5 h-5" />
+            저장한 검색 ({searches.length})
+          </h2>
+        </div>
+
+        {searches.length === 0 ? (
+          <div className="text-center py-12">
+            <Bell className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500 mb-2">저장한 검색이 없습니다.</p>
+            <p className="text-sm text-gray-400">
+              조건을 저장하면 새 매물이 등록될 때 이메일로 알려드립니다.
+            </p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {searches.map(search => (
+              <div key={search.id} className="p-6">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-semibold text-gray-900 truncate">{search.name}</h3>
+                      {!search.is_active && (
+                        <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">일시중지</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1">{describeListingsCriteria(search.filters || {})}</p>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {DELIVERY_LABELS[search.delivery]} 알림 · {search.notify_email || '이메일 없음'}
+                      {search.last_notified_at && (
+                        <> · 마지막 알림 {formatDistanceToNow(new Date(search.last_notified_at), { addSuffix: true, locale: ko })}</>
+                      )}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <select
+                      value={search.delivery}
+                      onChange={(e) => handleUpdate(search, { delivery: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Object.entries(DELIVERY_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleUpdate(search, { isActive: !search.is_active })}
+                      className="p-2 text-gray-500 hover:text-founder-primary rounded-lg"
+                      title={search.is_active ? '알림 끄기' : '알림 켜기'}
+                    >
+                      {search.is_active ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(search)}
+                      className="p-2 text-gray-500 hover:text-red-600 rounded-lg"
+                      title="삭제"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                <button
+                  onClick={() => toggleMatches(search)}
+                  className="mt-3 inline-flex items-center text-sm text-founder-primary hover:underline"
+                >
+                  최근 일치한 매물
+                  {expandedId === search.id ? <ChevronUp className="w-4 h-4 ml-1" /> : <ChevronDown className="w-4 h-4 ml-1" />}
+                </button>
+
+                {expandedId === search.id && (
+                  <ul className="mt-3 space-y-2">
+                    {!matches[search.id] ? (
+                      <li className="text-sm text-gray-400">불러오는 중...</li>
+                    ) : matches[search.id].length === 0 ? (
+                      <li className="text-sm text-gray-400">아직 일치한 매물이 없습니다.</li>
+                    ) : (
+                      matches[search.id].map(match => (
+                        <li key={match.id} className="flex items-center justify-between text-sm">
+                          <a
+                            href={match.listing_snapshot?.url || '#'}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-gray-900 hover:underline truncate"
+                          >
+                            {match.listing_snapshot?.title || match.listing_id}
+                          </a>
+                          <span className="text-xs text-gray-400 flex-shrink-0 ml-4">
+                            {match.match_type === 'new' ? '신규' : '변경'} ·{' '}
+                            {formatDistanceToNow(new Date(match.matched_at), { addSuffix: true, locale: ko })}
+                          </span>
+                        </li>
+                      ))
+                    )}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* New search form */}
+      <div className="bg-white rounded-lg shadow p-6 h-fit">
+        <h2 className="text-lg font-bold text-gray-900 mb-4">새 검색 저장</h2>
+        <form onSubmit={handleCreate} className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">검색 이름</label>
+            <input
+              value={form.name}
+              onChange={(e) => updateField('name', e.target.value)}
+              placeholder="예: 월 매출 $5K 이상 SaaS"
+              className={inputClass('name')}
+            />
+            {errors.name && <p className="text-xs text-red-600 mt-1">{errors.name}</p>}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">카테고리</label>
+              <input
+                value={form.category}
+                onChange={(e) => updateField('category', e.target.value)}
+                placeholder="SaaS"
+                className={inputClass('category')}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">검색어</label>
+              <input
+                value={form.search}
+                onChange={(e) => updateField('search', e.target.value)}
+                className={inputClass('search')}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">제목 키워드 (쉼표로 구분)</label>
+            <input
+              value={form.keywords}
+              onChange={(e) => updateField('keywords', e.target.value)}
+              placeholder="newsletter, shopify"
+              className={inputClass('keywords')}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            {NUMBER_FIELDS.map(({ key, label }) => (
+              <div key={key}>
+                <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form[key]}
+                  onChange={(e) => updateField(key, e.target.value)}
+                  className={inputClass(key)}
+                />
+                {errors[key] && <p className="text-xs text-red-600 mt-1">{errors[key]}</p>}
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">알림 주기</label>
+            <select
+              value={form.delivery}
+              onChange={(e) => updateField('delivery', e.target.value)}
+              className={inputClass('delivery')}
+            >
+              {Object.entries(DELIVERY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">알림 이메일</label>
+            <input
+              type="email"
+              value={form.notifyEmail}
+              onChange={(e) => updateField('notifyEmail', e.target.value)}
+              placeholder={defaultEmail || 'you@example.com'}
+              className={inputClass('notifyEmail')}
+            />
+          </div>
+
+          {message && <p className="text-sm text-gray-600">{message}</p>}
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="w-full px-4 py-2 bg-founder-primary text-white font-medium rounded-lg hover:bg-opacity-90 transition-colors disabled:opacity-50"
+          >
+            {saving ? '저장 중...' : '검색 저장'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -3,7 +3,7 @@ import { createClient } from '@/lib/supabase/server'
 import UserMenu from '@/components/auth/UserMenu'
 import MobileMenu from './MobileMenu'
 import { Calculator } from 'lucide-react'
-import { SearchButton } from './HeaderClient'
+import { NotificationBell, SearchButton } from './HeaderClient'
 
 export default async function Header() {
   const supabase = await createClient()
@@ -51,6 +51,7 @@ export default async function Header() {
 
             {user ? (
               <>
+                <NotificationBell />
                 <Link
                   href="/valuation"
                   className="hidden md:inline-flex items-center gap-2 px-5 py-2 text-sm font-medium text-medium-green hover:text-medium-green-dark transition-colors duration-medium"
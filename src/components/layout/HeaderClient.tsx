@@ -1,8 +1,14 @@
 'use client'
 
-import { Search } from 'lucide-react'
+import { useEffect, useState } from 'react'
+import Link from 'next/link'
+import { Bell, Search } from 'lucide-react'
 import { useSearch } from '@/contexts/SearchContext'
 
+// Refresh interval for the unread count; the inbox also announces reads
+const UNREAD_POLL_MS = 60000
+export const NOTIFICATIONS_READ_EVENT = 'notifications:read'
+
 export function SearchButton() {
   const { openSearch } = useSearch()
   
@@ -15,4 +21,50 @@ export function SearchButton() {
       <Search className="w-5 h-5 text-medium-black-secondary" />
     </button>
   )
-}
\ No newline at end of file
+}
+
+export function NotificationBell() {
+  const [unread, setUnread] = useState(0)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchUnread = async () => {
+      try {
+        const res = await fetch('/api/notifications/unread-count', { cache: 'no-store' })
+        if (!res.ok) return
+        const data = await res.json()
+        if (!cancelled && data.success) setUnread(data.count)
+      } catch (error) {
+        console.error('Error fetching unread notifications:', error)
+      }
+    }
+
+    fetchUnread()
+    const interval = setInterval(fetchUnread, UNREAD_POLL_MS)
+    window.addEventListener('focus', fetchUnread)
+    window.addEventListener(NOTIFICATIONS_READ_EVENT, fetchUnread)
+
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+      window.removeEventListener('focus', fetchUnread)
+      window.removeEventListener(NOTIFICATIONS_READ_EVENT, fetchUnread)
+    }
+  }, [])
+
+  return (
+    <Link
+      href="/dashboard/notifications"
+      className="relative p-2 hover:bg-medium-gray rounded-full transition-colors duration-medium"
+      title={unread > 0 ? `읽지 않은 알림 ${unread}개` : '알림'}
+    >
+      <Bell className="w-5 h-5 text-medium-black-secondary" />
+      {unread > 0 && (
+        <span className="absolute top-0.5 right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold leading-[18px] text-center">
+          {unread > 99 ? '99+' : unread}
+        </span>
+      )}
+    </Link>
+  )
+}
@@ -3,7 +3,8 @@
 import { useState, useEffect } from 'react'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/Card'
 import { Button } from '@/components/ui/Button'
-import { cn, formatCurrency, formatRelativeTime } from '@/lib/utils'
+import { cn, formatCurrency, formatRelativeTime, generateId } from '@/lib/utils'
+import { useScanProgress, ScanProgressState } from '@/hooks/useScanProgress'
 import { 
   Activity, 
   AlertCircle, 
@@ -27,6 +28,19 @@ export function MonitoringDashboard() {
   const [loading, setLoading] = useState(true)
   const [scanning, setScanning] = useState(false)
   const [mode, setMode] = useState<'production' | 'mock' | 'simulation'>('production')
+  const [liveScanId, setLiveScanId] = useState<string | null>(null)
+  
+  // Streamed progress of the scan started from this dashboard
+  const liveScan = useScanProgress(liveScanId, {
+    onFinish: () => {
+      setScanning(false)
+      Promise.all([
+        fetchStatus(),
+        fetchRecentChanges(),
+        fetchNotifications()
+      ])
+    }
+  })
 
   // Fetch monitoring status with fallback
   const fetchStatus = async () => {
@@ -103,42 +117,64 @@ export function MonitoringDashboard() {
     return () => clearInterval(interval)
   }, [])
 
-  // Manual scan trigger with fallback
+  // Manual scan trigger with fallback. The scan id is chosen here so the
+  // progress stream is open while the scan request is still running
   const triggerScan = async () => {
+    const scanId = generateId('scan')
     setScanning(true)
     setScanProgress({ status: 'starting', message: 'Initializing scan...' })
+    setLiveScanId(scanId)
 
     try {
       let res = await fetch('/api/monitoring/scan', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ manual: true })
+        body: JSON.stringify({ manual: true, scanId })
       })
       let data = await res.json()
 
-      // If main API fails, use fallback
-      if (!res.ok || !data.success) {
-        console.log('Using fallback monitoring API for scan...')
-        res = await fetch('/api/monitoring/fallback', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ action: 'scan', manual: true })
+      if (res.ok && data.success) {
+        // Final counts, in case the stream missed the end of the scan
+        const results = data.results || {}
+        setScanProgress({
+          status: 'completed',
+          progress: 100,
+          message: 'Scan completed successfully',
+          stats: {
+            pagesScanned: results.pagesScanned,
+            listingsFound: results.totalListings ?? results.scannedListings,
+            newListings: results.newListings
+          }
         })
-        data = await res.json()
+        setScanning(false)
+        await Promise.all([
+          fetchStatus(),
+          fetchRecentChanges(),
+          fetchNotifications()
+        ])
+        return
       }
 
+      // If main API fails, use fallback (no progress stream; simulate progress)
+      console.log('Using fallback monitoring API for scan...')
+      setLiveScanId(null)
+      res = await fetch('/api/monitoring/fallback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'scan', manual: true })
+      })
+      data = await res.json()
+
       if (data.success) {
-        // For fallback, simulate progress
-        if (data.scanId && data.scanId.startsWith('scan_')) {
-          simulateScanProgress(data)
-        } else {
-          pollScanProgress(data.scanId)
-        }
+        simulateScanProgress(data)
       } else {
         setScanProgress({ status: 'error', message: data.error || 'Failed to start scan' })
+        setScanning(false)
       }
     } catch (error) {
+      setLiveScanId(null)
       setScanProgress({ status: 'error', message: 'Failed to start scan' })
+      setScanning(false)
     }
   }
 
@@ -182,30 +218,38 @@ export function MonitoringDashboard() {
     }, 1000)
   }
 
-  // Poll scan progress
-  const pollScanProgress = async (scanId: string) => {
-    const pollInterval = setInterval(async () => {
-      try {
-        const res = await fetch(`/api/monitoring/scan/${scanId}/progress`)
-        const data = await res.json()
-        
-        setScanProgress(data.data)
-        
-        if (data.data.status === 'completed' || data.data.status === 'failed') {
-          clearInterval(pollInterval)
-          setScanning(false)
-          // Refresh data
-          await Promise.all([
-            fetchStatus(),
-            fetchRecentChanges(),
-            fetchNotifications()
-          ])
-        }
-      } catch (error) {
-        console.error('Error polling progress:', error)
+  // Progress card contents from the live stream
+  const describeLiveScan = (live: ScanProgressState) => {
+    let message = 'Starting scan...'
+    if (live.status === 'failed') {
+      message = `Scan failed: ${live.failure}`
+    } else if (live.status === 'completed') {
+      message = 'Scan completed successfully'
+    } else if (live.comparison) {
+      message = 'Comparing with baseline...'
+    } else if (live.page > 0) {
+      message = `Scanned page ${live.page}${live.totalPages ? ` of ${live.totalPages}` : ''}`
+    }
+    
+    return {
+      status: live.status,
+      progress: live.percent,
+      message,
+      connected: live.connected,
+      errors: live.errors,
+      comparison: live.comparison,
+      stats: {
+        pagesScanned: live.results?.pagesScanned ?? live.page,
+        listingsFound: live.results?.totalListings ?? live.results?.scannedListings ?? live.listingsFound,
+        newListings: live.results?.newListings ?? live.comparison?.newListings ?? 0
       }
-    }, 2000)
+    }
   }
+  
+  // Prefer the stream once it has reported anything
+  const progressView = liveScanId && ['running', 'completed', 'failed'].includes(liveScan.status)
+    ? describeLiveScan(liveScan)
+    : scanProgress
 
   const getChangeIcon = (changeType: string) => {
     switch (changeType) {
@@ -231,6 +275,10 @@ export function MonitoringDashboard() {
       case 'category_change':
         return `Category changed to ${change.new_value}`
       default:
+        // Custom change-detection rules
+        if (change.field_name) {
+          return `${change.change_type.replace(/_/g, ' ')}: ${change.field_name} ${change.old_value ?? '—'} → ${change.new_value ?? '—'}`
+        }
         return 'Updated'
     }
   }
@@ -363,41 +411,60 @@ export function MonitoringDashboard() {
       </div>
 
       {/* Scan Progress */}
-      {scanProgress && (
+      {progressView && (
         <Card className="border-blue-200 bg-blue-50">
           <CardHeader>
             <CardTitle className="text-lg flex items-center gap-2">
-              <Activity className="w-5 h-5 animate-spin" />
+              <Activity className={cn("w-5 h-5", scanning && "animate-spin")} />
               Scan Progress
+              {scanning && liveScanId && progressView.connected === false && (
+                <span className="text-xs font-normal text-yellow-700">Reconnecting...</span>
+              )}
             </CardTitle>
           </CardHeader>
           <CardContent>
             <div className="space-y-2">
-              <p>{scanProgress.message}</p>
-              {scanProgress.progress && (
+              <p>{progressView.message}</p>
+              {progressView.progress > 0 && (
                 <div className="w-full bg-gray-200 rounded-full h-2">
                   <div 
                     className="bg-blue-600 h-2 rounded-full transition-all"
-                    style={{ width: `${scanProgress.progress}%` }}
+                    style={{ width: `${progressView.progress}%` }}
                   />
                 </div>
               )}
-              {scanProgress.stats && (
+              {progressView.stats && (
                 <div className="grid grid-cols-3 gap-4 mt-4 text-sm">
                   <div>
                     <span className="text-gray-600">Pages:</span>
-                    <span className="ml-2 font-medium">{scanProgress.stats.pagesScanned}</span>
+                    <span className="ml-2 font-medium">{progressView.stats.pagesScanned}</span>
                   </div>
                   <div>
                     <span className="text-gray-600">Found:</span>
-                    <span className="ml-2 font-medium">{scanProgress.stats.listingsFound}</span>
+                    <span className="ml-2 font-medium">{progressView.stats.listingsFound}</span>
                   </div>
                   <div>
                     <span className="text-gray-600">New:</span>
-                    <span className="ml-2 font-medium text-green-600">{scanProgress.stats.newListings}</span>
+                    <span className="ml-2 font-medium text-green-600">{progressView.stats.newListings}</span>
                   </div>
                 </div>
               )}
+              {progressView.comparison && (
+                <p className="text-sm text-gray-600">
+                  Compared with baseline: {progressView.comparison.updatedListings ?? 0} updated,{' '}
+                  {progressView.comparison.priceDrops ?? 0} price drops,{' '}
+                  {progressView.comparison.unseenListings ?? progressView.comparison.deletedListings ?? 0} not seen
+                </p>
+              )}
+              {progressView.errors?.length > 0 && (
+                <ul className="text-sm text-red-600 space-y-1">
+                  {progressView.errors.map((error: { page?: number; message: string }, index: number) => (
+                    <li key={index}>
+                      {error.page ? `Page ${error.page}: ` : ''}{error.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           </CardContent>
         </Card>
@@ -421,6 +488,13 @@ export function MonitoringDashboard() {
                     <div className="flex-1">
                       <p className="font-medium text-sm">
                         {change.listing_snapshot?.title || `Listing ${change.listing_id}`}
+                        {(change.severity === 'warning' || change.severity === 'critical') && (
+                          <span className={`ml-2 px-1.5 py-0.5 text-xs rounded ${
+                            change.severity === 'critical' ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-700'
+                          }`}>
+                            {change.severity}
+                          </span>
+                        )}
                       </p>
                       <p className="text-sm text-gray-600">
                         {getChangeText(change)}
@@ -120,7 +120,14 @@ export default function IndustryChartCard({
           <h3 className={`font-medium text-gray-900 ${textSizes[size].industry}`}>
             {data.industry}
           </h3>
-          {data.stats.totalTransactions > 0 && (
+          {data.fallback ? (
+            <span
+              className={`px-1.5 py-0.5 rounded bg-gray-100 text-gray-500 ${textSizes[size].stat}`}
+              title="표본이 부족해 업계 기준 배수를 표시합니다"
+            >
+              표본 부족
+            </span>
+          ) : data.stats.totalTransactions > 0 && (
             <div className="flex items-center gap-1 text-gray-400">
               <TrendingUp className="w-3 h-3" />
               <span className={textSizes[size].stat}>
@@ -60,9 +60,9 @@ export default function IndustryChartDashboard({
         setLastUpdated(new Date(response.lastUpdated))
         setError(null)
         
-        // Log if using mock data for development awareness
-        if ((response as any).meta?.usingMockData) {
-          console.info('📊 차트가 모의 데이터를 사용 중입니다. 실제 데이터를 사용하려면 데이터베이스 마이그레이션을 실행하세요.')
+        // Log if series fell back to baseline multiples for development awareness
+        if (response.fallback) {
+          console.info('📊 표본이 부족해 기준 배수를 표시 중입니다. 집계 작업(npm run charts:aggregate)을 실행하세요.')
         }
       } else {
         throw new Error('Failed to fetch chart data')
@@ -16,7 +16,7 @@ interface ScheduleExecution {
   schedule_name?: string;
   started_at: string;
   completed_at?: string;
-  status: 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
+  status: 'pending' | 'running' | 'completed' | 'failed' | 'cancelled' | 'skipped';
   duration_seconds?: number;
   pages_scanned?: number;
   listings_found?: number;
@@ -98,6 +98,7 @@ export default function ScheduleHistory() {
       case 'running':
         return 'bg-blue-100 text-blue-800';
       case 'cancelled':
+      case 'skipped':
         return 'bg-gray-100 text-gray-800';
       default:
         return 'bg-yellow-100 text-yellow-800';
@@ -10,8 +10,11 @@ import {
   Pause,
   Trash2,
   Plus,
-  Settings
+  Settings,
+  AlertTriangle
 } from 'lucide-react';
+import { validateCron } from '@/lib/scheduling/cron';
+import { upcomingScheduleRuns, validateScheduleTiming } from '@/lib/scheduling/schedule-times';
 
 interface Schedule {
   schedule_id: string;
@@ -22,6 +25,22 @@ interface Schedule {
   specific_times?: string[];
   days_of_week?: number[];
   timezone: string;
+  misfire_policy?: string;
+  backoff_base_seconds?: number;
+  backoff_max_seconds?: number;
+  pause_after_failures?: number;
+  circuit_key?: string | null;
+  consecutive_failures?: number;
+  backoff_until?: string | null;
+  paused_reason?: string | null;
+  paused_at?: string | null;
+  circuit?: {
+    circuit_key: string;
+    state: 'closed' | 'open' | 'half_open';
+    failure_count: number;
+    open_until?: string | null;
+    last_error?: string | null;
+  } | null;
   last_run?: string;
   next_run?: string;
   success_count: number;
@@ -46,6 +65,13 @@ const FREQUENCY_OPTIONS = [
   { value: 'custom', label: 'Custom schedule' }
 ];
 
+// What to do with runs missed while no scheduler was running
+const MISFIRE_OPTIONS = [
+  { value: 'run_once', label: 'Run once (latest missed run only)' },
+  { value: 'run_all', label: 'Run every missed run' },
+  { value: 'skip', label: 'Skip missed runs' }
+];
+
 const DAYS_OF_WEEK = [
   { value: 0, label: 'Sun' },
   { value: 1, label: 'Mon' },
@@ -62,6 +88,7 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingSchedule, setEditingSchedule] = useState<Schedule | null>(null);
   const [countdownTime, setCountdownTime] = useState<string>('');
+  const [formError, setFormError] = useState<string | null>(null);
   
   // Form state
   const [formData, setFormData] = useState({
@@ -71,6 +98,11 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
     specific_times: ['09:00', '14:00', '20:00'],
     days_of_week: [1, 2, 3, 4, 5], // Monday to Friday
     timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    misfire_policy: 'run_once',
+    backoff_base_seconds: 300,
+    backoff_max_seconds: 21600,
+    pause_after_failures: 5,
+    circuit_key: '',
     enabled: true,
     notification_settings: {
       email_enabled: false,
@@ -143,9 +175,13 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
         setEditingSchedule(null);
         resetForm();
         onScheduleUpdate?.();
+      } else {
+        const details = (result.details || []).map((detail: { message: string }) => detail.message);
+        setFormError([result.error || 'Failed to save schedule', ...details].join(': '));
       }
     } catch (error) {
       console.error('Error saving schedule:', error);
+      setFormError('Failed to save schedule');
     }
   };
 
@@ -208,6 +244,7 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
 
   // Reset form
   const resetForm = () => {
+    setFormError(null);
     setFormData({
       name: '',
       frequency: '1hour',
@@ -215,6 +252,11 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
       specific_times: ['09:00', '14:00', '20:00'],
       days_of_week: [1, 2, 3, 4, 5],
       timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      misfire_policy: 'run_once',
+      backoff_base_seconds: 300,
+      backoff_max_seconds: 21600,
+      pause_after_failures: 5,
+      circuit_key: '',
       enabled: true,
       notification_settings: {
         email_enabled: false,
@@ -230,6 +272,7 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
   // Load schedule for editing
   const editSchedule = (schedule: Schedule) => {
     setEditingSchedule(schedule);
+    setFormError(null);
     setFormData({
       name: schedule.name,
       frequency: schedule.frequency,
@@ -237,6 +280,11 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
       specific_times: schedule.specific_times || ['09:00', '14:00', '20:00'],
       days_of_week: schedule.days_of_week || [1, 2, 3, 4, 5],
       timezone: schedule.timezone,
+      misfire_policy: schedule.misfire_policy || 'run_once',
+      backoff_base_seconds: schedule.backoff_base_seconds ?? 300,
+      backoff_max_seconds: schedule.backoff_max_seconds ?? 21600,
+      pause_after_failures: schedule.pause_after_failures ?? 5,
+      circuit_key: schedule.circuit_key || '',
       enabled: schedule.enabled,
       notification_settings: schedule.notification_settings || {
         email_enabled: false,
@@ -260,6 +308,28 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
     return () => clearInterval(interval);
   }, [schedules]);
 
+  // Preview of the next runs for the schedule being edited
+  const timingErrors = validateScheduleTiming(formData);
+  const upcomingRuns = timingErrors.length === 0 ? upcomingScheduleRuns(formData, 5) : [];
+  const cronError = formData.frequency === 'custom' && formData.custom_cron
+    ? validateCron(formData.custom_cron)
+    : null;
+  const formatRunTime = (date: Date) => {
+    try {
+      return date.toLocaleString('en-US', {
+        timeZone: formData.timezone,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZoneName: 'short'
+      });
+    } catch {
+      return date.toLocaleString();
+    }
+  };
+
   if (isLoading) {
     return <div className="p-8 text-center">Loading schedules...</div>;
   }
@@ -324,7 +394,10 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
                     <div className="mt-2 text-sm text-gray-600">
                       <span className="inline-flex items-center mr-4">
                         <Clock className="w-4 h-4 mr-1" />
-                        {FREQUENCY_OPTIONS.find(f => f.value === schedule.frequency)?.label}
+                        {schedule.frequency === 'custom' && schedule.custom_cron
+                          ? `Cron: ${schedule.custom_cron}`
+                          : FREQUENCY_OPTIONS.find(f => f.value === schedule.frequency)?.label}
+                        {schedule.timezone && ` (${schedule.timezone})`}
                       </span>
                       
                       {schedule.next_run && (
@@ -337,8 +410,49 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
                       <span className="inline-flex items-center">
                         <BarChart3 className="w-4 h-4 mr-1" />
                         Success: {schedule.success_count} | Failed: {schedule.failure_count}
+                        {(schedule.consecutive_failures || 0) > 0 && ` (${schedule.consecutive_failures} in a row)`}
                       </span>
                     </div>
+                    
+                    {!schedule.enabled && schedule.paused_reason && (
+                      <div className="mt-3 flex items-start justify-between rounded-lg bg-yellow-50 p-3 text-sm text-yellow-800">
+                        <div className="flex items-start">
+                          <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                          <div>
+                            <div>{schedule.paused_reason}</div>
+                            {schedule.paused_at && (
+                              <div className="text-xs text-yellow-700 mt-1">
+                                Since {new Date(schedule.paused_at).toLocaleString()}
+                              </div>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => toggleSchedule(schedule.schedule_id, true)}
+                          className="ml-4 px-3 py-1 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 text-xs flex-shrink-0"
+                        >
+                          Resume
+                        </button>
+                      </div>
+                    )}
+                    
+                    {schedule.enabled && schedule.backoff_until && new Date(schedule.backoff_until) > new Date() && (
+                      <div className="mt-3 rounded-lg bg-orange-50 p-3 text-sm text-orange-800">
+                        Backing off after {schedule.consecutive_failures} failures until{' '}
+                        {new Date(schedule.backoff_until).toLocaleString()}
+                      </div>
+                    )}
+                    
+                    {schedule.circuit && schedule.circuit.state !== 'closed' && (
+                      <div className="mt-3 rounded-lg bg-red-50 p-3 text-sm text-red-800">
+                        Circuit &quot;{schedule.circuit.circuit_key}&quot; is {schedule.circuit.state === 'open' ? 'open' : 'testing a trial run'}
+                        {schedule.circuit.open_until && schedule.circuit.state === 'open' &&
+                          ` until ${new Date(schedule.circuit.open_until).toLocaleString()}`}
+                        {schedule.circuit.last_error && (
+                          <div className="text-xs mt-1">Last error: {schedule.circuit.last_error}</div>
+                        )}
+                      </div>
+                    )}
                   </div>
                   
                   <div className="flex items-center space-x-2">
@@ -432,17 +546,40 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
                     placeholder="0 9,14,20 * * *"
                   />
-                  <p className="mt-1 text-sm text-gray-500">
-                    Example: "0 9,14,20 * * *" runs at 9 AM, 2 PM, and 8 PM daily
-                  </p>
+                  {cronError ? (
+                    <p className="mt-1 text-sm text-red-600">{cronError}</p>
+                  ) : (
+                    <p className="mt-1 text-sm text-gray-500">
+                      Example: "0 9,14,20 * * *" runs at 9 AM, 2 PM, and 8 PM daily
+                    </p>
+                  )}
                 </div>
               )}
               
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Timezone
+                </label>
+                <input
+                  type="text"
+                  value={formData.timezone}
+                  onChange={(e) => setFormData({ ...formData, timezone: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="e.g., Asia/Seoul"
+                />
+                <p className="mt-1 text-sm text-gray-500">
+                  IANA timezone name. Times and days are evaluated in this timezone, including DST changes.
+                </p>
+              </div>
+              
               {/* Specific Times */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Specific Times (optional)
                 </label>
+                <p className="mb-2 text-sm text-gray-500">
+                  Used with "Every 24 hours": one run at each time. Custom schedules use their cron expression instead.
+                </p>
                 <div className="space-y-2">
                   {formData.specific_times.map((time, index) => (
                     <div key={index} className="flex items-center space-x-2">
@@ -486,6 +623,9 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Days of Week
                 </label>
+                <p className="mb-2 text-sm text-gray-500">
+                  Runs only on the selected days (none selected means every day). Not used by custom schedules.
+                </p>
                 <div className="flex space-x-2">
                   {DAYS_OF_WEEK.map(day => (
                     <label key={day.value} className="flex items-center">
@@ -513,6 +653,99 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
                 </div>
               </div>
               
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Missed Runs
+                </label>
+                <select
+                  value={formData.misfire_policy}
+                  onChange={(e) => setFormData({ ...formData, misfire_policy: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {MISFIRE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <p className="mt-1 text-sm text-gray-500">
+                  Applied on startup to runs missed while the server was down. Skipped runs are recorded in the history.
+                </p>
+              </div>
+              
+              {/* Failure Handling */}
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Failure Handling</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <label className="block text-sm text-gray-600">
+                    Backoff after first failure (minutes, 0 = off)
+                    <input
+                      type="number"
+                      min={0}
+                      value={Math.round(formData.backoff_base_seconds / 60)}
+                      onChange={(e) => setFormData({ ...formData, backoff_base_seconds: Math.max(parseInt(e.target.value) || 0, 0) * 60 })}
+                      className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                  <label className="block text-sm text-gray-600">
+                    Maximum backoff (minutes)
+                    <input
+                      type="number"
+                      min={0}
+                      value={Math.round(formData.backoff_max_seconds / 60)}
+                      onChange={(e) => setFormData({ ...formData, backoff_max_seconds: Math.max(parseInt(e.target.value) || 0, 0) * 60 })}
+                      className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                  <label className="block text-sm text-gray-600">
+                    Pause after consecutive failures (0 = never)
+                    <input
+                      type="number"
+                      min={0}
+                      value={formData.pause_after_failures}
+                      onChange={(e) => setFormData({ ...formData, pause_after_failures: Math.max(parseInt(e.target.value) || 0, 0) })}
+                      className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                  <label className="block text-sm text-gray-600">
+                    Circuit breaker group (optional)
+                    <input
+                      type="text"
+                      value={formData.circuit_key}
+                      onChange={(e) => setFormData({ ...formData, circuit_key: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="e.g., flippa"
+                    />
+                  </label>
+                </div>
+                <p className="mt-1 text-sm text-gray-500">
+                  The delay doubles with each failure. Schedules in the same circuit breaker group stop together when their shared target keeps failing.
+                </p>
+              </div>
+              
+              {/* Upcoming Runs Preview */}
+              <div className="bg-gray-50 rounded-lg p-4">
+                <h4 className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                  <Calendar className="w-4 h-4 mr-1" />
+                  Upcoming Runs
+                </h4>
+                {timingErrors.length > 0 ? (
+                  <ul className="text-sm text-red-600 space-y-1">
+                    {timingErrors.map(error => (
+                      <li key={error.field}>{error.message}</li>
+                    ))}
+                  </ul>
+                ) : upcomingRuns.length === 0 ? (
+                  <p className="text-sm text-gray-500">This schedule never runs</p>
+                ) : (
+                  <ol className="text-sm text-gray-700 space-y-1 font-mono">
+                    {upcomingRuns.map(run => (
+                      <li key={run.toISOString()}>{formatRunTime(run)}</li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+              
               {/* Notification Settings */}
               <div className="border-t pt-6">
                 <h4 className="text-lg font-medium mb-4">Notification Settings</h4>
@@ -614,6 +847,10 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
               </div>
             </div>
             
+            {formError && (
+              <div className="px-6 pb-2 text-sm text-red-600">{formError}</div>
+            )}
+            
             <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
               <button
                 onClick={() => {
@@ -627,7 +864,8 @@ export default function ScheduleManager({ onScheduleUpdate }: ScheduleManagerPro
               </button>
               <button
                 onClick={saveSchedule}
-                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                disabled={timingErrors.length > 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
               >
                 {editingSchedule ? 'Update Schedule' : 'Create Schedule'}
               </button>
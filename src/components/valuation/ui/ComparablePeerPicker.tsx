@@ -0,0 +1,268 @@
+'use client'
+
+import { useState } from 'react'
+import { Search, Plus } from 'lucide-react'
+import { ValuationEngine, ComparablePeer, ValuationEngineInput, MIN_COMPARABLE_PEERS } from '@/lib/valuation/engine'
+import { formatMultiple, formatKoreanWon } from '@/lib/valuation/utils'
+import { ComparablesList, ComparableCompany } from './ComparablesList'
+
+interface ComparablePeerPickerProps {
+  industry: string
+  monthlyRevenue: number
+  monthlyProfit: number
+  growthRate?: number
+  businessAge?: number
+  peers: ComparablePeer[]
+  onChange: (peers: ComparablePeer[]) => void
+  error?: string
+  // Currency of the form's amounts; listings are converted to it
+  currency?: 'KRW' | 'USD'
+}
+
+const EMPTY_MANUAL_PEER = { title: '', askingPrice: '', monthlyRevenue: '', monthlyProfit: '' }
+
+// Flippa monetization models; matched against listings by the similarity engine
+const MONETIZATION_OPTIONS = [
+  { value: '', label: '수익 모델 (선택)' },
+  { value: 'Subscription', label: '구독' },
+  { value: 'Advertising', label: '광고' },
+  { value: 'Affiliate', label: '제휴 마케팅' },
+  { value: 'Ecommerce', label: '이커머스' },
+  { value: 'Services', label: '서비스' }
+]
+
+const toCompany = (peer: ComparablePeer): ComparableCompany => ({
+  id: peer.id,
+  title: peer.title,
+  askingPrice: peer.askingPrice,
+  monthlyRevenue: peer.monthlyRevenue,
+  monthlyProfit: peer.monthlyProfit,
+  profitMultiple: peer.profitMultiple,
+  revenueMultiple: peer.revenueMultiple,
+  businessType: peer.source === 'manual' ? '직접 입력' : undefined
+})
+
+const toPeer = (company: ComparableCompany, currency: 'KRW' | 'USD'): ComparablePeer => ({
+  id: company.id,
+  title: company.title,
+  source: 'listing',
+  askingPrice: company.askingPrice,
+  monthlyRevenue: company.monthlyRevenue,
+  monthlyProfit: company.monthlyProfit,
+  profitMultiple: company.profitMultiple,
+  revenueMultiple: company.revenueMultiple,
+  currency
+})
+
+export function ComparablePeerPicker({
+  industry,
+  monthlyRevenue,
+  monthlyProfit,
+  growthRate,
+  businessAge,
+  peers,
+  onChange,
+  error,
+  currency = 'KRW'
+}: ComparablePeerPickerProps) {
+  const [candidates, setCandidates] = useState<ComparableCompany[]>([])
+  const [isSearching, setIsSearching] = useState(false)
+  const [manualPeer, setManualPeer] = useState(EMPTY_MANUAL_PEER)
+  const [monetizationModel, setMonetizationModel] = useState('')
+  const [hideOutliers, setHideOutliers] = useState(true)
+  const [excludedIds, setExcludedIds] = useState<(number | string)[]>([])
+
+  const searchListings = async () => {
+    if (!industry) return
+    setIsSearching(true)
+    try {
+      const response = await fetch('/api/valuation/comparables', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          industry,
+          monthlyRevenue,
+          monthlyProfit,
+          businessAge,
+          monetizationModel: monetizationModel || undefined,
+          currency,
+          limit: 20
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setCandidates(data.comparables)
+        setExcludedIds([])
+      } else {
+        console.error('Failed to rank comparable listings:', data.error)
+      }
+    } catch (error) {
+      console.error('Failed to search comparable listings:', error)
+    } finally {
+      setIsSearching(false)
+    }
+  }
+
+  const togglePeer = (company: ComparableCompany) => {
+    if (peers.some(peer => peer.id === company.id)) {
+      onChange(peers.filter(peer => peer.id !== company.id))
+      return
+    }
+    if (candidates.some(candidate => candidate.id === company.id)) onChange([...peers, toPeer(company, currency)])
+  }
+
+  const excludeCandidate = (company: ComparableCompany) => {
+    if (company.id === undefined) return
+    setExcludedIds(prev => [...prev, company.id!])
+    if (peers.some(peer => peer.id === company.id)) {
+      onChange(peers.filter(peer => peer.id !== company.id))
+    }
+  }
+
+  const addManualPeer = () => {
+    if (!manualPeer.title.trim()) return
+    const toNumber = (value: string) => value ? Number(value) : undefined
+    onChange([...peers, {
+      id: `manual-${Date.now()}`,
+      title: manualPeer.title.trim(),
+      source: 'manual',
+      askingPrice: toNumber(manualPeer.askingPrice),
+      monthlyRevenue: toNumber(manualPeer.monthlyRevenue),
+      monthlyProfit: toNumber(manualPeer.monthlyProfit),
+      currency
+    }])
+    setManualPeer(EMPTY_MANUAL_PEER)
+  }
+
+  // Selected peers first (keeping their match details), then ranked results not selected yet
+  const outlierCount = candidates.filter(candidate => candidate.isOutlier).length
+  const rows = [
+    ...peers.map(peer => candidates.find(candidate => candidate.id === peer.id) || toCompany(peer)),
+    ...candidates.filter(candidate =>
+      !peers.some(peer => peer.id === candidate.id) &&
+      !(candidate.id !== undefined && excludedIds.includes(candidate.id)) &&
+      !(hideOutliers && candidate.isOutlier)
+    )
+  ]
+
+  // Live preview of the comparable method as peers are toggled
+  const preview = peers.length >= MIN_COMPARABLE_PEERS
+    ? ValuationEngine.calculateComparable(ValuationEngine.buildComparableParameters({
+        monthlyRevenue,
+        monthlyProfit,
+        growthRate,
+        comparablePeers: peers
+      } as ValuationEngineInput))
+    : null
+  const previewValue = preview
+    ? (preview.metric === 'profit' ? monthlyProfit : monthlyRevenue) * 12 * preview.appliedMultiple
+    : 0
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          type="button"
+          onClick={searchListings}
+          disabled={!industry || isSearching}
+          className="inline-flex items-center justify-center px-4 py-2 border border-medium-gray-border rounded-lg text-body-small text-medium-black hover:bg-medium-gray-light disabled:opacity-50"
+        >
+          <Search className="w-4 h-4 mr-2" />
+          {isSearching ? '검색 중...' : '유사 매물 추천받기'}
+        </button>
+        <select
+          value={monetizationModel}
+          onChange={(e) => setMonetizationModel(e.target.value)}
+          className="px-3 py-2 border border-medium-gray-border rounded-lg text-body-small"
+        >
+          {MONETIZATION_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {outlierCount > 0 && (
+          <label className="inline-flex items-center text-body-small text-medium-black-secondary self-center">
+            <input
+              type="checkbox"
+              checked={hideOutliers}
+              onChange={(e) => setHideOutliers(e.target.checked)}
+              className="mr-2"
+            />
+            멀티플 이상치 {outlierCount}개 제외
+          </label>
+        )}
+        {!industry && (
+          <p className="text-caption text-medium-black-tertiary self-center">업종을 먼저 선택해주세요</p>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <ComparablesList
+          comparables={rows}
+          selectable
+          selectedIds={peers.map(peer => peer.id!).filter(id => id !== undefined)}
+          onToggle={togglePeer}
+          onExclude={excludeCandidate}
+          currency={currency}
+        />
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <input
+          type="text"
+          value={manualPeer.title}
+          onChange={(e) => setManualPeer(prev => ({ ...prev, title: e.target.value }))}
+          placeholder="비교 기업명"
+          className="col-span-2 md:col-span-1 px-3 py-2 border border-medium-gray-border rounded-lg text-body-small"
+        />
+        <input
+          type="number"
+          value={manualPeer.askingPrice}
+          onChange={(e) => setManualPeer(prev => ({ ...prev, askingPrice: e.target.value }))}
+          placeholder="매각가"
+          className="px-3 py-2 border border-medium-gray-border rounded-lg text-body-small"
+        />
+        <input
+          type="number"
+          value={manualPeer.monthlyRevenue}
+          onChange={(e) => setManualPeer(prev => ({ ...prev, monthlyRevenue: e.target.value }))}
+          placeholder="월 매출"
+          className="px-3 py-2 border border-medium-gray-border rounded-lg text-body-small"
+        />
+        <input
+          type="number"
+          value={manualPeer.monthlyProfit}
+          onChange={(e) => setManualPeer(prev => ({ ...prev, monthlyProfit: e.target.value }))}
+          placeholder="월 순이익"
+          className="px-3 py-2 border border-medium-gray-border rounded-lg text-body-small"
+        />
+        <button
+          type="button"
+          onClick={addManualPeer}
+          disabled={!manualPeer.title.trim() || !manualPeer.askingPrice}
+          className="inline-flex items-center justify-center px-3 py-2 bg-medium-gray-light rounded-lg text-body-small text-medium-black hover:bg-medium-gray disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          직접 추가
+        </button>
+      </div>
+
+      {error && <p className="text-caption text-red-600">{error}</p>}
+
+      {preview ? (
+        <div className="bg-medium-gray-light rounded-lg p-4 text-body-small text-medium-black-secondary space-y-1">
+          <p>
+            비교 기업 {preview.peerCount}개 · {preview.metric === 'profit' ? '순이익' : '매출'} 멀티플 중간값 {formatMultiple(preview.medianMultiple)},
+            절사평균 {formatMultiple(preview.trimmedMeanMultiple)}, 규모 보정 {((preview.sizeAdjustment - 1) * 100).toFixed(0)}%
+          </p>
+          <p className="font-medium text-medium-black">
+            적용 멀티플 {formatMultiple(preview.appliedMultiple)} → 비교 기업 기준 {formatKoreanWon(previewValue)}
+          </p>
+        </div>
+      ) : peers.length > 0 && (
+        <p className="text-caption text-medium-black-tertiary">
+          비교 평가에는 멀티플을 계산할 수 있는 기업이 {MIN_COMPARABLE_PEERS}개 이상 필요합니다
+        </p>
+      )}
+    </div>
+  )
+}
@@ -1,10 +1,10 @@
 'use client'
 
 import { formatCurrency, formatMultiple } from '@/lib/valuation/utils'
-import { ExternalLink, TrendingUp } from 'lucide-react'
+import { AlertTriangle, ExternalLink, TrendingUp, X } from 'lucide-react'
 
-interface ComparableCompany {
-  id?: number
+export interface ComparableCompany {
+  id?: number | string
   title: string
   url?: string
   askingPrice?: number
@@ -13,16 +13,41 @@ interface ComparableCompany {
   profitMultiple?: number
   revenueMultiple?: number
   businessType?: string
+  // Lifecycle state of the listing (active, unseen, sold, ...)
   listingStatus?: string
+  // Final price, for listings confirmed sold
+  soldPrice?: number
   listingDate?: string
+  // Set when ranked by the similarity engine
+  similarityScore?: number
+  matchReasons?: string[]
+  isOutlier?: boolean
 }
 
 interface ComparablesListProps {
   comparables: ComparableCompany[]
   className?: string
+  // Amounts are USD unless the caller converted them (see /api/valuation/comparables)
+  currency?: 'USD' | 'KRW'
+  // Selectable mode: peers are toggled in and out of the comparable valuation
+  selectable?: boolean
+  selectedIds?: (number | string)[]
+  onToggle?: (company: ComparableCompany) => void
+  // Shows a per-row button to drop a listing (e.g. an outlier) from the list
+  onExclude?: (company: ComparableCompany) => void
 }
 
-export function ComparablesList({ comparables, className = '' }: ComparablesListProps) {
+export function ComparablesList({ 
+  comparables, 
+  className = '',
+  currency = 'USD',
+  selectable = false,
+  selectedIds = [],
+  onToggle,
+  onExclude
+}: ComparablesListProps) {
+  const showScore = comparables.some(company => company.similarityScore !== undefined)
+
   if (comparables.length === 0) {
     return (
       <div className={`bg-white border border-medium-gray-border rounded-lg p-8 text-center ${className}`}>
@@ -50,6 +75,11 @@ export function ComparablesList({ comparables, className = '' }: ComparablesList
         <table className="w-full">
           <thead>
             <tr className="border-b border-medium-gray-border">
+              {selectable && (
+                <th className="pl-6 py-3 w-8">
+                  <span className="sr-only">선택</span>
+                </th>
+              )}
               <th className="px-6 py-3 text-left text-caption font-medium text-medium-black-secondary">
                 기업명
               </th>
@@ -68,21 +98,61 @@ export function ComparablesList({ comparables, className = '' }: ComparablesList
               <th className="px-6 py-3 text-right text-caption font-medium text-medium-black-secondary">
                 P/S
               </th>
+              {showScore && (
+                <th className="px-6 py-3 text-right text-caption font-medium text-medium-black-secondary">
+                  유사도
+                </th>
+              )}
+              {onExclude && (
+                <th className="pr-6 py-3 w-8">
+                  <span className="sr-only">제외</span>
+                </th>
+              )}
             </tr>
           </thead>
           <tbody className="divide-y divide-medium-gray-border">
             {comparables.map((company, index) => (
-              <tr key={company.id || index} className="hover:bg-medium-gray-light transition-colors duration-200">
+              <tr 
+                key={company.id || index} 
+                onClick={selectable ? () => onToggle?.(company) : undefined}
+                className={`hover:bg-medium-gray-light transition-colors duration-200 ${selectable ? 'cursor-pointer' : ''}`}
+              >
+                {selectable && (
+                  <td className="pl-6 py-4">
+                    <input
+                      type="checkbox"
+                      checked={company.id !== undefined && selectedIds.includes(company.id)}
+                      onChange={() => onToggle?.(company)}
+                      onClick={(e) => e.stopPropagation()}
+                      aria-label={`${company.title} 선택`}
+                    />
+                  </td>
+                )}
                 <td className="px-6 py-4">
                   <div className="flex items-center">
                     <span className="text-body-small text-medium-black truncate max-w-xs">
                       {company.title}
                     </span>
+                    {company.listingStatus === 'sold' && (
+                      <span
+                        className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full bg-green-50 text-caption text-green-700"
+                        title={company.soldPrice ? `매각가 ${formatCurrency(company.soldPrice, currency)}` : undefined}
+                      >
+                        매각
+                      </span>
+                    )}
+                    {company.isOutlier && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full bg-yellow-50 text-caption text-yellow-700">
+                        <AlertTriangle className="w-3 h-3 mr-1" />
+                        이상치
+                      </span>
+                    )}
                     {company.url && (
                       <a 
                         href={company.url} 
                         target="_blank" 
                         rel="noopener noreferrer"
+                        onClick={(e) => e.stopPropagation()}
                         className="ml-2 text-medium-black-tertiary hover:text-medium-green"
                       >
                         <ExternalLink className="w-4 h-4" />
@@ -94,20 +164,25 @@ export function ComparablesList({ comparables, className = '' }: ComparablesList
                       {company.businessType}
                     </p>
                   )}
+                  {company.matchReasons && company.matchReasons.length > 0 && (
+                    <p className="text-caption text-medium-black-tertiary mt-1">
+                      비교 대상인 이유: {company.matchReasons.join(' · ')}
+                    </p>
+                  )}
                 </td>
                 <td className="px-6 py-4 text-right">
                   <span className="text-body-small font-medium text-medium-black">
-                    {company.askingPrice ? formatCurrency(company.askingPrice) : '-'}
+                    {company.askingPrice ? formatCurrency(company.askingPrice, currency) : '-'}
                   </span>
                 </td>
                 <td className="px-6 py-4 text-right">
                   <span className="text-body-small text-medium-black">
-                    {company.monthlyRevenue ? formatCurrency(company.monthlyRevenue) : '-'}
+                    {company.monthlyRevenue ? formatCurrency(company.monthlyRevenue, currency) : '-'}
                   </span>
                 </td>
                 <td className="px-6 py-4 text-right">
                   <span className="text-body-small text-medium-black">
-                    {company.monthlyProfit ? formatCurrency(company.monthlyProfit) : '-'}
+                    {company.monthlyProfit ? formatCurrency(company.monthlyProfit, currency) : '-'}
                   </span>
                 </td>
                 <td className="px-6 py-4 text-right">
@@ -120,6 +195,28 @@ export function ComparablesList({ comparables, className = '' }: ComparablesList
                     {company.revenueMultiple ? formatMultiple(company.revenueMultiple) : '-'}
                   </span>
                 </td>
+                {showScore && (
+                  <td className="px-6 py-4 text-right">
+                    <span className="text-body-small font-medium text-medium-black">
+                      {company.similarityScore !== undefined ? `${company.similarityScore}점` : '-'}
+                    </span>
+                  </td>
+                )}
+                {onExclude && (
+                  <td className="pr-6 py-4">
+                    <button
+                      type="button"
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        onExclude(company)
+                      }}
+                      className="text-medium-black-tertiary hover:text-red-600"
+                      aria-label={`${company.title} 제외`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </td>
+                )}
               </tr>
             ))}
           </tbody>
@@ -129,7 +226,9 @@ export function ComparablesList({ comparables, className = '' }: ComparablesList
       {comparables.length > 0 && (
         <div className="px-6 py-3 bg-medium-gray-light text-center">
           <p className="text-caption text-medium-black-tertiary">
-            * 실제 거래 사례를 기반으로 한 참고 자료입니다
+            {selectable 
+              ? `* ${selectedIds.length}개 기업을 비교 대상으로 선택했습니다`
+              : '* 실제 거래 사례를 기반으로 한 참고 자료입니다'}
           </p>
         </div>
       )}
@@ -0,0 +1,247 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts'
+import { SlidersHorizontal, Save } from 'lucide-react'
+import { formatCurrency, formatKoreanWon } from '@/lib/valuation/utils'
+import { SENSITIVITY_VARIABLES, SensitivityVariable, SensitivityTable, TornadoBar } from '@/lib/valuation/sensitivity'
+import { useToast } from '@/components/ui/Toast'
+import type { ValuationScenario } from '@/types'
+
+interface SensitivityAnalysisProps {
+  inputData: Record<string, any>
+  currency: string
+  // Saved valuation id; enables saving scenarios onto it
+  valuationId?: string
+  // /api/valuation/calculate run the analysis sweeps
+  usageId?: string
+}
+
+interface SensitivityResponse {
+  baseValue: number
+  table: SensitivityTable
+  tornado: TornadoBar[]
+  scenarios: ValuationScenario[]
+}
+
+const VARIABLE_OPTIONS = Object.keys(SENSITIVITY_VARIABLES) as SensitivityVariable[]
+
+export function SensitivityAnalysis({ inputData, currency, valuationId, usageId }: SensitivityAnalysisProps) {
+  const { addToast } = useToast()
+  const [xVariable, setXVariable] = useState<SensitivityVariable>('growthRate')
+  const [yVariable, setYVariable] = useState<SensitivityVariable>('profitMargin')
+  const [analysis, setAnalysis] = useState<SensitivityResponse | null>(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const format = (amount: number) => currency === 'KRW'
+    ? formatKoreanWon(amount)
+    : formatCurrency(amount, currency as 'USD')
+
+  useEffect(() => {
+    const fetchAnalysis = async () => {
+      setIsLoading(true)
+      try {
+        const response = await fetch('/api/valuation/sensitivity', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            usageId,
+            valuationId,
+            input: inputData,
+            x: { variable: xVariable },
+            y: { variable: yVariable }
+          })
+        })
+        const data = await response.json()
+        if (data.success) {
+          setAnalysis(data)
+        } else {
+          console.error('Sensitivity analysis failed:', data.error)
+        }
+      } catch (error) {
+        console.error('Sensitivity analysis error:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    fetchAnalysis()
+  }, [inputData, usageId, valuationId, xVariable, yVariable])
+
+  const handleSaveScenarios = async () => {
+    if (!valuationId || !analysis) return
+    setIsSaving(true)
+    try {
+      const response = await fetch('/api/valuation/save', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: valuationId, scenarios: analysis.scenarios })
+      })
+      const data = await response.json()
+      addToast(data.success
+        ? { type: 'success', title: '시나리오 저장 완료', description: '비관/기본/낙관 시나리오가 저장되었습니다' }
+        : { type: 'error', title: '저장 실패', description: data.message })
+    } catch (error) {
+      console.error('Failed to save scenarios:', error)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const tornadoData = analysis?.tornado.map(bar => ({
+    label: bar.label,
+    low: bar.lowValue - analysis.baseValue,
+    high: bar.highValue - analysis.baseValue,
+    range: `${bar.lowInput}${SENSITIVITY_VARIABLES[bar.variable].unit} ~ ${bar.highInput}${SENSITIVITY_VARIABLES[bar.variable].unit}`
+  })) || []
+
+  const axisLabel = (variable: SensitivityVariable, value: number) =>
+    `${value}${SENSITIVITY_VARIABLES[variable].unit}`
+
+  return (
+    <div className="bg-white border border-medium-gray-border rounded-lg p-6 space-y-8">
+      <h3 className="text-heading-4 font-serif text-medium-black flex items-center">
+        <SlidersHorizontal className="w-5 h-5 mr-2 text-medium-black-secondary" />
+        민감도 분석
+      </h3>
+
+      {isLoading && !analysis && (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-2 border-medium-green border-t-transparent" />
+        </div>
+      )}
+
+      {analysis && (
+        <>
+          {/* Scenarios */}
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h4 className="text-body font-medium text-medium-black">시나리오</h4>
+              {valuationId && (
+                <button
+                  onClick={handleSaveScenarios}
+                  disabled={isSaving}
+                  className="inline-flex items-center text-body-small text-medium-green hover:underline disabled:opacity-50"
+                >
+                  <Save className="w-4 h-4 mr-1" />
+                  시나리오 저장
+                </button>
+              )}
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              {analysis.scenarios.map(scenario => (
+                <div key={scenario.name} className="p-4 bg-medium-gray-light rounded-lg text-center">
+                  <p className="text-body-small text-medium-black-secondary mb-1">{scenario.label}</p>
+                  <p className="text-heading-4 font-serif text-medium-black">
+                    {scenario.estimatedValue !== undefined ? format(scenario.estimatedValue) : '-'}
+                  </p>
+                  <p className="text-caption text-medium-black-tertiary mt-1">
+                    {Object.keys(scenario.overrides).length === 0
+                      ? '현재 입력값'
+                      : (Object.keys(scenario.overrides) as SensitivityVariable[])
+                          .map(key => `${SENSITIVITY_VARIABLES[key].label} ${scenario.overrides[key]}${SENSITIVITY_VARIABLES[key].unit}`)
+                          .join(' · ')}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Tornado chart */}
+          <div>
+            <h4 className="text-body font-medium text-medium-black mb-4">변수별 영향도</h4>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ left: 24 }}>
+                  <XAxis type="number" tickFormatter={(value: number) => format(value)} />
+                  <YAxis type="category" dataKey="label" width={80} />
+                  <Tooltip
+                    formatter={(value) => format(Number(value))}
+                    labelFormatter={(label) => {
+                      const row = tornadoData.find(d => d.label === label)
+                      return row ? `${label} (${row.range})` : label
+                    }}
+                  />
+                  <ReferenceLine x={0} stroke="#242424" />
+                  <Bar dataKey="low" name="하향" stackId="swing" fill="#e5484d" />
+                  <Bar dataKey="high" name="상향" stackId="swing" fill="#1a8917" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* Two-way table */}
+          <div>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-4">
+              <h4 className="text-body font-medium text-medium-black flex-1">2차원 민감도 표</h4>
+              <select
+                value={yVariable}
+                onChange={(e) => setYVariable(e.target.value as SensitivityVariable)}
+                className="px-3 py-2 border border-medium-gray-border rounded-lg text-body-small"
+              >
+                {VARIABLE_OPTIONS.filter(v => v !== xVariable).map(v => (
+                  <option key={v} value={v}>행: {SENSITIVITY_VARIABLES[v].label}</option>
+                ))}
+              </select>
+              <select
+                value={xVariable}
+                onChange={(e) => setXVariable(e.target.value as SensitivityVariable)}
+                className="px-3 py-2 border border-medium-gray-border rounded-lg text-body-small"
+              >
+                {VARIABLE_OPTIONS.filter(v => v !== yVariable).map(v => (
+                  <option key={v} value={v}>열: {SENSITIVITY_VARIABLES[v].label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-body-small">
+                <thead>
+                  <tr className="border-b border-medium-gray-border">
+                    <th className="px-3 py-2 text-left text-caption text-medium-black-tertiary">
+                      {analysis.table.y ? SENSITIVITY_VARIABLES[analysis.table.y.variable].label : ''} \ {SENSITIVITY_VARIABLES[analysis.table.x.variable].label}
+                    </th>
+                    {analysis.table.x.values.map(value => (
+                      <th key={value} className="px-3 py-2 text-right font-medium text-medium-black-secondary">
+                        {axisLabel(analysis.table.x.variable, value)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {analysis.table.values.map((row, rowIndex) => (
+                    <tr key={rowIndex} className="border-b border-medium-gray-border last:border-0">
+                      <th className="px-3 py-2 text-left font-medium text-medium-black-secondary">
+                        {analysis.table.y ? axisLabel(analysis.table.y.variable, analysis.table.y.values[rowIndex]) : '-'}
+                      </th>
+                      {row.map((value, colIndex) => (
+                        <td
+                          key={colIndex}
+                          className={`px-3 py-2 text-right ${
+                            value === null ? 'text-medium-black-tertiary' :
+                            value >= analysis.baseValue ? 'text-medium-green' : 'text-red-500'
+                          }`}
+                        >
+                          {value === null ? 'N/A' : format(value)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -1,10 +1,13 @@
 'use client'
 
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
 import { Calculator, Building2, TrendingUp, DollarSign } from 'lucide-react'
 import { INDUSTRY_OPTIONS, formatKoreanWon } from '@/lib/valuation/utils'
 import { validateValuationInput, ValidationError, getFieldError } from '@/lib/valuation/validation'
 import { useToast } from '@/components/ui/Toast'
+import type { ComparablePeer, ValuationMode } from '@/lib/valuation/engine'
+import { ComparablePeerPicker } from './ComparablePeerPicker'
 
 interface ValuationFormData {
   companyName: string
@@ -17,6 +20,28 @@ interface ValuationFormData {
   discountRate?: number
   terminalGrowthRate?: number
   projectionYears?: number
+  cashFlowSchedule?: number[] // annual FCF per year
+  midYearConvention?: boolean
+  terminalValueMethod?: 'gordon' | 'exit_multiple'
+  exitMultiple?: number
+  comparablePeers?: ComparablePeer[]
+  valuationMode?: ValuationMode
+}
+
+const VALUATION_MODE_OPTIONS: { value: ValuationMode; label: string }[] = [
+  { value: 'blended', label: '가중 평균 (권장)' },
+  { value: 'max', label: '최고값' },
+  { value: 'revenue_multiple', label: '매출 멀티플만' },
+  { value: 'profit_multiple', label: '순이익 멀티플만' },
+  { value: 'dcf', label: 'DCF만' },
+  { value: 'comparable', label: '비교 기업만' }
+]
+
+interface ValuationQuotaInfo {
+  limit: number | null
+  used: number
+  remaining: number | null
+  resetsAt: string
 }
 
 interface ValuationFormProps {
@@ -37,14 +62,42 @@ export function ValuationForm({ onSubmit, isLoading = false, initialData }: Valu
     freeCashFlow: initialData?.freeCashFlow,
     discountRate: initialData?.discountRate,
     terminalGrowthRate: initialData?.terminalGrowthRate,
-    projectionYears: initialData?.projectionYears
+    projectionYears: initialData?.projectionYears,
+    cashFlowSchedule: initialData?.cashFlowSchedule,
+    midYearConvention: initialData?.midYearConvention || false,
+    terminalValueMethod: initialData?.terminalValueMethod || 'gordon',
+    exitMultiple: initialData?.exitMultiple,
+    comparablePeers: initialData?.comparablePeers,
+    valuationMode: initialData?.valuationMode || 'blended'
   })
 
   const [validationErrors, setValidationErrors] = useState<ValidationError[]>([])
+  const [quota, setQuota] = useState<ValuationQuotaInfo | null>(null)
+
+  // Show the monthly plan quota before the user submits
+  useEffect(() => {
+    fetch('/api/valuation/quota')
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) setQuota(data.quota)
+      })
+      .catch(error => console.error('Failed to fetch valuation quota:', error))
+  }, [])
+
+  const quotaExhausted = quota?.remaining === 0
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault()
     
+    if (quotaExhausted) {
+      addToast({
+        type: 'error',
+        title: '이용 한도 초과',
+        description: '이번 달 무료 밸류에이션 횟수를 모두 사용하셨습니다'
+      })
+      return
+    }
+    
     const errors = validateValuationInput(formData)
     setValidationErrors(errors)
     
@@ -68,6 +121,24 @@ export function ValuationForm({ onSubmit, isLoading = false, initialData }: Valu
     }
   }
 
+  const updateScheduleYear = (index: number, value: number) => {
+    const schedule = [...(formData.cashFlowSchedule || [])]
+    schedule[index] = value
+    updateField('cashFlowSchedule', schedule)
+  }
+
+  // Switching to an explicit schedule starts from the current monthly FCF, annualized
+  const toggleSchedule = (enabled: boolean) => {
+    const startingCashFlow = (formData.freeCashFlow || 0) * 12
+    updateField('cashFlowSchedule', enabled
+      ? Array.from({ length: formData.projectionYears || 5 }, () => startingCashFlow)
+      : undefined)
+  }
+
+  const fieldErrorText = (field: string) => getFieldError(validationErrors, field) && (
+    <p className="mt-1 text-caption text-red-600">{getFieldError(validationErrors, field)}</p>
+  )
+
   // Calculate basic metrics for preview
   const annualRevenue = formData.monthlyRevenue * 12
   const annualProfit = formData.monthlyProfit * 12
@@ -89,6 +160,25 @@ export function ValuationForm({ onSubmit, isLoading = false, initialData }: Valu
       </div>
       
       <form onSubmit={handleSubmit} className="px-6 py-8 space-y-8">
+        {/* Monthly Quota */}
+        {quota && quota.limit !== null && (
+          <div className={`rounded-lg p-4 border ${
+            quotaExhausted ? 'bg-yellow-50 border-yellow-200' : 'bg-blue-50 border-blue-200'
+          }`}>
+            <p className={`text-body-small ${quotaExhausted ? 'text-yellow-800' : 'text-blue-800'}`}>
+              이번 달 남은 밸류에이션: <strong>{quota.remaining}/{quota.limit}회</strong>
+              <span className="ml-2 text-caption">
+                ({new Date(quota.resetsAt).toLocaleDateString('ko-KR')} 초기화)
+              </span>
+            </p>
+            {quotaExhausted && (
+              <Link href="/membership" className="text-body-small text-yellow-700 underline hover:text-yellow-900">
+                프리미엄으로 업그레이드하여 무제한 이용하기
+              </Link>
+            )}
+          </div>
+        )}
+
         {/* Error Messages */}
         {validationErrors.length > 0 && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4 animate-slide-in">
@@ -258,23 +348,57 @@ export function ValuationForm({ onSubmit, isLoading = false, initialData }: Valu
                 placeholder="12.0"
                 className="w-full px-4 py-3 border border-medium-gray-border rounded-lg text-body text-medium-black placeholder-medium-black-tertiary focus:outline-none focus:border-medium-green transition-colors"
               />
+              {fieldErrorText('discountRate')}
             </div>
             
             <div>
-              <label htmlFor="terminalGrowthRate" className="block text-body-small font-medium text-medium-black mb-2">
-                영구성장률 (%)
+              <label htmlFor="terminalValueMethod" className="block text-body-small font-medium text-medium-black mb-2">
+                잔존가치 산정 방식
               </label>
-              <input
-                id="terminalGrowthRate"
-                type="number"
-                step="0.1"
-                value={formData.terminalGrowthRate || ''}
-                onChange={(e) => updateField('terminalGrowthRate', e.target.value ? Number(e.target.value) : undefined)}
-                placeholder="2.0"
-                className="w-full px-4 py-3 border border-medium-gray-border rounded-lg text-body text-medium-black placeholder-medium-black-tertiary focus:outline-none focus:border-medium-green transition-colors"
-              />
+              <select
+                id="terminalValueMethod"
+                value={formData.terminalValueMethod}
+                onChange={(e) => updateField('terminalValueMethod', e.target.value)}
+                className="w-full px-4 py-3 border border-medium-gray-border rounded-lg text-body text-medium-black focus:outline-none focus:border-medium-green transition-colors"
+              >
+                <option value="gordon">영구성장 (Gordon)</option>
+                <option value="exit_multiple">엑시트 멀티플</option>
+              </select>
             </div>
             
+            {formData.terminalValueMethod === 'exit_multiple' ? (
+              <div>
+                <label htmlFor="exitMultiple" className="block text-body-small font-medium text-medium-black mb-2">
+                  엑시트 멀티플 (배)
+                </label>
+                <input
+                  id="exitMultiple"
+                  type="number"
+                  step="0.1"
+                  value={formData.exitMultiple || ''}
+                  onChange={(e) => updateField('exitMultiple', e.target.value ? Number(e.target.value) : undefined)}
+                  placeholder="8.0"
+                  className="w-full px-4 py-3 border border-medium-gray-border rounded-lg text-body text-medium-black placeholder-medium-black-tertiary focus:outline-none focus:border-medium-green transition-colors"
+                />
+                {fieldErrorText('exitMultiple')}
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="terminalGrowthRate" className="block text-body-small font-medium text-medium-black mb-2">
+                  영구성장률 (%)
+                </label>
+                <input
+                  id="terminalGrowthRate"
+                  type="number"
+                  step="0.1"
+                  value={formData.terminalGrowthRate ?? ''}
+                  onChange={(e) => updateField('terminalGrowthRate', e.target.value ? Number(e.target.value) : undefined)}
+                  placeholder="2.0"
+                  className="w-full px-4 py-3 border border-medium-gray-border rounded-lg text-body text-medium-black placeholder-medium-black-tertiary focus:outline-none focus:border-medium-green transition-colors"
+                />
+              </div>
+            )}
+            
             <div>
               <label htmlFor="projectionYears" className="block text-body-small font-medium text-medium-black mb-2">
                 예측 기간 (년)
@@ -288,6 +412,103 @@ export function ValuationForm({ onSubmit, isLoading = false, initialData }: Valu
                 className="w-full px-4 py-3 border border-medium-gray-border rounded-lg text-body text-medium-black placeholder-medium-black-tertiary focus:outline-none focus:border-medium-green transition-colors"
               />
             </div>
+            
+            <div className="md:col-span-2 space-y-3">
+              <label className="flex items-center text-body-small text-medium-black">
+                <input
+                  type="checkbox"
+                  checked={formData.midYearConvention}
+                  onChange={(e) => updateField('midYearConvention', e.target.checked)}
+                  className="mr-2"
+                />
+                기중 할인 (mid-year convention) 적용
+              </label>
+              <label className="flex items-center text-body-small text-medium-black">
+                <input
+                  type="checkbox"
+                  checked={!!formData.cashFlowSchedule}
+                  onChange={(e) => toggleSchedule(e.target.checked)}
+                  className="mr-2"
+                />
+                연도별 현금흐름 직접 입력 (연간, 원)
+              </label>
+              
+              {formData.cashFlowSchedule && (
+                <div className="space-y-2">
+                  {formData.cashFlowSchedule.map((cashFlow, index) => (
+                    <div key={index} className="flex items-center gap-3">
+                      <span className="w-12 text-body-small text-medium-black-secondary">{index + 1}년차</span>
+                      <input
+                        type="number"
+                        value={cashFlow}
+                        onChange={(e) => updateScheduleYear(index, Number(e.target.value))}
+                        className="flex-1 px-4 py-2 border border-medium-gray-border rounded-lg text-body text-medium-black focus:outline-none focus:border-medium-green transition-colors"
+                      />
+                    </div>
+                  ))}
+                  <div className="flex gap-3">
+                    <button
+                      type="button"
+                      onClick={() => updateField('cashFlowSchedule', [...formData.cashFlowSchedule!, formData.cashFlowSchedule![formData.cashFlowSchedule!.length - 1] || 0])}
+                      disabled={formData.cashFlowSchedule.length >= 20}
+                      className="text-body-small text-medium-green hover:underline disabled:opacity-50"
+                    >
+                      + 연도 추가
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => updateField('cashFlowSchedule', formData.cashFlowSchedule!.slice(0, -1))}
+                      disabled={formData.cashFlowSchedule.length <= 1}
+                      className="text-body-small text-medium-black-secondary hover:underline disabled:opacity-50"
+                    >
+                      마지막 연도 삭제
+                    </button>
+                  </div>
+                  {fieldErrorText('cashFlowSchedule')}
+                </div>
+              )}
+            </div>
+            
+            <div className="md:col-span-2">
+              <label htmlFor="valuationMode" className="block text-body-small font-medium text-medium-black mb-2">
+                평가 방식
+              </label>
+              <select
+                id="valuationMode"
+                value={formData.valuationMode}
+                onChange={(e) => updateField('valuationMode', e.target.value as ValuationMode)}
+                className="w-full px-4 py-3 border border-medium-gray-border rounded-lg text-body text-medium-black focus:outline-none focus:border-medium-green transition-colors"
+              >
+                {VALUATION_MODE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <p className="text-caption text-medium-black-tertiary mt-1">
+                가중 평균은 입력 완성도와 업종 특성에 따라 각 평가 방법의 비중을 정합니다
+              </p>
+            </div>
+          </div>
+        </details>
+
+        {/* Comparable Companies (Optional) */}
+        <details className="group" open={!!formData.comparablePeers?.length}>
+          <summary className="cursor-pointer text-body-small font-medium text-medium-black-secondary hover:text-medium-green transition-colors">
+            비교 기업 선택 (비교 평가법)
+          </summary>
+          
+          <div className="mt-4 pt-4 border-t border-medium-gray-border">
+            <ComparablePeerPicker
+              industry={formData.industry}
+              monthlyRevenue={formData.monthlyRevenue}
+              monthlyProfit={formData.monthlyProfit}
+              growthRate={formData.growthRate}
+              businessAge={formData.businessAge}
+              peers={formData.comparablePeers || []}
+              onChange={(peers) => updateField('comparablePeers', peers.length > 0 ? peers : undefined)}
+              error={getFieldError(validationErrors, 'comparablePeers')}
+            />
           </div>
         </details>
 
@@ -315,7 +536,7 @@ export function ValuationForm({ onSubmit, isLoading = false, initialData }: Valu
         <button 
           type="submit" 
           className="w-full bg-medium-green hover:bg-green-700 text-white font-medium py-4 px-6 rounded-lg transition-colors duration-200 text-body disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
-          disabled={isLoading || !formData.companyName || !formData.industry}
+          disabled={isLoading || quotaExhausted || !formData.companyName || !formData.industry}
         >
           {isLoading ? (
             <>
@@ -4,7 +4,10 @@ import { useState } from 'react'
 import { formatDistanceToNow } from 'date-fns'
 import { ko } from 'date-fns/locale'
 import { formatCurrency, formatKoreanWon, formatMultiple } from '@/lib/valuation/utils'
-import { Clock, TrendingUp, Building2, FileText, Trash2, Eye } from 'lucide-react'
+import { convertWithSnapshot } from '@/lib/valuation/fx'
+import type { FxRateSnapshot } from '@/types/valuation'
+import type { Currency } from '@/types'
+import { Clock, TrendingUp, Building2, FileText, Trash2, Eye, Download } from 'lucide-react'
 
 interface ValuationHistoryItem {
   id: string
@@ -14,6 +17,7 @@ interface ValuationHistoryItem {
   estimatedValue: number
   multiple: number
   currency: string
+  fxRate?: FxRateSnapshot | null
   isDraft: boolean
   createdAt: string
   updatedAt: string
@@ -23,12 +27,34 @@ interface ValuationHistoryProps {
   valuations: ValuationHistoryItem[]
   onView: (id: string) => void
   onDelete: (id: string) => void
+  // Premium members can download each valuation as a PDF report
+  canDownloadReport?: boolean
+  // Currency to show values in; converted with each valuation's stored rate
+  displayCurrency?: 'USD' | 'KRW'
   isLoading?: boolean
 }
 
-export function ValuationHistory({ valuations, onView, onDelete, isLoading }: ValuationHistoryProps) {
+export function ValuationHistory({
+  valuations,
+  onView,
+  onDelete,
+  canDownloadReport = false,
+  displayCurrency,
+  isLoading
+}: ValuationHistoryProps) {
   const [deletingId, setDeletingId] = useState<string | null>(null)
 
+  const formatValue = (valuation: ValuationHistoryItem) => {
+    const currency = displayCurrency || valuation.currency
+    const amount = convertWithSnapshot(
+      valuation.estimatedValue,
+      valuation.currency as Currency,
+      currency as Currency,
+      valuation.fxRate
+    )
+    return currency === 'KRW' ? formatKoreanWon(amount) : formatCurrency(amount, currency as 'USD')
+  }
+
   const handleDelete = async (id: string) => {
     if (confirm('이 밸류에이션을 삭제하시겠습니까?')) {
       setDeletingId(id)
@@ -113,10 +139,15 @@ export function ValuationHistory({ valuations, onView, onDelete, isLoading }: Va
                   <div>
                     <p className="text-caption text-medium-black-tertiary">기업가치</p>
                     <p className="text-body-small font-medium text-medium-green">
-                      {valuation.currency === 'KRW' 
-                        ? formatKoreanWon(valuation.estimatedValue)
-                        : formatCurrency(valuation.estimatedValue, valuation.currency as 'USD')}
+                      {formatValue(valuation)}
                     </p>
+                    {displayCurrency && displayCurrency !== valuation.currency && (
+                      <p className="text-caption text-medium-black-tertiary">
+                        {valuation.fxRate
+                          ? `${valuation.fxRate.rateDate} 환율 ${valuation.fxRate.krwPerUnit.toLocaleString()}원 기준`
+                          : '기본 환율 기준'}
+                      </p>
+                    )}
                   </div>
                   <div>
                     <p className="text-caption text-medium-black-tertiary">멀티플</p>
@@ -140,6 +171,15 @@ export function ValuationHistory({ valuations, onView, onDelete, isLoading }: Va
                 >
                   <Eye className="w-5 h-5" />
                 </button>
+                {canDownloadReport && !valuation.isDraft && (
+                  <a
+                    href={`/api/valuation/report/${valuation.id}`}
+                    className="p-2 text-medium-black-secondary hover:text-medium-green hover:bg-medium-gray-light rounded-lg transition-colors duration-200"
+                    title="PDF 리포트 다운로드"
+                  >
+                    <Download className="w-5 h-5" />
+                  </a>
+                )}
                 <button
                   onClick={() => handleDelete(valuation.id)}
                   disabled={deletingId === valuation.id}
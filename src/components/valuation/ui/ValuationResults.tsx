@@ -2,6 +2,7 @@
 
 import { IndustryMultiple } from '@/types'
 import { MetricCard } from './MetricCard'
+import { SensitivityAnalysis } from './SensitivityAnalysis'
 import { formatCurrency, formatKoreanWon, getValueGrade, getGradeColor, getGradeDescription } from '@/lib/valuation/utils'
 import { TrendingUp, Award, BarChart3, Download, Bookmark, ChevronRight } from 'lucide-react'
 
@@ -13,11 +14,25 @@ interface ValuationResultsData {
   confidenceInterval: [number, number]
   confidenceLevel: 'low' | 'medium' | 'high'
   percentileRank: number
+  sampleSize?: number
+  usageId?: string
   details?: {
     revenueBasedValue?: number
     profitBasedValue?: number
     dcfValue?: number
     ventureValue?: number
+    methods?: {
+      method: string
+      value: number
+      weight: number
+      contribution: number
+    }[]
+    interval?: {
+      basis: 'comparables' | 'default'
+      level: number
+      scope?: 'revenue_band' | 'industry'
+      bandSampleSize?: number
+    }
     adjustments?: {
       growthMultiplier?: number
       ageMultiplier?: number
@@ -31,6 +46,11 @@ interface ValuationResultsProps {
   companyName: string
   onSave?: () => void
   onExport?: () => void
+  // Saved valuation id; enables the premium PDF report download
+  valuationId?: string
+  isPremium?: boolean
+  // Form input behind the result; enables the sensitivity and scenario analysis
+  inputData?: Record<string, any>
   isLoading?: boolean
 }
 
@@ -40,6 +60,9 @@ export function ValuationResults({
   companyName,
   onSave,
   onExport,
+  valuationId,
+  isPremium = false,
+  inputData,
   isLoading = false
 }: ValuationResultsProps) {
   const grade = getValueGrade(valuation.percentileRank)
@@ -52,6 +75,8 @@ export function ValuationResults({
       case 'revenue_multiple': return '매출 멀티플'
       case 'dcf': return 'DCF 모델'
       case 'venture': return '벤처 밸류에이션'
+      case 'blended': return '가중 평균'
+      case 'comparable': return '비교 기업'
       default: return method
     }
   }
@@ -153,6 +178,15 @@ export function ValuationResults({
             </div>
           </div>
           
+          <p className="text-caption text-medium-black-tertiary text-center">
+            {valuation.sampleSize
+              ? `${valuation.details?.interval?.scope === 'revenue_band' ? '유사 매출 규모' : '동일 업종'} 비교 거래 ${valuation.sampleSize}건 기준 ${Math.round((valuation.details?.interval?.level || 0.8) * 100)}% 신뢰구간`
+              : '비교 거래 데이터가 부족하여 기본 범위를 넓혀 적용했습니다'}
+            {valuation.details?.interval?.scope === 'industry' && valuation.details.interval.bandSampleSize !== undefined && (
+              <> (유사 매출 규모 거래가 {valuation.details.interval.bandSampleSize}건뿐이라 업종 전체로 확대)</>
+            )}
+          </p>
+          
           {/* Visual Range Bar */}
           <div className="relative">
             <div className="w-full h-3 bg-medium-gray rounded-full overflow-hidden">
@@ -215,6 +249,26 @@ export function ValuationResults({
               </div>
             )}
             
+            {valuation.details.methods && valuation.details.methods.some(m => m.weight > 0 && m.weight < 1) && (
+              <div className="py-3 border-b border-medium-gray-border">
+                <span className="text-body text-medium-black-secondary">평가 방법별 비중</span>
+                <div className="mt-3 space-y-2">
+                  {valuation.details.methods.filter(m => m.weight > 0).map((m) => (
+                    <div key={m.method} className="flex justify-between items-center text-body-small">
+                      <span className="text-medium-black-secondary">
+                        {getMethodLabel(m.method)} ({(m.weight * 100).toFixed(0)}%)
+                      </span>
+                      <span className="font-medium text-medium-black">
+                        {valuation.currency === 'KRW' 
+                          ? formatKoreanWon(m.contribution)
+                          : formatCurrency(m.contribution, valuation.currency as 'USD')}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            
             {valuation.details.adjustments && (
               <>
                 <div className="flex justify-between items-center py-3 border-b border-medium-gray-border">
@@ -235,6 +289,15 @@ export function ValuationResults({
         </div>
       )}
 
+      {inputData && (
+        <SensitivityAnalysis 
+          inputData={inputData}
+          currency={valuation.currency}
+          valuationId={valuationId}
+          usageId={valuation.usageId}
+        />
+      )}
+
       {/* Industry Comparison */}
       {industryBenchmark && (
         <div className="bg-white border border-medium-gray-border rounded-lg p-6">
@@ -289,15 +352,32 @@ export function ValuationResults({
           <Bookmark className="w-5 h-5 mr-2" />
           밸류에이션 저장
         </button>
-        <button 
-          onClick={onExport}
-          disabled={isLoading}
-          className="flex-1 bg-white hover:bg-medium-gray-light text-medium-black font-medium py-3 px-6 rounded-lg border border-medium-gray-border transition-colors duration-200 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          <Download className="w-5 h-5 mr-2" />
-          리포트 다운로드
-        </button>
+        {valuationId && isPremium ? (
+          <a 
+            href={`/api/valuation/report/${valuationId}`}
+            className="flex-1 bg-white hover:bg-medium-gray-light text-medium-black font-medium py-3 px-6 rounded-lg border border-medium-gray-border transition-colors duration-200 flex items-center justify-center"
+          >
+            <Download className="w-5 h-5 mr-2" />
+            PDF 리포트 다운로드
+          </a>
+        ) : (
+          <button 
+            onClick={onExport}
+            disabled={isLoading || (!!valuationId && !isPremium)}
+            className="flex-1 bg-white hover:bg-medium-gray-light text-medium-black font-medium py-3 px-6 rounded-lg border border-medium-gray-border transition-colors duration-200 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download className="w-5 h-5 mr-2" />
+            리포트 다운로드
+          </button>
+        )}
       </div>
+      
+      {valuationId && !isPremium && (
+        <p className="text-caption text-medium-black-tertiary text-center">
+          PDF 리포트는 프리미엄 회원 전용 기능입니다.{' '}
+          <a href="/membership" className="text-medium-green hover:underline">멤버십 알아보기</a>
+        </p>
+      )}
     </div>
   )
 }
\ No newline at end of file
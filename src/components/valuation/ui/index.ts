@@ -4,4 +4,6 @@ export { ValuationForm } from './ValuationForm'
 export { ValuationResults } from './ValuationResults'
 export { ValuationHistory } from './ValuationHistory'
 export { IndustryInsights } from './IndustryInsights'
-export { ComparablesList } from './ComparablesList'
\ No newline at end of file
+export { ComparablesList } from './ComparablesList'
+export { ComparablePeerPicker } from './ComparablePeerPicker'
+export { SensitivityAnalysis } from './SensitivityAnalysis'
\ No newline at end of file
@@ -0,0 +1,153 @@
+'use client'
+
+import { useEffect, useRef, useState } from 'react'
+
+export type ScanStreamStatus = 'idle' | 'connecting' | 'running' | 'completed' | 'failed'
+
+export interface ScanProgressState {
+  status: ScanStreamStatus
+  connected: boolean
+  // 0-100; pages take the first 90%, the comparison the rest
+  percent: number
+  page: number
+  totalPages: number | null
+  listingsFound: number
+  errors: Array<{ page?: number; message: string }>
+  comparison: Record<string, any> | null
+  results: Record<string, any> | null
+  failure: string | null
+}
+
+interface UseScanProgressOptions {
+  // Called once with the final state when the scan completes or fails
+  onFinish?: (state: ScanProgressState) => void
+}
+
+const EVENT_TYPES = ['started', 'page', 'error', 'comparison', 'completed', 'failed'] as const
+type ScanEventType = typeof EVENT_TYPES[number]
+
+const INITIAL_STATE: ScanProgressState = {
+  status: 'idle',
+  connected: false,
+  percent: 0,
+  page: 0,
+  totalPages: null,
+  listingsFound: 0,
+  errors: [],
+  comparison: null,
+  results: null,
+  failure: null
+}
+
+const MIN_RECONNECT_DELAY_MS = 1000
+const MAX_RECONNECT_DELAY_MS = 30000
+
+function applyEvent(state: ScanProgressState, type: ScanEventType, data: any): ScanProgressState {
+  switch (type) {
+    case 'started':
+      return { ...state, status: 'running', totalPages: data.totalPages ?? state.totalPages }
+    case 'page': {
+      const totalPages = data.totalPages ?? state.totalPages
+      return {
+        ...state,
+        status: 'running',
+        page: data.page,
+        totalPages,
+        listingsFound: data.listingsFound ?? state.listingsFound,
+        percent: totalPages ? Math.round((data.page / totalPages) * 90) : state.percent
+      }
+    }
+    case 'error':
+      return { ...state, errors: [...state.errors, { page: data.page, message: data.message }] }
+    case 'comparison':
+      return { ...state, comparison: data, percent: Math.max(state.percent, 95) }
+    case 'completed':
+      return { ...state, status: 'completed', results: data, percent: 100 }
+    case 'failed':
+      return { ...state, status: 'failed', failure: data.message || 'Scan failed' }
+  }
+}
+
+// Follows a scan's Server-Sent Events stream. The browser reconnects dropped
+// connections with Last-Event-ID; when it gives up (error response), we
+// reconnect with backoff and ?lastEventId= so missed events are replayed
+export function useScanProgress(scanId: string | null, options: UseScanProgressOptions = {}) {
+  const [state, setState] = useState<ScanProgressState>(INITIAL_STATE)
+  const onFinishRef = useRef(options.onFinish)
+  onFinishRef.current = options.onFinish
+
+  useEffect(() => {
+    if (!scanId) {
+      setState(INITIAL_STATE)
+      return
+    }
+
+    let current: ScanProgressState = { ...INITIAL_STATE, status: 'connecting' }
+    let source: EventSource | null = null
+    let lastEventId = ''
+    let reconnectDelay = MIN_RECONNECT_DELAY_MS
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null
+    let finished = false
+
+    setState(current)
+
+    const update = (next: ScanProgressState) => {
+      current = next
+      setState(next)
+    }
+
+    const connect = () => {
+      const query = lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : ''
+      source = new EventSource(`/api/monitoring/scan/${encodeURIComponent(scanId)}/events${query}`)
+
+      source.onopen = () => {
+        reconnectDelay = MIN_RECONNECT_DELAY_MS
+        update({ ...current, connected: true })
+      }
+
+      EVENT_TYPES.forEach(type => {
+        source!.addEventListener(type, (event) => {
+          const message = event as MessageEvent
+          if (message.lastEventId) lastEventId = message.lastEventId
+
+          let data: any = {}
+          try {
+            data = JSON.parse(message.data)
+          } catch {
+            return
+          }
+          update(applyEvent(current, type, data))
+
+          if (type === 'completed' || type === 'failed') {
+            finished = true
+            source?.close()
+            update({ ...current, connected: false })
+            onFinishRef.current?.(current)
+          }
+        })
+      })
+
+      source.onerror = () => {
+        if (finished) return
+        update({ ...current, connected: false })
+
+        // CONNECTING: the browser is already retrying with Last-Event-ID
+        if (source?.readyState === EventSource.CLOSED) {
+          source.close()
+          reconnectTimer = setTimeout(connect, reconnectDelay)
+          reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS)
+        }
+      }
+    }
+
+    connect()
+
+    return () => {
+      finished = true
+      if (reconnectTimer) clearTimeout(reconnectTimer)
+      source?.close()
+    }
+  }, [scanId])
+
+  return state
+}
@@ -0,0 +1,14 @@
+// Next.js startup hook: restores schedules after a restart (and catches up
+// runs missed while the server was down), then keeps draining the
+// notification queue so retries and queued email/webhooks go out. Set
+// SCHEDULER_ENABLED=false on instances that should only serve requests; those
+// deployments drain the queue with scripts/deliver-notifications.js instead.
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs' || process.env.SCHEDULER_ENABLED === 'false') return
+
+  const { SimpleScheduler } = await import('@/lib/scheduling/simple-scheduler')
+  await SimpleScheduler.initialize()
+
+  const { NotificationDeliveryWorker } = await import('@/lib/notifications/delivery-worker')
+  new NotificationDeliveryWorker().start()
+}
@@ -47,8 +47,13 @@ export async function fetchIndustryChartData(
       throw new Error(`HTTP error! status: ${response.status}`)
     }
 
-    const data = await response.json()
-    return data
+    const data: ChartApiResponse = await response.json()
+    return {
+      ...data,
+      // Series served from baseline multiples (too few listings) carry their own flag
+      data: data.data.map(series => ({ ...series, fallback: series.fallback ?? false })),
+      fallback: data.fallback ?? false
+    }
   } catch (error) {
     console.error('Failed to fetch chart data:', error)
     // Return fallback data structure
@@ -0,0 +1,176 @@
+// Rolls flippa_listings up into industry_multiples_timeseries (one row per category per day)
+import { createServerClient } from '@/lib/supabase'
+import { mean, median, coefficientOfVariation } from '@/lib/utils/statistics'
+import {
+  getCategory,
+  getPrice,
+  getProfitMultiple,
+  getRevenueMultiple
+} from '@/lib/utils/listing-fields'
+
+// Supabase caps a single select, so listings are read in pages
+const PAGE_SIZE = 1000
+
+// Listings are both windowed and bucketed by when they were scraped
+const OBSERVED_AT_COLUMN = 'extraction_timestamp'
+
+export interface AggregationOptions {
+  days?: number
+}
+
+export interface AggregationResult {
+  success: boolean
+  listingsScanned: number
+  rowsUpserted: number
+  industries: string[]
+  from: string
+  to: string
+  error?: string
+}
+
+interface TimeseriesRow {
+  industry: string
+  date: string
+  avg_profit_multiple: number | null
+  median_profit_multiple: number | null
+  avg_revenue_multiple: number | null
+  median_revenue_multiple: number | null
+  high_multiple: number | null
+  low_multiple: number | null
+  transaction_count: number
+  total_volume: number
+  volatility_index: number
+  listing_ids: string[]
+}
+
+function round(value: number, decimals: number): number {
+  return Number(value.toFixed(decimals))
+}
+
+function listingKey(listing: any): string {
+  return String(listing.listing_id ?? listing.id)
+}
+
+function summarize(industry: string, date: string, listings: any[]): TimeseriesRow {
+  const profitMultiples = listings.map(getProfitMultiple).filter((m): m is number => m !== null)
+  const revenueMultiples = listings.map(getRevenueMultiple).filter((m): m is number => m !== null)
+  const totalVolume = listings.reduce((sum, l) => sum + (getPrice(l) || 0), 0)
+  const hasProfit = profitMultiples.length > 0
+  const hasRevenue = revenueMultiples.length > 0
+
+  return {
+    industry,
+    date,
+    avg_profit_multiple: hasProfit ? round(mean(profitMultiples), 2) : null,
+    median_profit_multiple: hasProfit ? round(median(profitMultiples), 2) : null,
+    avg_revenue_multiple: hasRevenue ? round(mean(revenueMultiples), 2) : null,
+    median_revenue_multiple: hasRevenue ? round(median(revenueMultiples), 2) : null,
+    high_multiple: hasProfit ? round(Math.max(...profitMultiples), 2) : null,
+    low_multiple: hasProfit ? round(Math.min(...profitMultiples), 2) : null,
+    transaction_count: listings.length,
+    total_volume: Math.round(totalVolume),
+    // volatility_index is DECIMAL(5,4)
+    volatility_index: round(Math.min(coefficientOfVariation(profitMultiples), 9.9999), 4),
+    // Lets readers count distinct listings across several days
+    listing_ids: listings.map(listingKey)
+  }
+}
+
+async function fetchListingsSince(since: Date): Promise<any[]> {
+  const supabase = createServerClient()
+  const listings: any[] = []
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('flippa_listings')
+      .select('*')
+      .gte(OBSERVED_AT_COLUMN, since.toISOString())
+      .order(OBSERVED_AT_COLUMN, { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1)
+
+    if (error) throw error
+    if (!data || data.length === 0) break
+
+    listings.push(...data)
+    if (data.length < PAGE_SIZE) break
+  }
+
+  return listings
+}
+
+/**
+ * Aggregate the last `days` days of flippa_listings into industry_multiples_timeseries.
+ * A listing seen several times on the same day counts once (latest observation wins).
+ */
+export async function aggregateIndustryMultiples(
+  options: AggregationOptions = {}
+): Promise<AggregationResult> {
+  const days = options.days ?? 30
+  const to = new Date()
+  const from = new Date(to)
+  from.setUTCDate(from.getUTCDate() - days)
+  from.setUTCHours(0, 0, 0, 0)
+
+  const result: AggregationResult = {
+    success: false,
+    listingsScanned: 0,
+    rowsUpserted: 0,
+    industries: [],
+    from: from.toISOString().split('T')[0],
+    to: to.toISOString().split('T')[0]
+  }
+
+  try {
+    const listings = await fetchListingsSince(from)
+    result.listingsScanned = listings.length
+
+    // industry -> date -> listing_id -> latest listing
+    const buckets = new Map<string, Map<string, Map<string, any>>>()
+
+    for (const listing of listings) {
+      const industry = getCategory(listing)
+      const observedAt: string | null = listing[OBSERVED_AT_COLUMN]
+      if (!industry || !observedAt) continue
+
+      const date = new Date(observedAt).toISOString().split('T')[0]
+      const key = listingKey(listing)
+
+      if (!buckets.has(industry)) buckets.set(industry, new Map())
+      const byDate = buckets.get(industry)!
+      if (!byDate.has(date)) byDate.set(date, new Map())
+      const byListing = byDate.get(date)!
+
+      const previous = byListing.get(key)
+      if (!previous || previous[OBSERVED_AT_COLUMN] <= observedAt) {
+        byListing.set(key, listing)
+      }
+    }
+
+    const rows: TimeseriesRow[] = []
+    buckets.forEach((byDate, industry) => {
+      byDate.forEach((byListing, date) => {
+        rows.push(summarize(industry, date, Array.from(byListing.values())))
+      })
+    })
+
+    if (rows.length > 0) {
+      const supabase = createServerClient()
+      const { error } = await supabase
+        .from('industry_multiples_timeseries')
+        .upsert(rows, { onConflict: 'industry,date' })
+
+      if (error) throw error
+    }
+
+    result.rowsUpserted = rows.length
+    result.industries = Array.from(buckets.keys()).sort()
+    result.success = true
+
+    console.log(`📊 Aggregated ${result.listingsScanned} listings into ${result.rowsUpserted} timeseries rows`)
+  } catch (error: any) {
+    console.error('Industry multiples aggregation failed:', error)
+    result.error = error?.message || 'Unknown aggregation error'
+  }
+
+  return result
+}
@@ -0,0 +1,211 @@
+// Listing filter vocabulary shared by /api/dashboard/listings and saved searches
+import {
+  getAgeMonths,
+  getCategory,
+  getMonthlyRevenue,
+  getPrice,
+  getProfitMultiple
+} from '@/lib/utils/listing-fields'
+
+export interface ListingsFilter {
+  search?: string
+  category?: string
+  priceMin?: number
+  priceMax?: number
+  revenueMin?: number
+  revenueMax?: number
+  ageMin?: number
+  ageMax?: number
+  // Profit multiple (asking price / annual profit) at or below this value
+  multipleMax?: number
+  // Any of these words in the title
+  keywords?: string[]
+  sortBy?: string
+  sortOrder?: 'asc' | 'desc'
+  page?: number
+  limit?: number
+}
+
+// Criteria a saved search can store (everything except sorting and paging)
+export type ListingsCriteria = Omit<ListingsFilter, 'sortBy' | 'sortOrder' | 'page' | 'limit'>
+
+const NUMERIC_KEYS = ['priceMin', 'priceMax', 'revenueMin', 'revenueMax', 'ageMin', 'ageMax', 'multipleMax'] as const
+
+function parseKeywords(value: string | string[] | null | undefined): string[] | undefined {
+  if (!value) return undefined
+  const keywords = (Array.isArray(value) ? value : value.split(','))
+    .map(keyword => String(keyword).trim())
+    .filter(Boolean)
+  return keywords.length > 0 ? keywords : undefined
+}
+
+export function parseListingsFilter(searchParams: URLSearchParams): ListingsFilter {
+  const numberParam = (key: string) => searchParams.get(key) ? Number(searchParams.get(key)) : undefined
+
+  return {
+    search: searchParams.get('search') || undefined,
+    category: searchParams.get('category') || undefined,
+    priceMin: numberParam('priceMin'),
+    priceMax: numberParam('priceMax'),
+    revenueMin: numberParam('revenueMin'),
+    revenueMax: numberParam('revenueMax'),
+    ageMin: numberParam('ageMin'),
+    ageMax: numberParam('ageMax'),
+    multipleMax: numberParam('multipleMax'),
+    keywords: parseKeywords(searchParams.get('keywords')),
+    sortBy: searchParams.get('sortBy') || 'created_at',
+    sortOrder: (searchParams.get('sortOrder') || 'desc') as 'asc' | 'desc',
+    page: numberParam('page') ?? 1,
+    limit: numberParam('limit') ?? 20
+  }
+}
+
+// LIKE pattern matching the term literally (% and _ are wildcards otherwise)
+function escapeLike(term: string): string {
+  return term.replace(/[\\%_]/g, match => `\\${match}`)
+}
+
+// Quoted "contains" value for a PostgREST or() filter, so commas, dots and
+// parentheses in the term can't end the condition or add new ones
+function containsValue(term: string): string {
+  return `"%${escapeLike(term).replace(/["\\]/g, match => `\\${match}`)}%"`
+}
+
+/**
+ * Apply the filter criteria to a flippa_listings query
+ */
+export function applyListingsFilter<Q extends {
+  or: (filters: string) => Q
+  ilike: (column: string, pattern: string) => Q
+  gte: (column: string, value: any) => Q
+  lte: (column: string, value: any) => Q
+}>(query: Q, filters: ListingsCriteria): Q {
+  // Full-text search on title and description
+  if (filters.search) {
+    const value = containsValue(filters.search)
+    query = query.or(`title.ilike.${value},description.ilike.${value}`)
+  }
+
+  if (filters.keywords && filters.keywords.length > 0) {
+    query = query.or(filters.keywords.map(keyword => `title.ilike.${containsValue(keyword)}`).join(','))
+  }
+
+  // Case-insensitive, like matchesListingsFilter
+  if (filters.category && filters.category !== 'all') {
+    query = query.ilike('category', escapeLike(filters.category))
+  }
+
+  // Price filters (asking_price)
+  if (filters.priceMin !== undefined) query = query.gte('asking_price', filters.priceMin)
+  if (filters.priceMax !== undefined) query = query.lte('asking_price', filters.priceMax)
+
+  // Revenue filters (monthly_revenue)
+  if (filters.revenueMin !== undefined) query = query.gte('monthly_revenue', filters.revenueMin)
+  if (filters.revenueMax !== undefined) query = query.lte('monthly_revenue', filters.revenueMax)
+
+  // Age filters (age_months)
+  if (filters.ageMin !== undefined) query = query.gte('age_months', filters.ageMin)
+  if (filters.ageMax !== undefined) query = query.lte('age_months', filters.ageMax)
+
+  if (filters.multipleMax !== undefined) query = query.lte('profit_multiple', filters.multipleMax)
+
+  return query
+}
+
+/**
+ * In-memory equivalent of applyListingsFilter, for listings coming out of a scan.
+ * A listing missing a filtered field doesn't match.
+ */
+export function matchesListingsFilter(listing: any, filters: ListingsCriteria): boolean {
+  const title = String(listing.title || '').toLowerCase()
+
+  if (filters.search) {
+    const needle = filters.search.toLowerCase()
+    const description = String(listing.description || '').toLowerCase()
+    if (!title.includes(needle) && !description.includes(needle)) return false
+  }
+
+  if (filters.keywords && filters.keywords.length > 0) {
+    if (!filters.keywords.some(keyword => title.includes(keyword.toLowerCase()))) return false
+  }
+
+  if (filters.category && filters.category !== 'all') {
+    if ((getCategory(listing) || '').toLowerCase() !== filters.category.toLowerCase()) return false
+  }
+
+  const inRange = (value: number | null, min?: number, max?: number) => {
+    if (min === undefined && max === undefined) return true
+    if (value === null) return false
+    return (min === undefined || value >= min) && (max === undefined || value <= max)
+  }
+
+  return inRange(getPrice(listing), filters.priceMin, filters.priceMax) &&
+    inRange(getMonthlyRevenue(listing), filters.revenueMin, filters.revenueMax) &&
+    inRange(getAgeMonths(listing), filters.ageMin, filters.ageMax) &&
+    inRange(getProfitMultiple(listing), undefined, filters.multipleMax)
+}
+
+/**
+ * Validate criteria sent by a client. Unknown keys are dropped; invalid values
+ * are reported by field.
+ */
+export function sanitizeListingsCriteria(raw: any): {
+  criteria: ListingsCriteria
+  errors: { field: string; message: string }[]
+} {
+  const criteria: ListingsCriteria = {}
+  const errors: { field: string; message: string }[] = []
+  if (!raw || typeof raw !== 'object') return { criteria, errors }
+
+  if (typeof raw.search === 'string' && raw.search.trim()) criteria.search = raw.search.trim()
+  if (typeof raw.category === 'string' && raw.category.trim() && raw.category !== 'all') {
+    criteria.category = raw.category.trim()
+  }
+
+  const keywords = parseKeywords(raw.keywords)
+  if (keywords) criteria.keywords = keywords
+
+  NUMERIC_KEYS.forEach(key => {
+    if (raw[key] === undefined || raw[key] === null || raw[key] === '') return
+    const value = Number(raw[key])
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push({ field: key, message: '0 이상의 숫자를 입력해주세요' })
+    } else {
+      criteria[key] = value
+    }
+  })
+
+  const pairs: [keyof ListingsCriteria, keyof ListingsCriteria][] = [
+    ['priceMin', 'priceMax'],
+    ['revenueMin', 'revenueMax'],
+    ['ageMin', 'ageMax']
+  ]
+  pairs.forEach(([min, max]) => {
+    if (criteria[min] !== undefined && criteria[max] !== undefined && Number(criteria[min]) > Number(criteria[max])) {
+      errors.push({ field: max, message: '최대값은 최소값보다 커야 합니다' })
+    }
+  })
+
+  return { criteria, errors }
+}
+
+// Short Korean summary, e.g. "SaaS · $10,000~$50,000 · 멀티플 3x 이하"
+export function describeListingsCriteria(criteria: ListingsCriteria): string {
+  const range = (min?: number, max?: number, format = (v: number) => `$${v.toLocaleString()}`) =>
+    min !== undefined && max !== undefined ? `${format(min)}~${format(max)}`
+      : min !== undefined ? `${format(min)} 이상`
+      : max !== undefined ? `${format(max)} 이하`
+      : null
+
+  const parts = [
+    criteria.category,
+    criteria.search ? `"${criteria.search}"` : null,
+    criteria.keywords ? `제목: ${criteria.keywords.join(', ')}` : null,
+    range(criteria.priceMin, criteria.priceMax) && `가격 ${range(criteria.priceMin, criteria.priceMax)}`,
+    range(criteria.revenueMin, criteria.revenueMax) && `월 매출 ${range(criteria.revenueMin, criteria.revenueMax)}`,
+    range(criteria.ageMin, criteria.ageMax, v => `${v}개월`) && `운영 ${range(criteria.ageMin, criteria.ageMax, v => `${v}개월`)}`,
+    criteria.multipleMax !== undefined ? `멀티플 ${criteria.multipleMax}x 이하` : null
+  ].filter(Boolean)
+
+  return parts.length > 0 ? parts.join(' · ') : '모든 매물'
+}
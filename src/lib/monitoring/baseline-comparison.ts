@@ -1,14 +1,25 @@
 // Advanced baseline comparison engine
 import { createServerClient } from '@/lib/supabase'
 import type { FlippaListing } from '@/lib/types'
+import { ListingHistoryRecorder, diffTrackedFields, readTrackedFields } from './listing-history'
+import { RuleMatch, evaluateRules, loadChangeRules, ruleMatchToChange } from './change-rules'
+import { LifecycleTransition, ListingLifecycleTracker } from './listing-lifecycle'
 
 interface ComparisonResult {
   newListings: string[]
-  deletedListings: string[]
+  // Listings that dropped out of the scan; removal is only confirmed by a page check
+  unseenListings: string[]
+  lifecycleTransitions: LifecycleTransition[]
   updatedListings: UpdatedListing[]
   priceDrops: PriceDrop[]
   revenueChanges: RevenueChange[]
   categoryChanges: CategoryChange[]
+  ruleMatches: RuleMatch[]
+}
+
+interface CompareOptions {
+  // Pages covered by a partial scan; only misses on those pages count towards a page check
+  pagesScanned?: number
 }
 
 interface UpdatedListing {
@@ -55,7 +66,7 @@ export class BaselineComparison {
     this.scanId = scanId
   }
 
-  async compare(currentListings: Map<string, any>): Promise<ComparisonResult> {
+  async compare(currentListings: Map<string, any>, options: CompareOptions = {}): Promise<ComparisonResult> {
     console.log('🔍 Starting baseline comparison...')
     
     // Get all existing listings from database
@@ -69,60 +80,90 @@ export class BaselineComparison {
     // Find new listings
     const newListings = Array.from(currentIds).filter(id => !existingIds.has(id))
     
-    // Find deleted listings
-    const deletedListings = Array.from(existingIds).filter(id => !currentIds.has(id))
+    // Listings missing from this scan. Absence alone doesn't mean removed or
+    // sold; a partial scan only vouches for the pages it covered
+    const missing = Array.from(existingIds)
+      .filter(id => !currentIds.has(id))
+      .map(id => {
+        if (!options.pagesScanned) return { listingId: id, covered: true }
+        const page = Number((existingMap.get(id) as any)?.page_number)
+        return {
+          listingId: id,
+          covered: Number.isFinite(page) && page > 0 && page <= options.pagesScanned
+        }
+      })
     
-    // Find updated listings and analyze changes
+    // Find updated listings
     const updatedListings: UpdatedListing[] = []
-    const priceDrops: PriceDrop[] = []
-    const revenueChanges: RevenueChange[] = []
-    const categoryChanges: CategoryChange[] = []
-    
-    for (const [id, currentListing] of currentListings) {
-      if (existingMap.has(id)) {
-        const existingListing = existingMap.get(id)!
-        const changes = this.detectChanges(existingListing, currentListing)
-        
-        if (changes.length > 0) {
-          updatedListings.push({ listing_id: id, changes })
-          
-          // Analyze specific change types
-          await this.analyzeChanges(
-            id,
-            existingListing,
-            currentListing,
-            changes,
-            priceDrops,
-            revenueChanges,
-            categoryChanges
-          )
-        }
+    currentListings.forEach((currentListing, id) => {
+      const existingListing = existingMap.get(id)
+      if (!existingListing) return
+      const changes = this.detectChanges(existingListing, currentListing)
+      if (changes.length > 0) {
+        updatedListings.push({ listing_id: id, changes })
       }
+    })
+    
+    // Evaluate change-detection rules (price drops, revenue changes, ... from the database).
+    // Removals are reported by the lifecycle tracker once a page check confirms them
+    const rules = await loadChangeRules(this.supabase)
+    const ruleMatches = evaluateRules(rules, {
+      previous: existingMap,
+      current: currentListings,
+      removed: []
+    })
+    const { priceDrops, revenueChanges, categoryChanges } = this.summarizeMatches(ruleMatches, existingMap)
+    
+    // Append field-level history (price, revenue, profit, multiple, bids, watchers, badges)
+    try {
+      await new ListingHistoryRecorder(this.supabase).record(this.scanId, currentListings)
+    } catch (error) {
+      console.error('Error recording listing history:', error)
+    }
+    
+    // Move listings between active, unseen and relisted
+    let lifecycleTransitions: LifecycleTransition[] = []
+    try {
+      lifecycleTransitions = await new ListingLifecycleTracker(this.supabase).applyScan(this.scanId, {
+        existing: existingMap,
+        seenIds: Array.from(currentIds),
+        missing
+      })
+    } catch (error) {
+      console.error('Error applying listing lifecycle:', error)
     }
+    const unseenListings = lifecycleTransitions
+      .filter(transition => transition.to === 'unseen')
+      .map(transition => transition.listingId)
     
-    // Log all changes to database
+    // Log rule matches and scan statistics
     await this.logChanges({
       newListings,
-      deletedListings,
+      unseenListings,
+      lifecycleTransitions,
       updatedListings,
       priceDrops,
       revenueChanges,
-      categoryChanges
-    })
+      categoryChanges,
+      ruleMatches
+    }, existingMap, currentListings)
     
     console.log(`✅ Comparison complete:`)
     console.log(`   - New: ${newListings.length}`)
-    console.log(`   - Deleted: ${deletedListings.length}`)
+    console.log(`   - Unseen: ${unseenListings.length}`)
     console.log(`   - Updated: ${updatedListings.length}`)
     console.log(`   - Price drops: ${priceDrops.length}`)
+    console.log(`   - Rule matches: ${ruleMatches.length}`)
     
     return {
       newListings,
-      deletedListings,
+      unseenListings,
+      lifecycleTransitions,
       updatedListings,
       priceDrops,
       revenueChanges,
-      categoryChanges
+      categoryChanges,
+      ruleMatches
     }
   }
 
@@ -137,43 +178,12 @@ export class BaselineComparison {
   }
 
   private detectChanges(existing: FlippaListing, current: any): Change[] {
-    const changes: Change[] = []
-    
-    // Check title
-    if (existing.title !== current.title) {
-      changes.push({
-        field: 'title',
-        oldValue: existing.title,
-        newValue: current.title
-      })
-    }
-    
-    // Check price
-    if (existing.asking_price !== current.asking_price) {
-      const changePercentage = ((current.asking_price - existing.asking_price) / existing.asking_price) * 100
-      changes.push({
-        field: 'asking_price',
-        oldValue: existing.asking_price,
-        newValue: current.asking_price,
-        changePercentage
-      })
-    }
-    
-    // Check revenue
-    if (existing.monthly_revenue !== current.monthly_revenue) {
-      const changePercentage = existing.monthly_revenue > 0 
-        ? ((current.monthly_revenue - existing.monthly_revenue) / existing.monthly_revenue) * 100
-        : 100
-      changes.push({
-        field: 'monthly_revenue',
-        oldValue: existing.monthly_revenue,
-        newValue: current.monthly_revenue,
-        changePercentage
-      })
-    }
+    // Every tracked field the scan reported (title, price, revenue, profit,
+    // multiple, bids, watchers, badges); fields missing on either side are skipped
+    const changes: Change[] = diffTrackedFields(readTrackedFields(existing), readTrackedFields(current))
     
     // Check category
-    if (existing.category !== current.category) {
+    if (current.category !== undefined && existing.category !== current.category) {
       changes.push({
         field: 'category',
         oldValue: existing.category,
@@ -184,115 +194,68 @@ export class BaselineComparison {
     return changes
   }
 
-  private async analyzeChanges(
-    listing_id: string,
-    existing: FlippaListing,
-    current: any,
-    changes: Change[],
-    priceDrops: PriceDrop[],
-    revenueChanges: RevenueChange[],
+  // Matches of the built-in change types, in the shape notifications expect
+  private summarizeMatches(matches: RuleMatch[], existingMap: Map<string, any>): {
+    priceDrops: PriceDrop[]
+    revenueChanges: RevenueChange[]
     categoryChanges: CategoryChange[]
-  ): Promise<void> {
-    for (const change of changes) {
-      // Check for significant price drops (>20%)
-      if (change.field === 'asking_price' && change.changePercentage && change.changePercentage < -20) {
+  } {
+    const priceDrops: PriceDrop[] = []
+    const revenueChanges: RevenueChange[] = []
+    const categoryChanges: CategoryChange[] = []
+    
+    matches.forEach(match => {
+      const title = existingMap.get(match.listingId)?.title || ''
+      
+      if (match.rule.change_type === 'price_drop' && typeof match.changePercentage === 'number') {
         priceDrops.push({
-          listing_id,
-          oldPrice: change.oldValue,
-          newPrice: change.newValue,
-          dropPercentage: Math.abs(change.changePercentage),
-          title: existing.title
+          listing_id: match.listingId,
+          oldPrice: match.oldValue,
+          newPrice: match.newValue,
+          dropPercentage: Math.abs(match.changePercentage),
+          title
         })
       }
       
-      // Check for significant revenue changes (>$5K)
-      if (change.field === 'monthly_revenue') {
-        const changeAmount = change.newValue - change.oldValue
-        if (Math.abs(changeAmount) > 5000) {
-          revenueChanges.push({
-            listing_id,
-            oldRevenue: change.oldValue,
-            newRevenue: change.newValue,
-            changeAmount,
-            title: existing.title
-          })
-        }
+      if (match.rule.change_type === 'revenue_change' && typeof match.changeAmount === 'number') {
+        revenueChanges.push({
+          listing_id: match.listingId,
+          oldRevenue: match.oldValue,
+          newRevenue: match.newValue,
+          changeAmount: match.changeAmount,
+          title
+        })
       }
       
-      // Track category changes
-      if (change.field === 'category') {
+      if (match.rule.change_type === 'category_change') {
         categoryChanges.push({
-          listing_id,
-          oldCategory: change.oldValue,
-          newCategory: change.newValue,
-          title: existing.title
+          listing_id: match.listingId,
+          oldCategory: match.oldValue,
+          newCategory: match.newValue,
+          title
         })
       }
-    }
+    })
+    
+    return { priceDrops, revenueChanges, categoryChanges }
   }
 
-  private async logChanges(result: ComparisonResult): Promise<void> {
-    const changes: any[] = []
-    
-    // Log new listings
-    for (const listing_id of result.newListings) {
-      changes.push({
-        listing_id,
-        change_type: 'new',
-        scan_id: this.scanId,
-        listing_snapshot: result.newListings
-      })
-    }
-    
-    // Log deleted listings
-    for (const listing_id of result.deletedListings) {
-      changes.push({
-        listing_id,
-        change_type: 'deleted',
-        scan_id: this.scanId
-      })
-    }
-    
-    // Log price drops
-    for (const drop of result.priceDrops) {
-      changes.push({
-        listing_id: drop.listing_id,
-        change_type: 'price_drop',
-        field_name: 'asking_price',
-        old_value: drop.oldPrice.toString(),
-        new_value: drop.newPrice.toString(),
-        change_percentage: drop.dropPercentage,
-        scan_id: this.scanId,
-        listing_snapshot: { title: drop.title }
-      })
-    }
-    
-    // Log revenue changes
-    for (const change of result.revenueChanges) {
-      changes.push({
-        listing_id: change.listing_id,
-        change_type: 'revenue_change',
-        field_name: 'monthly_revenue',
-        old_value: change.oldRevenue.toString(),
-        new_value: change.newRevenue.toString(),
-        change_percentage: ((change.changeAmount / change.oldRevenue) * 100),
-        scan_id: this.scanId,
-        listing_snapshot: { title: change.title }
-      })
-    }
-    
-    // Log category changes
-    for (const change of result.categoryChanges) {
-      changes.push({
-        listing_id: change.listing_id,
-        change_type: 'category_change',
-        field_name: 'category',
-        old_value: change.oldCategory,
-        new_value: change.newCategory,
-        scan_id: this.scanId,
-        listing_snapshot: { title: change.title }
-      })
-    }
+  private async logChanges(
+    result: ComparisonResult,
+    existingMap: Map<string, any>,
+    currentListings: Map<string, any>
+  ): Promise<void> {
+    // One typed row per rule match
+    const changes = result.ruleMatches.map(match => {
+      const snapshot = currentListings.get(match.listingId) || existingMap.get(match.listingId)
+      return ruleMatchToChange(match, this.scanId, snapshot ? {
+        title: snapshot.title,
+        url: snapshot.url,
+        asking_price: snapshot.asking_price,
+        monthly_revenue: snapshot.monthly_revenue,
+        category: snapshot.category
+      } : null)
+    })
     
     // Batch insert changes
     if (changes.length > 0) {
@@ -310,7 +273,6 @@ export class BaselineComparison {
       .from('scan_sessions')
       .update({
         new_listings: result.newListings.length,
-        deleted_listings: result.deletedListings.length,
         updated_listings: result.updatedListings.length
       })
       .eq('scan_id', this.scanId)
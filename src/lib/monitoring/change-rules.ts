@@ -0,0 +1,302 @@
+// Change-detection rules: evaluated over a baseline comparison so new alert
+// types can be added as change_detection_rules rows instead of code
+import { createServerClient } from '@/lib/supabase'
+import { getCategory } from '@/lib/utils/listing-fields'
+import { TRACKED_LISTING_FIELDS, TrackedListingField } from './listing-history'
+
+export type RuleOperator =
+  | 'pct_change'
+  | 'abs_change'
+  | 'crossed_above'
+  | 'crossed_below'
+  | 'changed'
+  | 'appeared'
+  | 'disappeared'
+
+export type RuleDirection = 'up' | 'down' | 'any'
+export type RuleSeverity = 'info' | 'warning' | 'critical'
+
+export interface ChangeDetectionRule {
+  id?: string
+  rule_key: string
+  name: string
+  // Tracked listing field, 'category', or 'listing' for the listing itself
+  field: string
+  operator: RuleOperator
+  direction: RuleDirection
+  threshold: number | null
+  // changed: only changes to this value; appeared/disappeared on list fields: only this element
+  value: string | null
+  severity: RuleSeverity
+  change_type: string
+  is_active: boolean
+}
+
+export interface RuleMatch {
+  rule: ChangeDetectionRule
+  listingId: string
+  field: string
+  oldValue: any
+  newValue: any
+  changePercentage?: number
+  changeAmount?: number
+}
+
+export const RULE_OPERATORS: RuleOperator[] = [
+  'pct_change', 'abs_change', 'crossed_above', 'crossed_below', 'changed', 'appeared', 'disappeared'
+]
+export const RULE_DIRECTIONS: RuleDirection[] = ['up', 'down', 'any']
+export const RULE_SEVERITIES: RuleSeverity[] = ['info', 'warning', 'critical']
+export const LISTING_FIELD = 'listing'
+
+const THRESHOLD_OPERATORS: RuleOperator[] = ['pct_change', 'abs_change', 'crossed_above', 'crossed_below']
+const PRESENCE_OPERATORS: RuleOperator[] = ['appeared', 'disappeared']
+
+// Used when the rules table is missing or empty; mirrors the seeded rows
+export const DEFAULT_CHANGE_RULES: ChangeDetectionRule[] = [
+  { rule_key: 'new_listing', name: 'New listing', field: LISTING_FIELD, operator: 'appeared', direction: 'any', threshold: null, value: null, severity: 'info', change_type: 'new', is_active: true },
+  { rule_key: 'deleted_listing', name: 'Listing confirmed removed', field: LISTING_FIELD, operator: 'disappeared', direction: 'any', threshold: null, value: null, severity: 'info', change_type: 'deleted', is_active: true },
+  { rule_key: 'price_drop', name: 'Price drop over 20%', field: 'asking_price', operator: 'pct_change', direction: 'down', threshold: 20, value: null, severity: 'warning', change_type: 'price_drop', is_active: true },
+  { rule_key: 'revenue_change', name: 'Revenue change over $5K', field: 'monthly_revenue', operator: 'abs_change', direction: 'any', threshold: 5000, value: null, severity: 'info', change_type: 'revenue_change', is_active: true },
+  { rule_key: 'category_change', name: 'Category changed', field: 'category', operator: 'changed', direction: 'any', threshold: null, value: null, severity: 'info', change_type: 'category_change', is_active: true },
+  { rule_key: 'listing_sold', name: 'Listing sold', field: 'lifecycle_state', operator: 'changed', direction: 'any', threshold: null, value: 'sold', severity: 'warning', change_type: 'sold', is_active: true },
+  { rule_key: 'listing_relisted', name: 'Listing relisted', field: 'lifecycle_state', operator: 'changed', direction: 'any', threshold: null, value: 'relisted', severity: 'info', change_type: 'relisted', is_active: true }
+]
+
+export function readRuleField(listing: any, field: string): any {
+  if (!listing) return null
+  if (field in TRACKED_LISTING_FIELDS) {
+    return TRACKED_LISTING_FIELDS[field as TrackedListingField](listing)
+  }
+  if (field === 'category') return getCategory(listing)
+  const value = listing[field]
+  return value === undefined || value === '' ? null : value
+}
+
+function matchesDirection(delta: number, direction: RuleDirection): boolean {
+  if (direction === 'up') return delta > 0
+  if (direction === 'down') return delta < 0
+  return delta !== 0
+}
+
+function listElements(value: any): string[] | null {
+  return Array.isArray(value) ? value.map(String) : null
+}
+
+/**
+ * Evaluate one rule for one listing. previous/current are the listing before
+ * and after the scan; either may be null for new or removed listings.
+ */
+export function evaluateRule(
+  rule: ChangeDetectionRule,
+  listingId: string,
+  previous: any | null,
+  current: any | null
+): RuleMatch | null {
+  if (rule.field === LISTING_FIELD) {
+    if (rule.operator === 'appeared' && !previous && current) {
+      return { rule, listingId, field: LISTING_FIELD, oldValue: null, newValue: listingId }
+    }
+    if (rule.operator === 'disappeared' && previous && !current) {
+      return { rule, listingId, field: LISTING_FIELD, oldValue: listingId, newValue: null }
+    }
+    return null
+  }
+
+  // Field rules only apply to listings seen on both sides
+  if (!previous || !current) return null
+
+  const oldValue = readRuleField(previous, rule.field)
+  const newValue = readRuleField(current, rule.field)
+  const match = (extra: Partial<RuleMatch> = {}): RuleMatch => ({
+    rule, listingId, field: rule.field, oldValue, newValue, ...extra
+  })
+
+  switch (rule.operator) {
+    case 'pct_change':
+    case 'abs_change': {
+      if (typeof oldValue !== 'number' || typeof newValue !== 'number' || rule.threshold === null) return null
+      const delta = newValue - oldValue
+      if (!matchesDirection(delta, rule.direction)) return null
+      const changePercentage = oldValue !== 0 ? (delta / Math.abs(oldValue)) * 100 : undefined
+      const measured = rule.operator === 'pct_change' ? changePercentage : delta
+      if (measured === undefined || Math.abs(measured) <= rule.threshold) return null
+      return match({ changePercentage, changeAmount: delta })
+    }
+
+    case 'crossed_above':
+      if (typeof oldValue !== 'number' || typeof newValue !== 'number' || rule.threshold === null) return null
+      return oldValue < rule.threshold && newValue >= rule.threshold
+        ? match({ changeAmount: newValue - oldValue })
+        : null
+
+    case 'crossed_below':
+      if (typeof oldValue !== 'number' || typeof newValue !== 'number' || rule.threshold === null) return null
+      return oldValue > rule.threshold && newValue <= rule.threshold
+        ? match({ changeAmount: newValue - oldValue })
+        : null
+
+    case 'changed':
+      if (oldValue === null || newValue === null) return null
+      // With a value, only changes to that value (e.g. lifecycle_state -> sold)
+      if (rule.value && String(newValue) !== rule.value) return null
+      return JSON.stringify(oldValue) !== JSON.stringify(newValue) ? match() : null
+
+    case 'appeared':
+    case 'disappeared': {
+      const [from, to] = rule.operator === 'appeared' ? [oldValue, newValue] : [newValue, oldValue]
+      const fromList = listElements(from)
+      const toList = listElements(to)
+
+      // List fields (badges): elements added or removed, optionally one specific element
+      if (toList) {
+        const diff = toList
+          .filter(element => !(fromList || []).includes(element))
+          .filter(element => !rule.value || element.toLowerCase() === rule.value.toLowerCase())
+        if (diff.length === 0) return null
+        return rule.operator === 'appeared'
+          ? match({ newValue: diff })
+          : match({ oldValue: diff })
+      }
+
+      // Scalar fields: value went from empty to set (or back)
+      if (!fromList && from === null && to !== null && (!rule.value || String(to) === rule.value)) {
+        return match()
+      }
+      return null
+    }
+  }
+
+  return null
+}
+
+/**
+ * Evaluate active rules over a comparison. previous holds the stored listings,
+ * current the scanned ones; removed lists listings the scan confirmed gone.
+ */
+export function evaluateRules(
+  rules: ChangeDetectionRule[],
+  { previous, current, removed }: {
+    previous: Map<string, any>
+    current: Map<string, any>
+    removed: string[]
+  }
+): RuleMatch[] {
+  const active = rules.filter(rule => rule.is_active)
+  const matches: RuleMatch[] = []
+
+  current.forEach((listing, listingId) => {
+    const before = previous.get(listingId) || null
+    active.forEach(rule => {
+      const result = evaluateRule(rule, listingId, before, listing)
+      if (result) matches.push(result)
+    })
+  })
+
+  removed.forEach(listingId => {
+    const before = previous.get(listingId)
+    if (!before) return
+    active.forEach(rule => {
+      const result = evaluateRule(rule, listingId, before, null)
+      if (result) matches.push(result)
+    })
+  })
+
+  return matches
+}
+
+/**
+ * Validate a rule sent by a client. Returns field-level errors.
+ */
+export function validateChangeRule(raw: any): {
+  rule: Omit<ChangeDetectionRule, 'id'> | null
+  errors: { field: string; message: string }[]
+} {
+  const errors: { field: string; message: string }[] = []
+  const key = /^[a-z][a-z0-9_]*$/
+
+  const rule: Omit<ChangeDetectionRule, 'id'> = {
+    rule_key: typeof raw?.rule_key === 'string' ? raw.rule_key.trim() : '',
+    name: typeof raw?.name === 'string' ? raw.name.trim() : '',
+    field: typeof raw?.field === 'string' ? raw.field.trim() : '',
+    operator: raw?.operator,
+    direction: raw?.direction || 'any',
+    threshold: raw?.threshold === undefined || raw?.threshold === null || raw?.threshold === ''
+      ? null
+      : Number(raw.threshold),
+    value: typeof raw?.value === 'string' && raw.value.trim() ? raw.value.trim() : null,
+    severity: raw?.severity || 'info',
+    change_type: typeof raw?.change_type === 'string' ? raw.change_type.trim() : '',
+    is_active: raw?.is_active !== false
+  }
+
+  if (!key.test(rule.rule_key)) errors.push({ field: 'rule_key', message: 'Use lowercase letters, digits and underscores' })
+  if (!rule.name) errors.push({ field: 'name', message: 'Name is required' })
+  if (!rule.field) errors.push({ field: 'field', message: 'Field is required' })
+  if (!RULE_OPERATORS.includes(rule.operator)) errors.push({ field: 'operator', message: `Operator must be one of ${RULE_OPERATORS.join(', ')}` })
+  if (!RULE_DIRECTIONS.includes(rule.direction)) errors.push({ field: 'direction', message: 'Direction must be up, down or any' })
+  if (!RULE_SEVERITIES.includes(rule.severity)) errors.push({ field: 'severity', message: 'Severity must be info, warning or critical' })
+  if (!key.test(rule.change_type)) errors.push({ field: 'change_type', message: 'Use lowercase letters, digits and underscores' })
+
+  if (THRESHOLD_OPERATORS.includes(rule.operator) && (rule.threshold === null || !Number.isFinite(rule.threshold))) {
+    errors.push({ field: 'threshold', message: `${rule.operator} needs a numeric threshold` })
+  }
+  if (rule.field === LISTING_FIELD && !PRESENCE_OPERATORS.includes(rule.operator)) {
+    errors.push({ field: 'operator', message: 'The listing field only supports appeared and disappeared' })
+  }
+
+  return { rule: errors.length === 0 ? rule : null, errors }
+}
+
+// Undefined table (Postgres) or table missing from PostgREST's schema cache
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205']
+
+/**
+ * Active rules from change_detection_rules. The defaults apply only while the
+ * table is missing or has no rows; an admin who deactivated every rule gets
+ * no matches
+ */
+export async function loadChangeRules(
+  supabase: ReturnType<typeof createServerClient> = createServerClient()
+): Promise<ChangeDetectionRule[]> {
+  const { data, error } = await supabase
+    .from('change_detection_rules')
+    .select('*')
+
+  if (error) {
+    if (!MISSING_TABLE_CODES.includes(error.code)) throw error
+    console.warn('Change rules table missing, using defaults:', error.message)
+    return DEFAULT_CHANGE_RULES
+  }
+  if (!data || data.length === 0) return DEFAULT_CHANGE_RULES
+
+  return data
+    .filter(row => row.is_active)
+    .map(row => ({
+      ...row,
+      threshold: row.threshold === null ? null : Number(row.threshold)
+    }))
+}
+
+function toText(value: any): string | null {
+  if (value === null || value === undefined) return null
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+// incremental_changes row for a match
+export function ruleMatchToChange(match: RuleMatch, scanId: string, snapshot: any): Record<string, any> {
+  return {
+    listing_id: match.listingId,
+    change_type: match.rule.change_type,
+    rule_key: match.rule.rule_key,
+    severity: match.rule.severity,
+    field_name: match.field === LISTING_FIELD ? null : match.field,
+    old_value: match.field === LISTING_FIELD ? null : toText(match.oldValue),
+    new_value: match.field === LISTING_FIELD ? null : toText(match.newValue),
+    change_percentage: match.changePercentage !== undefined
+      ? Math.round(match.changePercentage * 100) / 100
+      : null,
+    scan_id: scanId,
+    listing_snapshot: snapshot || null
+  }
+}
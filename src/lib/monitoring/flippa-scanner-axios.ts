@@ -4,12 +4,15 @@ import { parse as parseHTML } from 'node-html-parser'
 import { FlareSolverrClient } from '@/lib/cloudflare-bypass/flaresolverr-client'
 import { createServerClient } from '@/lib/supabase'
 import { sleep, generateId } from '@/lib/utils'
+import { ScanProgressReporter } from './scan-progress'
 
 interface ScanOptions {
   pages?: number
   delayMin?: number
   delayMax?: number
   scanId?: string
+  // Receives per-page progress and errors; the caller reports the rest of the scan
+  progress?: ScanProgressReporter
 }
 
 interface ListingData {
@@ -19,6 +22,11 @@ interface ListingData {
   monthly_revenue: number
   category: string
   url: string
+  // Only set when the card shows them, so a missing element isn't read as a change
+  monthly_profit?: number
+  bid_count?: number
+  watch_count?: number
+  badges?: string[]
 }
 
 export class FlippaScannerAxios {
@@ -41,7 +49,8 @@ export class FlippaScannerAxios {
       pages = 5, 
       delayMin = 60, 
       delayMax = 120,
-      scanId = generateId('scan')
+      scanId = generateId('scan'),
+      progress
     } = options
     
     const listings: ListingData[] = []
@@ -69,6 +78,12 @@ export class FlippaScannerAxios {
             listings_found: listings.length,
             status: 'running'
           })
+          await progress?.page({
+            page,
+            totalPages: pages,
+            pageListings: pageListings.length,
+            listingsFound: listings.length
+          })
           
           // Human-like delay between pages
           if (page < pages) {
@@ -79,6 +94,7 @@ export class FlippaScannerAxios {
         } catch (error) {
           console.error(`❌ Error on page ${page}:`, error)
           errors.push({ page, error: error.message })
+          await progress?.error(error instanceof Error ? error.message : String(error), { page })
         }
       }
       
@@ -170,13 +186,25 @@ export class FlippaScannerAxios {
         const categoryElement = card.querySelector('.property-type, .category, [data-testid="category"]')
         const category = categoryElement?.text?.trim() || 'Unknown'
         
+        // Extract profit, bids, watchers and badges when the card shows them
+        const profitElement = card.querySelector('[data-testid="monthly-profit"], .monthly-profit, .profit')
+        const bidElement = card.querySelector('[data-testid="bid-count"], .bid-count, .bids')
+        const watchElement = card.querySelector('[data-testid="watch-count"], .watch-count, .watchers')
+        const badgeElements = card.querySelectorAll('[data-testid="badge"], .badge')
+        
         listings.push({
           listing_id,
           title,
           asking_price,
           monthly_revenue,
           category,
-          url: `https://flippa.com${href}`
+          url: `https://flippa.com${href}`,
+          monthly_profit: profitElement ? this.parsePrice(profitElement.text) : undefined,
+          bid_count: bidElement ? parseInt(bidElement.text.replace(/[^0-9]/g, ''), 10) || 0 : undefined,
+          watch_count: watchElement ? parseInt(watchElement.text.replace(/[^0-9]/g, ''), 10) || 0 : undefined,
+          badges: badgeElements.length > 0
+            ? badgeElements.map(badge => badge.text.trim()).filter(Boolean)
+            : undefined
         })
       } catch (error) {
         console.error('Error parsing listing:', error)
@@ -238,7 +266,11 @@ export class FlippaScannerAxios {
         asking_price: listing.asking_price,
         monthly_revenue: listing.monthly_revenue,
         category: listing.category,
-        url: listing.url
+        url: listing.url,
+        monthly_profit: listing.monthly_profit,
+        bid_count: listing.bid_count,
+        watch_count: listing.watch_count,
+        badges: listing.badges
       })
     }
     
@@ -2,6 +2,7 @@
 import { FlareSolverrClient } from '@/lib/cloudflare-bypass/flaresolverr-client'
 import { createServerClient } from '@/lib/supabase'
 import { sleep, generateId } from '@/lib/utils'
+import { ScanProgressReporter } from './scan-progress'
 import * as cheerio from 'cheerio'
 
 interface ScanOptions {
@@ -25,11 +26,13 @@ export class FlippaScanner {
   private flaresolverr: FlareSolverrClient
   private supabase: ReturnType<typeof createServerClient>
   private scanId: string
+  private progress: ScanProgressReporter
   
   constructor() {
     this.flaresolverr = new FlareSolverrClient()
     this.supabase = createServerClient()
     this.scanId = generateId('scan')
+    this.progress = new ScanProgressReporter(this.scanId, this.supabase)
   }
 
   async scan(options: ScanOptions = {}): Promise<{
@@ -46,11 +49,13 @@ export class FlippaScanner {
     } = options
 
     this.scanId = scanId
+    this.progress = new ScanProgressReporter(scanId, this.supabase)
     const listings: ListingData[] = []
     const errors: any[] = []
 
     // Start scan session
     await this.startScanSession()
+    await this.progress.started({ totalPages: pages })
 
     try {
       // Create session with FlareSolverr
@@ -64,7 +69,7 @@ export class FlippaScanner {
           listings.push(...pageListings)
           
           // Update scan progress
-          await this.updateScanProgress(page, listings.length)
+          await this.updateScanProgress(page, pages, pageListings.length, listings.length)
           
           // Human-like delay between pages
           if (page < pages) {
@@ -75,6 +80,7 @@ export class FlippaScanner {
         } catch (error) {
           console.error(`❌ Error scanning page ${page}:`, error)
           errors.push({ page, error: error.message })
+          await this.progress.error(error instanceof Error ? error.message : String(error), { page })
           
           // Continue with next page after error
           await sleep(30000) // 30s cooldown after error
@@ -87,6 +93,7 @@ export class FlippaScanner {
     } catch (error) {
       console.error('❌ Fatal scan error:', error)
       errors.push({ fatal: true, error: error.message })
+      await this.progress.error(error instanceof Error ? error.message : String(error), { fatal: true })
     }
 
     // Complete scan session
@@ -184,7 +191,12 @@ export class FlippaScanner {
       })
   }
 
-  private async updateScanProgress(pagesScanned: number, listingsFound: number): Promise<void> {
+  private async updateScanProgress(
+    pagesScanned: number,
+    totalPages: number,
+    pageListings: number,
+    listingsFound: number
+  ): Promise<void> {
     await this.supabase
       .from('scan_sessions')
       .update({
@@ -192,6 +204,8 @@ export class FlippaScanner {
         listings_found: listingsFound
       })
       .eq('scan_id', this.scanId)
+
+    await this.progress.page({ page: pagesScanned, totalPages, pageListings, listingsFound })
   }
 
   private async completeScanSession(totalListings: number, errors: any[]): Promise<void> {
@@ -213,6 +227,12 @@ export class FlippaScanner {
         errors: errors
       })
       .eq('scan_id', this.scanId)
+
+    await this.progress.completed({
+      totalListings,
+      durationSeconds: duration,
+      errors: errors.length
+    })
   }
 
   // Extract comparison data for existing listings
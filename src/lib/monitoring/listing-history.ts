@@ -0,0 +1,270 @@
+// Append-only field-level history for listings: what changed, when, and in which scan
+import { createServerClient } from '@/lib/supabase'
+import {
+  getBadges,
+  getBidCount,
+  getMonthlyProfit,
+  getMonthlyRevenue,
+  getPrice,
+  getProfitMultiple,
+  getWatchCount
+} from '@/lib/utils/listing-fields'
+
+export type TrackedValue = number | string | string[]
+
+const round = (value: number | null, digits: number) =>
+  value === null ? null : Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits)
+
+// Accessors normalise the different listing schemas so values compare cleanly
+export const TRACKED_LISTING_FIELDS = {
+  title: (listing: any): TrackedValue | null => (typeof listing.title === 'string' && listing.title.trim()) || null,
+  asking_price: (listing: any): TrackedValue | null => round(getPrice(listing), 2),
+  monthly_revenue: (listing: any): TrackedValue | null => round(getMonthlyRevenue(listing), 2),
+  monthly_profit: (listing: any): TrackedValue | null => round(getMonthlyProfit(listing), 2),
+  profit_multiple: (listing: any): TrackedValue | null => round(getProfitMultiple(listing), 2),
+  bid_count: (listing: any): TrackedValue | null => getBidCount(listing),
+  watch_count: (listing: any): TrackedValue | null => getWatchCount(listing),
+  badges: (listing: any): TrackedValue | null => getBadges(listing)
+}
+
+export type TrackedListingField = keyof typeof TRACKED_LISTING_FIELDS
+
+export const TRACKED_FIELD_NAMES = Object.keys(TRACKED_LISTING_FIELDS) as TrackedListingField[]
+
+export interface FieldChange {
+  field: TrackedListingField
+  oldValue: TrackedValue | null
+  newValue: TrackedValue
+  changePercentage?: number
+}
+
+export interface ListingHistoryEvent {
+  observedAt: string
+  field: TrackedListingField
+  oldValue: TrackedValue | null
+  newValue: TrackedValue | null
+  scanId: string | null
+}
+
+export interface PriceCut {
+  observedAt: string
+  oldPrice: number
+  newPrice: number
+  changePercentage: number
+}
+
+export interface ListingTimeline {
+  listingId: string
+  firstSeenAt: string | null
+  lastChangedAt: string | null
+  daysOnMarket: number | null
+  priceCuts: PriceCut[]
+  // Current asking price against the first one recorded
+  totalPriceChangePercentage: number | null
+  series: Partial<Record<TrackedListingField, { observedAt: string; value: TrackedValue | null }[]>>
+  events: ListingHistoryEvent[]
+}
+
+/**
+ * Read every tracked field the listing carries. Fields the source doesn't
+ * provide are left out, so a partial scan never looks like a removed value.
+ */
+export function readTrackedFields(listing: any): Partial<Record<TrackedListingField, TrackedValue>> {
+  const values: Partial<Record<TrackedListingField, TrackedValue>> = {}
+  TRACKED_FIELD_NAMES.forEach(field => {
+    const value = TRACKED_LISTING_FIELDS[field](listing)
+    if (value !== null) values[field] = value
+  })
+  return values
+}
+
+function sameValue(a: TrackedValue | null | undefined, b: TrackedValue | null | undefined): boolean {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+/**
+ * Compare two sets of tracked values. With includeFirstValues, a field seen
+ * for the first time counts as a change from null (used to seed history).
+ */
+export function diffTrackedFields(
+  previous: Partial<Record<TrackedListingField, TrackedValue | null>>,
+  current: Partial<Record<TrackedListingField, TrackedValue>>,
+  { includeFirstValues = false }: { includeFirstValues?: boolean } = {}
+): FieldChange[] {
+  const changes: FieldChange[] = []
+
+  TRACKED_FIELD_NAMES.forEach(field => {
+    const newValue = current[field]
+    if (newValue === undefined) return
+
+    const oldValue = previous[field] ?? null
+    if (oldValue === null && !includeFirstValues) return
+    if (sameValue(oldValue, newValue)) return
+
+    const change: FieldChange = { field, oldValue, newValue }
+    if (typeof oldValue === 'number' && typeof newValue === 'number' && oldValue !== 0) {
+      change.changePercentage = ((newValue - oldValue) / Math.abs(oldValue)) * 100
+    }
+    changes.push(change)
+  })
+
+  return changes
+}
+
+/**
+ * Build the timeline for one listing from its history rows (any order).
+ * listedAt, when known from the listing row, can move firstSeenAt earlier.
+ */
+export function buildListingTimeline(
+  listingId: string,
+  rows: any[],
+  { listedAt, now = new Date() }: { listedAt?: string | null; now?: Date } = {}
+): ListingTimeline {
+  const events: ListingHistoryEvent[] = rows
+    .map(row => ({
+      observedAt: row.observed_at,
+      field: row.field_name as TrackedListingField,
+      oldValue: row.old_value ?? null,
+      newValue: row.new_value ?? null,
+      scanId: row.scan_id ?? null
+    }))
+    .sort((a, b) => new Date(a.observedAt).getTime() - new Date(b.observedAt).getTime())
+
+  const series: ListingTimeline['series'] = {}
+  events.forEach(event => {
+    const points = series[event.field] || []
+    points.push({ observedAt: event.observedAt, value: event.newValue })
+    series[event.field] = points
+  })
+
+  const priceCuts: PriceCut[] = events
+    .filter(event =>
+      event.field === 'asking_price' &&
+      typeof event.oldValue === 'number' &&
+      typeof event.newValue === 'number' &&
+      event.newValue < event.oldValue
+    )
+    .map(event => ({
+      observedAt: event.observedAt,
+      oldPrice: event.oldValue as number,
+      newPrice: event.newValue as number,
+      changePercentage: event.oldValue
+        ? (((event.newValue as number) - (event.oldValue as number)) / (event.oldValue as number)) * 100
+        : 0
+    }))
+
+  const prices = (series.asking_price || [])
+    .map(point => point.value)
+    .filter((value): value is number => typeof value === 'number')
+  const totalPriceChangePercentage = prices.length > 1 && prices[0] > 0
+    ? ((prices[prices.length - 1] - prices[0]) / prices[0]) * 100
+    : null
+
+  const candidates = [events[0]?.observedAt, listedAt || undefined]
+    .filter((value): value is string => Boolean(value) && !isNaN(new Date(value as string).getTime()))
+    .sort((a, b) => new Date(a).getTime() - new Date(b).getTime())
+  const firstSeenAt = candidates[0] || null
+
+  return {
+    listingId,
+    firstSeenAt,
+    lastChangedAt: events.length > 0 ? events[events.length - 1].observedAt : null,
+    daysOnMarket: firstSeenAt
+      ? Math.max(0, Math.floor((now.getTime() - new Date(firstSeenAt).getTime()) / (1000 * 60 * 60 * 24)))
+      : null,
+    priceCuts,
+    totalPriceChangePercentage,
+    series,
+    events
+  }
+}
+
+// Supabase caps .in() filters by URL length; keep batches well under it
+const LOOKUP_BATCH_SIZE = 200
+const INSERT_BATCH_SIZE = 500
+
+export class ListingHistoryRecorder {
+  private supabase: ReturnType<typeof createServerClient>
+
+  constructor(supabase?: ReturnType<typeof createServerClient>) {
+    this.supabase = supabase || createServerClient()
+  }
+
+  /**
+   * Append a row for every tracked field whose value differs from the latest
+   * recorded one. Returns the number of rows written.
+   */
+  async record(scanId: string, listings: Map<string, any>, observedAt = new Date()): Promise<number> {
+    const listingIds = Array.from(listings.keys())
+    if (listingIds.length === 0) return 0
+
+    const latest = await this.loadLatestValues(listingIds)
+    const rows: any[] = []
+
+    listings.forEach((listing, listingId) => {
+      const changes = diffTrackedFields(latest.get(listingId) || {}, readTrackedFields(listing), {
+        includeFirstValues: true
+      })
+      changes.forEach(change => {
+        rows.push({
+          listing_id: listingId,
+          field_name: change.field,
+          old_value: change.oldValue,
+          new_value: change.newValue,
+          scan_id: scanId,
+          observed_at: observedAt.toISOString()
+        })
+      })
+    })
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const { error } = await this.supabase
+        .from('listing_field_history')
+        .insert(rows.slice(i, i + INSERT_BATCH_SIZE))
+
+      if (error) {
+        console.error('Error recording listing history:', error)
+        return i
+      }
+    }
+
+    if (rows.length > 0) {
+      console.log(`🕓 Recorded ${rows.length} listing field changes`)
+    }
+    return rows.length
+  }
+
+  async getTimeline(listingId: string, listedAt?: string | null): Promise<ListingTimeline> {
+    const { data, error } = await this.supabase
+      .from('listing_field_history')
+      .select('*')
+      .eq('listing_id', listingId)
+      .order('observed_at', { ascending: true })
+
+    if (error) throw error
+    return buildListingTimeline(listingId, data || [], { listedAt })
+  }
+
+  private async loadLatestValues(
+    listingIds: string[]
+  ): Promise<Map<string, Partial<Record<TrackedListingField, TrackedValue | null>>>> {
+    const latest = new Map<string, Partial<Record<TrackedListingField, TrackedValue | null>>>()
+
+    for (let i = 0; i < listingIds.length; i += LOOKUP_BATCH_SIZE) {
+      const { data, error } = await this.supabase
+        .from('listing_field_latest')
+        .select('listing_id, field_name, value')
+        .in('listing_id', listingIds.slice(i, i + LOOKUP_BATCH_SIZE))
+
+      if (error) throw error
+
+      ;(data || []).forEach(row => {
+        const values = latest.get(row.listing_id) || {}
+        values[row.field_name as TrackedListingField] = row.value
+        latest.set(row.listing_id, values)
+      })
+    }
+
+    return latest
+  }
+}
@@ -0,0 +1,338 @@
+// Listing lifecycle state machine: scan coverage moves listings between active
+// and unseen; checks of the listing page confirm removals, sales and relists
+import { parse as parseHTML } from 'node-html-parser'
+import { FlareSolverrClient } from '@/lib/cloudflare-bypass/flaresolverr-client'
+import { createServerClient } from '@/lib/supabase'
+import { sleep } from '@/lib/utils'
+import { evaluateRules, loadChangeRules, ruleMatchToChange } from './change-rules'
+
+export type LifecycleState = 'active' | 'unseen' | 'confirmed_removed' | 'sold' | 'relisted'
+
+export type LifecycleObservation =
+  | { type: 'scan_seen' }
+  // covered: the scan included the page the listing was last seen on
+  | { type: 'scan_missing'; covered: boolean }
+  | { type: 'page_live' }
+  | { type: 'page_sold'; soldPrice: number | null }
+  | { type: 'page_removed' }
+
+export interface LifecycleTransition {
+  listingId: string
+  from: LifecycleState
+  to: LifecycleState
+  reason: LifecycleObservation['type']
+  soldPrice?: number | null
+}
+
+export type ListingPageStatus =
+  | { status: 'live' }
+  | { status: 'sold'; soldPrice: number | null }
+  | { status: 'removed' }
+  | { status: 'unknown' }
+
+export const LIFECYCLE_STATES: LifecycleState[] = ['active', 'unseen', 'confirmed_removed', 'sold', 'relisted']
+
+// Page checks go through FlareSolverr and are slow; spread them over scans
+export const DEFAULT_MAX_CHECKS_PER_SCAN = 10
+// Unseen listings outside scan coverage are re-checked at most this often
+export const RECHECK_AFTER_HOURS = 24
+
+const UPDATE_BATCH_SIZE = 200
+
+/**
+ * Next state for a listing given what a scan or page check observed
+ */
+export function nextLifecycleState(state: LifecycleState, observation: LifecycleObservation): LifecycleState {
+  switch (observation.type) {
+    case 'scan_seen':
+    case 'page_live':
+      if (state === 'confirmed_removed' || state === 'sold') return 'relisted'
+      if (state === 'unseen') return 'active'
+      return state
+
+    case 'scan_missing':
+      // Absence alone never confirms a removal
+      return state === 'active' || state === 'relisted' ? 'unseen' : state
+
+    case 'page_sold':
+      return 'sold'
+
+    case 'page_removed':
+      // A sold listing's page may disappear later; it stays sold
+      return state === 'sold' ? 'sold' : 'confirmed_removed'
+  }
+}
+
+function parseAmount(text: string): number | null {
+  const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KMB])?/i)
+  if (!match) return null
+  const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase() as 'K' | 'M' | 'B'] || 1
+  return Math.round(parseFloat(match[1]) * multiplier)
+}
+
+/**
+ * Classify a fetched listing page. Flippa shows sold listings with a status
+ * banner (and usually the final price); withdrawn ones 404 or say so.
+ */
+export function classifyListingPage(httpStatus: number, html: string): ListingPageStatus {
+  if (httpStatus === 404 || httpStatus === 410) return { status: 'removed' }
+  if (httpStatus >= 400 || !html) return { status: 'unknown' }
+
+  const root = parseHTML(html)
+  const statusText = root
+    .querySelectorAll('[data-testid="listing-status"], .listing-status, .status-badge')
+    .map(element => element.text.trim())
+    .join(' ')
+  const text = `${statusText} ${root.querySelector('body')?.text || html}`.replace(/\s+/g, ' ')
+
+  if (/\bsold\b/i.test(statusText) || /this (business|listing|site) (has been|was) sold/i.test(text)) {
+    const priceElement = root.querySelector('[data-testid="sold-price"], .sold-price, .final-price')
+    const priceText = priceElement?.text || text.match(/sold for\s*(?:USD\s*)?\$?\s*([\d,.]+\s*[KMB]?)/i)?.[1] || ''
+    return { status: 'sold', soldPrice: priceText ? parseAmount(priceText) : null }
+  }
+
+  if (/(listing|auction) (has been |was )?(withdrawn|removed|cancelled|closed)|no longer available|listing not found/i.test(text)) {
+    return { status: 'removed' }
+  }
+
+  if (root.querySelector('[data-testid="asking-price"], .asking-price, [data-testid="place-bid"], [data-testid="buy-now"]')) {
+    return { status: 'live' }
+  }
+
+  return { status: 'unknown' }
+}
+
+function observationFor(page: ListingPageStatus): LifecycleObservation | null {
+  switch (page.status) {
+    case 'live': return { type: 'page_live' }
+    case 'sold': return { type: 'page_sold', soldPrice: page.soldPrice }
+    case 'removed': return { type: 'page_removed' }
+    default: return null
+  }
+}
+
+export class ListingLifecycleTracker {
+  private supabase: ReturnType<typeof createServerClient>
+
+  constructor(supabase?: ReturnType<typeof createServerClient>) {
+    this.supabase = supabase || createServerClient()
+  }
+
+  /**
+   * Apply a scan: seen listings are refreshed (and relisted if they had gone),
+   * missing ones become unseen. Misses on covered pages are counted so those
+   * listings get their pages checked first.
+   */
+  async applyScan(
+    scanId: string,
+    {
+      existing,
+      seenIds,
+      missing
+    }: {
+      existing: Map<string, any>
+      seenIds: string[]
+      missing: { listingId: string; covered: boolean }[]
+    }
+  ): Promise<LifecycleTransition[]> {
+    const now = new Date().toISOString()
+    const transitions: LifecycleTransition[] = []
+
+    const seenExisting = seenIds.filter(id => existing.has(id))
+    for (let i = 0; i < seenExisting.length; i += UPDATE_BATCH_SIZE) {
+      await this.supabase
+        .from('flippa_listings')
+        .update({ last_seen_at: now, last_seen_scan_id: scanId, consecutive_misses: 0 })
+        .in('listing_id', seenExisting.slice(i, i + UPDATE_BATCH_SIZE))
+    }
+
+    seenExisting.forEach(listingId => {
+      const from = (existing.get(listingId)?.lifecycle_state || 'active') as LifecycleState
+      const to = nextLifecycleState(from, { type: 'scan_seen' })
+      if (to !== from) transitions.push({ listingId, from, to, reason: 'scan_seen' })
+    })
+
+    // Group misses by resulting miss count so each group is one update
+    const missGroups = new Map<number, string[]>()
+    missing.forEach(({ listingId, covered }) => {
+      const row = existing.get(listingId)
+      if (!row) return
+      const from = (row.lifecycle_state || 'active') as LifecycleState
+      const to = nextLifecycleState(from, { type: 'scan_missing', covered })
+      if (to !== from) transitions.push({ listingId, from, to, reason: 'scan_missing' })
+
+      if (covered && to === 'unseen') {
+        const misses = (Number(row.consecutive_misses) || 0) + 1
+        missGroups.set(misses, [...(missGroups.get(misses) || []), listingId])
+      }
+    })
+
+    for (const [misses, ids] of Array.from(missGroups.entries())) {
+      for (let i = 0; i < ids.length; i += UPDATE_BATCH_SIZE) {
+        await this.supabase
+          .from('flippa_listings')
+          .update({ consecutive_misses: misses })
+          .in('listing_id', ids.slice(i, i + UPDATE_BATCH_SIZE))
+      }
+    }
+
+    await this.recordTransitions(scanId, transitions)
+    return transitions
+  }
+
+  /**
+   * Unseen listings due for a page check: covered misses first, then the
+   * ones not checked for RECHECK_AFTER_HOURS
+   */
+  async selectListingsToCheck(limit = DEFAULT_MAX_CHECKS_PER_SCAN): Promise<string[]> {
+    const cutoff = new Date(Date.now() - RECHECK_AFTER_HOURS * 60 * 60 * 1000).toISOString()
+    const { data, error } = await this.supabase
+      .from('flippa_listings')
+      .select('listing_id')
+      .eq('lifecycle_state', 'unseen')
+      .or(`last_checked_at.is.null,last_checked_at.lt.${cutoff}`)
+      .order('consecutive_misses', { ascending: false })
+      .order('last_seen_at', { ascending: true, nullsFirst: true })
+      .limit(limit)
+
+    if (error) {
+      console.error('Error selecting listings to check:', error)
+      return []
+    }
+    return (data || []).map(row => String(row.listing_id))
+  }
+
+  /**
+   * Fetch each listing page and apply what it shows. Pages that can't be
+   * classified leave the listing as it is.
+   */
+  async checkListings(scanId: string | null, listingIds: string[]): Promise<{
+    checked: number
+    transitions: LifecycleTransition[]
+  }> {
+    if (listingIds.length === 0) return { checked: 0, transitions: [] }
+
+    const { data: rows } = await this.supabase
+      .from('flippa_listings')
+      .select('listing_id, lifecycle_state, url')
+      .in('listing_id', listingIds)
+    const rowMap = new Map((rows || []).map(row => [String(row.listing_id), row]))
+
+    const flaresolverr = new FlareSolverrClient()
+    const sessionId = await flaresolverr.createSession()
+    const transitions: LifecycleTransition[] = []
+    let checked = 0
+
+    try {
+      for (const listingId of listingIds) {
+        const row = rowMap.get(listingId)
+        if (!row) continue
+
+        let page: ListingPageStatus = { status: 'unknown' }
+        try {
+          const result = await flaresolverr.solveCloudflare(
+            row.url || `https://flippa.com/businesses/${listingId}`,
+            sessionId,
+            { maxTimeout: 60000 }
+          )
+          page = classifyListingPage(result.status, result.html)
+        } catch (error) {
+          console.error(`Error checking listing ${listingId}:`, error)
+        }
+        checked++
+
+        const checkedAt = new Date().toISOString()
+        const observation = observationFor(page)
+        const from = (row.lifecycle_state || 'active') as LifecycleState
+        const to = observation ? nextLifecycleState(from, observation) : from
+
+        await this.supabase
+          .from('flippa_listings')
+          .update({
+            last_checked_at: checkedAt,
+            ...(page.status === 'live' ? { consecutive_misses: 0 } : {}),
+            ...(page.status === 'sold' ? { sold_price: page.soldPrice, sold_at: checkedAt } : {})
+          })
+          .eq('listing_id', listingId)
+
+        if (observation && to !== from) {
+          transitions.push({
+            listingId,
+            from,
+            to,
+            reason: observation.type,
+            soldPrice: page.status === 'sold' ? page.soldPrice : undefined
+          })
+        }
+
+        // Human-like delay between page loads
+        await sleep((5 + Math.random() * 10) * 1000)
+      }
+    } finally {
+      await flaresolverr.destroySession(sessionId)
+    }
+
+    await this.recordTransitions(scanId, transitions)
+    console.log(`🔎 Checked ${checked} listing pages, ${transitions.length} state changes`)
+    return { checked, transitions }
+  }
+
+  /**
+   * Persist state changes: update the listing, append lifecycle events and
+   * log matching change-detection rules (sold, relisted, confirmed removed)
+   */
+  private async recordTransitions(scanId: string | null, transitions: LifecycleTransition[]): Promise<void> {
+    if (transitions.length === 0) return
+    const now = new Date().toISOString()
+
+    const byState = new Map<LifecycleState, string[]>()
+    transitions.forEach(transition => {
+      byState.set(transition.to, [...(byState.get(transition.to) || []), transition.listingId])
+    })
+    for (const [state, ids] of Array.from(byState.entries())) {
+      for (let i = 0; i < ids.length; i += UPDATE_BATCH_SIZE) {
+        await this.supabase
+          .from('flippa_listings')
+          .update({ lifecycle_state: state, lifecycle_changed_at: now })
+          .in('listing_id', ids.slice(i, i + UPDATE_BATCH_SIZE))
+      }
+    }
+
+    const { error } = await this.supabase
+      .from('listing_lifecycle_events')
+      .insert(transitions.map(transition => ({
+        listing_id: transition.listingId,
+        from_state: transition.from,
+        to_state: transition.to,
+        reason: transition.reason,
+        scan_id: scanId,
+        sold_price: transition.soldPrice ?? null,
+        occurred_at: now
+      })))
+    if (error) console.error('Error recording lifecycle events:', error)
+
+    // Rules see the state change; confirmed removals count as the listing disappearing
+    const previous = new Map<string, any>()
+    const current = new Map<string, any>()
+    const removed: string[] = []
+    transitions.forEach(transition => {
+      previous.set(transition.listingId, { lifecycle_state: transition.from })
+      if (transition.to === 'confirmed_removed') {
+        removed.push(transition.listingId)
+      } else {
+        current.set(transition.listingId, { lifecycle_state: transition.to, sold_price: transition.soldPrice })
+      }
+    })
+
+    const rules = await loadChangeRules(this.supabase)
+    const changes = evaluateRules(rules, { previous, current, removed })
+      .map(match => ruleMatchToChange(match, scanId || 'lifecycle-check', null))
+
+    if (changes.length > 0) {
+      const { error: changeError } = await this.supabase
+        .from('incremental_changes')
+        .insert(changes)
+      if (changeError) console.error('Error logging lifecycle changes:', changeError)
+    }
+  }
+}
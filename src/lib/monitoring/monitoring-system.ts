@@ -3,8 +3,11 @@ import { FlippaScannerAxios } from './flippa-scanner-axios'
 import { BaselineComparison } from './baseline-comparison'
 import { ListingProcessor } from './listing-processor'
 import { NotificationService } from './notification-service'
+import { checkListingLifecycle, processSavedSearchAlerts } from './scan-pipeline'
+import { ScanProgressReporter } from './scan-progress'
 import { createServerClient } from '@/lib/supabase'
 import { generateId } from '@/lib/utils'
+import { nextRun } from '@/lib/scheduling/cron'
 import * as cron from 'node-cron'
 
 interface MonitoringConfig {
@@ -50,19 +53,25 @@ export class MonitoringSystem {
     console.log('✅ Monitoring system initialized')
   }
 
-  // Run a monitoring scan
-  async runScan(options: { manual?: boolean } = {}): Promise<{
+  // Run a monitoring scan. Callers streaming its progress pass the scanId
+  // they subscribed to
+  async runScan(options: { manual?: boolean; scanId?: string } = {}): Promise<{
     success: boolean
     scanId: string
     results: any
   }> {
     if (this.isRunning) {
       console.log('⚠️  Scan already in progress')
+      // A client already listening for this scan would otherwise wait forever
+      if (options.scanId) {
+        await new ScanProgressReporter(options.scanId, this.supabase).failed('Scan already in progress')
+      }
       return { success: false, scanId: '', results: { error: 'Scan already in progress' } }
     }
 
     this.isRunning = true
-    const scanId = generateId('scan')
+    const scanId = options.scanId || generateId('scan')
+    const progress = new ScanProgressReporter(scanId, this.supabase)
     
     try {
       console.log('🔍 Starting monitoring scan...')
@@ -70,13 +79,15 @@ export class MonitoringSystem {
       
       // Load configuration
       const config = await this.loadConfiguration()
+      await progress.started({ totalPages: config.pages, manual: !!options.manual })
       
       // 1. Scan current listings
       const scanResult = await this.scanner.scan({
         pages: config.pages,
         delayMin: config.delayMin,
         delayMax: config.delayMax,
-        scanId
+        scanId,
+        progress
       })
       
       if (!scanResult.success && scanResult.errors.length > 0) {
@@ -86,7 +97,14 @@ export class MonitoringSystem {
       // 2. Compare with baseline
       const comparisonMap = await this.scanner.extractComparisonData(scanResult.listings)
       const comparison = new BaselineComparison(scanId)
-      const comparisonResult = await comparison.compare(comparisonMap)
+      const comparisonResult = await comparison.compare(comparisonMap, { pagesScanned: config.pages })
+      await progress.comparison({
+        newListings: comparisonResult.newListings.length,
+        updatedListings: comparisonResult.updatedListings.length,
+        priceDrops: comparisonResult.priceDrops.length,
+        unseenListings: comparisonResult.unseenListings.length,
+        ruleMatches: comparisonResult.ruleMatches.length
+      })
       
       // 3. Process new listings
       let processedCount = 0
@@ -109,6 +127,12 @@ export class MonitoringSystem {
         config
       })
       
+      // 6. Match new and updated listings against users' saved searches
+      await processSavedSearchAlerts(scanId, comparisonResult, comparisonMap)
+      
+      // 7. Check the pages of unseen listings to tell sold from withdrawn
+      const lifecycle = await checkListingLifecycle(this.supabase, scanId, comparisonResult)
+      
       // Calculate duration
       const duration = Math.round((Date.now() - startTime) / 1000)
       
@@ -118,7 +142,11 @@ export class MonitoringSystem {
         pagesScanned: config.pages,
         totalListings: scanResult.listings.length,
         newListings: comparisonResult.newListings.length,
-        deletedListings: comparisonResult.deletedListings.length,
+        unseenListings: comparisonResult.unseenListings.length,
+        deletedListings: lifecycle.removed,
+        soldListings: lifecycle.sold,
+        relistedListings: lifecycle.relisted,
+        listingPagesChecked: lifecycle.checked,
         updatedListings: comparisonResult.updatedListings.length,
         priceDrops: comparisonResult.priceDrops.length,
         processedNewListings: processedCount,
@@ -130,6 +158,7 @@ export class MonitoringSystem {
       }
       
       console.log('✅ Monitoring scan completed:', results)
+      await progress.completed(results)
       
       return { success: true, scanId, results }
       
@@ -145,6 +174,7 @@ export class MonitoringSystem {
           errors: [{ message: error.message, timestamp: new Date().toISOString() }]
         })
         .eq('scan_id', scanId)
+      await progress.failed(error instanceof Error ? error.message : String(error))
       
       return { success: false, scanId, results: { error: error.message } }
       
@@ -263,6 +293,22 @@ export class MonitoringSystem {
       }
     }
     
+    // Custom rules: built-in types are handled above; warn about the rest
+    const builtInTypes = ['new', 'deleted', 'price_drop', 'revenue_change', 'category_change']
+    for (const match of comparisonResult.ruleMatches || []) {
+      if (builtInTypes.includes(match.rule.change_type) || match.rule.severity === 'info') continue
+      notifications.push({
+        type: 'rule_match',
+        priority: match.rule.severity === 'critical' ? 'high' : 'normal',
+        listingId: match.listingId,
+        ruleName: match.rule.name,
+        changeType: match.rule.change_type,
+        field: match.field,
+        oldValue: match.oldValue,
+        newValue: match.newValue
+      })
+    }
+    
     // Trending categories
     if (discoveries.trendingCategories.length > 0) {
       notifications.push({
@@ -306,21 +352,15 @@ export class MonitoringSystem {
     // Get config
     const config = await this.loadConfiguration()
     
-    // Calculate next scan time
+    // node-cron runs jobs in the server's timezone
     let nextScan: Date | null = null
     if (this.cronJob && config.schedule) {
-      // This is a simplified calculation
-      const now = new Date()
-      if (config.schedule.includes('* * * *')) {
-        // Hourly
-        nextScan = new Date(now.getTime() + 60 * 60 * 1000)
-      } else if (config.schedule.includes('9 * * *')) {
-        // Daily at 9 AM
-        nextScan = new Date(now)
-        nextScan.setHours(9, 0, 0, 0)
-        if (nextScan <= now) {
-          nextScan.setDate(nextScan.getDate() + 1)
-        }
+      try {
+        nextScan = nextRun(config.schedule, {
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+        })
+      } catch (error) {
+        console.error('Invalid monitoring schedule:', error)
       }
     }
     
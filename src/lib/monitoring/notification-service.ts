@@ -1,6 +1,9 @@
 // Notification service for alerts and updates
 import { createServerClient } from '@/lib/supabase'
 import { generateId } from '@/lib/utils'
+import { NotificationDeliveryWorker } from '@/lib/notifications/delivery-worker'
+import { dispatchUserAlerts, isNotificationEventType } from '@/lib/notifications/user-notifications'
+import type { NotificationEventType } from '@/types'
 
 interface NotificationPayload {
   type: string
@@ -10,25 +13,64 @@ interface NotificationPayload {
 
 export class NotificationService {
   private supabase: ReturnType<typeof createServerClient>
+  private deliveryWorker: NotificationDeliveryWorker
   
   constructor() {
     this.supabase = createServerClient()
+    this.deliveryWorker = new NotificationDeliveryWorker()
   }
 
   async sendBatch(notifications: NotificationPayload[], scanId: string): Promise<void> {
     console.log(`📨 Sending ${notifications.length} notifications...`)
     
-    const notificationRecords = notifications.map(notification => ({
+    // Dashboard rows are delivered by being in the table (admin feed: no user_id)
+    const notificationRecords: any[] = notifications.map(notification => ({
       notification_id: generateId('notif'),
-      notification_type: 'dashboard', // For now, just dashboard notifications
+      notification_type: 'dashboard',
+      scan_id: scanId,
+      event_type: notification.type,
       priority: notification.priority,
       subject: this.generateSubject(notification),
       content: notification,
       listing_id: notification.listingId || notification.listing?.listing_id,
-      status: 'pending',
+      status: 'sent',
+      sent_at: new Date().toISOString(),
       created_at: new Date().toISOString()
     }))
     
+    // Email and webhook copies go out through the delivery worker
+    const emailTo = process.env.NOTIFICATION_EMAIL_TO
+    const webhookUrl = process.env.NOTIFICATION_WEBHOOK_URL
+    notifications.forEach(notification => {
+      const base = {
+        priority: notification.priority,
+        subject: this.generateSubject(notification),
+        listing_id: notification.listingId || notification.listing?.listing_id,
+        scan_id: scanId,
+        event_type: notification.type,
+        status: 'pending',
+        created_at: new Date().toISOString()
+      }
+      if (emailTo) {
+        notificationRecords.push({
+          ...base,
+          notification_id: generateId('notif'),
+          notification_type: 'email',
+          recipient: emailTo,
+          content: { html: this.generateEmailContent(notification), payload: notification }
+        })
+      }
+      if (webhookUrl) {
+        notificationRecords.push({
+          ...base,
+          notification_id: generateId('notif'),
+          notification_type: 'webhook',
+          recipient: webhookUrl,
+          content: { payload: this.generateWebhookPayload(notification) }
+        })
+      }
+    })
+    
     // Insert into notification queue
     const { error } = await this.supabase
       .from('notification_queue')
@@ -36,10 +78,30 @@ export class NotificationService {
     
     if (error) {
       console.error('Error queuing notifications:', error)
+      return
     }
     
-    // Process high priority notifications immediately
-    const highPriority = notificationRecords.filter(n => n.priority === 'high')
+    // Copies for users subscribed to these types in their notification preferences
+    const userAlerts = await dispatchUserAlerts(
+      this.supabase,
+      notifications
+        .filter(notification => isNotificationEventType(notification.type))
+        .map(notification => ({
+          eventType: notification.type as NotificationEventType,
+          priority: notification.priority,
+          subject: this.generateSubject(notification),
+          content: notification,
+          listingId: notification.listingId || notification.listing?.listing_id,
+          html: this.generateEmailContent(notification)
+        })),
+      scanId
+    )
+    
+    // Deliver high priority notifications immediately; the rest wait for the worker loop
+    const highPriority = [
+      ...notificationRecords.filter(n => n.notification_type !== 'dashboard'),
+      ...userAlerts.emails
+    ].filter(n => n.priority === 'high')
     if (highPriority.length > 0) {
       await this.processNotifications(highPriority)
     }
@@ -55,45 +117,38 @@ export class NotificationService {
         return `Price Drop Alert: ${notification.title} (-${notification.dropPercentage.toFixed(0)}%)`
       case 'trending_categories':
         return `Trending Categories: ${notification.categories.join(', ')}`
+      case 'rule_match':
+        return `${notification.ruleName}: ${notification.listingId}`
       default:
         return 'Flippa Monitoring Alert'
     }
   }
 
   private async processNotifications(notifications: any[]): Promise<void> {
-    // For now, just mark them as sent
-    // In production, this would send actual emails/webhooks
-    
-    const ids = notifications.map(n => n.notification_id)
-    
-    await this.supabase
-      .from('notification_queue')
-      .update({
-        status: 'sent',
-        sent_at: new Date().toISOString()
-      })
-      .in('notification_id', ids)
-    
-    console.log(`✅ Processed ${notifications.length} high-priority notifications`)
+    const summary = await this.deliveryWorker.drain(notifications.map(n => n.notification_id))
+    console.log(`✅ Processed ${summary.processed} high-priority notifications (${summary.sent} sent)`)
   }
 
-  // Get recent notifications for dashboard
+  // Get recent notifications for the admin monitoring dashboard. Users'
+  // copies (user_id set) are read through /api/notifications
   async getRecentNotifications(limit: number = 10): Promise<any[]> {
     const { data } = await this.supabase
       .from('notification_queue')
       .select('*')
+      .is('user_id', null)
       .order('created_at', { ascending: false })
       .limit(limit)
     
     return data || []
   }
 
-  // Mark notification as read
+  // Mark an admin feed notification as read
   async markAsRead(notificationId: string): Promise<void> {
     await this.supabase
       .from('notification_queue')
-      .update({ status: 'read' })
+      .update({ status: 'read', read_at: new Date().toISOString() })
       .eq('notification_id', notificationId)
+      .is('user_id', null)
   }
 
   // Email notification template
@@ -136,6 +191,16 @@ export class NotificationService {
           </div>
         `
         break
+        
+      case 'rule_match':
+        html += `
+          <div style="border: 1px solid #ddd; padding: 15px; margin: 10px 0;">
+            <p><strong>Rule:</strong> ${notification.ruleName} (${notification.changeType})</p>
+            <p><strong>Listing:</strong> ${notification.listingId}</p>
+            <p><strong>${notification.field}:</strong> ${JSON.stringify(notification.oldValue)} → ${JSON.stringify(notification.newValue)}</p>
+          </div>
+        `
+        break
     }
     
     html += `
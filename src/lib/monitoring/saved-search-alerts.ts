@@ -0,0 +1,287 @@
+// Matches scanned listings against users' saved searches and queues alert emails
+import { createServerClient } from '@/lib/supabase'
+import { NotificationDeliveryWorker } from '@/lib/notifications/delivery-worker'
+import { dispatchUserAlerts, loadPreferences, resolveChannels } from '@/lib/notifications/user-notifications'
+import { describeListingsCriteria, matchesListingsFilter } from '@/lib/dashboard/listings-filter'
+import { getMonthlyRevenue, getPrice, getProfitMultiple } from '@/lib/utils/listing-fields'
+import type { SavedSearch, SavedSearchDelivery, SavedSearchMatch } from '@/types'
+
+export interface ScanChanges {
+  newListings: string[]
+  updatedListings: string[]
+}
+
+const DIGEST_LABELS: Record<Exclude<SavedSearchDelivery, 'instant'>, string> = {
+  daily: '일간',
+  weekly: '주간'
+}
+
+// Keep emails readable; the dashboard shows every match
+const MAX_LISTINGS_PER_EMAIL = 20
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function listingRowHtml(match: SavedSearchMatch): string {
+  const listing = match.listing_snapshot
+  const price = getPrice(listing)
+  const revenue = getMonthlyRevenue(listing)
+  const multiple = getProfitMultiple(listing)
+  const details = [
+    price !== null ? `가격 $${price.toLocaleString()}` : null,
+    revenue !== null ? `월 매출 $${Math.round(revenue).toLocaleString()}` : null,
+    multiple !== null ? `멀티플 ${multiple.toFixed(1)}x` : null
+  ].filter(Boolean).join(' · ')
+
+  return `
+    <li style="margin-bottom: 12px;">
+      <a href="${escapeHtml(listing.url || '#')}">${escapeHtml(listing.title || match.listing_id)}</a>
+      ${match.match_type === 'updated' ? '<span style="color: #b45309;">(변경됨)</span>' : '<span style="color: #1a8917;">(신규)</span>'}
+      <div style="color: #666; font-size: 13px;">${details}</div>
+    </li>
+  `
+}
+
+export class SavedSearchAlerts {
+  private supabase: ReturnType<typeof createServerClient>
+  private deliveryWorker: NotificationDeliveryWorker
+
+  constructor() {
+    this.supabase = createServerClient()
+    this.deliveryWorker = new NotificationDeliveryWorker()
+  }
+
+  /**
+   * Record matches for new and updated listings from a scan. Instant searches
+   * are emailed right away; digest searches wait for sendDigests().
+   */
+  async processScan(
+    scanId: string,
+    changes: ScanChanges,
+    scannedListings: Map<string, any> = new Map()
+  ): Promise<{ matches: number; notified: number }> {
+    const listingIds = Array.from(new Set([...changes.newListings, ...changes.updatedListings]))
+    if (listingIds.length === 0) return { matches: 0, notified: 0 }
+
+    const { data: searches, error } = await this.supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('is_active', true)
+
+    if (error || !searches || searches.length === 0) {
+      if (error) console.error('Error loading saved searches:', error)
+      return { matches: 0, notified: 0 }
+    }
+
+    const listings = await this.loadListings(listingIds, scannedListings)
+    const newIds = new Set(changes.newListings)
+    const matchRows: Omit<SavedSearchMatch, 'id' | 'matched_at' | 'notified_at'>[] = []
+
+    ;(searches as SavedSearch[]).forEach(search => {
+      listings.forEach((listing, listingId) => {
+        if (!matchesListingsFilter(listing, search.filters || {})) return
+        matchRows.push({
+          saved_search_id: search.id,
+          user_id: search.user_id,
+          listing_id: listingId,
+          match_type: newIds.has(listingId) ? 'new' : 'updated',
+          scan_id: scanId,
+          listing_snapshot: listing
+        })
+      })
+    })
+
+    if (matchRows.length === 0) return { matches: 0, notified: 0 }
+
+    const { data: inserted, error: insertError } = await this.supabase
+      .from('saved_search_matches')
+      .upsert(matchRows, { onConflict: 'saved_search_id,listing_id,scan_id', ignoreDuplicates: true })
+      .select('*')
+
+    if (insertError) {
+      console.error('Error recording saved search matches:', insertError)
+      return { matches: 0, notified: 0 }
+    }
+
+    const matchesBySearch = new Map<string, { search: SavedSearch; matches: SavedSearchMatch[] }>()
+    ;(searches as SavedSearch[]).forEach(search => {
+      const matches = (inserted || []).filter((match: SavedSearchMatch) => match.saved_search_id === search.id)
+      if (matches.length > 0) matchesBySearch.set(search.id, { search, matches })
+    })
+    const sections = Array.from(matchesBySearch.values())
+    const preferences = await loadPreferences(this.supabase, sections.map(({ search }) => search.user_id))
+
+    // Inbox entries go out right away whatever the email cadence
+    await dispatchUserAlerts(this.supabase, sections.map(({ search, matches }) => ({
+      userId: search.user_id,
+      eventType: 'saved_search_match' as const,
+      priority: 'normal' as const,
+      subject: `[저장한 검색] ${search.name}: 조건에 맞는 매물 ${matches.length}건`,
+      content: {
+        type: 'saved_search_match',
+        savedSearchId: search.id,
+        searchName: search.name,
+        matchCount: matches.length,
+        listings: matches.slice(0, 5).map(match => ({
+          listing_id: match.listing_id,
+          title: match.listing_snapshot?.title || match.listing_id,
+          url: match.listing_snapshot?.url || null,
+          match_type: match.match_type
+        }))
+      },
+      listingId: matches.length === 1 ? matches[0].listing_id : undefined,
+      channels: ['in_app' as const]
+    })), scanId)
+
+    let notified = 0
+    for (const { search, matches } of sections.filter(({ search }) => search.delivery === 'instant')) {
+      // Users who turned saved search emails off still get their matches marked as handled
+      const recipient = resolveChannels(preferences.get(search.user_id), 'saved_search_match').email
+        ? search.notify_email
+        : null
+      if (await this.notify(recipient, `[저장한 검색] ${search.name}: 조건에 맞는 매물 ${matches.length}건`, [{ search, matches }])) {
+        notified++
+      }
+    }
+
+    console.log(`🔔 Saved searches: ${matchRows.length} matches, ${notified} instant alerts`)
+    return { matches: matchRows.length, notified }
+  }
+
+  /**
+   * Email each user one digest of their un-notified matches for the given frequency
+   */
+  async sendDigests(delivery: 'daily' | 'weekly'): Promise<{ users: number; matches: number }> {
+    const { data: searches, error } = await this.supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('is_active', true)
+      .eq('delivery', delivery)
+
+    if (error || !searches || searches.length === 0) {
+      if (error) console.error('Error loading saved searches:', error)
+      return { users: 0, matches: 0 }
+    }
+
+    const { data: pending } = await this.supabase
+      .from('saved_search_matches')
+      .select('*')
+      .in('saved_search_id', searches.map(search => search.id))
+      .is('notified_at', null)
+      .order('matched_at', { ascending: true })
+
+    const preferences = await loadPreferences(
+      this.supabase,
+      Array.from(new Set((searches as SavedSearch[]).map(search => search.user_id)))
+    )
+
+    // Group by recipient so each user gets one email covering all their searches
+    const byRecipient = new Map<string, { search: SavedSearch; matches: SavedSearchMatch[] }[]>()
+    for (const search of searches as SavedSearch[]) {
+      const matches = (pending || []).filter((match: SavedSearchMatch) => match.saved_search_id === search.id)
+      if (matches.length === 0 || !search.notify_email) continue
+      if (!resolveChannels(preferences.get(search.user_id), 'saved_search_match').email) {
+        // Emails turned off: mark handled so the matches don't pile up
+        await this.notify(null, '', [{ search, matches }])
+        continue
+      }
+      const sections = byRecipient.get(search.notify_email) || []
+      sections.push({ search, matches })
+      byRecipient.set(search.notify_email, sections)
+    }
+
+    let users = 0
+    let matchCount = 0
+    for (const [recipient, sections] of Array.from(byRecipient.entries())) {
+      const total = sections.reduce((sum, section) => sum + section.matches.length, 0)
+      const subject = `[${DIGEST_LABELS[delivery]} 매물 알림] 저장한 검색 ${sections.length}개, 새 매물 ${total}건`
+      if (await this.notify(recipient, subject, sections)) {
+        users++
+        matchCount += total
+      }
+    }
+
+    return { users, matches: matchCount }
+  }
+
+  // Scan rows only carry a few fields; merge them over the stored listing
+  private async loadListings(listingIds: string[], scannedListings: Map<string, any>): Promise<Map<string, any>> {
+    const listings = new Map<string, any>()
+
+    const { data } = await this.supabase
+      .from('flippa_listings')
+      .select('*')
+      .in('listing_id', listingIds)
+
+    ;(data || []).forEach(row => listings.set(String(row.listing_id), row))
+
+    listingIds.forEach(listingId => {
+      const scanned = scannedListings.get(listingId)
+      if (scanned) listings.set(listingId, { ...(listings.get(listingId) || {}), ...scanned })
+    })
+
+    return listings
+  }
+
+  private async notify(
+    recipient: string | null,
+    subject: string,
+    sections: { search: SavedSearch; matches: SavedSearchMatch[] }[]
+  ): Promise<boolean> {
+    const matchIds = sections.flatMap(section => section.matches.map(match => match.id))
+    const now = new Date().toISOString()
+
+    if (recipient) {
+      const html = `
+        <h2>저장한 검색 알림</h2>
+        ${sections.map(({ search, matches }) => `
+          <h3>${escapeHtml(search.name)}</h3>
+          <p style="color: #666; font-size: 13px;">${escapeHtml(describeListingsCriteria(search.filters || {}))}</p>
+          <ul>${matches.slice(0, MAX_LISTINGS_PER_EMAIL).map(listingRowHtml).join('')}</ul>
+          ${matches.length > MAX_LISTINGS_PER_EMAIL ? `<p>외 ${matches.length - MAX_LISTINGS_PER_EMAIL}건</p>` : ''}
+        `).join('')}
+        <hr>
+        <p style="color: #666; font-size: 12px;">
+          알림 설정은 <a href="${process.env.NEXT_PUBLIC_APP_URL}/dashboard/saved-searches">저장한 검색</a>에서 변경할 수 있습니다.
+        </p>
+      `
+
+      const { data: queued, error } = await this.supabase
+        .from('notification_queue')
+        .insert({
+          notification_type: 'email',
+          user_id: sections[0].search.user_id,
+          event_type: 'saved_search_match',
+          priority: 'normal',
+          recipient,
+          subject,
+          content: { html, payload: { savedSearchIds: sections.map(section => section.search.id), matchIds } }
+        })
+        .select('notification_id')
+
+      if (error) {
+        console.error('Error queuing saved search alert:', error)
+        return false
+      }
+
+      await this.deliveryWorker.drain((queued || []).map(row => row.notification_id))
+    }
+
+    await this.supabase
+      .from('saved_search_matches')
+      .update({ notified_at: now })
+      .in('id', matchIds)
+
+    await this.supabase
+      .from('saved_searches')
+      .update({ last_notified_at: now })
+      .in('id', sections.map(section => section.search.id))
+
+    return Boolean(recipient)
+  }
+}
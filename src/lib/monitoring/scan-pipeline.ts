@@ -0,0 +1,95 @@
+// Steps every scan runs on the listings it found, whichever scraper produced
+// them (MonitoringSystem.runScan or the production RealFlippaScraper scan):
+// baseline comparison (field history, change rules, lifecycle), saved search
+// alerts and page checks of unseen listings
+import { createServerClient } from '@/lib/supabase'
+import { BaselineComparison } from './baseline-comparison'
+import { SavedSearchAlerts } from './saved-search-alerts'
+import { ListingLifecycleTracker } from './listing-lifecycle'
+
+type SupabaseServerClient = ReturnType<typeof createServerClient>
+type ComparisonResult = Awaited<ReturnType<BaselineComparison['compare']>>
+
+export interface LifecycleSummary {
+  checked: number
+  sold: number
+  removed: number
+  relisted: number
+}
+
+export interface ScanPipelineResult {
+  comparisonResult: ComparisonResult
+  lifecycle: LifecycleSummary
+  savedSearchMatches: number
+}
+
+/**
+ * Match new and updated listings against users' saved searches. Alert
+ * failures should not fail the scan
+ */
+export async function processSavedSearchAlerts(
+  scanId: string,
+  comparisonResult: ComparisonResult,
+  scannedListings: Map<string, any>
+): Promise<number> {
+  try {
+    const { matches } = await new SavedSearchAlerts().processScan(scanId, {
+      newListings: comparisonResult.newListings,
+      updatedListings: comparisonResult.updatedListings.map(update => update.listing_id)
+    }, scannedListings)
+    return matches
+  } catch (error) {
+    console.error('Error processing saved search alerts:', error)
+    return 0
+  }
+}
+
+/**
+ * Check the pages of unseen listings to tell sold from withdrawn (a handful
+ * per scan; the rest are picked up by later scans)
+ */
+export async function checkListingLifecycle(
+  supabase: SupabaseServerClient,
+  scanId: string,
+  comparisonResult: ComparisonResult
+): Promise<LifecycleSummary> {
+  const lifecycle: LifecycleSummary = { checked: 0, sold: 0, removed: 0, relisted: 0 }
+  try {
+    const tracker = new ListingLifecycleTracker(supabase)
+    const { checked, transitions } = await tracker.checkListings(
+      scanId,
+      await tracker.selectListingsToCheck()
+    )
+    lifecycle.checked = checked
+    transitions.concat(comparisonResult.lifecycleTransitions).forEach(transition => {
+      if (transition.to === 'sold') lifecycle.sold++
+      if (transition.to === 'confirmed_removed') lifecycle.removed++
+      if (transition.to === 'relisted') lifecycle.relisted++
+    })
+    
+    await supabase
+      .from('scan_sessions')
+      .update({ deleted_listings: lifecycle.removed + lifecycle.sold })
+      .eq('scan_id', scanId)
+  } catch (error) {
+    console.error('Error checking listing lifecycle:', error)
+  }
+  return lifecycle
+}
+
+/**
+ * Compare scanned listings (keyed by Flippa listing id) with the stored
+ * baseline, then run saved search alerts and lifecycle checks. Must run
+ * before the scan writes its listings, or everything compares as unchanged
+ */
+export async function runScanPipeline(
+  scanId: string,
+  scannedListings: Map<string, any>,
+  options: { pagesScanned?: number } = {}
+): Promise<ScanPipelineResult> {
+  const supabase = createServerClient()
+  const comparisonResult = await new BaselineComparison(scanId).compare(scannedListings, options)
+  const savedSearchMatches = await processSavedSearchAlerts(scanId, comparisonResult, scannedListings)
+  const lifecycle = await checkListingLifecycle(supabase, scanId, comparisonResult)
+  return { comparisonResult, lifecycle, savedSearchMatches }
+}
@@ -0,0 +1,143 @@
+// Scan progress events: scanners record each step in scan_progress_events and
+// the SSE endpoint (/api/monitoring/scan/[scanId]/events) streams them to the
+// dashboards. Row ids are the SSE event ids, so reconnects replay from the DB.
+import { EventEmitter } from 'events'
+import { createServerClient } from '@/lib/supabase'
+
+export type ScanProgressEventType = 'started' | 'page' | 'error' | 'comparison' | 'completed' | 'failed'
+
+export interface ScanProgressEvent {
+  id: number
+  scanId: string
+  type: ScanProgressEventType
+  data: Record<string, any>
+  createdAt: string
+}
+
+// The stream ends after one of these
+export const TERMINAL_SCAN_EVENTS: ScanProgressEventType[] = ['completed', 'failed']
+
+// Scan ids come from clients, which pick them before starting the scan
+const SCAN_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/
+
+// Events are only replayed while a scan's dashboard is open; older rows are
+// deleted whenever a scan finishes
+export const SCAN_EVENT_RETENTION_MS = 3 * 24 * 60 * 60 * 1000
+
+type SupabaseServerClient = ReturnType<typeof createServerClient>
+
+// Wakes streams in this process as soon as an event is recorded; streams
+// also poll, so events recorded by other instances arrive too
+const bus = new EventEmitter()
+bus.setMaxListeners(0)
+
+export function isValidScanId(scanId: unknown): scanId is string {
+  return typeof scanId === 'string' && SCAN_ID_PATTERN.test(scanId)
+}
+
+// Last-Event-ID header or ?lastEventId= value; 0 replays from the start
+export function parseLastEventId(value: string | null | undefined): number {
+  const id = parseInt(value || '', 10)
+  return Number.isFinite(id) && id > 0 ? id : 0
+}
+
+export function subscribeScanEvents(scanId: string, listener: () => void): () => void {
+  bus.on(scanId, listener)
+  return () => {
+    bus.off(scanId, listener)
+  }
+}
+
+export async function readScanEvents(
+  supabase: SupabaseServerClient,
+  scanId: string,
+  afterId: number,
+  limit = 200
+): Promise<ScanProgressEvent[]> {
+  const { data, error } = await supabase
+    .from('scan_progress_events')
+    .select('id, scan_id, event_type, data, created_at')
+    .eq('scan_id', scanId)
+    .gt('id', afterId)
+    .order('id', { ascending: true })
+    .limit(limit)
+
+  if (error) throw error
+
+  return (data || []).map(row => ({
+    id: row.id,
+    scanId: row.scan_id,
+    type: row.event_type,
+    data: row.data || {},
+    createdAt: row.created_at
+  }))
+}
+
+// Deletes progress events older than the retention window, across all scans
+export async function pruneScanEvents(
+  supabase: SupabaseServerClient,
+  retentionMs = SCAN_EVENT_RETENTION_MS
+): Promise<void> {
+  const cutoff = new Date(Date.now() - retentionMs).toISOString()
+  const { error } = await supabase
+    .from('scan_progress_events')
+    .delete()
+    .lt('created_at', cutoff)
+
+  if (error) throw error
+}
+
+// Records progress for one scan. Recording never throws: a lost progress
+// event must not fail the scan itself
+export class ScanProgressReporter {
+  readonly scanId: string
+  private supabase: SupabaseServerClient
+
+  constructor(scanId: string, supabase?: SupabaseServerClient) {
+    this.scanId = scanId
+    this.supabase = supabase || createServerClient()
+  }
+
+  async emit(type: ScanProgressEventType, data: Record<string, any> = {}): Promise<void> {
+    try {
+      const { error } = await this.supabase
+        .from('scan_progress_events')
+        .insert({ scan_id: this.scanId, event_type: type, data })
+
+      if (error) throw error
+      bus.emit(this.scanId)
+    } catch (error) {
+      console.error(`Error recording scan progress (${type}) for ${this.scanId}:`, error)
+    }
+
+    if (TERMINAL_SCAN_EVENTS.includes(type)) {
+      await pruneScanEvents(this.supabase).catch(error => {
+        console.error('Error pruning old scan progress events:', error)
+      })
+    }
+  }
+
+  started(data: { totalPages: number; [key: string]: any }): Promise<void> {
+    return this.emit('started', data)
+  }
+
+  page(data: { page: number; totalPages: number; pageListings: number; listingsFound: number }): Promise<void> {
+    return this.emit('page', data)
+  }
+
+  error(message: string, data: { page?: number; [key: string]: any } = {}): Promise<void> {
+    return this.emit('error', { ...data, message })
+  }
+
+  comparison(data: Record<string, any>): Promise<void> {
+    return this.emit('comparison', data)
+  }
+
+  completed(results: Record<string, any> = {}): Promise<void> {
+    return this.emit('completed', results)
+  }
+
+  failed(message: string): Promise<void> {
+    return this.emit('failed', { message })
+  }
+}
@@ -0,0 +1,355 @@
+// Drains notification_queue: sends email over SMTP and signed webhooks, with
+// exponential backoff, dead-lettering and a notification_attempts row per try
+import { createServerClient } from '@/lib/supabase'
+import { sendMail, smtpConfigFromEnv, SmtpConfig, SmtpError } from './smtp'
+import { sendWebhook, WebhookError } from './webhook'
+
+export type DeliveryChannel = 'email' | 'webhook'
+
+export interface DeliveryOptions {
+  maxAttempts: number
+  baseDelayMs: number
+  maxDelayMs: number
+  batchSize: number
+  // Rows left in 'sending' longer than this (e.g. a crashed worker) are picked up again
+  staleAfterMs: number
+  smtp: SmtpConfig | null
+  webhookSecret?: string
+}
+
+export interface DrainSummary {
+  processed: number
+  sent: number
+  retried: number
+  deadLettered: number
+}
+
+export const DEFAULT_DELIVERY_OPTIONS: Omit<DeliveryOptions, 'smtp' | 'webhookSecret'> = {
+  maxAttempts: 5,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 6 * 60 * 60 * 1000,
+  batchSize: 25,
+  staleAfterMs: 10 * 60 * 1000
+}
+
+const DELIVERABLE_CHANNELS: DeliveryChannel[] = ['email', 'webhook']
+
+// 1m, 2m, 4m, ... capped at maxDelayMs
+export function retryDelayMs(attempt: number, baseDelayMs: number, maxDelayMs: number): number {
+  return Math.min(baseDelayMs * Math.pow(2, Math.max(attempt - 1, 0)), maxDelayMs)
+}
+
+// Queue rows come from two writers: the monitoring migration uses
+// notification_type and JSONB content, the scheduler schema used type and TEXT
+function channelOf(row: any): string {
+  return row.notification_type || row.type
+}
+
+function parseContent(content: any): any {
+  if (typeof content !== 'string') return content
+  try {
+    return JSON.parse(content)
+  } catch {
+    return content
+  }
+}
+
+interface AttemptOutcome {
+  success: boolean
+  permanent: boolean
+  // Nothing was sent because the channel isn't configured; doesn't use up an attempt
+  deferred?: boolean
+  responseCode: number | null
+  response: string | null
+  error: string | null
+}
+
+export class NotificationDeliveryWorker {
+  private supabase: ReturnType<typeof createServerClient>
+  private options: DeliveryOptions
+  private timer: NodeJS.Timeout | null = null
+  private draining = false
+
+  constructor(options: Partial<DeliveryOptions> = {}) {
+    this.supabase = createServerClient()
+    this.options = {
+      ...DEFAULT_DELIVERY_OPTIONS,
+      smtp: smtpConfigFromEnv(),
+      webhookSecret: process.env.NOTIFICATION_WEBHOOK_SECRET,
+      ...options
+    }
+  }
+
+  // Poll the queue until stop() is called
+  start(intervalMs = 60 * 1000): void {
+    if (this.timer) return
+    this.timer = setInterval(() => {
+      this.drain().catch(error => console.error('Notification delivery failed:', error))
+    }, intervalMs)
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Deliver due notifications (or just the given ids). Overlapping calls on the
+   * same worker are skipped; separate workers are kept apart by the claim update.
+   */
+  async drain(notificationIds?: string[]): Promise<DrainSummary> {
+    const summary: DrainSummary = { processed: 0, sent: 0, retried: 0, deadLettered: 0 }
+    if (this.draining) return summary
+    this.draining = true
+
+    try {
+      await this.releaseStaleClaims()
+
+      const now = new Date().toISOString()
+      let query = this.supabase
+        .from('notification_queue')
+        .select('*')
+        .eq('status', 'pending')
+        .or(`next_attempt_at.is.null,next_attempt_at.lte.${now}`)
+        .order('created_at', { ascending: true })
+        .limit(this.options.batchSize)
+
+      if (notificationIds && notificationIds.length > 0) {
+        query = query.in('notification_id', notificationIds)
+      }
+
+      const { data: rows, error } = await query
+      if (error) {
+        console.error('Error loading notification queue:', error)
+        return summary
+      }
+
+      for (const row of rows || []) {
+        if (!DELIVERABLE_CHANNELS.includes(channelOf(row) as DeliveryChannel)) continue
+        if (!(await this.claim(row))) continue
+
+        const result = await this.deliver(row)
+        summary.processed++
+        summary[result]++
+      }
+
+      if (summary.processed > 0) {
+        console.log(`📨 Delivered ${summary.sent}/${summary.processed} notifications (${summary.retried} retrying, ${summary.deadLettered} dead-lettered)`)
+      }
+      return summary
+    } finally {
+      this.draining = false
+    }
+  }
+
+  // A claim left in 'sending' is an attempt that may have gone out, so it
+  // counts towards max_attempts like any other failure
+  private async releaseStaleClaims(): Promise<void> {
+    const cutoff = new Date(Date.now() - this.options.staleAfterMs).toISOString()
+    const { data: stale, error } = await this.supabase
+      .from('notification_queue')
+      .select('*')
+      .eq('status', 'sending')
+      .lt('last_attempt_at', cutoff)
+
+    if (error) {
+      console.error('Error loading stale notification claims:', error)
+      return
+    }
+
+    for (const row of stale || []) {
+      const attempt = (row.attempts || 0) + 1
+      const maxAttempts = row.max_attempts || this.options.maxAttempts
+      const message = 'Delivery did not finish (worker stopped while sending)'
+      const deadLetter = attempt >= maxAttempts
+
+      // Conditional on the claim still being stale, so two workers don't both count it
+      const { data: released } = await this.supabase
+        .from('notification_queue')
+        .update(deadLetter
+          ? { status: 'dead_letter', attempts: attempt, failed_at: new Date().toISOString(), next_attempt_at: null, error_message: message }
+          : {
+              status: 'pending',
+              attempts: attempt,
+              next_attempt_at: new Date(Date.now() + retryDelayMs(attempt, this.options.baseDelayMs, this.options.maxDelayMs)).toISOString(),
+              error_message: message
+            })
+        .eq('notification_id', row.notification_id)
+        .eq('status', 'sending')
+        .eq('last_attempt_at', row.last_attempt_at)
+        .select('notification_id')
+      if (!released || released.length === 0) continue
+
+      await this.supabase.from('notification_attempts').insert({
+        notification_id: String(row.notification_id),
+        attempt_number: attempt,
+        channel: channelOf(row),
+        status: 'failed',
+        response_code: null,
+        response_body: null,
+        error_message: message,
+        duration_ms: null,
+        attempted_at: row.last_attempt_at
+      })
+      if (deadLetter) {
+        console.warn(`☠️ Notification ${row.notification_id} dead-lettered after ${attempt} attempt(s): ${message}`)
+      }
+    }
+  }
+
+  // Conditional update so only one worker sends a given row
+  private async claim(row: any): Promise<boolean> {
+    const { data } = await this.supabase
+      .from('notification_queue')
+      .update({ status: 'sending', last_attempt_at: new Date().toISOString() })
+      .eq('notification_id', row.notification_id)
+      .eq('status', 'pending')
+      .select('notification_id')
+
+    return Boolean(data && data.length > 0)
+  }
+
+  private async deliver(row: any): Promise<'sent' | 'retried' | 'deadLettered'> {
+    const attempt = (row.attempts || 0) + 1
+    const channel = channelOf(row) as DeliveryChannel
+    const startedAt = Date.now()
+
+    const outcome = channel === 'email'
+      ? await this.sendEmail(row)
+      : await this.sendWebhook(row)
+
+    // Stays pending until the configuration is fixed
+    if (outcome.deferred) {
+      await this.supabase
+        .from('notification_queue')
+        .update({
+          status: 'pending',
+          next_attempt_at: new Date(Date.now() + this.options.baseDelayMs).toISOString(),
+          error_message: outcome.error
+        })
+        .eq('notification_id', row.notification_id)
+      return 'retried'
+    }
+
+    await this.supabase.from('notification_attempts').insert({
+      notification_id: String(row.notification_id),
+      attempt_number: attempt,
+      channel,
+      status: outcome.success ? 'success' : 'failed',
+      response_code: outcome.responseCode,
+      response_body: outcome.response?.slice(0, 1000) || null,
+      error_message: outcome.error,
+      duration_ms: Date.now() - startedAt,
+      attempted_at: new Date(startedAt).toISOString()
+    })
+
+    if (outcome.success) {
+      await this.supabase
+        .from('notification_queue')
+        .update({
+          status: 'sent',
+          attempts: attempt,
+          sent_at: new Date().toISOString(),
+          next_attempt_at: null,
+          error_message: null
+        })
+        .eq('notification_id', row.notification_id)
+      return 'sent'
+    }
+
+    const maxAttempts = row.max_attempts || this.options.maxAttempts
+    if (outcome.permanent || attempt >= maxAttempts) {
+      await this.supabase
+        .from('notification_queue')
+        .update({
+          status: 'dead_letter',
+          attempts: attempt,
+          failed_at: new Date().toISOString(),
+          next_attempt_at: null,
+          error_message: outcome.error
+        })
+        .eq('notification_id', row.notification_id)
+      console.warn(`☠️ Notification ${row.notification_id} dead-lettered after ${attempt} attempt(s): ${outcome.error}`)
+      return 'deadLettered'
+    }
+
+    const delay = retryDelayMs(attempt, this.options.baseDelayMs, this.options.maxDelayMs)
+    await this.supabase
+      .from('notification_queue')
+      .update({
+        status: 'pending',
+        attempts: attempt,
+        next_attempt_at: new Date(Date.now() + delay).toISOString(),
+        error_message: outcome.error
+      })
+      .eq('notification_id', row.notification_id)
+    return 'retried'
+  }
+
+  private async sendEmail(row: any): Promise<AttemptOutcome> {
+    if (!this.options.smtp) {
+      return { success: false, permanent: false, deferred: true, responseCode: null, response: null, error: 'SMTP is not configured (SMTP_HOST)' }
+    }
+    if (!row.recipient) {
+      return { success: false, permanent: true, responseCode: null, response: null, error: 'Missing email recipient' }
+    }
+
+    const content = parseContent(row.content)
+    const message = typeof content === 'string'
+      ? { text: content }
+      : {
+          html: content?.html,
+          text: content?.text || (content?.html ? undefined : JSON.stringify(content, null, 2))
+        }
+
+    try {
+      const result = await sendMail(this.options.smtp, {
+        to: row.recipient,
+        subject: row.subject || 'Flippa Monitoring Alert',
+        ...message
+      })
+      return { success: true, permanent: false, responseCode: result.code, response: result.message, error: null }
+    } catch (error) {
+      const smtpError = error instanceof SmtpError ? error : new SmtpError(error instanceof Error ? error.message : 'Unknown error')
+      return {
+        success: false,
+        permanent: smtpError.permanent,
+        responseCode: smtpError.code ?? null,
+        response: null,
+        error: smtpError.message
+      }
+    }
+  }
+
+  private async sendWebhook(row: any): Promise<AttemptOutcome> {
+    // Like missing SMTP config: rows wait for the secret to be set
+    if (!this.options.webhookSecret) {
+      return { success: false, permanent: false, deferred: true, responseCode: null, response: null, error: 'Webhook signing is not configured (NOTIFICATION_WEBHOOK_SECRET)' }
+    }
+    if (!row.recipient) {
+      return { success: false, permanent: true, responseCode: null, response: null, error: 'Missing webhook URL' }
+    }
+
+    const content = parseContent(row.content)
+    const payload = typeof content === 'string'
+      ? { subject: row.subject, message: content }
+      : content?.payload ?? content
+
+    try {
+      const result = await sendWebhook(row.recipient, payload, {
+        id: String(row.notification_id),
+        secret: this.options.webhookSecret
+      })
+      return { success: true, permanent: false, responseCode: result.status, response: result.body, error: null }
+    } catch (error) {
+      const webhookError = error instanceof WebhookError ? error : new WebhookError(error instanceof Error ? error.message : 'Unknown error')
+      return {
+        success: false,
+        permanent: webhookError.permanent,
+        responseCode: webhookError.status ?? null,
+        response: null,
+        error: webhookError.message
+      }
+    }
+  }
+}
@@ -0,0 +1,104 @@
+// SMTP delivery for notification email (nodemailer), configured from SMTP_* env vars
+import nodemailer from 'nodemailer'
+
+export interface SmtpConfig {
+  host: string
+  port: number
+  // Implicit TLS (port 465); otherwise STARTTLS is used when the server offers it
+  secure?: boolean
+  startTls?: boolean
+  user?: string
+  pass?: string
+  from: string
+  timeoutMs?: number
+}
+
+export interface MailMessage {
+  to: string | string[]
+  subject: string
+  text?: string
+  html?: string
+}
+
+export interface SmtpReply {
+  code: number
+  message: string
+}
+
+export interface SendMailResult extends SmtpReply {
+  messageId: string
+}
+
+export class SmtpError extends Error {
+  constructor(message: string, public code?: number) {
+    super(message)
+    this.name = 'SmtpError'
+  }
+
+  // 5xx replies are permanent; connection problems and 4xx replies are worth retrying
+  get permanent(): boolean {
+    return this.code !== undefined && this.code >= 500
+  }
+}
+
+const DEFAULT_TIMEOUT_MS = 15000
+
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+export function smtpConfigFromEnv(env: NodeJS.ProcessEnv = process.env): SmtpConfig | null {
+  if (!env.SMTP_HOST) return null
+  const secure = env.SMTP_SECURE === 'true'
+  return {
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT || (secure ? '465' : '587'), 10),
+    secure,
+    startTls: env.SMTP_STARTTLS !== 'false',
+    user: env.SMTP_USER || undefined,
+    pass: env.SMTP_PASS || undefined,
+    from: env.SMTP_FROM || env.SMTP_USER || `notifications@${env.SMTP_HOST}`
+  }
+}
+
+// nodemailer reports the server's reply code as responseCode
+function toSmtpError(error: unknown): SmtpError {
+  if (error instanceof SmtpError) return error
+  const responseCode = (error as { responseCode?: number })?.responseCode
+  const message = error instanceof Error ? error.message : 'Unknown error'
+  return new SmtpError(message, typeof responseCode === 'number' ? responseCode : undefined)
+}
+
+/**
+ * Send one message. Throws SmtpError with the server's reply code on failure.
+ */
+export async function sendMail(config: SmtpConfig, message: MailMessage): Promise<SendMailResult> {
+  const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: Boolean(config.secure),
+    ignoreTLS: !config.secure && config.startTls === false,
+    auth: config.user && config.pass ? { user: config.user, pass: config.pass } : undefined,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs
+  })
+
+  try {
+    const info = await transport.sendMail({
+      from: config.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    })
+    const reply = info.response || ''
+    return {
+      code: parseInt(reply.slice(0, 3), 10) || 250,
+      message: reply.slice(4) || reply,
+      messageId: info.messageId
+    }
+  } catch (error) {
+    throw toSmtpError(error)
+  } finally {
+    transport.close()
+  }
+}
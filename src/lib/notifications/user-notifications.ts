@@ -0,0 +1,253 @@
+// Per-user notifications: scan alerts are copied to the inbox (and email) of
+// each user whose notification_preferences ask for that type, and inbox rows
+// are grouped by scan and type for display. Also imported by the inbox UI, so
+// the Supabase client is always passed in
+import type { createServerClient } from '@/lib/supabase'
+import { generateId } from '@/lib/utils'
+import type {
+  NotificationChannel,
+  NotificationChannelSettings,
+  NotificationEventType,
+  NotificationPreferences,
+  UserNotification
+} from '@/types'
+
+export const NOTIFICATION_EVENT_TYPES: NotificationEventType[] = [
+  'saved_search_match',
+  'high_value_listing',
+  'high_revenue_listing',
+  'price_drop',
+  'trending_categories',
+  'rule_match'
+]
+
+export const NOTIFICATION_CHANNELS: NotificationChannel[] = ['in_app', 'email']
+
+export const NOTIFICATION_EVENT_LABELS: Record<NotificationEventType, string> = {
+  saved_search_match: '저장한 검색',
+  high_value_listing: '고가 매물',
+  high_revenue_listing: '고매출 매물',
+  price_drop: '가격 인하',
+  trending_categories: '인기 카테고리',
+  rule_match: '변경 감지 규칙'
+}
+
+export const NOTIFICATION_CHANNEL_LABELS: Record<NotificationChannel, string> = {
+  in_app: '알림함',
+  email: '이메일'
+}
+
+// Saved searches are already an explicit subscription; scan-wide alerts are opt-in
+export const DEFAULT_NOTIFICATION_CHANNELS: Record<NotificationEventType, NotificationChannelSettings> = {
+  saved_search_match: { in_app: true, email: true },
+  high_value_listing: { in_app: false, email: false },
+  high_revenue_listing: { in_app: false, email: false },
+  price_drop: { in_app: false, email: false },
+  trending_categories: { in_app: false, email: false },
+  rule_match: { in_app: false, email: false }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+type SupabaseServerClient = ReturnType<typeof createServerClient>
+
+export function isNotificationEventType(value: unknown): value is NotificationEventType {
+  return typeof value === 'string' && NOTIFICATION_EVENT_TYPES.includes(value as NotificationEventType)
+}
+
+export function resolveChannels(
+  preferences: Pick<NotificationPreferences, 'channels'> | null | undefined,
+  eventType: NotificationEventType
+): NotificationChannelSettings {
+  return { ...DEFAULT_NOTIFICATION_CHANNELS[eventType], ...(preferences?.channels?.[eventType] || {}) }
+}
+
+// Every type with its effective channels, for the preferences form
+export function resolveAllChannels(
+  preferences: Pick<NotificationPreferences, 'channels'> | null | undefined
+): Record<NotificationEventType, NotificationChannelSettings> {
+  return NOTIFICATION_EVENT_TYPES.reduce((all, eventType) => {
+    all[eventType] = resolveChannels(preferences, eventType)
+    return all
+  }, {} as Record<NotificationEventType, NotificationChannelSettings>)
+}
+
+export function sanitizePreferences(input: any): {
+  email: string | null
+  channels: Record<NotificationEventType, NotificationChannelSettings>
+  errors: { field: string; message: string }[]
+} {
+  const errors: { field: string; message: string }[] = []
+  const channels = resolveAllChannels(null)
+
+  const email = typeof input?.email === 'string' && input.email.trim() ? input.email.trim() : null
+  if (email && !EMAIL_PATTERN.test(email)) {
+    errors.push({ field: 'email', message: '올바른 이메일 주소를 입력해주세요' })
+  }
+
+  const requested = input?.channels
+  if (requested !== undefined && (typeof requested !== 'object' || requested === null || Array.isArray(requested))) {
+    errors.push({ field: 'channels', message: '알림 설정 형식이 올바르지 않습니다' })
+  } else if (requested) {
+    Object.entries(requested).forEach(([eventType, settings]: [string, any]) => {
+      if (!isNotificationEventType(eventType)) {
+        errors.push({ field: `channels.${eventType}`, message: '알 수 없는 알림 종류입니다' })
+        return
+      }
+      NOTIFICATION_CHANNELS.forEach(channel => {
+        if (settings?.[channel] === undefined) return
+        if (typeof settings[channel] !== 'boolean') {
+          errors.push({ field: `channels.${eventType}.${channel}`, message: '켜기/끄기 값이어야 합니다' })
+          return
+        }
+        channels[eventType][channel] = settings[channel]
+      })
+    })
+  }
+
+  return { email, channels, errors }
+}
+
+export async function loadPreferences(
+  supabase: SupabaseServerClient,
+  userIds?: string[]
+): Promise<Map<string, NotificationPreferences>> {
+  let query = supabase.from('notification_preferences').select('*')
+  if (userIds) {
+    if (userIds.length === 0) return new Map()
+    query = query.in('user_id', userIds)
+  }
+
+  const { data, error } = await query
+  if (error) {
+    console.error('Error loading notification preferences:', error)
+    return new Map()
+  }
+  return new Map((data || []).map((row: NotificationPreferences) => [row.user_id, row]))
+}
+
+export interface InboxGroup {
+  key: string
+  scanId: string | null
+  eventType: NotificationEventType | null
+  label: string
+  notifications: UserNotification[]
+  unread: number
+  latestAt: string
+}
+
+// One group per scan and type, newest group first
+export function groupNotifications(notifications: UserNotification[]): InboxGroup[] {
+  const groups = new Map<string, InboxGroup>()
+
+  notifications.forEach(notification => {
+    const key = `${notification.scan_id || 'none'}:${notification.event_type || 'other'}`
+    let group = groups.get(key)
+    if (!group) {
+      group = {
+        key,
+        scanId: notification.scan_id,
+        eventType: notification.event_type,
+        label: notification.event_type ? NOTIFICATION_EVENT_LABELS[notification.event_type] || '알림' : '알림',
+        notifications: [],
+        unread: 0,
+        latestAt: notification.created_at
+      }
+      groups.set(key, group)
+    }
+    group.notifications.push(notification)
+    if (!notification.read_at) group.unread++
+    if (notification.created_at > group.latestAt) group.latestAt = notification.created_at
+  })
+
+  return Array.from(groups.values()).sort((a, b) => b.latestAt.localeCompare(a.latestAt))
+}
+
+export interface UserAlert {
+  eventType: NotificationEventType
+  priority: 'high' | 'normal' | 'low'
+  subject: string
+  content: Record<string, any>
+  listingId?: string
+  // Email body; without it the alert is only delivered in-app
+  html?: string
+  // Deliver to this user only; otherwise to every user subscribed to the type
+  userId?: string
+  // Restrict delivery to these channels
+  channels?: NotificationChannel[]
+}
+
+/**
+ * Queue inbox and email rows for users according to their preferences.
+ * Returns the queued email rows; the caller decides when to deliver them.
+ */
+export async function dispatchUserAlerts(
+  supabase: SupabaseServerClient,
+  alerts: UserAlert[],
+  scanId: string | null
+): Promise<{ inApp: number; emails: { notification_id: string; priority: string }[] }> {
+  if (alerts.length === 0) return { inApp: 0, emails: [] }
+
+  const targetedIds = alerts.filter(alert => alert.userId).map(alert => alert.userId!)
+  const broadcast = alerts.some(alert => !alert.userId)
+  const preferences = await loadPreferences(supabase, broadcast ? undefined : Array.from(new Set(targetedIds)))
+
+  const now = new Date().toISOString()
+  const rows: any[] = []
+
+  alerts.forEach(alert => {
+    // Broadcast alerts only reach users with saved preferences (the types are opt-in)
+    const recipients = alert.userId ? [alert.userId] : Array.from(preferences.keys())
+    recipients.forEach(userId => {
+      const prefs = preferences.get(userId)
+      const channels = resolveChannels(prefs, alert.eventType)
+      const allowed = (channel: NotificationChannel) =>
+        channels[channel] && (!alert.channels || alert.channels.includes(channel))
+      const base = {
+        user_id: userId,
+        scan_id: scanId,
+        event_type: alert.eventType,
+        priority: alert.priority,
+        subject: alert.subject,
+        listing_id: alert.listingId || null,
+        created_at: now
+      }
+
+      if (allowed('in_app')) {
+        rows.push({
+          ...base,
+          notification_id: generateId('notif'),
+          notification_type: 'dashboard',
+          content: alert.content,
+          status: 'sent',
+          sent_at: now
+        })
+      }
+      if (allowed('email') && alert.html && prefs?.email) {
+        rows.push({
+          ...base,
+          notification_id: generateId('notif'),
+          notification_type: 'email',
+          recipient: prefs.email,
+          content: { html: alert.html, payload: alert.content },
+          status: 'pending'
+        })
+      }
+    })
+  })
+
+  if (rows.length === 0) return { inApp: 0, emails: [] }
+
+  const { error } = await supabase.from('notification_queue').insert(rows)
+  if (error) {
+    console.error('Error queuing user notifications:', error)
+    return { inApp: 0, emails: [] }
+  }
+
+  return {
+    inApp: rows.filter(row => row.notification_type === 'dashboard').length,
+    emails: rows
+      .filter(row => row.notification_type === 'email')
+      .map(row => ({ notification_id: row.notification_id, priority: row.priority }))
+  }
+}
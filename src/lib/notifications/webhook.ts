@@ -0,0 +1,85 @@
+// Signed webhook delivery (HMAC-SHA256 over "<timestamp>.<body>")
+import { createHmac, timingSafeEqual } from 'crypto'
+
+export const SIGNATURE_HEADER = 'X-Notification-Signature'
+export const TIMESTAMP_HEADER = 'X-Notification-Timestamp'
+export const ID_HEADER = 'X-Notification-Id'
+
+const DEFAULT_TIMEOUT_MS = 10000
+
+export interface WebhookResult {
+  ok: boolean
+  status: number
+  body: string
+}
+
+export class WebhookError extends Error {
+  constructor(message: string, public status?: number) {
+    super(message)
+    this.name = 'WebhookError'
+  }
+
+  // Client errors other than timeouts and rate limits won't succeed on retry
+  get permanent(): boolean {
+    return this.status !== undefined && this.status >= 400 && this.status < 500 &&
+      this.status !== 408 && this.status !== 429
+  }
+}
+
+export function signWebhookPayload(secret: string, timestamp: number, body: string): string {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+}
+
+// For receivers: constant-time check of a signature header
+export function verifyWebhookSignature(secret: string, timestamp: number, body: string, signature: string): boolean {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body))
+  const actual = Buffer.from(signature)
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+/**
+ * POST a signed JSON payload. Resolves on 2xx; throws WebhookError (with the
+ * status when the receiver answered) otherwise. Without a secret nothing is
+ * sent, since receivers could not tell the request came from us.
+ */
+export async function sendWebhook(
+  url: string,
+  payload: unknown,
+  options: { id: string; secret?: string; timeoutMs?: number }
+): Promise<WebhookResult> {
+  if (!options.secret) {
+    throw new WebhookError('Webhook signing is not configured (NOTIFICATION_WEBHOOK_SECRET)')
+  }
+
+  const body = JSON.stringify(payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'TheFounder-Notifications/1.0',
+    [ID_HEADER]: options.id,
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: signWebhookPayload(options.secret, timestamp, body)
+  }
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs || DEFAULT_TIMEOUT_MS)
+
+  let response: Response
+  try {
+    response = await fetch(url, { method: 'POST', headers, body, signal: controller.signal })
+  } catch (error) {
+    const reason = error instanceof Error && error.name === 'AbortError'
+      ? 'Webhook request timed out'
+      : `Webhook request failed: ${error instanceof Error ? error.message : 'Unknown error'}`
+    throw new WebhookError(reason)
+  } finally {
+    clearTimeout(timer)
+  }
+
+  const responseBody = (await response.text().catch(() => '')).slice(0, 1000)
+  if (!response.ok) {
+    throw new WebhookError(`Webhook responded with ${response.status}: ${responseBody.slice(0, 200)}`, response.status)
+  }
+
+  return { ok: true, status: response.status, body: responseBody }
+}
@@ -0,0 +1,233 @@
+// Mirrors Notion-hosted images and files into our own storage. Notion serves
+// uploads from signed URLs that expire after about an hour, so the sync
+// copies each asset once (a Supabase Storage bucket, or public/ in dev) and
+// rewrites the post to the stable URL. Assets are keyed by content hash, so
+// unchanged files are never uploaded twice
+import { createHash } from 'crypto'
+import { promises as fs } from 'fs'
+import path from 'path'
+import sharp from 'sharp'
+import { BlogPost } from '@/types'
+import { createServerClient } from '@/lib/supabase'
+import { originalAssetKey, variantAssetKey, variantWidthsFor } from './asset-variants'
+
+type SupabaseServerClient = ReturnType<typeof createServerClient>
+
+const DOWNLOAD_TIMEOUT_MS = 30000
+const LOCAL_ASSET_DIR = 'notion-assets'
+
+const EXTENSIONS: Record<string, string> = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif',
+  'application/pdf': 'pdf'
+}
+
+// Markdown link and image targets: [text](url) and ![alt](url)
+const MARKDOWN_URL = /\]\((https?:\/\/[^\s)]+)\)/g
+
+interface AssetStorage {
+  put(key: string, body: Buffer, contentType: string): Promise<void>
+  url(key: string): string
+}
+
+interface AssetRow {
+  source_key: string
+  content_hash: string
+  storage_key: string
+  url: string
+}
+
+export interface MirrorResult {
+  post: BlogPost
+  mirrored: number
+  reused: number
+  errors: string[]
+}
+
+// Uploads to Notion's file storage; external images are left alone
+export function isNotionHostedUrl(value: string): boolean {
+  try {
+    const url = new URL(value)
+    return url.hostname === 'prod-files-secure.s3.us-west-2.amazonaws.com' ||
+      url.hostname === 'file.notion.so' ||
+      url.hostname.endsWith('.notion-static.com') ||
+      (url.hostname === 's3.us-west-2.amazonaws.com' && url.pathname.startsWith('/secure.notion-static.com/'))
+  } catch {
+    return false
+  }
+}
+
+// The signed query string changes on every request; the path does not
+function sourceKey(value: string): string {
+  const url = new URL(value)
+  return `${url.origin}${url.pathname}`
+}
+
+function localStorage(): AssetStorage {
+  const root = path.join(process.cwd(), 'public', LOCAL_ASSET_DIR)
+  return {
+    async put(key, body) {
+      const file = path.join(root, key)
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(file, body)
+    },
+    url: key => `/${LOCAL_ASSET_DIR}/${key}`
+  }
+}
+
+function bucketStorage(supabase: SupabaseServerClient): AssetStorage {
+  const bucket = process.env.NOTION_ASSET_BUCKET || 'post-assets'
+  return {
+    async put(key, body, contentType) {
+      const { error } = await supabase.storage.from(bucket).upload(key, body, {
+        contentType,
+        upsert: true,
+        cacheControl: '31536000'
+      })
+      if (error) throw error
+    },
+    url: key => supabase.storage.from(bucket).getPublicUrl(key).data.publicUrl
+  }
+}
+
+function getAssetStorage(supabase: SupabaseServerClient): AssetStorage {
+  const mode = process.env.NOTION_ASSET_STORAGE || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local')
+  return mode === 'local' ? localStorage() : bucketStorage(supabase)
+}
+
+function extensionFor(contentType: string, sourceUrl: string): string {
+  if (EXTENSIONS[contentType]) return EXTENSIONS[contentType]
+  const fromPath = path.extname(new URL(sourceUrl).pathname).slice(1).toLowerCase()
+  return /^[a-z0-9]{1,5}$/.test(fromPath) ? fromPath : 'bin'
+}
+
+async function uploadAsset(
+  supabase: SupabaseServerClient,
+  storage: AssetStorage,
+  sourceUrl: string
+): Promise<{ row: AssetRow; reused: boolean }> {
+  const response = await fetch(sourceUrl, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) })
+  if (!response.ok) throw new Error(`Download failed with HTTP ${response.status}`)
+
+  const body = Buffer.from(await response.arrayBuffer())
+  const contentType = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim()
+  const contentHash = createHash('sha256').update(body).digest('hex')
+
+  // Same bytes under a different Notion URL: point at the existing copy
+  const { data: existing, error: existingError } = await supabase
+    .from('notion_assets')
+    .select('storage_key, url, width, height')
+    .eq('content_hash', contentHash)
+    .limit(1)
+    .maybeSingle()
+  if (existingError) throw existingError
+
+  let storageKey: string
+  let url: string
+  let size: { width: number; height: number } | undefined
+
+  if (existing) {
+    storageKey = existing.storage_key
+    url = existing.url
+    if (existing.width && existing.height) size = { width: existing.width, height: existing.height }
+  } else {
+    const hash = contentHash.slice(0, 32)
+    // SVGs scale on their own; formats sharp can't read are stored as-is
+    if (contentType.startsWith('image/') && contentType !== 'image/svg+xml') {
+      const metadata = await sharp(body).metadata().catch(() => null)
+      if (metadata?.width && metadata.height) size = { width: metadata.width, height: metadata.height }
+    }
+
+    storageKey = originalAssetKey(hash, extensionFor(contentType, sourceUrl), size)
+    await storage.put(storageKey, body, contentType)
+
+    if (size) {
+      for (const width of variantWidthsFor(size.width)) {
+        const variant = await sharp(body).resize({ width }).webp().toBuffer()
+        await storage.put(variantAssetKey(hash, width), variant, 'image/webp')
+      }
+    }
+    url = storage.url(storageKey)
+  }
+
+  const row = {
+    source_key: sourceKey(sourceUrl),
+    content_hash: contentHash,
+    storage_key: storageKey,
+    url,
+    content_type: contentType,
+    bytes: body.length,
+    width: size?.width ?? null,
+    height: size?.height ?? null
+  }
+  const { error } = await supabase.from('notion_assets').upsert(row, { onConflict: 'source_key' })
+  if (error) throw error
+
+  return { row, reused: Boolean(existing) }
+}
+
+/**
+ * Replace Notion-hosted URLs in a post's content and cover with mirrored ones.
+ * Without `upload` only assets mirrored by an earlier sync are replaced; with
+ * it, missing assets are downloaded and stored first
+ */
+export async function mirrorPostAssets(
+  post: BlogPost,
+  options: { upload?: boolean } = {}
+): Promise<MirrorResult> {
+  const result: MirrorResult = { post, mirrored: 0, reused: 0, errors: [] }
+
+  const urls = Array.from(post.content?.matchAll(MARKDOWN_URL) || [], match => match[1])
+  if (post.cover) urls.push(post.cover)
+  const notionUrls = Array.from(new Set(urls.filter(isNotionHostedUrl)))
+  if (notionUrls.length === 0) return result
+
+  const supabase = createServerClient()
+  const keys = Array.from(new Set(notionUrls.map(sourceKey)))
+  const { data, error } = await supabase
+    .from('notion_assets')
+    .select('source_key, content_hash, storage_key, url')
+    .in('source_key', keys)
+
+  if (error) {
+    console.error('Error loading mirrored Notion assets:', error)
+    if (!options.upload) return result
+    result.errors.push(`Asset lookup failed: ${error.message}`)
+    return result
+  }
+
+  const mirrored = new Map(((data || []) as AssetRow[]).map(row => [row.source_key, row.url]))
+
+  if (options.upload) {
+    const storage = getAssetStorage(supabase)
+    for (const url of notionUrls) {
+      const key = sourceKey(url)
+      if (mirrored.has(key)) continue
+      try {
+        const { row, reused } = await uploadAsset(supabase, storage, url)
+        mirrored.set(key, row.url)
+        if (reused) result.reused++
+        else result.mirrored++
+      } catch (error) {
+        const message = error instanceof Error ? error.message : (error as { message?: string })?.message || String(error)
+        result.errors.push(`${key}: ${message}`)
+      }
+    }
+  }
+
+  let content = post.content || ''
+  let cover = post.cover
+  notionUrls.forEach(url => {
+    const stable = mirrored.get(sourceKey(url))
+    if (!stable) return
+    content = content.split(url).join(stable)
+    if (cover === url) cover = stable
+  })
+
+  result.post = { ...post, content, cover }
+  return result
+}
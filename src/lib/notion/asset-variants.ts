@@ -0,0 +1,41 @@
+// Naming of mirrored Notion images and their width variants, shared by the
+// sync (which writes them) and the next/image loader (which picks one).
+// Originals with known dimensions are stored as notion/<hash>_<w>x<h>.<ext>,
+// variants as notion/<hash>-w<width>.webp for each width below the original
+
+export const ASSET_VARIANT_WIDTHS = [640, 1080, 1920]
+
+const MIRRORED_IMAGE = /\/notion\/([0-9a-f]+)_(\d+)x(\d+)\.[a-z0-9]+$/
+
+export function originalAssetKey(hash: string, extension: string, size?: { width: number; height: number }): string {
+  return size ? `notion/${hash}_${size.width}x${size.height}.${extension}` : `notion/${hash}.${extension}`
+}
+
+export function variantAssetKey(hash: string, width: number): string {
+  return `notion/${hash}-w${width}.webp`
+}
+
+// Widths that get a variant for an original of this width
+export function variantWidthsFor(originalWidth: number): number[] {
+  return ASSET_VARIANT_WIDTHS.filter(width => width < originalWidth)
+}
+
+export function parseMirroredImage(src: string): { hash: string; width: number; height: number } | null {
+  const match = src.split('?')[0].match(MIRRORED_IMAGE)
+  if (!match) return null
+  return { hash: match[1], width: Number(match[2]), height: Number(match[3]) }
+}
+
+/**
+ * next/image loader for mirrored images: the smallest variant at least as
+ * wide as requested, or the original
+ */
+export function notionAssetLoader({ src, width }: { src: string; width: number; quality?: number }): string {
+  const image = parseMirroredImage(src)
+  if (!image) return src
+
+  const variant = variantWidthsFor(image.width).find(candidate => candidate >= width)
+  if (!variant) return src
+
+  return src.split('?')[0].replace(MIRRORED_IMAGE, `/${variantAssetKey(image.hash, variant)}`)
+}
@@ -4,7 +4,10 @@ import { NotionPage, BlogPost } from '@/types'
 import readingTime from 'reading-time'
 import { NOTION_PROPERTIES, NOTION_STATUS } from './korean-properties'
 import { getFlexibleProperty, extractPropertyValue } from './flexible-property-getter'
-import { generateKoreanSlug } from '@/lib/utils/korean-slug'
+import { assignPostSlugs, generateKoreanSlug, generateLegacySlug } from '@/lib/utils/korean-slug'
+import { createAdminClient } from '@/lib/supabase/admin'
+import { loadSlugHistory } from './slug-history'
+import { mirrorPostAssets } from './asset-mirror'
 import { AVAILABLE_NOTION_PROPERTIES, DEFAULT_AUTHOR, DEFAULT_READING_TIME, mapAvailableProperties } from './available-properties'
 
 const notion = new Client({
@@ -18,7 +21,8 @@ n2m.setCustomTransformer('image', async (block: any) => {
   const imageUrl = block.image?.external?.url || block.image?.file?.url
   if (!imageUrl) return ''
   
-  // Optimize Notion images
+  // Optimize Notion images; uploaded files are mirrored by the sync
+  // (see asset-mirror.ts)
   const optimizedUrl = imageUrl.includes('notion.so') 
     ? imageUrl.replace('https://www.notion.so', 'https://notion.so')
     : imageUrl
@@ -30,6 +34,26 @@ export function generateSlugFromKorean(title: string): string {
   return generateKoreanSlug(title)
 }
 
+// Slugs already saved by the sync; new posts are de-duplicated against them
+// and against slugs renamed posts used to have
+async function loadStoredSlugs() {
+  try {
+    const supabase = createAdminClient()
+    const { data, error } = await supabase.from('posts').select('id, slug, title')
+    if (error) throw error
+    return { stored: data || [], history: await loadSlugHistory(supabase) }
+  } catch (error) {
+    console.error('Could not load stored post slugs:', error)
+    return { stored: [], history: [] }
+  }
+}
+
+export async function resolvePostSlugs(posts: BlogPost[]): Promise<BlogPost[]> {
+  const { stored, history } = await loadStoredSlugs()
+  const slugs = assignPostSlugs(posts, stored, history)
+  return posts.map(post => ({ ...post, slug: slugs.get(post.id) || post.slug }))
+}
+
 export async function convertPageToPost(page: any): Promise<BlogPost | null> {
   try {
     // Log available properties for debugging
@@ -56,7 +80,8 @@ export async function convertPageToPost(page: any): Promise<BlogPost | null> {
       return null
     }
     
-    // Always generate slug from title (no Slug property in Notion)
+    // Generate slug from title (no Slug property in Notion); resolvePostSlugs
+    // swaps in the stored slug for posts whose title hasn't changed
     const slug = generateSlugFromKorean(title)
     console.log(`Generated slug: ${slug} from title: ${title}`)
     
@@ -111,7 +136,8 @@ export async function convertPageToPost(page: any): Promise<BlogPost | null> {
       readingTime: Math.ceil(minutes),
     }
     
-    return post
+    // Swap expiring Notion file URLs for copies the sync already mirrored
+    return (await mirrorPostAssets(post)).post
   } catch (error) {
     console.error('Error converting page:', error)
     console.error('Page properties:', Object.keys(page.properties || {}))
@@ -140,7 +166,23 @@ export async function getAllPosts(): Promise<BlogPost[]> {
     pages.results.map(page => convertPageToPost(page))
   )
   
-  return posts.filter(Boolean) as BlogPost[]
+  return resolvePostSlugs(posts.filter(Boolean) as BlogPost[])
+}
+
+async function findStoredPost(slug: string): Promise<{ id: string; slug: string } | null> {
+  try {
+    const supabase = createAdminClient()
+    const { data, error } = await supabase
+      .from('posts')
+      .select('id, slug')
+      .eq('slug', slug.toLowerCase())
+      .maybeSingle()
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Could not look up stored post slug:', error)
+    return null
+  }
 }
 
 export async function getPostBySlug(slug: string): Promise<BlogPost | null> {
@@ -149,6 +191,14 @@ export async function getPostBySlug(slug: string): Promise<BlogPost | null> {
     const decodedSlug = decodeURIComponent(slug)
     console.log(`Looking for post with slug: ${slug} (decoded: ${decodedSlug})`)
     
+    // Stored slugs are authoritative
+    const stored = await findStoredPost(decodedSlug)
+    if (stored) {
+      const page = await notion.pages.retrieve({ page_id: stored.id })
+      const post = await convertPageToPost(page)
+      if (post) return { ...post, slug: stored.slug }
+    }
+    
     const allPosts = await notion.databases.query({
       database_id: process.env.NOTION_DATABASE_ID!,
       filter: {
@@ -165,16 +215,17 @@ export async function getPostBySlug(slug: string): Promise<BlogPost | null> {
     for (const page of allPosts.results) {
       const props = mapAvailableProperties(page)
       const title = extractPropertyValue(props.title) || ''
-      const generatedSlug = generateKoreanSlug(title)
+      // Match the current generator and the pre-romanization one, so old
+      // links to posts that were never synced still resolve
+      const candidates = [generateKoreanSlug(title), generateLegacySlug(title)].filter(Boolean)
       
       // Check against both encoded and decoded versions
-      if (slug === generatedSlug || 
-          decodedSlug === generatedSlug ||
-          slug.toLowerCase() === generatedSlug.toLowerCase() ||
-          decodedSlug.toLowerCase() === generatedSlug.toLowerCase()) {
+      if (candidates.some(candidate =>
+        slug.toLowerCase() === candidate.toLowerCase() ||
+        decodedSlug.toLowerCase() === candidate.toLowerCase())) {
         console.log(`Found matching post: ${title}`)
         const post = await convertPageToPost(page)
-        if (post) return post
+        if (post) return (await resolvePostSlugs([post]))[0]
       }
     }
     
@@ -217,5 +268,5 @@ export async function getPostsByCategory(category: BlogPost['category']): Promis
     pages.results.map(page => convertPageToPost(page))
   )
   
-  return posts.filter(Boolean) as BlogPost[]
+  return resolvePostSlugs(posts.filter(Boolean) as BlogPost[])
 }
\ No newline at end of file
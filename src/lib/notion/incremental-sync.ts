@@ -0,0 +1,332 @@
+// Incremental Notion → posts sync. Only pages edited since the stored cursor
+// are converted to markdown; published posts that left 발행 or were deleted in
+// Notion are unpublished. Each run returns a per-post report
+import { Client } from '@notionhq/client'
+import { BlogPost } from '@/types'
+import { createServerClient } from '@/lib/supabase'
+import { NOTION_PROPERTIES, NOTION_STATUS, isValidStatus } from './korean-properties'
+import { extractPropertyValue } from './flexible-property-getter'
+import { mapAvailableProperties } from './available-properties'
+import { convertPageToPost, resolvePostSlugs } from './converter'
+import { recordSlugChanges, type SlugChange } from './slug-history'
+import { mirrorPostAssets } from './asset-mirror'
+
+const notion = new Client({
+  auth: process.env.NOTION_TOKEN,
+})
+
+const SYNC_SOURCE = 'notion_posts'
+
+// Notion rounds last_edited_time down to the minute, so a page is only known
+// to be up to date once it was synced a full minute after that time
+const EDIT_TIME_RESOLUTION_MS = 60 * 1000
+
+type SupabaseServerClient = ReturnType<typeof createServerClient>
+
+interface StoredPost {
+  id: string
+  title: string
+  slug: string
+  category: string | null
+  status: string | null
+  notion_last_edited_time: string | null
+  notion_synced_at: string | null
+}
+
+export interface SyncReportEntry {
+  id: string
+  title: string
+  slug?: string
+  previousSlug?: string
+  category?: string | null
+  previousCategory?: string | null
+  reason?: 'status' | 'deleted'
+  error?: string
+  // Assets left on expiring Notion URLs; a full sync retries them
+  assetErrors?: string[]
+}
+
+export interface SyncReport {
+  mode: 'full' | 'incremental'
+  since: string | null
+  nextCursor: string | null
+  scanned: number
+  skipped: number
+  assets: { mirrored: number; reused: number; failed: number }
+  created: SyncReportEntry[]
+  updated: SyncReportEntry[]
+  unpublished: SyncReportEntry[]
+  failed: SyncReportEntry[]
+}
+
+function errorMessage(error: unknown): string {
+  if (error instanceof Error) return error.message
+  return (error as { message?: string })?.message || String(error)
+}
+
+function pageTitle(page: any): string {
+  return extractPropertyValue(mapAvailableProperties(page).title) || ''
+}
+
+function pageStatus(page: any): string | null {
+  return extractPropertyValue(mapAvailableProperties(page).status) || null
+}
+
+async function queryPages(filter?: any): Promise<any[]> {
+  const pages: any[] = []
+  let cursor: string | undefined
+
+  do {
+    const response: any = await notion.databases.query({
+      database_id: process.env.NOTION_DATABASE_ID!,
+      filter,
+      sorts: [{ timestamp: 'last_edited_time', direction: 'ascending' }],
+      start_cursor: cursor,
+      page_size: 100
+    })
+    pages.push(...response.results)
+    cursor = response.has_more ? response.next_cursor : undefined
+  } while (cursor)
+
+  return pages
+}
+
+function isUpToDate(row: StoredPost, lastEditedTime: string): boolean {
+  if (row.status !== NOTION_STATUS.PUBLISHED) return false
+  if (!row.notion_last_edited_time || !row.notion_synced_at) return false
+
+  const edited = new Date(lastEditedTime).getTime()
+  return new Date(row.notion_last_edited_time).getTime() >= edited &&
+    new Date(row.notion_synced_at).getTime() - edited >= EDIT_TIME_RESOLUTION_MS
+}
+
+// Deleted, archived and trashed pages are left out of database queries
+async function isDeletedInNotion(pageId: string): Promise<{ deleted: boolean; status: string | null }> {
+  try {
+    const page: any = await notion.pages.retrieve({ page_id: pageId })
+    return { deleted: Boolean(page.archived || page.in_trash), status: pageStatus(page) }
+  } catch (error: any) {
+    if (error?.code === 'object_not_found') return { deleted: true, status: null }
+    throw error
+  }
+}
+
+function toRow(post: BlogPost, syncedAt: string) {
+  return {
+    id: post.id,
+    title: post.title,
+    slug: post.slug,
+    summary: post.summary || null,
+    content: post.content || null,
+    cover: post.cover || null,
+    author: post.author || null,
+    category: post.category || null,
+    tags: post.tags || [],
+    is_premium: post.isPremium || false,
+    status: post.status || null,
+    published_date: post.publishedDate || null,
+    reading_time: post.readingTime || null,
+    created_at: post.createdAt,
+    updated_at: post.updatedAt,
+    notion_last_edited_time: post.updatedAt,
+    notion_synced_at: syncedAt,
+    unpublished_at: null,
+    unpublish_reason: null
+  }
+}
+
+async function loadCursor(supabase: SupabaseServerClient): Promise<string | null> {
+  const { data, error } = await supabase
+    .from('notion_sync_state')
+    .select('cursor')
+    .eq('source', SYNC_SOURCE)
+    .maybeSingle()
+  if (error) throw error
+  return (data as { cursor: string | null } | null)?.cursor || null
+}
+
+/**
+ * Sync posts edited in Notion since the last run
+ * `full` ignores the cursor and re-checks every page
+ */
+export async function runIncrementalSync(options: { full?: boolean } = {}): Promise<SyncReport> {
+  const supabase = createServerClient()
+  const syncedAt = new Date().toISOString()
+  const since = options.full ? null : await loadCursor(supabase)
+
+  const report: SyncReport = {
+    mode: since ? 'incremental' : 'full',
+    since,
+    nextCursor: since,
+    scanned: 0,
+    skipped: 0,
+    assets: { mirrored: 0, reused: 0, failed: 0 },
+    created: [],
+    updated: [],
+    unpublished: [],
+    failed: []
+  }
+
+  const changedPages = await queryPages(since
+    ? { timestamp: 'last_edited_time', last_edited_time: { on_or_after: since } }
+    : undefined)
+  report.scanned = changedPages.length
+
+  const { data: storedData, error: storedError } = await supabase
+    .from('posts')
+    .select('id, title, slug, category, status, notion_last_edited_time, notion_synced_at')
+  if (storedError) throw storedError
+  const stored = new Map(((storedData || []) as StoredPost[]).map(row => [row.id, row]))
+
+  const converted: BlogPost[] = []
+  const toUnpublish: { row: StoredPost; status: string | null; reason: 'status' | 'deleted'; lastEdited: string | null }[] = []
+  const failedEditTimes: string[] = []
+  const assetErrors = new Map<string, string[]>()
+  const seen = new Set<string>()
+
+  // Pages are converted one at a time to stay under Notion's rate limit
+  for (const page of changedPages) {
+    seen.add(page.id)
+    const row = stored.get(page.id)
+    const status = pageStatus(page)
+
+    if (status !== NOTION_STATUS.PUBLISHED) {
+      if (row?.status === NOTION_STATUS.PUBLISHED) {
+        toUnpublish.push({ row, status, reason: 'status', lastEdited: page.last_edited_time })
+      } else {
+        report.skipped++
+      }
+      continue
+    }
+
+    if (row && isUpToDate(row, page.last_edited_time)) {
+      report.skipped++
+      continue
+    }
+
+    try {
+      const post = await convertPageToPost(page)
+      if (!post) throw new Error('Page could not be converted')
+
+      // Copy Notion-hosted images and files before their URLs expire
+      const assets = await mirrorPostAssets(post, { upload: true })
+      report.assets.mirrored += assets.mirrored
+      report.assets.reused += assets.reused
+      report.assets.failed += assets.errors.length
+      if (assets.errors.length > 0) assetErrors.set(post.id, assets.errors)
+      converted.push(assets.post)
+    } catch (error) {
+      report.failed.push({ id: page.id, title: pageTitle(page), error: errorMessage(error) })
+      failedEditTimes.push(page.last_edited_time)
+    }
+  }
+
+  // Published posts missing from Notion's published list were edited out of
+  // 발행 before the cursor's window or deleted
+  const publishedIds = new Set(since
+    ? (await queryPages({ property: NOTION_PROPERTIES.STATUS, select: { equals: NOTION_STATUS.PUBLISHED } })).map(page => page.id)
+    : changedPages.filter(page => pageStatus(page) === NOTION_STATUS.PUBLISHED).map(page => page.id))
+
+  for (const row of Array.from(stored.values())) {
+    if (row.status !== NOTION_STATUS.PUBLISHED || publishedIds.has(row.id) || seen.has(row.id)) continue
+    try {
+      const { deleted, status } = await isDeletedInNotion(row.id)
+      if (!deleted && status === NOTION_STATUS.PUBLISHED) continue
+      toUnpublish.push({ row, status, reason: deleted ? 'deleted' : 'status', lastEdited: null })
+    } catch (error) {
+      report.failed.push({ id: row.id, title: row.title, error: errorMessage(error) })
+    }
+  }
+
+  for (const { row, status, reason, lastEdited } of toUnpublish) {
+    const { error } = await supabase
+      .from('posts')
+      .update({
+        status: status && isValidStatus(status) ? status : null,
+        unpublished_at: syncedAt,
+        unpublish_reason: reason,
+        notion_synced_at: syncedAt,
+        ...(lastEdited ? { notion_last_edited_time: lastEdited } : {})
+      })
+      .eq('id', row.id)
+
+    if (error) {
+      report.failed.push({ id: row.id, title: row.title, error: error.message })
+      if (lastEdited) failedEditTimes.push(lastEdited)
+    } else {
+      report.unpublished.push({ id: row.id, title: row.title, slug: row.slug, category: row.category, reason })
+    }
+  }
+
+  // Slugs are resolved against the stored ones, so renamed posts move to a
+  // new slug and keep the old one in history
+  const posts = await resolvePostSlugs(converted)
+  const saved: BlogPost[] = []
+  if (posts.length > 0) {
+    const rows = posts.map(post => toRow(post, syncedAt))
+    const { error } = await supabase.from('posts').upsert(rows, { onConflict: 'id' })
+
+    if (!error) {
+      saved.push(...posts)
+    } else {
+      // Retry one by one so a single bad row doesn't fail the whole run
+      for (const post of posts) {
+        const { error: rowError } = await supabase.from('posts').upsert(toRow(post, syncedAt), { onConflict: 'id' })
+        if (rowError) {
+          report.failed.push({ id: post.id, title: post.title, slug: post.slug, error: rowError.message })
+          failedEditTimes.push(post.updatedAt)
+        } else {
+          saved.push(post)
+        }
+      }
+    }
+  }
+
+  const slugChanges: SlugChange[] = []
+  saved.forEach(post => {
+    const row = stored.get(post.id)
+    if (!row) {
+      report.created.push({
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        category: post.category,
+        ...(assetErrors.has(post.id) ? { assetErrors: assetErrors.get(post.id) } : {})
+      })
+      return
+    }
+    const renamed = row.slug !== post.slug
+    if (renamed) slugChanges.push({ postId: post.id, oldSlug: row.slug, newSlug: post.slug })
+    report.updated.push({
+      id: post.id,
+      title: post.title,
+      slug: post.slug,
+      category: post.category,
+      ...(renamed ? { previousSlug: row.slug } : {}),
+      ...(row.category !== post.category ? { previousCategory: row.category } : {}),
+      ...(assetErrors.has(post.id) ? { assetErrors: assetErrors.get(post.id) } : {})
+    })
+  })
+  await recordSlugChanges(supabase, slugChanges)
+
+  // Failed pages are retried next run: the cursor stops at the oldest of them
+  const editTimes = changedPages.map(page => page.last_edited_time as string)
+  if (failedEditTimes.length > 0) {
+    report.nextCursor = failedEditTimes.sort()[0]
+  } else if (editTimes.length > 0) {
+    report.nextCursor = editTimes.sort()[editTimes.length - 1]
+  }
+
+  const { error: stateError } = await supabase
+    .from('notion_sync_state')
+    .upsert({
+      source: SYNC_SOURCE,
+      cursor: report.nextCursor,
+      last_run_at: syncedAt,
+      last_report: report,
+      updated_at: syncedAt
+    }, { onConflict: 'source' })
+  if (stateError) throw stateError
+
+  return report
+}
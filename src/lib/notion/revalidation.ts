@@ -0,0 +1,80 @@
+// On-demand revalidation of statically generated post pages. Given the posts
+// a sync changed, works out every path that renders them: the post page, the
+// listings on /posts and the home page, and the RelatedPosts block on the
+// other posts of the same category
+import { revalidatePath } from 'next/cache'
+import type { createServerClient } from '@/lib/supabase'
+import { NOTION_STATUS } from './korean-properties'
+import type { SyncReport } from './incremental-sync'
+
+type SupabaseServerClient = ReturnType<typeof createServerClient>
+
+export interface ChangedPost {
+  slug: string
+  previousSlug?: string
+  category?: string | null
+  previousCategory?: string | null
+}
+
+// Every post a sync created, updated or unpublished
+export function changedPostsFromReport(report: SyncReport): ChangedPost[] {
+  return [...report.created, ...report.updated, ...report.unpublished]
+    .filter(entry => entry.slug)
+    .map(entry => ({
+      slug: entry.slug!,
+      previousSlug: entry.previousSlug,
+      category: entry.category,
+      previousCategory: entry.previousCategory
+    }))
+}
+
+export function collectAffectedPaths(
+  changed: ChangedPost[],
+  slugsByCategory: Map<string, string[]>
+): string[] {
+  if (changed.length === 0) return []
+
+  // Home page (FeaturedPosts) and the /posts listing, which also serves the
+  // category filters as ?category=
+  const paths = new Set<string>(['/', '/posts'])
+
+  changed.forEach(post => {
+    paths.add(`/posts/${post.slug}`)
+    // Drops the statically generated page of the old slug
+    if (post.previousSlug) paths.add(`/posts/${post.previousSlug}`)
+
+    const categories = [post.category, post.previousCategory].filter(Boolean) as string[]
+    categories.forEach(category => {
+      (slugsByCategory.get(category) || []).forEach(slug => paths.add(`/posts/${slug}`))
+    })
+  })
+
+  return Array.from(paths).sort()
+}
+
+/**
+ * Revalidate the pages affected by the changed posts
+ * Must be called from a route handler or server action
+ */
+export async function revalidateChangedPosts(
+  supabase: SupabaseServerClient,
+  changed: ChangedPost[]
+): Promise<string[]> {
+  if (changed.length === 0) return []
+
+  const { data, error } = await supabase
+    .from('posts')
+    .select('slug, category')
+    .eq('status', NOTION_STATUS.PUBLISHED)
+  if (error) throw error
+
+  const slugsByCategory = new Map<string, string[]>()
+  ;((data || []) as { slug: string; category: string | null }[]).forEach(row => {
+    if (!row.category) return
+    slugsByCategory.set(row.category, [...(slugsByCategory.get(row.category) || []), row.slug])
+  })
+
+  const paths = collectAffectedPaths(changed, slugsByCategory)
+  paths.forEach(path => revalidatePath(path))
+  return paths
+}
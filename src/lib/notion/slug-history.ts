@@ -0,0 +1,86 @@
+// Slug history for posts: every slug a post has had, so renamed posts keep
+// answering on their old URLs. Written by the Notion sync; read by the
+// middleware (as a periodically reloaded map) and, for renames newer than
+// that map, by the post pages and the post API when a slug matches no post.
+// Kept free of the Notion client so it can run in the middleware
+import type { SupabaseClient } from '@supabase/supabase-js'
+
+export interface SlugChange {
+  postId: string
+  oldSlug: string
+  newSlug: string
+}
+
+// Current slug for a slug the post used to have, or null
+export async function findCurrentSlug(
+  supabase: SupabaseClient<any, any, any>,
+  slug: string
+): Promise<string | null> {
+  const { data, error } = await supabase
+    .from('post_slug_history')
+    .select('posts(slug)')
+    .eq('slug', slug.toLowerCase())
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error looking up post slug history:', error)
+    return null
+  }
+
+  const post: any = Array.isArray(data?.posts) ? data?.posts[0] : data?.posts
+  return post?.slug && post.slug !== slug ? post.slug : null
+}
+
+// Every old slug mapped to its post's current slug
+export async function loadSlugRedirects(
+  supabase: SupabaseClient<any, any, any>
+): Promise<Map<string, string>> {
+  const { data, error } = await supabase
+    .from('post_slug_history')
+    .select('slug, posts(slug)')
+
+  if (error) throw error
+
+  const redirects = new Map<string, string>()
+  ;(data || []).forEach((row: any) => {
+    const post = Array.isArray(row.posts) ? row.posts[0] : row.posts
+    if (post?.slug && post.slug !== row.slug) redirects.set(row.slug, post.slug)
+  })
+  return redirects
+}
+
+export async function loadSlugHistory(
+  supabase: SupabaseClient<any, any, any>
+): Promise<{ slug: string; post_id: string }[]> {
+  const { data, error } = await supabase.from('post_slug_history').select('slug, post_id')
+  if (error) {
+    console.error('Error loading post slug history:', error)
+    return []
+  }
+  return data || []
+}
+
+/**
+ * Record the old slug of every renamed post. Must run after the posts are
+ * saved: a post renamed back to an earlier slug gets that slug out of history
+ */
+export async function recordSlugChanges(
+  supabase: SupabaseClient<any, any, any>,
+  changes: SlugChange[]
+): Promise<void> {
+  if (changes.length === 0) return
+
+  const { error: deleteError } = await supabase
+    .from('post_slug_history')
+    .delete()
+    .in('slug', changes.map(change => change.newSlug))
+  if (deleteError) throw deleteError
+
+  const { error } = await supabase
+    .from('post_slug_history')
+    .upsert(
+      changes.map(change => ({ slug: change.oldSlug, post_id: change.postId })),
+      { onConflict: 'slug' }
+    )
+  if (error) throw error
+}
@@ -0,0 +1,316 @@
+// Cron expression parsing and next-run calculation in an IANA timezone.
+// Pure (no server dependencies) so the schedule form can preview runs client-side.
+
+export class CronParseError extends Error {
+  constructor(message: string, public expression: string) {
+    super(message);
+    this.name = 'CronParseError';
+  }
+}
+
+export interface CronExpression {
+  source: string;
+  seconds: number[];
+  minutes: number[];
+  hours: number[];
+  daysOfMonth: number[];
+  months: number[];
+  daysOfWeek: number[];
+  // Vixie cron: when both day fields are restricted, either one matching is enough
+  dayOfMonthRestricted: boolean;
+  dayOfWeekRestricted: boolean;
+  // Runs every hour; decides how DST gaps and repeated hours are handled
+  everyHour: boolean;
+}
+
+interface FieldSpec {
+  name: string;
+  min: number;
+  max: number;
+  names?: string[];
+}
+
+const FIELDS: Record<'second' | 'minute' | 'hour' | 'dayOfMonth' | 'month' | 'dayOfWeek', FieldSpec> = {
+  second: { name: 'second', min: 0, max: 59 },
+  minute: { name: 'minute', min: 0, max: 59 },
+  hour: { name: 'hour', min: 0, max: 23 },
+  dayOfMonth: { name: 'day of month', min: 1, max: 31 },
+  month: {
+    name: 'month', min: 1, max: 12,
+    names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+  },
+  // 7 is accepted as Sunday and folded into 0
+  dayOfWeek: { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+};
+
+const MACROS: Record<string, string> = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Don't search further than this for a matching time (e.g. "0 0 30 2 *" never runs)
+const MAX_SEARCH_DAYS = 366 * 5;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function range(min: number, max: number, step = 1): number[] {
+  const values: number[] = [];
+  for (let value = min; value <= max; value += step) values.push(value);
+  return values;
+}
+
+function parseValue(token: string, spec: FieldSpec, expression: string): number {
+  const index = spec.names?.indexOf(token.toUpperCase()) ?? -1;
+  // Month names are 1-based, weekday names 0-based
+  if (index >= 0) return spec.names === FIELDS.month.names ? index + 1 : index;
+
+  if (!/^\d+$/.test(token)) {
+    throw new CronParseError(`Invalid ${spec.name} value "${token}"`, expression);
+  }
+  const value = parseInt(token, 10);
+  if (value < spec.min || value > spec.max) {
+    throw new CronParseError(`${spec.name} must be between ${spec.min} and ${spec.max}, got ${value}`, expression);
+  }
+  return value;
+}
+
+function parseField(field: string, spec: FieldSpec, expression: string): { values: number[]; wildcard: boolean } {
+  const values = new Set<number>();
+  let wildcard = false;
+
+  for (const part of field.split(',')) {
+    const [base, stepText, extra] = part.split('/');
+    if (extra !== undefined || !base) {
+      throw new CronParseError(`Invalid ${spec.name} field "${field}"`, expression);
+    }
+
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new CronParseError(`Invalid step "${stepText}" in ${spec.name} field`, expression);
+    }
+
+    let start: number;
+    let end: number;
+    if (base === '*' || base === '?') {
+      start = spec.min;
+      end = spec.max;
+      if (step === 1) wildcard = true;
+    } else if (base.includes('-')) {
+      const [from, to] = base.split('-');
+      start = parseValue(from, spec, expression);
+      end = parseValue(to, spec, expression);
+      if (start > end) {
+        throw new CronParseError(`Invalid ${spec.name} range "${base}"`, expression);
+      }
+    } else {
+      start = parseValue(base, spec, expression);
+      // "5/15" means from 5 to the end of the range every 15
+      end = stepText === undefined ? start : spec.max;
+    }
+
+    range(start, end, step).forEach(value => values.add(value));
+  }
+
+  return { values: Array.from(values).sort((a, b) => a - b), wildcard };
+}
+
+/**
+ * Parse a cron expression: five fields (minute hour day-of-month month
+ * day-of-week), an optional leading seconds field, or an @macro. Supports
+ * lists, ranges, steps and month/weekday names. Throws CronParseError.
+ */
+export function parseCron(expression: string): CronExpression {
+  const source = (expression || '').trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/).filter(Boolean);
+
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new CronParseError(`Expected 5 or 6 fields, got ${parts.length}`, source);
+  }
+
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = parts.length === 6 ? parts : ['0', ...parts];
+
+  const hours = parseField(hour, FIELDS.hour, source);
+  const daysOfMonth = parseField(dayOfMonth, FIELDS.dayOfMonth, source);
+  const daysOfWeek = parseField(dayOfWeek, FIELDS.dayOfWeek, source);
+
+  return {
+    source,
+    seconds: parseField(second, FIELDS.second, source).values,
+    minutes: parseField(minute, FIELDS.minute, source).values,
+    hours: hours.values,
+    daysOfMonth: daysOfMonth.values,
+    months: parseField(month, FIELDS.month, source).values,
+    daysOfWeek: Array.from(new Set(daysOfWeek.values.map(day => day % 7))).sort((a, b) => a - b),
+    dayOfMonthRestricted: !daysOfMonth.wildcard,
+    dayOfWeekRestricted: !daysOfWeek.wildcard,
+    everyHour: hours.values.length === 24
+  };
+}
+
+// Error message for an invalid expression, null when valid
+export function validateCron(expression: string): string | null {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error instanceof Error ? error.message : 'Invalid cron expression';
+  }
+}
+
+export function isValidTimeZone(timezone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function formatterFor(timezone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+// Wall-clock fields of an instant in the timezone, packed as a UTC timestamp
+function wallClock(instant: number, timezone: string): number {
+  const fields: Record<string, number> = {};
+  formatterFor(timezone).formatToParts(new Date(instant)).forEach(part => {
+    if (part.type !== 'literal') fields[part.type] = parseInt(part.value, 10);
+  });
+  return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour % 24, fields.minute, fields.second);
+}
+
+// Offset of the timezone from UTC at an instant, in ms (whole seconds)
+function offsetAt(instant: number, timezone: string): number {
+  const rounded = Math.floor(instant / 1000) * 1000;
+  return wallClock(rounded, timezone) - rounded;
+}
+
+/**
+ * Instants at which a wall-clock time occurs: none inside a DST gap, two in
+ * the repeated hour when clocks go back. gapInstant is the time shifted
+ * forward by the gap (02:30 -> 03:30), as most cron implementations do.
+ */
+function resolveWallClock(
+  local: number,
+  offsets: [number, number],
+  timezone: string
+): { instants: number[]; gapInstant: number } {
+  const instants = Array.from(new Set(offsets.map(offset => local - offset)))
+    .filter(instant => wallClock(instant, timezone) === local)
+    .sort((a, b) => a - b);
+  return { instants, gapInstant: local - offsets[0] };
+}
+
+function matchesDay(cron: CronExpression, date: Date): boolean {
+  if (!cron.months.includes(date.getUTCMonth() + 1)) return false;
+
+  const domMatch = cron.daysOfMonth.includes(date.getUTCDate());
+  const dowMatch = cron.daysOfWeek.includes(date.getUTCDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (cron.dayOfMonthRestricted) return domMatch;
+  if (cron.dayOfWeekRestricted) return dowMatch;
+  return true;
+}
+
+// Run instants for one local day, sorted
+function runsOnDay(cron: CronExpression, day: number, timezone: string): number[] {
+  const offsets: [number, number] = [
+    offsetAt(day - offsetAt(day, timezone) - DAY_MS / 2, timezone),
+    offsetAt(day - offsetAt(day, timezone) + DAY_MS * 1.5, timezone)
+  ];
+  const transition = offsets[0] !== offsets[1];
+  const runs: number[] = [];
+
+  cron.hours.forEach(hour => {
+    cron.minutes.forEach(minute => {
+      cron.seconds.forEach(second => {
+        const local = day + ((hour * 60 + minute) * 60 + second) * 1000;
+        if (!transition) {
+          runs.push(local - offsets[0]);
+          return;
+        }
+
+        const { instants, gapInstant } = resolveWallClock(local, offsets, timezone);
+        if (instants.length === 0) {
+          // Skipped by a DST gap: hourly jobs just miss it, fixed-time jobs run late
+          if (!cron.everyHour) runs.push(gapInstant);
+        } else if (instants.length > 1 && !cron.everyHour) {
+          // Repeated hour: fixed-time jobs run once, hourly jobs run in both
+          runs.push(instants[0]);
+        } else {
+          runs.push(...instants);
+        }
+      });
+    });
+  });
+
+  return Array.from(new Set(runs)).sort((a, b) => a - b);
+}
+
+export interface NextRunOptions {
+  timezone?: string;
+  // Runs strictly after this instant
+  after?: Date;
+  count?: number;
+}
+
+/**
+ * Next run times of one or more cron expressions (merged, de-duplicated)
+ * in an IANA timezone. Invalid expressions throw CronParseError; an invalid
+ * timezone throws a RangeError.
+ */
+export function nextRuns(
+  expressions: string | string[],
+  { timezone = 'UTC', after = new Date(), count = 5 }: NextRunOptions = {}
+): Date[] {
+  const crons = (Array.isArray(expressions) ? expressions : [expressions]).map(parseCron);
+  if (crons.length === 0 || count <= 0) return [];
+  if (!isValidTimeZone(timezone)) throw new RangeError(`Invalid time zone: ${timezone}`);
+
+  const start = after.getTime();
+  const startLocal = wallClock(start, timezone);
+  // Start a day early so runs just after a DST transition at midnight aren't missed
+  let day = startLocal - (startLocal % DAY_MS) - DAY_MS;
+  const runs: number[] = [];
+
+  for (let searched = 0; searched <= MAX_SEARCH_DAYS && runs.length < count; searched++, day += DAY_MS) {
+    const date = new Date(day);
+    const dayRuns = new Set<number>();
+    crons.forEach(cron => {
+      if (matchesDay(cron, date)) runsOnDay(cron, day, timezone).forEach(run => dayRuns.add(run));
+    });
+
+    Array.from(dayRuns)
+      .filter(run => run > start && !runs.includes(run))
+      .sort((a, b) => a - b)
+      .forEach(run => runs.push(run));
+  }
+
+  return runs.sort((a, b) => a - b).slice(0, count).map(run => new Date(run));
+}
+
+export function nextRun(expressions: string | string[], options: Omit<NextRunOptions, 'count'> = {}): Date | null {
+  return nextRuns(expressions, { ...options, count: 1 })[0] || null;
+}
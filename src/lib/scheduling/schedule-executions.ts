@@ -0,0 +1,231 @@
+// Lease-based schedule executions: each scheduled time is claimed by inserting
+// its schedule_executions row, so a run executes once however many scheduler
+// instances are up, and runs missed while none was up are caught up on start.
+import { hostname } from 'os';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { nextRuns } from './cron';
+import { scheduleCronExpressions, validateScheduleTiming } from './schedule-times';
+
+export type MisfirePolicy = 'run_once' | 'run_all' | 'skip';
+export type TriggeredBy = 'schedule' | 'catchup' | 'manual' | 'retry';
+
+export const MISFIRE_POLICIES: MisfirePolicy[] = ['run_once', 'run_all', 'skip'];
+
+// Identifies this process in lease_owner
+export const SCHEDULER_INSTANCE_ID = `${hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`;
+
+// A running execution renews its lease; one not renewed for this long is abandoned
+export const LEASE_TTL_MS = 10 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = LEASE_TTL_MS / 3;
+
+// Missed runs are only looked for this far back, and at most this many
+const MISFIRE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_MISSED_RUNS = 200;
+// run_all executes at most this many; older misses are recorded as skipped
+export const MAX_CATCHUP_RUNS = 10;
+
+// Postgres unique_violation: another instance already claimed the slot
+const UNIQUE_VIOLATION = '23505';
+
+function leaseExpiry(): string {
+  return new Date(Date.now() + LEASE_TTL_MS).toISOString();
+}
+
+/**
+ * Claim an execution. Scheduled runs are keyed by (schedule, scheduledFor);
+ * returns null when another instance holds that slot. Manual runs (no
+ * scheduledFor) always get a row.
+ */
+export async function claimExecution(
+  supabase: SupabaseClient,
+  scheduleId: string,
+  scheduledFor: Date | null,
+  triggeredBy: TriggeredBy
+): Promise<any | null> {
+  const { data, error } = await supabase
+    .from('schedule_executions')
+    .insert({
+      schedule_id: scheduleId,
+      scheduled_for: scheduledFor ? scheduledFor.toISOString() : null,
+      status: 'running',
+      triggered_by: triggeredBy,
+      lease_owner: SCHEDULER_INSTANCE_ID,
+      lease_expires_at: leaseExpiry()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) return null;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Keep renewing the lease of a running execution. Returns a function that
+ * stops the heartbeat; call it once the execution row is finalised.
+ */
+export function startLeaseHeartbeat(supabase: SupabaseClient, executionId: string): () => void {
+  const timer = setInterval(async () => {
+    const { error } = await supabase
+      .from('schedule_executions')
+      .update({ lease_expires_at: leaseExpiry() })
+      .eq('execution_id', executionId)
+      .eq('lease_owner', SCHEDULER_INSTANCE_ID)
+      .eq('status', 'running');
+
+    if (error) console.error(`Error renewing lease for execution ${executionId}:`, error);
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Fail executions whose instance stopped renewing their lease (crash or
+ * restart mid-run). Returns how many were released.
+ */
+export async function releaseExpiredLeases(supabase: SupabaseClient): Promise<number> {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('schedule_executions')
+    .update({
+      status: 'failed',
+      completed_at: now,
+      error_message: 'Scheduler instance stopped while the execution was running (lease expired)'
+    })
+    .eq('status', 'running')
+    .lt('lease_expires_at', now)
+    .select('execution_id');
+
+  if (error) {
+    console.error('Error releasing expired leases:', error);
+    return 0;
+  }
+  return data?.length || 0;
+}
+
+/**
+ * Which missed runs to execute and which to record as skipped. Runs are in
+ * ascending order; run_once executes only the latest.
+ */
+export function planMissedRuns(missed: Date[], policy: MisfirePolicy): { run: Date[]; skip: Date[] } {
+  if (missed.length === 0) return { run: [], skip: [] };
+
+  switch (policy) {
+    case 'skip':
+      return { run: [], skip: missed };
+    case 'run_all': {
+      const cutoff = Math.max(missed.length - MAX_CATCHUP_RUNS, 0);
+      return { run: missed.slice(cutoff), skip: missed.slice(0, cutoff) };
+    }
+    case 'run_once':
+    default:
+      return { run: missed.slice(-1), skip: missed.slice(0, -1) };
+  }
+}
+
+/**
+ * Scheduled times between the schedule's last recorded slot (or last run,
+ * or creation) and now that have no execution row
+ */
+export async function findMissedRuns(supabase: SupabaseClient, schedule: any, now = new Date()): Promise<Date[]> {
+  if (validateScheduleTiming(schedule).length > 0) return [];
+  const expressions = scheduleCronExpressions(schedule);
+  if (expressions.length === 0) return [];
+
+  const { data: latest } = await supabase
+    .from('schedule_executions')
+    .select('scheduled_for')
+    .eq('schedule_id', schedule.schedule_id)
+    .not('scheduled_for', 'is', null)
+    .order('scheduled_for', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const reference = latest?.scheduled_for || schedule.last_run || schedule.created_at;
+  if (!reference) return [];
+
+  const after = new Date(Math.max(new Date(reference).getTime(), now.getTime() - MISFIRE_LOOKBACK_MS));
+  return nextRuns(expressions, { timezone: schedule.timezone || 'UTC', after, count: MAX_MISSED_RUNS })
+    .filter(run => run.getTime() <= now.getTime());
+}
+
+/**
+ * Record missed runs the policy skips. Slots another instance already
+ * recorded are left alone.
+ */
+export async function recordSkippedRuns(
+  supabase: SupabaseClient,
+  scheduleId: string,
+  runs: Date[],
+  policy: MisfirePolicy
+): Promise<void> {
+  if (runs.length === 0) return;
+  const now = new Date().toISOString();
+
+  // One insert per run: the slot index is partial, so ON CONFLICT can't target
+  // it, and a slot another instance already recorded only fails its own row
+  for (const run of runs) {
+    const { error } = await supabase
+      .from('schedule_executions')
+      .insert({
+        schedule_id: scheduleId,
+        scheduled_for: run.toISOString(),
+        started_at: now,
+        completed_at: now,
+        status: 'skipped',
+        triggered_by: 'catchup',
+        lease_owner: SCHEDULER_INSTANCE_ID,
+        error_message: `Missed while no scheduler was running (misfire policy: ${policy})`
+      });
+
+    if (error && error.code !== UNIQUE_VIOLATION) {
+      console.error(`Error recording skipped run ${run.toISOString()} for schedule ${scheduleId}:`, error);
+    }
+  }
+}
+
+/**
+ * Detect runs a schedule missed and handle them per its misfire policy.
+ * execute is called for each run to catch up, oldest first.
+ */
+export async function catchUpMissedRuns(
+  supabase: SupabaseClient,
+  schedule: any,
+  execute: (scheduledFor: Date) => Promise<void>
+): Promise<{ executed: number; skipped: number }> {
+  const missed = await findMissedRuns(supabase, schedule);
+  if (missed.length === 0) return { executed: 0, skipped: 0 };
+
+  const policy: MisfirePolicy = MISFIRE_POLICIES.includes(schedule.misfire_policy)
+    ? schedule.misfire_policy
+    : 'run_once';
+  const { run, skip } = planMissedRuns(missed, policy);
+
+  console.log(`⏮️  Schedule "${schedule.name}" missed ${missed.length} run(s): running ${run.length}, skipping ${skip.length} (${policy})`);
+
+  await recordSkippedRuns(supabase, schedule.schedule_id, skip, policy);
+  for (const scheduledFor of run) {
+    await execute(scheduledFor);
+  }
+
+  return { executed: run.length, skipped: skip.length };
+}
+
+// Close a claimed execution without running it (paused, backing off, circuit open)
+export async function markExecutionSkipped(
+  supabase: SupabaseClient,
+  executionId: string,
+  reason: string
+): Promise<void> {
+  await supabase
+    .from('schedule_executions')
+    .update({
+      status: 'skipped',
+      completed_at: new Date().toISOString(),
+      duration_seconds: 0,
+      error_message: reason
+    })
+    .eq('execution_id', executionId);
+}
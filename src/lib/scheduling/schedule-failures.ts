@@ -0,0 +1,352 @@
+// Failure policies for scraping schedules: exponential backoff of the next run,
+// auto-pause after repeated failures, and circuit breakers shared by schedules
+// that scan the same target.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { NotificationDeliveryWorker } from '@/lib/notifications/delivery-worker';
+import { nextScheduleRun } from './schedule-times';
+
+export interface FailurePolicy {
+  // Delay after the first failure, doubled per further failure; 0 disables backoff
+  backoffBaseSeconds: number;
+  backoffMaxSeconds: number;
+  // Consecutive failures before pausing; 0 never pauses
+  pauseAfterFailures: number;
+  circuitKey: string | null;
+}
+
+export interface FailureResponse {
+  consecutiveFailures: number;
+  backoffUntil: Date | null;
+  pause: boolean;
+  pausedReason: string | null;
+}
+
+export interface CircuitCheck {
+  allowed: boolean;
+  // Set while the breaker is open
+  openUntil: Date | null;
+}
+
+export const DEFAULT_FAILURE_POLICY: FailurePolicy = {
+  backoffBaseSeconds: 300,
+  backoffMaxSeconds: 6 * 60 * 60,
+  pauseAfterFailures: 5,
+  circuitKey: null
+};
+
+const DEFAULT_CIRCUIT = { failure_threshold: 3, cooldown_seconds: 30 * 60 };
+
+export const MANUAL_PAUSE_REASON = 'Paused manually';
+
+// Created on first use so importing the policy helpers needs no database client
+let deliveryWorker: NotificationDeliveryWorker | null = null;
+
+function nonNegative(value: any, fallback: number): number {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.floor(number) : fallback;
+}
+
+export function readFailurePolicy(schedule: any): FailurePolicy {
+  return {
+    backoffBaseSeconds: nonNegative(schedule?.backoff_base_seconds, DEFAULT_FAILURE_POLICY.backoffBaseSeconds),
+    backoffMaxSeconds: nonNegative(schedule?.backoff_max_seconds, DEFAULT_FAILURE_POLICY.backoffMaxSeconds),
+    pauseAfterFailures: nonNegative(schedule?.pause_after_failures, DEFAULT_FAILURE_POLICY.pauseAfterFailures),
+    circuitKey: typeof schedule?.circuit_key === 'string' && schedule.circuit_key.trim()
+      ? schedule.circuit_key.trim()
+      : null
+  };
+}
+
+/**
+ * Field-level problems with failure policy fields sent by a client
+ */
+export function validateFailurePolicy(body: any): { field: string; message: string }[] {
+  const errors: { field: string; message: string }[] = [];
+  ['backoff_base_seconds', 'backoff_max_seconds', 'pause_after_failures'].forEach(field => {
+    if (body?.[field] === undefined || body[field] === null) return;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push({ field, message: `${field} must be a whole number of 0 or more` });
+    }
+  });
+  if (body?.circuit_key !== undefined && body.circuit_key !== null && typeof body.circuit_key !== 'string') {
+    errors.push({ field: 'circuit_key', message: 'circuit_key must be a string' });
+  }
+  return errors;
+}
+
+// Delay before the next run after this many consecutive failures
+export function backoffDelayMs(consecutiveFailures: number, policy: FailurePolicy): number {
+  if (policy.backoffBaseSeconds <= 0 || consecutiveFailures <= 0) return 0;
+  const seconds = policy.backoffBaseSeconds * Math.pow(2, Math.min(consecutiveFailures - 1, 30));
+  return Math.min(seconds, Math.max(policy.backoffMaxSeconds, policy.backoffBaseSeconds)) * 1000;
+}
+
+/**
+ * What a failure leads to: the new failure streak, how long to back off,
+ * and whether the schedule pauses itself
+ */
+export function planFailureResponse(
+  previousFailures: number,
+  policy: FailurePolicy,
+  errorMessage: string,
+  now = new Date()
+): FailureResponse {
+  const consecutiveFailures = (previousFailures || 0) + 1;
+  const delay = backoffDelayMs(consecutiveFailures, policy);
+  const pause = policy.pauseAfterFailures > 0 && consecutiveFailures >= policy.pauseAfterFailures;
+
+  return {
+    consecutiveFailures,
+    backoffUntil: delay > 0 ? new Date(now.getTime() + delay) : null,
+    pause,
+    pausedReason: pause
+      ? `Paused after ${consecutiveFailures} consecutive failures. Last error: ${errorMessage}`.slice(0, 1000)
+      : null
+  };
+}
+
+/**
+ * Why a run should be skipped, or null to run it
+ */
+export function skipReason(schedule: any, scheduledFor: Date | null, now = new Date()): string | null {
+  if (!scheduledFor || !schedule?.backoff_until) return null;
+  const backoffUntil = new Date(schedule.backoff_until);
+  if (backoffUntil.getTime() <= Math.max(scheduledFor.getTime(), now.getTime())) return null;
+  return `Backing off after ${schedule.consecutive_failures || 0} consecutive failures until ${backoffUntil.toISOString()}`;
+}
+
+/**
+ * Record a failed run against the schedule: bump the counters, set the
+ * backoff, pause the schedule when the streak reaches the policy limit.
+ * Reads the row fresh so concurrent instances don't lose counts.
+ */
+export async function applyFailurePolicy(
+  supabase: SupabaseClient,
+  scheduleId: string,
+  errorMessage: string
+): Promise<{ schedule: any; response: FailureResponse } | null> {
+  const { data: current, error } = await supabase
+    .from('scraping_schedules')
+    .select('*')
+    .eq('schedule_id', scheduleId)
+    .single();
+
+  if (error || !current) {
+    console.error(`Error loading schedule ${scheduleId} for failure policy:`, error);
+    return null;
+  }
+
+  const now = new Date();
+  const response = planFailureResponse(current.consecutive_failures || 0, readFailurePolicy(current), errorMessage, now);
+  const nextRun = response.pause
+    ? null
+    : nextScheduleRun(current, response.backoffUntil && response.backoffUntil > now ? new Date(response.backoffUntil.getTime() - 1) : now);
+
+  const { data: updated } = await supabase
+    .from('scraping_schedules')
+    .update({
+      last_run: now.toISOString(),
+      failure_count: (current.failure_count || 0) + 1,
+      consecutive_failures: response.consecutiveFailures,
+      backoff_until: response.backoffUntil?.toISOString() || null,
+      next_run: nextRun?.toISOString() || null,
+      ...(response.pause ? {
+        enabled: false,
+        paused_reason: response.pausedReason,
+        paused_at: now.toISOString()
+      } : {}),
+      updated_at: now.toISOString()
+    })
+    .eq('schedule_id', scheduleId)
+    .select()
+    .single();
+
+  return { schedule: updated || current, response };
+}
+
+/**
+ * Record a successful run: clear the failure streak and any backoff
+ */
+export async function applySuccess(supabase: SupabaseClient, scheduleId: string): Promise<void> {
+  const { data: current } = await supabase
+    .from('scraping_schedules')
+    .select('success_count')
+    .eq('schedule_id', scheduleId)
+    .single();
+
+  const now = new Date().toISOString();
+  await supabase
+    .from('scraping_schedules')
+    .update({
+      last_run: now,
+      success_count: (current?.success_count || 0) + 1,
+      consecutive_failures: 0,
+      backoff_until: null,
+      updated_at: now
+    })
+    .eq('schedule_id', scheduleId);
+}
+
+/**
+ * Whether a run may go ahead under its circuit breaker. After the cooldown,
+ * exactly one run (the one that moves the breaker to half_open) gets through.
+ */
+export async function checkCircuit(supabase: SupabaseClient, circuitKey: string | null): Promise<CircuitCheck> {
+  if (!circuitKey) return { allowed: true, openUntil: null };
+
+  const { data: breaker } = await supabase
+    .from('schedule_circuit_breakers')
+    .select('*')
+    .eq('circuit_key', circuitKey)
+    .maybeSingle();
+
+  if (!breaker || breaker.state === 'closed') return { allowed: true, openUntil: null };
+
+  const openUntil = breaker.open_until ? new Date(breaker.open_until) : null;
+  const cooldownMs = (breaker.cooldown_seconds || DEFAULT_CIRCUIT.cooldown_seconds) * 1000;
+  // A trial that never reported back (instance died) is retried after another cooldown
+  const trialStale = breaker.state === 'half_open' &&
+    Date.now() - new Date(breaker.updated_at).getTime() > cooldownMs;
+
+  if ((breaker.state === 'half_open' && !trialStale) || (openUntil && openUntil.getTime() > Date.now())) {
+    return { allowed: false, openUntil };
+  }
+
+  // Cooldown over: the first claimant runs the trial
+  const { data: trial } = await supabase
+    .from('schedule_circuit_breakers')
+    .update({ state: 'half_open', updated_at: new Date().toISOString() })
+    .eq('circuit_key', circuitKey)
+    .eq('state', breaker.state)
+    .eq('updated_at', breaker.updated_at)
+    .select('circuit_key');
+
+  return { allowed: (trial?.length || 0) > 0, openUntil };
+}
+
+/**
+ * Feed a run's outcome into its circuit breaker. Failures open the breaker
+ * at the threshold (or immediately when the trial run fails); a success closes it.
+ */
+export async function recordCircuitResult(
+  supabase: SupabaseClient,
+  circuitKey: string | null,
+  success: boolean,
+  errorMessage?: string
+): Promise<void> {
+  if (!circuitKey) return;
+  const now = new Date();
+
+  if (success) {
+    await supabase
+      .from('schedule_circuit_breakers')
+      .upsert({
+        circuit_key: circuitKey,
+        state: 'closed',
+        failure_count: 0,
+        opened_at: null,
+        open_until: null,
+        updated_at: now.toISOString()
+      }, { onConflict: 'circuit_key' });
+    return;
+  }
+
+  const { data: breaker } = await supabase
+    .from('schedule_circuit_breakers')
+    .select('*')
+    .eq('circuit_key', circuitKey)
+    .maybeSingle();
+
+  const threshold = breaker?.failure_threshold || DEFAULT_CIRCUIT.failure_threshold;
+  const cooldownSeconds = breaker?.cooldown_seconds || DEFAULT_CIRCUIT.cooldown_seconds;
+  const failureCount = (breaker?.failure_count || 0) + 1;
+  const open = breaker?.state === 'half_open' || failureCount >= threshold;
+
+  await supabase
+    .from('schedule_circuit_breakers')
+    .upsert({
+      circuit_key: circuitKey,
+      state: open ? 'open' : 'closed',
+      failure_count: failureCount,
+      failure_threshold: threshold,
+      cooldown_seconds: cooldownSeconds,
+      opened_at: open ? now.toISOString() : breaker?.opened_at || null,
+      open_until: open ? new Date(now.getTime() + cooldownSeconds * 1000).toISOString() : null,
+      last_failure_at: now.toISOString(),
+      last_error: errorMessage?.slice(0, 1000) || null,
+      updated_at: now.toISOString()
+    }, { onConflict: 'circuit_key' });
+
+  if (open && breaker?.state !== 'open') {
+    console.warn(`🔌 Circuit "${circuitKey}" opened after ${failureCount} failures`);
+  }
+}
+
+/**
+ * Queue and deliver the notification sent when a schedule pauses itself,
+ * through whichever channels the schedule has configured
+ */
+export async function notifyAutoPause(
+  supabase: SupabaseClient,
+  schedule: any,
+  executionId: string | null,
+  reason: string
+): Promise<void> {
+  const settings = schedule.notification_settings || {};
+  const subject = `Flippa Schedule Paused - ${schedule.name}`;
+  const text = `
+Schedule: ${schedule.name}
+Paused At: ${new Date().toLocaleString()}
+Reason: ${reason}
+
+Resume the schedule from the schedule manager once the problem is fixed.
+  `.trim();
+
+  const notifications: any[] = [];
+  if (settings.email_enabled && settings.email_address) {
+    notifications.push({
+      schedule_id: schedule.schedule_id,
+      execution_id: executionId,
+      notification_type: 'email',
+      priority: 'high',
+      recipient: settings.email_address,
+      subject,
+      content: { text }
+    });
+  }
+  if (settings.webhook_enabled && settings.webhook_url) {
+    notifications.push({
+      schedule_id: schedule.schedule_id,
+      execution_id: executionId,
+      notification_type: 'webhook',
+      priority: 'high',
+      recipient: settings.webhook_url,
+      subject,
+      content: {
+        payload: {
+          type: 'schedule_paused',
+          schedule: schedule.name,
+          reason,
+          consecutive_failures: schedule.consecutive_failures,
+          timestamp: new Date().toISOString()
+        }
+      }
+    });
+  }
+  if (notifications.length === 0) return;
+
+  const { data, error } = await supabase
+    .from('notification_queue')
+    .insert(notifications)
+    .select('notification_id');
+
+  if (error) {
+    console.error('Error queuing pause notification:', error);
+    return;
+  }
+
+  deliveryWorker = deliveryWorker || new NotificationDeliveryWorker();
+  deliveryWorker.drain((data || []).map(row => row.notification_id))
+    .catch(deliveryError => console.error('Notification delivery failed:', deliveryError));
+}
@@ -0,0 +1,153 @@
+// Turns scraping_schedules rows into cron expressions and drives their timers.
+// Shared by ScheduleManager, SimpleScheduler and the schedule form preview.
+import { nextRun, nextRuns, validateCron, isValidTimeZone } from './cron';
+
+export interface ScheduleTiming {
+  frequency: string;
+  custom_cron?: string | null;
+  // 'HH:MM' wall-clock times, used by the 24-hour frequency
+  specific_times?: string[] | null;
+  // 0 (Sunday) - 6; empty or missing means every day
+  days_of_week?: number[] | null;
+  timezone?: string | null;
+}
+
+export const SCHEDULE_FREQUENCIES = ['15min', '30min', '1hour', '2hours', '6hours', '12hours', '24hours', 'custom'];
+
+const INTERVAL_CRON: Record<string, string> = {
+  '15min': '*/15 * * * *',
+  '30min': '*/30 * * * *',
+  '1hour': '0 * * * *',
+  '2hours': '0 */2 * * *',
+  '6hours': '0 */6 * * *',
+  '12hours': '0 */12 * * *'
+};
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// setTimeout takes a signed 32-bit delay; longer waits are chained
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+function dayOfWeekField(days?: number[] | null): string {
+  const unique = Array.from(new Set((days || []).filter(day => Number.isInteger(day) && day >= 0 && day <= 6)));
+  return unique.length === 0 || unique.length === 7 ? '*' : unique.sort((a, b) => a - b).join(',');
+}
+
+/**
+ * Cron expressions for a schedule. Custom schedules use their own expression;
+ * interval frequencies run on the selected days; the 24-hour frequency runs
+ * at each specific time (midnight when none) on the selected days.
+ */
+export function scheduleCronExpressions(schedule: ScheduleTiming): string[] {
+  if (schedule.frequency === 'custom') {
+    return schedule.custom_cron ? [schedule.custom_cron.trim()] : [];
+  }
+
+  const days = dayOfWeekField(schedule.days_of_week);
+
+  if (schedule.frequency === '24hours') {
+    // Group times by minute so "09:00, 14:00, 20:30" becomes two expressions
+    const hoursByMinute = new Map<number, number[]>();
+    (schedule.specific_times || []).forEach(time => {
+      const match = TIME_PATTERN.exec(String(time).trim());
+      if (!match) return;
+      const minute = parseInt(match[2], 10);
+      hoursByMinute.set(minute, [...(hoursByMinute.get(minute) || []), parseInt(match[1], 10)]);
+    });
+    if (hoursByMinute.size === 0) hoursByMinute.set(0, [0]);
+
+    return Array.from(hoursByMinute.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([minute, hours]) => `${minute} ${Array.from(new Set(hours)).sort((a, b) => a - b).join(',')} * * ${days}`);
+  }
+
+  const interval = INTERVAL_CRON[schedule.frequency];
+  if (!interval) return [];
+  return [days === '*' ? interval : interval.replace(/\*$/, days)];
+}
+
+/**
+ * Field-level problems with a schedule's timing, empty when it can run
+ */
+export function validateScheduleTiming(schedule: ScheduleTiming): { field: string; message: string }[] {
+  const errors: { field: string; message: string }[] = [];
+
+  if (!SCHEDULE_FREQUENCIES.includes(schedule.frequency)) {
+    errors.push({ field: 'frequency', message: `Frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}` });
+  }
+  if (schedule.frequency === 'custom') {
+    const cronError = schedule.custom_cron ? validateCron(schedule.custom_cron) : 'Cron expression is required';
+    if (cronError) errors.push({ field: 'custom_cron', message: cronError });
+  }
+  if (schedule.timezone && !isValidTimeZone(schedule.timezone)) {
+    errors.push({ field: 'timezone', message: `Unknown time zone "${schedule.timezone}"` });
+  }
+  const badTime = (schedule.specific_times || []).find(time => !TIME_PATTERN.test(String(time).trim()));
+  if (badTime !== undefined) {
+    errors.push({ field: 'specific_times', message: `Invalid time "${badTime}", use HH:MM` });
+  }
+
+  return errors;
+}
+
+// Upcoming run times for a schedule; empty when its timing is invalid
+export function upcomingScheduleRuns(schedule: ScheduleTiming, count = 5, after = new Date()): Date[] {
+  if (validateScheduleTiming(schedule).length > 0) return [];
+  const expressions = scheduleCronExpressions(schedule);
+  if (expressions.length === 0) return [];
+  return nextRuns(expressions, { timezone: schedule.timezone || 'UTC', after, count });
+}
+
+export function nextScheduleRun(schedule: ScheduleTiming, after = new Date()): Date | null {
+  return upcomingScheduleRuns(schedule, 1, after)[0] || null;
+}
+
+/**
+ * Fires a callback at each run time of a set of cron expressions. Each run
+ * is computed from the previous one, so DST changes and long gaps between
+ * runs (weekly, monthly) are handled without drift.
+ */
+export class ScheduleTimer {
+  private timeout: ReturnType<typeof setTimeout> | null = null;
+  private stopped = false;
+  nextRunAt: Date | null = null;
+
+  constructor(
+    private expressions: string[],
+    private timezone: string,
+    private onRun: (scheduledFor: Date) => Promise<void> | void
+  ) {}
+
+  start(after = new Date()): Date | null {
+    this.stopped = false;
+    this.nextRunAt = nextRun(this.expressions, { timezone: this.timezone, after });
+    if (this.nextRunAt) this.wait(this.nextRunAt);
+    return this.nextRunAt;
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timeout) clearTimeout(this.timeout);
+    this.timeout = null;
+    this.nextRunAt = null;
+  }
+
+  private wait(runAt: Date) {
+    const delay = runAt.getTime() - Date.now();
+    if (delay > MAX_TIMER_DELAY_MS) {
+      this.timeout = setTimeout(() => this.wait(runAt), MAX_TIMER_DELAY_MS);
+      return;
+    }
+
+    this.timeout = setTimeout(async () => {
+      if (this.stopped) return;
+      try {
+        await this.onRun(runAt);
+      } catch (error) {
+        console.error('Scheduled run failed:', error);
+      }
+      // Runs missed while this one was executing are skipped
+      if (!this.stopped) this.start(new Date(Math.max(Date.now(), runAt.getTime())));
+    }, Math.max(delay, 0));
+  }
+}
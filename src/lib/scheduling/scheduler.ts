@@ -1,13 +1,28 @@
 import { createClient } from '@supabase/supabase-js';
-
-// Dynamic import for node-cron to avoid build issues
-let cron: any;
-const initCron = async () => {
-  if (!cron) {
-    cron = await import('node-cron');
-  }
-  return cron;
-};
+import { NotificationDeliveryWorker } from '@/lib/notifications/delivery-worker';
+import {
+  ScheduleTimer,
+  nextScheduleRun,
+  scheduleCronExpressions,
+  validateScheduleTiming
+} from './schedule-times';
+import {
+  TriggeredBy,
+  catchUpMissedRuns,
+  claimExecution,
+  markExecutionSkipped,
+  releaseExpiredLeases,
+  startLeaseHeartbeat
+} from './schedule-executions';
+import {
+  applyFailurePolicy,
+  applySuccess,
+  checkCircuit,
+  notifyAutoPause,
+  readFailurePolicy,
+  recordCircuitResult,
+  skipReason
+} from './schedule-failures';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -15,8 +30,11 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY!
 );
 
-// Store active cron jobs
-const activeJobs = new Map<string, cron.ScheduledTask>();
+// Delivers queued email/webhook notifications while the scheduler runs
+const deliveryWorker = new NotificationDeliveryWorker();
+
+// Store active schedule timers
+const activeJobs = new Map<string, ScheduleTimer>();
 
 // Schedule manager class
 export class ScheduleManager {
@@ -25,6 +43,10 @@ export class ScheduleManager {
     console.log('🚀 Initializing schedule manager...');
     
     try {
+      // Executions left running by a stopped instance
+      const released = await releaseExpiredLeases(supabase);
+      if (released > 0) console.log(`🧹 Released ${released} abandoned executions`);
+      
       // Load all enabled schedules from database
       const { data: schedules, error } = await supabase
         .from('scraping_schedules')
@@ -42,6 +64,13 @@ export class ScheduleManager {
       }
       
       console.log(`✅ Loaded ${schedules?.length || 0} active schedules`);
+      
+      // Runs missed while no scheduler was up, handled in the background
+      this.catchUpMissedRuns(schedules || [])
+        .catch(catchUpError => console.error('Error catching up missed runs:', catchUpError));
+      
+      // Retries and anything queued while the scheduler was down
+      deliveryWorker.start();
     } catch (error) {
       console.error('Error initializing scheduler:', error);
     }
@@ -53,29 +82,27 @@ export class ScheduleManager {
       // Stop existing job if any
       this.stopSchedule(schedule.schedule_id);
       
-      // Convert frequency to cron expression
-      const cronExpression = this.getCronExpression(schedule);
-      if (!cronExpression) {
-        console.error(`Invalid cron expression for schedule ${schedule.schedule_id}`);
+      // Convert frequency, times and days to cron expressions
+      const timingErrors = validateScheduleTiming(schedule);
+      const cronExpressions = this.getCronExpressions(schedule);
+      if (timingErrors.length > 0 || cronExpressions.length === 0) {
+        console.error(`Invalid timing for schedule ${schedule.schedule_id}:`, timingErrors);
         return;
       }
       
-      console.log(`📅 Starting schedule "${schedule.name}" with cron: ${cronExpression}`);
+      const timezone = schedule.timezone || 'UTC';
+      console.log(`📅 Starting schedule "${schedule.name}" with cron: ${cronExpressions.join(' | ')} (${timezone})`);
       
-      // Create cron job
-      const cronLib = await initCron();
-      const job = cronLib.schedule(cronExpression, async () => {
-        await this.executeSchedule(schedule);
-      }, {
-        scheduled: true,
-        timezone: schedule.timezone || 'UTC'
+      // Create timer; each run schedules the next one
+      const job = new ScheduleTimer(cronExpressions, timezone, async (scheduledFor) => {
+        await this.executeSchedule(schedule, scheduledFor);
       });
       
       // Store job reference
       activeJobs.set(schedule.schedule_id, job);
       
       // Update next run time
-      await this.updateNextRunTime(schedule.schedule_id, cronExpression);
+      await this.updateNextRunTime(schedule.schedule_id, job.start());
       
     } catch (error) {
       console.error(`Error starting schedule ${schedule.schedule_id}:`, error);
@@ -92,27 +119,61 @@ export class ScheduleManager {
     }
   }
   
-  // Execute a scheduled scan
-  static async executeSchedule(schedule: any) {
-    console.log(`🔄 Executing schedule "${schedule.name}"...`);
+  // Execute a scheduled scan. Scheduled and catch-up runs first claim their
+  // slot, so an instance that loses the race skips the run
+  static async executeSchedule(
+    schedule: any,
+    scheduledFor: Date | null = null,
+    triggeredBy: TriggeredBy = 'schedule'
+  ) {
     const startTime = Date.now();
     
-    // Create execution record
-    const { data: execution, error: execError } = await supabase
-      .from('schedule_executions')
-      .insert({
-        schedule_id: schedule.schedule_id,
-        status: 'running',
-        triggered_by: 'schedule'
-      })
-      .select()
+    // Create execution record (the lease)
+    let execution: any;
+    try {
+      execution = await claimExecution(supabase, schedule.schedule_id, scheduledFor, triggeredBy);
+    } catch (execError) {
+      console.error('Error creating execution record:', execError);
+      return;
+    }
+    
+    if (!execution) {
+      console.log(`⏭️  Schedule "${schedule.name}" run for ${scheduledFor?.toISOString()} is handled by another instance`);
+      return;
+    }
+    
+    // Fresh row: another instance may have paused the schedule or set a backoff
+    const { data: fresh } = await supabase
+      .from('scraping_schedules')
+      .select('*')
+      .eq('schedule_id', schedule.schedule_id)
       .single();
+    if (fresh) schedule = fresh;
     
-    if (execError) {
-      console.error('Error creating execution record:', execError);
+    const { circuitKey } = readFailurePolicy(schedule);
+    let skip: string | null = null;
+    if (!schedule.enabled && triggeredBy !== 'manual') {
+      skip = schedule.paused_reason || 'Schedule is paused';
+      this.stopSchedule(schedule.schedule_id);
+    } else {
+      skip = skipReason(schedule, scheduledFor);
+      if (!skip) {
+        const circuit = await checkCircuit(supabase, circuitKey);
+        if (!circuit.allowed) {
+          skip = `Circuit "${circuitKey}" is open${circuit.openUntil ? ` until ${circuit.openUntil.toISOString()}` : ''}`;
+        }
+      }
+    }
+    
+    if (skip) {
+      console.log(`⏭️  Skipping schedule "${schedule.name}": ${skip}`);
+      await markExecutionSkipped(supabase, execution.execution_id, skip);
       return;
     }
     
+    console.log(`🔄 Executing schedule "${schedule.name}"...`);
+    const stopHeartbeat = startLeaseHeartbeat(supabase, execution.execution_id);
+    
     try {
       // Execute the scan
       const scanResult = await this.performScan(schedule.scan_options || {});
@@ -133,22 +194,15 @@ export class ScheduleManager {
         })
         .eq('execution_id', execution.execution_id);
       
-      // Update schedule stats
-      await supabase
-        .from('scraping_schedules')
-        .update({
-          last_run: new Date().toISOString(),
-          success_count: schedule.success_count + 1,
-          consecutive_failures: 0,
-          updated_at: new Date().toISOString()
-        })
-        .eq('schedule_id', schedule.schedule_id);
+      // Update schedule stats (clears the failure streak and backoff)
+      await applySuccess(supabase, schedule.schedule_id);
+      await recordCircuitResult(supabase, circuitKey, true);
       
       // Send notifications if configured
       await this.sendNotifications(schedule, scanResult, execution);
       
       // Update next run time
-      await this.updateNextRunTime(schedule.schedule_id, this.getCronExpression(schedule));
+      await this.updateNextRunTime(schedule.schedule_id, nextScheduleRun(schedule));
       
       console.log(`✅ Schedule "${schedule.name}" executed successfully`);
       
@@ -167,21 +221,27 @@ export class ScheduleManager {
         })
         .eq('execution_id', execution.execution_id);
       
-      // Update schedule failure stats
-      await supabase
-        .from('scraping_schedules')
-        .update({
-          last_run: new Date().toISOString(),
-          failure_count: schedule.failure_count + 1,
-          consecutive_failures: (schedule.consecutive_failures || 0) + 1,
-          updated_at: new Date().toISOString()
-        })
-        .eq('schedule_id', schedule.schedule_id);
+      // Update schedule failure stats: backoff, or pause after too many failures
+      await recordCircuitResult(supabase, circuitKey, false, error.message);
+      const failure = await applyFailurePolicy(supabase, schedule.schedule_id, error.message);
+      if (failure) {
+        schedule = failure.schedule;
+        if (failure.response.backoffUntil) {
+          console.log(`⏳ Schedule "${schedule.name}" backing off until ${failure.response.backoffUntil.toISOString()}`);
+        }
+        if (failure.response.pause) {
+          console.warn(`⏸️  Schedule "${schedule.name}" paused: ${failure.response.pausedReason}`);
+          this.stopSchedule(schedule.schedule_id);
+          await notifyAutoPause(supabase, schedule, execution.execution_id, failure.response.pausedReason!);
+        }
+      }
       
       // Send failure notification if configured
       if (schedule.notification_settings?.notify_on_failure) {
         await this.sendFailureNotification(schedule, error, execution);
       }
+    } finally {
+      stopHeartbeat();
     }
   }
   
@@ -212,56 +272,17 @@ export class ScheduleManager {
     }
   }
   
-  // Convert frequency to cron expression
-  static getCronExpression(schedule: any): string {
-    if (schedule.custom_cron) {
-      return schedule.custom_cron;
-    }
-    
-    switch (schedule.frequency) {
-      case '15min':
-        return '*/15 * * * *';
-      case '30min':
-        return '*/30 * * * *';
-      case '1hour':
-        return '0 * * * *';
-      case '2hours':
-        return '0 */2 * * *';
-      case '6hours':
-        return '0 */6 * * *';
-      case '12hours':
-        return '0 */12 * * *';
-      case '24hours':
-        return '0 0 * * *';
-      default:
-        return '';
-    }
+  // Cron expressions for a schedule's frequency, specific times and days
+  static getCronExpressions(schedule: any): string[] {
+    return scheduleCronExpressions(schedule);
   }
   
-  // Calculate next run time
-  static async updateNextRunTime(scheduleId: string, cronExpression: string) {
+  // Store the next run time
+  static async updateNextRunTime(scheduleId: string, nextRun: Date | null) {
     try {
-      const cronLib = await initCron();
-      const interval = cronLib.validate(cronExpression);
-      if (!interval) return;
-      
-      // Simple calculation for next run (could be improved)
-      const now = new Date();
-      let nextRun = new Date(now.getTime() + 60000); // Default to 1 minute from now
-      
-      // Parse cron expression for better calculation
-      const parts = cronExpression.split(' ');
-      if (parts[0].includes('*/')) {
-        const minutes = parseInt(parts[0].replace('*/', ''));
-        nextRun = new Date(now.getTime() + minutes * 60000);
-      } else if (parts[1].includes('*/')) {
-        const hours = parseInt(parts[1].replace('*/', ''));
-        nextRun = new Date(now.getTime() + hours * 3600000);
-      }
-      
       await supabase
         .from('scraping_schedules')
-        .update({ next_run: nextRun.toISOString() })
+        .update({ next_run: nextRun ? nextRun.toISOString() : null })
         .eq('schedule_id', scheduleId);
         
     } catch (error) {
@@ -297,10 +318,11 @@ Total Scanned: ${scanResult.results?.scannedListings || 0}
       notifications.push({
         schedule_id: schedule.schedule_id,
         execution_id: execution.execution_id,
-        type: 'email',
+        notification_type: 'email',
+        priority: 'normal',
         recipient: settings.email_address,
         subject,
-        content
+        content: { text: content }
       });
     }
     
@@ -308,22 +330,21 @@ Total Scanned: ${scanResult.results?.scannedListings || 0}
       notifications.push({
         schedule_id: schedule.schedule_id,
         execution_id: execution.execution_id,
-        type: 'webhook',
+        notification_type: 'webhook',
+        priority: 'normal',
         recipient: settings.webhook_url,
         subject,
-        content: JSON.stringify({
-          schedule: schedule.name,
-          results: scanResult.results,
-          timestamp: new Date().toISOString()
-        })
+        content: {
+          payload: {
+            schedule: schedule.name,
+            results: scanResult.results,
+            timestamp: new Date().toISOString()
+          }
+        }
       });
     }
     
-    if (notifications.length > 0) {
-      await supabase
-        .from('notification_queue')
-        .insert(notifications);
-    }
+    await this.queueNotifications(notifications);
   }
   
   // Send failure notification
@@ -345,11 +366,11 @@ Consecutive Failures: ${schedule.consecutive_failures || 1}
       notifications.push({
         schedule_id: schedule.schedule_id,
         execution_id: execution.execution_id,
-        type: 'email',
+        notification_type: 'email',
+        priority: 'high', // High priority for failures
         recipient: settings.email_address,
         subject,
-        content,
-        priority: 1 // High priority for failures
+        content: { text: content }
       });
     }
     
@@ -357,24 +378,49 @@ Consecutive Failures: ${schedule.consecutive_failures || 1}
       notifications.push({
         schedule_id: schedule.schedule_id,
         execution_id: execution.execution_id,
-        type: 'webhook',
+        notification_type: 'webhook',
+        priority: 'high',
         recipient: settings.webhook_url,
         subject,
-        content: JSON.stringify({
-          type: 'failure',
-          schedule: schedule.name,
-          error: error.message,
-          consecutive_failures: schedule.consecutive_failures || 1,
-          timestamp: new Date().toISOString()
-        }),
-        priority: 1
+        content: {
+          payload: {
+            type: 'failure',
+            schedule: schedule.name,
+            error: error.message,
+            consecutive_failures: schedule.consecutive_failures || 1,
+            timestamp: new Date().toISOString()
+          }
+        }
       });
     }
     
-    if (notifications.length > 0) {
-      await supabase
-        .from('notification_queue')
-        .insert(notifications);
+    await this.queueNotifications(notifications);
+  }
+  
+  // Queue notification rows and deliver them right away; failures are retried by the worker loop
+  static async queueNotifications(notifications: any[]) {
+    if (notifications.length === 0) return;
+    
+    const { data, error } = await supabase
+      .from('notification_queue')
+      .insert(notifications)
+      .select('notification_id');
+    
+    if (error) {
+      console.error('Error queuing notifications:', error);
+      return;
+    }
+    
+    deliveryWorker.drain((data || []).map(row => row.notification_id))
+      .catch(deliveryError => console.error('Notification delivery failed:', deliveryError));
+  }
+  
+  // Run or skip each schedule's missed runs according to its misfire policy
+  static async catchUpMissedRuns(schedules: any[]) {
+    for (const schedule of schedules) {
+      await catchUpMissedRuns(supabase, schedule, scheduledFor =>
+        this.executeSchedule(schedule, scheduledFor, 'catchup')
+      );
     }
   }
   
@@ -1,4 +1,27 @@
 import { createClient } from '@supabase/supabase-js';
+import {
+  ScheduleTimer,
+  nextScheduleRun,
+  scheduleCronExpressions,
+  validateScheduleTiming
+} from './schedule-times';
+import {
+  TriggeredBy,
+  catchUpMissedRuns,
+  claimExecution,
+  markExecutionSkipped,
+  releaseExpiredLeases,
+  startLeaseHeartbeat
+} from './schedule-executions';
+import {
+  applyFailurePolicy,
+  applySuccess,
+  checkCircuit,
+  notifyAutoPause,
+  readFailurePolicy,
+  recordCircuitResult,
+  skipReason
+} from './schedule-failures';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -6,35 +29,37 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY!
 );
 
-// Simple interval-based scheduler for Next.js compatibility
+// Timer-based scheduler for Next.js compatibility (no node-cron); runs follow
+// the schedule's cron expressions, specific times and days in its timezone
 export class SimpleScheduler {
-  private static intervals = new Map<string, NodeJS.Timer>();
+  private static timers = new Map<string, ScheduleTimer>();
   
-  // Start a schedule with simple intervals
+  // Start a schedule
   static async startSchedule(schedule: any) {
     try {
-      // Stop existing interval if any
+      // Stop existing timer if any
       this.stopSchedule(schedule.schedule_id);
       
-      // Get interval in milliseconds
-      const intervalMs = this.getIntervalMs(schedule.frequency);
-      if (!intervalMs) {
-        console.error(`Invalid frequency for schedule ${schedule.schedule_id}`);
+      const timingErrors = validateScheduleTiming(schedule);
+      const cronExpressions = scheduleCronExpressions(schedule);
+      if (timingErrors.length > 0 || cronExpressions.length === 0) {
+        console.error(`Invalid timing for schedule ${schedule.schedule_id}:`, timingErrors);
         return;
       }
       
-      console.log(`📅 Starting schedule "${schedule.name}" every ${intervalMs}ms`);
+      const timezone = schedule.timezone || 'UTC';
+      console.log(`📅 Starting schedule "${schedule.name}" with cron: ${cronExpressions.join(' | ')} (${timezone})`);
       
-      // Create interval
-      const interval = setInterval(async () => {
-        await this.executeSchedule(schedule);
-      }, intervalMs);
+      // Create timer; each run schedules the next one
+      const timer = new ScheduleTimer(cronExpressions, timezone, async (scheduledFor) => {
+        await this.executeSchedule(schedule, scheduledFor);
+      });
       
-      // Store interval reference
-      this.intervals.set(schedule.schedule_id, interval);
+      // Store timer reference
+      this.timers.set(schedule.schedule_id, timer);
       
       // Update next run time
-      await this.updateNextRunTime(schedule.schedule_id, intervalMs);
+      await this.updateNextRunTime(schedule.schedule_id, timer.start());
       
     } catch (error) {
       console.error(`Error starting schedule ${schedule.schedule_id}:`, error);
@@ -43,57 +68,69 @@ export class SimpleScheduler {
   
   // Stop a schedule
   static stopSchedule(scheduleId: string) {
-    const interval = this.intervals.get(scheduleId);
-    if (interval) {
-      clearInterval(interval);
-      this.intervals.delete(scheduleId);
+    const timer = this.timers.get(scheduleId);
+    if (timer) {
+      timer.stop();
+      this.timers.delete(scheduleId);
       console.log(`⏹️  Stopped schedule ${scheduleId}`);
     }
   }
   
-  // Get interval in milliseconds
-  static getIntervalMs(frequency: string): number {
-    switch (frequency) {
-      case '15min':
-        return 15 * 60 * 1000;
-      case '30min':
-        return 30 * 60 * 1000;
-      case '1hour':
-        return 60 * 60 * 1000;
-      case '2hours':
-        return 2 * 60 * 60 * 1000;
-      case '6hours':
-        return 6 * 60 * 60 * 1000;
-      case '12hours':
-        return 12 * 60 * 60 * 1000;
-      case '24hours':
-        return 24 * 60 * 60 * 1000;
-      default:
-        return 0;
-    }
-  }
-  
-  // Execute a scheduled scan
-  static async executeSchedule(schedule: any) {
-    console.log(`🔄 Executing schedule "${schedule.name}"...`);
+  // Execute a scheduled scan. Scheduled and catch-up runs first claim their
+  // slot, so an instance that loses the race skips the run
+  static async executeSchedule(
+    schedule: any,
+    scheduledFor: Date | null = null,
+    triggeredBy: TriggeredBy = 'schedule'
+  ) {
     const startTime = Date.now();
     
-    // Create execution record
-    const { data: execution, error: execError } = await supabase
-      .from('schedule_executions')
-      .insert({
-        schedule_id: schedule.schedule_id,
-        status: 'running',
-        triggered_by: 'schedule'
-      })
-      .select()
+    // Create execution record (the lease)
+    let execution: any;
+    try {
+      execution = await claimExecution(supabase, schedule.schedule_id, scheduledFor, triggeredBy);
+    } catch (execError) {
+      console.error('Error creating execution record:', execError);
+      return;
+    }
+    
+    if (!execution) {
+      console.log(`⏭️  Schedule "${schedule.name}" run for ${scheduledFor?.toISOString()} is handled by another instance`);
+      return;
+    }
+    
+    // Fresh row: another instance may have paused the schedule or set a backoff
+    const { data: fresh } = await supabase
+      .from('scraping_schedules')
+      .select('*')
+      .eq('schedule_id', schedule.schedule_id)
       .single();
+    if (fresh) schedule = fresh;
     
-    if (execError) {
-      console.error('Error creating execution record:', execError);
+    const { circuitKey } = readFailurePolicy(schedule);
+    let skip: string | null = null;
+    if (!schedule.enabled && triggeredBy !== 'manual') {
+      skip = schedule.paused_reason || 'Schedule is paused';
+      this.stopSchedule(schedule.schedule_id);
+    } else {
+      skip = skipReason(schedule, scheduledFor);
+      if (!skip) {
+        const circuit = await checkCircuit(supabase, circuitKey);
+        if (!circuit.allowed) {
+          skip = `Circuit "${circuitKey}" is open${circuit.openUntil ? ` until ${circuit.openUntil.toISOString()}` : ''}`;
+        }
+      }
+    }
+    
+    if (skip) {
+      console.log(`⏭️  Skipping schedule "${schedule.name}": ${skip}`);
+      await markExecutionSkipped(supabase, execution.execution_id, skip);
       return;
     }
     
+    console.log(`🔄 Executing schedule "${schedule.name}"...`);
+    const stopHeartbeat = startLeaseHeartbeat(supabase, execution.execution_id);
+    
     try {
       // Execute the scan
       const scanResult = await this.performScan(schedule.scan_options || {});
@@ -114,16 +151,12 @@ export class SimpleScheduler {
         })
         .eq('execution_id', execution.execution_id);
       
-      // Update schedule stats
-      await supabase
-        .from('scraping_schedules')
-        .update({
-          last_run: new Date().toISOString(),
-          success_count: schedule.success_count + 1,
-          consecutive_failures: 0,
-          updated_at: new Date().toISOString()
-        })
-        .eq('schedule_id', schedule.schedule_id);
+      // Update schedule stats (clears the failure streak and backoff)
+      await applySuccess(supabase, schedule.schedule_id);
+      await recordCircuitResult(supabase, circuitKey, true);
+      
+      // Update next run time
+      await this.updateNextRunTime(schedule.schedule_id, nextScheduleRun(schedule));
       
       console.log(`✅ Schedule "${schedule.name}" executed successfully`);
       
@@ -142,16 +175,22 @@ export class SimpleScheduler {
         })
         .eq('execution_id', execution.execution_id);
       
-      // Update schedule failure stats
-      await supabase
-        .from('scraping_schedules')
-        .update({
-          last_run: new Date().toISOString(),
-          failure_count: schedule.failure_count + 1,
-          consecutive_failures: (schedule.consecutive_failures || 0) + 1,
-          updated_at: new Date().toISOString()
-        })
-        .eq('schedule_id', schedule.schedule_id);
+      // Update schedule failure stats: backoff, or pause after too many failures
+      await recordCircuitResult(supabase, circuitKey, false, error.message);
+      const failure = await applyFailurePolicy(supabase, schedule.schedule_id, error.message);
+      if (failure) {
+        schedule = failure.schedule;
+        if (failure.response.backoffUntil) {
+          console.log(`⏳ Schedule "${schedule.name}" backing off until ${failure.response.backoffUntil.toISOString()}`);
+        }
+        if (failure.response.pause) {
+          console.warn(`⏸️  Schedule "${schedule.name}" paused: ${failure.response.pausedReason}`);
+          this.stopSchedule(schedule.schedule_id);
+          await notifyAutoPause(supabase, schedule, execution.execution_id, failure.response.pausedReason!);
+        }
+      }
+    } finally {
+      stopHeartbeat();
     }
   }
   
@@ -174,25 +213,26 @@ export class SimpleScheduler {
         })
       });
       
-      if (!response.ok) {
-        throw new Error(`Scan API returned ${response.status}`);
+      const scanResult = await response.json().catch(() => null);
+      
+      // A scan that ran but failed answers with success: false
+      if (!response.ok || !scanResult || scanResult.success === false) {
+        throw new Error(scanResult?.error || scanResult?.details || `Scan API returned ${response.status}`);
       }
       
-      return await response.json();
+      return scanResult;
     } catch (error) {
       console.error('Error performing scan:', error);
       throw error;
     }
   }
   
-  // Update next run time
-  static async updateNextRunTime(scheduleId: string, intervalMs: number) {
+  // Store the next run time
+  static async updateNextRunTime(scheduleId: string, nextRun: Date | null) {
     try {
-      const nextRun = new Date(Date.now() + intervalMs);
-      
       await supabase
         .from('scraping_schedules')
-        .update({ next_run: nextRun.toISOString() })
+        .update({ next_run: nextRun ? nextRun.toISOString() : null })
         .eq('schedule_id', scheduleId);
         
     } catch (error) {
@@ -205,6 +245,10 @@ export class SimpleScheduler {
     console.log('🚀 Initializing simple scheduler...');
     
     try {
+      // Executions left running by a stopped instance
+      const released = await releaseExpiredLeases(supabase);
+      if (released > 0) console.log(`🧹 Released ${released} abandoned executions`);
+      
       // Load all enabled schedules from database
       const { data: schedules, error } = await supabase
         .from('scraping_schedules')
@@ -222,11 +266,24 @@ export class SimpleScheduler {
       }
       
       console.log(`✅ Loaded ${schedules?.length || 0} active schedules`);
+      
+      // Runs missed while no scheduler was up, handled in the background
+      this.catchUpMissedRuns(schedules || [])
+        .catch(catchUpError => console.error('Error catching up missed runs:', catchUpError));
     } catch (error) {
       console.error('Error initializing scheduler:', error);
     }
   }
   
+  // Run or skip each schedule's missed runs according to its misfire policy
+  static async catchUpMissedRuns(schedules: any[]) {
+    for (const schedule of schedules) {
+      await catchUpMissedRuns(supabase, schedule, scheduledFor =>
+        this.executeSchedule(schedule, scheduledFor, 'catchup')
+      );
+    }
+  }
+  
   // Reload a specific schedule
   static async reloadSchedule(scheduleId: string) {
     const { data: schedule, error } = await supabase
@@ -171,8 +171,8 @@ class RealFlippaScraper {
     return listings;
   }
 
-  // Fetch current Flippa listings
-  async scrapeCurrentListings(maxPages = 3) {
+  // Fetch current Flippa listings; onProgress(type, data) receives page results and errors
+  async scrapeCurrentListings(maxPages = 3, onProgress = async () => {}) {
     console.log('🔍 Starting real Flippa scraping...');
     const allListings = [];
     let attempts = 0;
@@ -195,6 +195,12 @@ class RealFlippaScraper {
             console.log(`📊 Found ${listings.length} listings on page ${page}`);
             
             allListings.push(...listings);
+            await onProgress('page', {
+              page,
+              totalPages: maxPages,
+              pageListings: listings.length,
+              listingsFound: allListings.length
+            });
             break; // Success, move to next page
             
           } else if (response.statusCode === 429) {
@@ -209,11 +215,13 @@ class RealFlippaScraper {
             
           } else {
             console.log(`⚠️  Unexpected status: ${response.statusCode}`);
+            await onProgress('error', { page, message: `Unexpected status ${response.statusCode}` });
             attempts++;
           }
           
         } catch (error) {
           console.error(`❌ Error on page ${page}, attempt ${attempts + 1}:`, error.message);
+          await onProgress('error', { page, attempt: attempts + 1, message: error.message });
           attempts++;
           
           if (attempts < maxAttempts) {
@@ -240,7 +248,7 @@ class RealFlippaScraper {
       // Get existing listings from database with proper pagination
       const { data: existingListings, error } = await this.supabase
         .from('flippa_listings')
-        .select('id, url, title, asking_price, created_at')
+        .select('id, listing_id, url, title, asking_price, created_at')
         .range(0, 9999)  // Load up to 10,000 records
         .order('created_at', { ascending: false });
       
@@ -258,7 +266,7 @@ class RealFlippaScraper {
       // Find new listings
       currentListings.forEach(current => {
         const existing = existingListings.find(e => 
-          e.id === current.id || e.url === current.url
+          e.listing_id === current.id || e.id === current.id || e.url === current.url
         );
         
         if (!existing) {
@@ -302,6 +310,7 @@ class RealFlippaScraper {
         const { error: insertError } = await this.supabase
           .from('flippa_listings')
           .insert(changes.new.map(listing => ({
+            listing_id: listing.id,
             url: listing.url,
             title: listing.title,
             asking_price: listing.asking_price,
@@ -424,21 +433,46 @@ class RealFlippaScraper {
     }
   }
 
-  // Main scraping method
+  // Scraped listings keyed by Flippa listing id, in the shape the monitoring
+  // comparison expects (see FlippaScannerAxios.extractComparisonData)
+  toComparisonMap(listings) {
+    return new Map(listings.map(listing => [String(listing.id), {
+      listing_id: String(listing.id),
+      title: listing.title,
+      asking_price: listing.asking_price,
+      category: listing.category,
+      url: listing.url
+    }]));
+  }
+
+  // Main scraping method. options.scanId and options.onProgress let the caller
+  // stream the scan's progress; options.onListings(map) runs the monitoring
+  // steps on the scraped listings before they are written to the database
   async performScan(options = {}) {
     const startTime = Date.now();
+    const scanId = options.scanId || (crypto.randomUUID ? crypto.randomUUID() : `scan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+    const onProgress = options.onProgress || (async () => {});
     console.log('🚀 Starting real Flippa scan...');
     
     try {
       // Scrape current listings
-      const currentListings = await this.scrapeCurrentListings(options.maxPages || 2);
+      const currentListings = await this.scrapeCurrentListings(options.maxPages || 2, onProgress);
       
       if (currentListings.length === 0) {
         throw new Error('No listings found - possible scraping issue');
       }
       
+      const monitoring = options.onListings
+        ? await options.onListings(this.toComparisonMap(currentListings))
+        : null;
+      
       // Detect changes
       const changes = await this.detectChanges(currentListings);
+      await onProgress('comparison', {
+        newListings: changes.new.length,
+        priceChanges: changes.priceChanges.length,
+        deletedListings: changes.deleted.length
+      });
       
       // Save changes
       const saveResult = await this.saveChanges(changes);
@@ -447,7 +481,7 @@ class RealFlippaScraper {
       
       return {
         success: true,
-        scanId: crypto.randomUUID ? crypto.randomUUID() : `scan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        scanId,
         duration: Math.round(duration / 1000),
         results: {
           scannedListings: currentListings.length,
@@ -455,6 +489,7 @@ class RealFlippaScraper {
           priceChanges: changes.priceChanges.length,
           deletedListings: changes.deleted.length,
           totalChanges: changes.new.length + changes.priceChanges.length,
+          ...(monitoring || {}),
           mode: 'production'
         },
         timestamp: new Date().toISOString()
@@ -466,7 +501,7 @@ class RealFlippaScraper {
       return {
         success: false,
         error: error.message,
-        scanId: `failed_scan_${Date.now()}`,
+        scanId: options.scanId || `failed_scan_${Date.now()}`,
         duration: Math.round((Date.now() - startTime) / 1000),
         mode: 'production',
         timestamp: new Date().toISOString()
@@ -1,6 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
 import https from 'https';
 import { URL } from 'url';
+import { ScanProgressReporter } from '@/lib/monitoring/scan-progress';
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL!,
@@ -42,6 +43,7 @@ export class SmartFlippaScanner {
   ];
 
   private scanId: string;
+  private progress: ScanProgressReporter;
   private stats = {
     totalProcessed: 0,
     newListings: 0,
@@ -51,8 +53,10 @@ export class SmartFlippaScanner {
     startTime: Date.now()
   };
 
-  constructor() {
-    this.scanId = `scan_${Date.now()}`;
+  // scanId lets a client subscribe to the scan's progress before starting it
+  constructor(scanId?: string) {
+    this.scanId = scanId || `scan_${Date.now()}`;
+    this.progress = new ScanProgressReporter(this.scanId);
   }
 
   // Main scan method
@@ -64,6 +68,9 @@ export class SmartFlippaScanner {
     console.log(`🚀 Starting incremental scan ${this.scanId}`);
     console.log('==================================================');
     
+    const maxPages = options.maxPages || 5;
+    await this.progress.started({ totalPages: maxPages, checkModified: options.checkModified !== false });
+    
     try {
       // 1. Get current baseline from database
       const baseline = await this.getBaseline();
@@ -76,7 +83,7 @@ export class SmartFlippaScanner {
       }
       
       // 2. Fetch current listing IDs from Flippa
-      const currentIds = await this.fetchCurrentListingIds(options.maxPages || 5);
+      const currentIds = await this.fetchCurrentListingIds(maxPages);
       console.log(`🔍 Found ${currentIds.size} current listings`);
       
       // 3. Quick detection of new and deleted listings
@@ -86,6 +93,13 @@ export class SmartFlippaScanner {
       console.log(`   - New: ${newIds.size}`);
       console.log(`   - Deleted: ${deletedIds.size}`);
       console.log(`   - Possibly modified: ${possiblyModifiedIds.size}`);
+      await this.progress.comparison({
+        baselineListings: baseline.size,
+        currentListings: currentIds.size,
+        newListings: newIds.size,
+        deletedListings: deletedIds.size,
+        possiblyModified: possiblyModifiedIds.size
+      });
       
       // 4. Process changes
       const changes: ChangeDetection[] = [];
@@ -157,6 +171,7 @@ export class SmartFlippaScanner {
       const duration = Math.round((Date.now() - this.stats.startTime) / 1000);
       console.log(`\n✅ Scan completed in ${duration}s`);
       console.log(`📊 Final stats:`, this.stats);
+      await this.progress.completed({ ...this.stats, totalChanges: changes.length, duration });
       
       return {
         scanId: this.scanId,
@@ -167,6 +182,7 @@ export class SmartFlippaScanner {
       
     } catch (error) {
       console.error('❌ Scan error:', error);
+      await this.progress.failed(error instanceof Error ? error.message : String(error));
       throw error;
     }
   }
@@ -231,6 +247,12 @@ export class SmartFlippaScanner {
         
         console.log(`📄 Page ${page}: Found ${pageIds.length} listings`);
         pageIds.forEach(id => ids.add(id));
+        await this.progress.page({
+          page,
+          totalPages: maxPages,
+          pageListings: pageIds.length,
+          listingsFound: ids.size
+        });
         
         if (pageIds.length === 0) break; // No more listings
         
@@ -238,6 +260,7 @@ export class SmartFlippaScanner {
       } catch (error) {
         console.error(`❌ Error fetching page ${page}:`, error);
         this.stats.errors++;
+        await this.progress.error(error instanceof Error ? error.message : String(error), { page });
       }
     }
     
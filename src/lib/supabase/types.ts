@@ -38,12 +38,36 @@ export type Database = {
           status: '초안' | '검토중' | '발행' | null
           published_date: string | null
           reading_time: number | null
+          notion_last_edited_time: string | null
+          notion_synced_at: string | null
+          unpublished_at: string | null
+          unpublish_reason: 'status' | 'deleted' | null
           created_at: string
           updated_at: string
         }
         Insert: Partial<Database['public']['Tables']['posts']['Row']>
         Update: Partial<Database['public']['Tables']['posts']['Row']>
       }
+      post_slug_history: {
+        Row: {
+          slug: string
+          post_id: string
+          created_at: string
+        }
+        Insert: Partial<Database['public']['Tables']['post_slug_history']['Row']>
+        Update: Partial<Database['public']['Tables']['post_slug_history']['Row']>
+      }
+      notion_sync_state: {
+        Row: {
+          source: string
+          cursor: string | null
+          last_run_at: string | null
+          last_report: Record<string, any> | null
+          updated_at: string
+        }
+        Insert: Partial<Database['public']['Tables']['notion_sync_state']['Row']>
+        Update: Partial<Database['public']['Tables']['notion_sync_state']['Row']>
+      }
       post_views: {
         Row: {
           id: string
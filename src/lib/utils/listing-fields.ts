@@ -0,0 +1,118 @@
+// Field accessors for flippa_listings rows.
+// The listings table has gone through several schemas; read whichever columns are present.
+
+// Multiples outside this range are almost always extraction errors
+export const MIN_VALID_MULTIPLE = 0.1
+export const MAX_VALID_MULTIPLE = 100
+
+export function toNumber(value: any): number | null {
+  if (value === null || value === undefined || value === '') return null
+  const parsed = Number(value)
+  return Number.isFinite(parsed) ? parsed : null
+}
+
+function validMultiple(value: number | null): number | null {
+  if (value === null) return null
+  return value >= MIN_VALID_MULTIPLE && value <= MAX_VALID_MULTIPLE ? value : null
+}
+
+export function getPrice(listing: any): number | null {
+  return toNumber(listing.price ?? listing.asking_price)
+}
+
+export function getProfitMultiple(listing: any): number | null {
+  const stored = toNumber(listing.profit_multiple ?? listing.multiple)
+  if (stored !== null) return validMultiple(stored)
+
+  const price = getPrice(listing)
+  const monthlyProfit = toNumber(listing.monthly_profit)
+  if (price && monthlyProfit && monthlyProfit > 0) {
+    return validMultiple(price / (monthlyProfit * 12))
+  }
+  return null
+}
+
+export function getRevenueMultiple(listing: any): number | null {
+  const stored = toNumber(listing.revenue_multiple)
+  if (stored !== null) return validMultiple(stored)
+
+  const price = getPrice(listing)
+  const monthlyRevenue = toNumber(listing.monthly_revenue)
+  if (price && monthlyRevenue && monthlyRevenue > 0) {
+    return validMultiple(price / (monthlyRevenue * 12))
+  }
+  return null
+}
+
+export function getCategory(listing: any): string | null {
+  const category = (listing.category || listing.industry || listing.property_type || '').trim()
+  return category || null
+}
+
+export function getObservedAt(listing: any): string {
+  return listing.extraction_timestamp || listing.scraped_at || listing.created_at
+}
+
+export function getMonthlyRevenue(listing: any): number | null {
+  const monthly = toNumber(listing.monthly_revenue)
+  if (monthly !== null) return monthly
+  const annual = toNumber(listing.annual_revenue)
+  return annual !== null ? annual / 12 : null
+}
+
+export function getMonthlyProfit(listing: any): number | null {
+  const monthly = toNumber(listing.monthly_profit)
+  if (monthly !== null) return monthly
+  const annual = toNumber(listing.annual_profit)
+  return annual !== null ? annual / 12 : null
+}
+
+export function getMonetization(listing: any): string | null {
+  const model = (listing.monetization_model || listing.monetization || '').trim()
+  return model || null
+}
+
+export function getAgeMonths(listing: any, now = new Date()): number | null {
+  const stored = toNumber(listing.site_age_months ?? listing.age_months)
+  if (stored !== null) return stored
+  if (!listing.established_at) return null
+  const established = new Date(listing.established_at)
+  if (isNaN(established.getTime())) return null
+  return Math.max(0, (now.getTime() - established.getTime()) / (1000 * 60 * 60 * 24 * 30.44))
+}
+
+export function getListedAt(listing: any): string | null {
+  return listing.listing_date || listing.created_at || listing.scraped_at || null
+}
+
+export function getBidCount(listing: any): number | null {
+  return toNumber(listing.bid_count ?? listing.bids ?? listing.bidCount)
+}
+
+export function getWatchCount(listing: any): number | null {
+  return toNumber(listing.watch_count ?? listing.watchers ?? listing.watchCount)
+}
+
+// badges is TEXT[] in older rows, JSONB (sometimes stringified) in newer ones
+export function getBadges(listing: any): string[] | null {
+  let badges = listing.badges
+  if (badges === null || badges === undefined) return null
+  if (typeof badges === 'string') {
+    try {
+      badges = JSON.parse(badges)
+    } catch {
+      badges = badges.split(',')
+    }
+  }
+  if (!Array.isArray(badges)) return null
+  return badges.map(badge => String(badge).trim()).filter(Boolean).sort()
+}
+
+export function getLifecycleState(listing: any): string {
+  return listing.lifecycle_state || 'active'
+}
+
+// Final price of a sold listing, when the listing page showed one
+export function getSoldPrice(listing: any): number | null {
+  return getLifecycleState(listing) === 'sold' ? toNumber(listing.sold_price) : null
+}
@@ -0,0 +1,61 @@
+// Small descriptive-statistics helpers shared by chart aggregation and valuation
+
+export function mean(values: number[]): number {
+  if (values.length === 0) return 0
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+/**
+ * Linear-interpolated quantile (same definition as PostgreSQL percentile_cont)
+ */
+export function quantile(values: number[], q: number): number {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const position = (sorted.length - 1) * Math.min(Math.max(q, 0), 1)
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  if (lower === upper) return sorted[lower]
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+export function median(values: number[]): number {
+  return quantile(values, 0.5)
+}
+
+/**
+ * Sample standard deviation (n - 1 denominator)
+ */
+export function standardDeviation(values: number[]): number {
+  if (values.length < 2) return 0
+  const avg = mean(values)
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / (values.length - 1)
+  return Math.sqrt(variance)
+}
+
+/**
+ * Coefficient of variation (stddev / mean), 0 when the mean is not positive
+ */
+export function coefficientOfVariation(values: number[]): number {
+  const avg = mean(values)
+  return avg > 0 ? standardDeviation(values) / avg : 0
+}
+
+/**
+ * Percentile rank (0-100) of `value` within `values`; ties count half
+ */
+export function percentileRank(values: number[], value: number): number {
+  if (values.length === 0) return 0
+  const below = values.filter(v => v < value).length
+  const equal = values.filter(v => v === value).length
+  return ((below + equal / 2) / values.length) * 100
+}
+
+/**
+ * Mean after dropping `proportion` of the values from each end
+ */
+export function trimmedMean(values: number[], proportion = 0.1): number {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const trim = Math.floor(sorted.length * Math.min(Math.max(proportion, 0), 0.49))
+  return mean(sorted.slice(trim, sorted.length - trim))
+}
@@ -5,8 +5,47 @@ import {
   FlippaListing, 
   Valuation,
   ValuationTemplate,
-  CompanyProfile
+  CompanyProfile,
+  Currency
 } from '@/types'
+import type { TimeSeriesDataPoint } from '@/types/charts'
+import type { ComparableDistribution } from './engine'
+import { getListedAt, getMonthlyRevenue, getProfitMultiple, getRevenueMultiple, toNumber } from '@/lib/utils/listing-fields'
+import { rankListings, SimilarityTarget, SimilarListing } from './similarity'
+import { DEFAULT_INPUT_CURRENCY, FxRate, FxRateTable, LISTING_CURRENCY, toRateDate } from './fx'
+import { withCache, valuationCache } from './cache'
+import { createServerClient } from '@/lib/supabase'
+
+// Below this many listings in the revenue band, fall back to the whole industry
+const MIN_BAND_SAMPLE = 10
+const MAX_DISTRIBUTION_SAMPLE = 500
+const FX_RATES_CACHE_KEY = 'fx_rates'
+// Revenue bands are prefiltered in USD at today's rate; this much slack keeps
+// listings whose rate on their own date puts them inside the band
+const FX_BAND_SLACK = 1.25
+
+const LISTING_AMOUNT_FIELDS = ['price', 'asking_price', 'sold_price', 'monthly_revenue', 'monthly_profit', 'annual_revenue', 'annual_profit']
+
+/**
+ * Listing with its money fields in `currency`, converted at the rate of the
+ * listing's date. Multiples are ratios and stay as they are
+ */
+function localizeListing(listing: any, currency: Currency, fxTable: FxRateTable): any {
+  if (currency === LISTING_CURRENCY) return listing
+  const listedAt = getListedAt(listing)
+  const date = listedAt ? toRateDate(listedAt) : undefined
+  const localized = { ...listing, currency }
+  LISTING_AMOUNT_FIELDS.forEach(field => {
+    const amount = toNumber(listing[field])
+    if (amount !== null) localized[field] = fxTable.convert(amount, LISTING_CURRENCY, currency, date)
+  })
+  return localized
+}
+
+function inBand(listing: any, center: number, low: number, high: number): boolean {
+  const revenue = getMonthlyRevenue(listing)
+  return revenue !== null && revenue >= center * low && revenue <= center * high
+}
 
 export class ValuationDataService {
   static async getIndustryMultiples(industry: string, country = 'KR'): Promise<IndustryMultiple | null> {
@@ -104,12 +143,15 @@ export class ValuationDataService {
     return data || []
   }
   
+  // Listings in the same industry within ±50% of the target's revenue, amounts in `currency`
   static async getComparableListings(
     industry: string,
     monthlyRevenue?: number,
-    limit = 10
+    limit = 10,
+    currency: Currency = DEFAULT_INPUT_CURRENCY
   ): Promise<FlippaListing[]> {
     const supabase = await createClient()
+    const fxTable = await this.getFxRateTable()
     
     let query = supabase
       .from('flippa_listings')
@@ -117,25 +159,216 @@ export class ValuationDataService {
       .eq('industry', industry)
       .eq('listing_status', 'active')
     
-    // Get similar revenue range (±50%)
     if (monthlyRevenue && monthlyRevenue > 0) {
-      const minRevenue = monthlyRevenue * 0.5
-      const maxRevenue = monthlyRevenue * 1.5
+      const usdRevenue = fxTable.convert(monthlyRevenue, currency, LISTING_CURRENCY)
       query = query
-        .gte('monthly_revenue', minRevenue)
-        .lte('monthly_revenue', maxRevenue)
+        .gte('monthly_revenue', usdRevenue * 0.5 / FX_BAND_SLACK)
+        .lte('monthly_revenue', usdRevenue * 1.5 * FX_BAND_SLACK)
     }
     
     const { data, error } = await query
       .order('monthly_revenue', { ascending: false })
-      .limit(limit)
+      .limit(MAX_DISTRIBUTION_SAMPLE)
     
     if (error) {
       console.error('Error fetching comparable listings:', error)
       return []
     }
     
-    return data || []
+    return (data || [])
+      .map(listing => localizeListing(listing, currency, fxTable))
+      .filter(listing => !(monthlyRevenue && monthlyRevenue > 0) || inBand(listing, monthlyRevenue, 0.5, 1.5))
+      .slice(0, limit)
+  }
+  
+  /**
+   * Multiples of listings in the same industry and revenue band (±50%), used for
+   * confidence intervals and percentile ranks. The target's revenue is in
+   * `currency`; listings are compared at the rate of their own date. Widens to
+   * the whole industry when the band is too thin, and says so in the result.
+   */
+  static async getComparableDistribution(
+    industry: string,
+    monthlyRevenue?: number,
+    currency: Currency = DEFAULT_INPUT_CURRENCY
+  ): Promise<ComparableDistribution> {
+    const supabase = await createClient()
+    const fxTable = await this.getFxRateTable()
+    const hasRevenue = Boolean(monthlyRevenue && monthlyRevenue > 0)
+    
+    const fetchMultiples = async (withBand: boolean) => {
+      let query = supabase
+        .from('flippa_listings')
+        .select('*')
+        .eq('industry', industry)
+      
+      if (withBand) {
+        const usdRevenue = fxTable.convert(monthlyRevenue!, currency, LISTING_CURRENCY)
+        query = query
+          .gte('monthly_revenue', usdRevenue * 0.5 / FX_BAND_SLACK)
+          .lte('monthly_revenue', usdRevenue * 1.5 * FX_BAND_SLACK)
+      }
+      
+      const { data, error } = await query.limit(MAX_DISTRIBUTION_SAMPLE)
+      
+      if (error) {
+        console.error('Error fetching comparable distribution:', error)
+        return { profitMultiples: [], revenueMultiples: [] }
+      }
+      
+      const listings = withBand
+        ? (data || []).map(listing => localizeListing(listing, currency, fxTable)).filter(listing => inBand(listing, monthlyRevenue!, 0.5, 1.5))
+        : data || []
+      
+      return {
+        profitMultiples: listings.map(getProfitMultiple).filter((m): m is number => m !== null),
+        revenueMultiples: listings.map(getRevenueMultiple).filter((m): m is number => m !== null)
+      }
+    }
+    
+    let bandSampleSize: number | undefined
+    if (hasRevenue) {
+      const band = await fetchMultiples(true)
+      bandSampleSize = Math.max(band.profitMultiples.length, band.revenueMultiples.length)
+      if (bandSampleSize >= MIN_BAND_SAMPLE) {
+        return { ...band, scope: 'revenue_band', bandSampleSize }
+      }
+      console.info(`Revenue band for ${industry} has ${bandSampleSize} listings; using the whole industry`)
+    }
+    
+    return { ...(await fetchMultiples(false)), scope: 'industry', bandSampleSize }
+  }
+  
+  /**
+   * Listings ranked by similarity to the target (industry, revenue scale, margin,
+   * age, monetization, recency). Candidates are drawn from a wide revenue band
+   * (0.1x-10x) in the same industry, topped up from other industries when thin.
+   * Matches come back with their amounts in the target's currency.
+   */
+  static async findSimilarListings(
+    target: SimilarityTarget,
+    limit = 10
+  ): Promise<SimilarListing[]> {
+    const supabase = await createClient()
+    const currency = target.currency || DEFAULT_INPUT_CURRENCY
+    const fxTable = await this.getFxRateTable()
+    const usdRevenue = fxTable.convert(target.monthlyRevenue, currency, LISTING_CURRENCY)
+    
+    const fetchCandidates = async (sameIndustry: boolean) => {
+      let query = supabase
+        .from('flippa_listings')
+        .select('*')
+      
+      if (sameIndustry) {
+        query = query.eq('industry', target.industry)
+      }
+      if (target.monthlyRevenue > 0) {
+        query = query
+          .gte('monthly_revenue', usdRevenue * 0.1 / FX_BAND_SLACK)
+          .lte('monthly_revenue', usdRevenue * 10 * FX_BAND_SLACK)
+      }
+      
+      const { data, error } = await query.limit(MAX_DISTRIBUTION_SAMPLE)
+      
+      if (error) {
+        console.error('Error fetching similar listings:', error)
+        return []
+      }
+      
+      return (data || [])
+        .map(listing => localizeListing(listing, currency, fxTable))
+        .filter(listing => !(target.monthlyRevenue > 0) || inBand(listing, target.monthlyRevenue, 0.1, 10))
+    }
+    
+    let candidates = await fetchCandidates(true)
+    if (candidates.length < limit) {
+      const others = await fetchCandidates(false)
+      const seen = new Set(candidates.map(listing => listing.id))
+      candidates = [...candidates, ...others.filter(listing => !seen.has(listing.id))]
+    }
+    
+    return rankListings({ ...target, currency }, candidates, limit)
+  }
+  
+  // total_volume is stored in USD; KRW converts each day at that day's rate
+  static async getIndustryTimeseries(
+    industry: string,
+    days = 90,
+    currency: 'USD' | 'KRW' = 'USD'
+  ): Promise<TimeSeriesDataPoint[]> {
+    const supabase = await createClient()
+    const startDate = new Date()
+    startDate.setDate(startDate.getDate() - days)
+    
+    const { data, error } = await supabase
+      .from('industry_multiples_timeseries')
+      .select('*')
+      .eq('industry', industry)
+      .gte('date', startDate.toISOString().split('T')[0])
+      .order('date', { ascending: true })
+    
+    if (error) {
+      console.error('Error fetching industry timeseries:', error)
+      return []
+    }
+    
+    if (currency === 'USD') return data || []
+    
+    const fxTable = await this.getFxRateTable()
+    return (data || []).map(point => ({
+      ...point,
+      total_volume: fxTable.convert(Number(point.total_volume || 0), 'USD', 'KRW', point.date)
+    }))
+  }
+  
+  /**
+   * All stored FX rates as an as-of lookup table, cached for an hour. An empty
+   * table falls back to the static CurrencyRates.
+   */
+  static async getFxRateTable(): Promise<FxRateTable> {
+    return withCache(FX_RATES_CACHE_KEY, async () => {
+      const supabase = await createClient()
+      
+      const { data, error } = await supabase
+        .from('fx_rates')
+        .select('currency, rate_date, krw_per_unit, source')
+        .order('rate_date', { ascending: true })
+      
+      if (error) {
+        console.error('Error fetching fx rates:', error)
+        return new FxRateTable()
+      }
+      
+      return new FxRateTable((data || []).map(row => ({
+        currency: row.currency,
+        rateDate: row.rate_date,
+        krwPerUnit: Number(row.krw_per_unit),
+        source: row.source
+      })))
+    }, 60)
+  }
+  
+  // Upserts by (currency, rate_date); requires the service role
+  static async importFxRates(rates: FxRate[]): Promise<{ imported: number; error?: string }> {
+    if (rates.length === 0) return { imported: 0 }
+    const supabase = createServerClient()
+    
+    const { error } = await supabase
+      .from('fx_rates')
+      .upsert(rates.map(rate => ({
+        currency: rate.currency,
+        rate_date: rate.rateDate,
+        krw_per_unit: rate.krwPerUnit,
+        source: rate.source
+      })), { onConflict: 'currency,rate_date' })
+    
+    if (error) {
+      console.error('Error importing fx rates:', error)
+      return { imported: 0, error: error.message }
+    }
+    
+    valuationCache.delete(FX_RATES_CACHE_KEY)
+    return { imported: rates.length }
   }
   
   static async saveValuation(
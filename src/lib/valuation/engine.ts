@@ -5,6 +5,192 @@ import {
   IndustryMultiple,
   ValuationMethod
 } from '@/types/valuation'
+import { calculateInputCompleteness } from '@/types/valuation'
+import type { ComparableParameters, DCFParameters, TerminalValueMethod } from '@/types/valuation'
+import { median, quantile, percentileRank, trimmedMean } from '@/lib/utils/statistics'
+import type { Currency } from '@/types'
+import { isCurrency, type FxRateTable } from './fx'
+
+export type EngineMethod = 'revenue_multiple' | 'profit_multiple' | 'dcf' | 'venture' | 'comparable'
+
+// 'max' keeps the highest method value, 'blended' weights all applicable methods,
+// and a method name forces that single method
+export type ValuationMode = 'max' | 'blended' | EngineMethod
+
+export const VALUATION_MODES: ValuationMode[] = [
+  'max', 'blended', 'revenue_multiple', 'profit_multiple', 'dcf', 'venture', 'comparable'
+]
+
+// Multiples of comparable listings (industry + revenue band)
+export interface ComparableDistribution {
+  profitMultiples: number[]
+  revenueMultiples: number[]
+  scope: 'revenue_band' | 'industry'
+  // Listings found in the revenue band; below the minimum the whole industry is used
+  bandSampleSize?: number
+}
+
+export interface ValuationEngineOptions {
+  mode?: ValuationMode
+  comparables?: ComparableDistribution
+}
+
+// Central 80% of the comparable distribution
+const INTERVAL_LEVEL = 0.8
+// Fewer comparables than this and the interval falls back to a fixed range
+const MIN_INTERVAL_SAMPLE = 5
+const DEFAULT_INTERVAL_RANGE = 0.2
+
+// Peer business picked for the comparable method: a flippa listing or entered manually.
+// Amounts are monthly; multiples are derived from askingPrice when not given.
+export interface ComparablePeer {
+  id?: string | number
+  title: string
+  source: 'listing' | 'manual'
+  askingPrice?: number
+  monthlyRevenue?: number
+  monthlyProfit?: number
+  profitMultiple?: number
+  revenueMultiple?: number
+  // Currency of the amounts; the valuation's input currency when absent
+  currency?: Currency
+}
+
+export interface ComparableBreakdown {
+  metric: 'profit' | 'revenue'
+  peerCount: number
+  medianMultiple: number
+  trimmedMeanMultiple: number
+  sizeAdjustment: number
+  appliedMultiple: number
+}
+
+// Fewer usable peers than this and the comparable method is skipped
+export const MIN_COMPARABLE_PEERS = 2
+// Value elasticity to relative size: a business twice the peers' size earns ~7% more multiple
+const SIZE_ELASTICITY = 0.1
+const MAX_SIZE_ADJUSTMENT = 0.3
+
+export interface DCFBreakdown {
+  years: { year: number; cashFlow: number; discountFactor: number; presentValue: number }[]
+  terminalValue: number
+  discountedTerminalValue: number
+  terminalValueMethod: TerminalValueMethod
+  midYearConvention: boolean
+}
+
+export interface MethodBreakdown {
+  method: EngineMethod
+  value: number
+  completeness: number // 0-1, share of the method's required inputs provided
+  weight: number // 0-1, normalized across applicable methods
+  contribution: number // value * weight
+}
+
+// Base method weights by industry before input completeness is applied.
+// Recurring-revenue businesses lean on revenue multiples, cash businesses on profit.
+// The comparable method only applies when the user picked peers.
+const DEFAULT_METHOD_WEIGHTS: Record<EngineMethod, number> = {
+  revenue_multiple: 0.25,
+  profit_multiple: 0.35,
+  dcf: 0.3,
+  venture: 0.1,
+  comparable: 0.3
+}
+
+const INDUSTRY_METHOD_WEIGHTS: Record<string, Record<EngineMethod, number>> = {
+  'SaaS': { revenue_multiple: 0.35, profit_multiple: 0.2, dcf: 0.3, venture: 0.15, comparable: 0.3 },
+  'AI/머신러닝': { revenue_multiple: 0.3, profit_multiple: 0.1, dcf: 0.25, venture: 0.35, comparable: 0.2 },
+  '핀테크': { revenue_multiple: 0.3, profit_multiple: 0.2, dcf: 0.25, venture: 0.25, comparable: 0.3 },
+  '블록체인/크립토': { revenue_multiple: 0.25, profit_multiple: 0.1, dcf: 0.2, venture: 0.45, comparable: 0.15 },
+  'Mobile Apps': { revenue_multiple: 0.3, profit_multiple: 0.3, dcf: 0.25, venture: 0.15, comparable: 0.3 },
+  'Marketplace': { revenue_multiple: 0.3, profit_multiple: 0.25, dcf: 0.25, venture: 0.2, comparable: 0.3 },
+  'E-commerce': { revenue_multiple: 0.2, profit_multiple: 0.45, dcf: 0.3, venture: 0.05, comparable: 0.3 },
+  '이커머스': { revenue_multiple: 0.2, profit_multiple: 0.45, dcf: 0.3, venture: 0.05, comparable: 0.3 },
+  'Dropshipping': { revenue_multiple: 0.15, profit_multiple: 0.55, dcf: 0.3, venture: 0, comparable: 0.3 },
+  'Content Sites': { revenue_multiple: 0.15, profit_multiple: 0.55, dcf: 0.3, venture: 0, comparable: 0.3 },
+  'Affiliate Marketing': { revenue_multiple: 0.15, profit_multiple: 0.55, dcf: 0.3, venture: 0, comparable: 0.3 },
+  'Newsletter': { revenue_multiple: 0.2, profit_multiple: 0.5, dcf: 0.3, venture: 0, comparable: 0.3 },
+  '제조': { revenue_multiple: 0.2, profit_multiple: 0.4, dcf: 0.4, venture: 0, comparable: 0.3 },
+  '물류/유통': { revenue_multiple: 0.2, profit_multiple: 0.4, dcf: 0.4, venture: 0, comparable: 0.3 },
+  '부동산': { revenue_multiple: 0.15, profit_multiple: 0.35, dcf: 0.5, venture: 0, comparable: 0.3 }
+}
+
+/**
+ * Build engine input from a request body or stored input_data. Accepts both the
+ * form's camelCase fields and the snake_case ValuationInput shape.
+ */
+export function toEngineInput(raw: Record<string, any>): ValuationEngineInput {
+  const num = (...values: any[]): number | undefined => {
+    const value = values.find(v => v !== undefined && v !== null && v !== '')
+    return value !== undefined ? Number(value) : undefined
+  }
+
+  return {
+    companyName: raw.companyName ?? raw.company_name ?? '',
+    industry: raw.industry ?? '',
+    monthlyRevenue: num(raw.monthlyRevenue, raw.revenue) || 0,
+    monthlyProfit: num(raw.monthlyProfit, raw.profit) || 0,
+    businessAge: num(raw.businessAge, raw.business_age),
+    growthRate: num(raw.growthRate, raw.growth_rate),
+    freeCashFlow: num(raw.freeCashFlow, raw.free_cash_flow),
+    discountRate: num(raw.discountRate, raw.discount_rate),
+    terminalGrowthRate: num(raw.terminalGrowthRate, raw.terminal_growth_rate),
+    projectionYears: num(raw.projectionYears, raw.projection_years),
+    cashFlowSchedule: Array.isArray(raw.cashFlowSchedule ?? raw.free_cash_flows)
+      ? (raw.cashFlowSchedule ?? raw.free_cash_flows).map(Number)
+      : undefined,
+    midYearConvention: Boolean(raw.midYearConvention ?? raw.mid_year_convention),
+    terminalValueMethod: raw.terminalValueMethod ?? raw.terminal_value_method,
+    exitMultiple: num(raw.exitMultiple, raw.exit_multiple),
+    comparablePeers: Array.isArray(raw.comparablePeers)
+      ? raw.comparablePeers.map((peer: Record<string, any>): ComparablePeer => ({
+          id: peer.id,
+          title: String(peer.title || ''),
+          source: peer.source === 'listing' ? 'listing' : 'manual',
+          askingPrice: num(peer.askingPrice, peer.asking_price),
+          monthlyRevenue: num(peer.monthlyRevenue, peer.monthly_revenue),
+          monthlyProfit: num(peer.monthlyProfit, peer.monthly_profit),
+          profitMultiple: num(peer.profitMultiple, peer.profit_multiple),
+          revenueMultiple: num(peer.revenueMultiple, peer.revenue_multiple),
+          currency: isCurrency(peer.currency) ? peer.currency : undefined
+        }))
+      : undefined,
+    stage: raw.stage,
+    totalAddressableMarket: num(raw.totalAddressableMarket, raw.total_addressable_market),
+    marketShare: num(raw.marketShare, raw.market_share),
+    burnRate: num(raw.burnRate, raw.burn_rate),
+    runwayMonths: num(raw.runwayMonths, raw.runway_months)
+  }
+}
+
+/**
+ * Peers with their amounts in `currency`, so their size compares with the
+ * target's. Multiples are ratios and stay as they are
+ */
+export function convertPeers(peers: ComparablePeer[], currency: Currency, fxTable: FxRateTable): ComparablePeer[] {
+  return peers.map(peer => {
+    if (!peer.currency || peer.currency === currency) return { ...peer, currency }
+    const convert = (amount?: number) => amount !== undefined ? fxTable.convert(amount, peer.currency!, currency) : undefined
+    return {
+      ...peer,
+      askingPrice: convert(peer.askingPrice),
+      monthlyRevenue: convert(peer.monthlyRevenue),
+      monthlyProfit: convert(peer.monthlyProfit),
+      currency
+    }
+  })
+}
+
+// valuations.valuation_method only accepts the top-level method families
+export function toValuationMethod(method: string): ValuationMethod {
+  if (method === 'dcf' || method === 'venture' || method === 'comparable') return method
+  return 'multiple'
+}
+
+export function getIndustryMethodWeights(industry: string): Record<EngineMethod, number> {
+  return INDUSTRY_METHOD_WEIGHTS[industry] || DEFAULT_METHOD_WEIGHTS
+}
 
 export interface ValuationEngineInput {
   companyName: string
@@ -18,6 +204,12 @@ export interface ValuationEngineInput {
   discountRate?: number
   terminalGrowthRate?: number
   projectionYears?: number
+  cashFlowSchedule?: number[] // annual FCF for years 1..N; replaces freeCashFlow growth when given
+  midYearConvention?: boolean
+  terminalValueMethod?: TerminalValueMethod // default 'gordon'
+  exitMultiple?: number // terminal value = final-year FCF x exitMultiple
+  // Comparable specific
+  comparablePeers?: ComparablePeer[]
   // Venture specific
   stage?: 'seed' | 'series_a' | 'series_b' | 'series_c' | 'later'
   totalAddressableMarket?: number
@@ -33,11 +225,23 @@ export interface ValuationEngineResult {
   confidenceInterval: [number, number]
   industryBenchmark: number
   percentileRank: number
+  sampleSize: number // comparables behind the interval and percentile (0 = fallback)
+  mode?: ValuationMode
   details?: {
     revenueBasedValue?: number
     profitBasedValue?: number
     dcfValue?: number
     ventureValue?: number
+    methods?: MethodBreakdown[]
+    dcf?: DCFBreakdown
+    comparable?: ComparableBreakdown
+    interval?: {
+      basis: 'comparables' | 'default'
+      level: number
+      scope?: ComparableDistribution['scope']
+      bandSampleSize?: number
+      widening: number
+    }
     adjustments?: {
       growthMultiplier?: number
       ageMultiplier?: number
@@ -49,8 +253,11 @@ export interface ValuationEngineResult {
 export class ValuationEngine {
   static async calculateValuation(
     input: ValuationEngineInput,
-    industryData: IndustryMultiple
+    industryData: IndustryMultiple,
+    options: ValuationEngineOptions = {}
   ): Promise<ValuationEngineResult> {
+    const mode = options.mode || 'blended'
+
     // Calculate annual metrics
     const annualRevenue = input.monthlyRevenue * 12
     const annualProfit = input.monthlyProfit * 12
@@ -72,10 +279,17 @@ export class ValuationEngine {
       Math.min(1 + (input.businessAge / 60), 1.5) : 1
     
     // DCF calculation if parameters provided
-    let dcfValue = 0
-    if (input.freeCashFlow && input.discountRate && input.terminalGrowthRate) {
-      dcfValue = this.calculateDCF(input)
-    }
+    const dcfParameters = this.buildDCFParameters(input)
+    const dcf = dcfParameters ? this.calculateDCF(dcfParameters) : null
+    const dcfValue = dcf ? dcf.years.reduce((sum, y) => sum + y.presentValue, 0) + dcf.discountedTerminalValue : 0
+    
+    // Comparable method when the user picked enough peers
+    const comparable = input.comparablePeers?.length
+      ? this.calculateComparable(this.buildComparableParameters(input))
+      : null
+    const comparableValue = comparable
+      ? (comparable.metric === 'profit' ? annualProfit : annualRevenue) * comparable.appliedMultiple
+      : 0
     
     // Venture method calculation if parameters provided
     let ventureValue = 0
@@ -83,48 +297,67 @@ export class ValuationEngine {
       ventureValue = this.calculateVentureValue(input)
     }
     
-    // Use the highest valuation method
-    const baseValue = Math.max(
-      revenueBasedValue,
-      profitBasedValue,
-      dcfValue,
-      ventureValue
+    const methods = this.calculateMethodWeights(input, industryData, {
+      revenue_multiple: revenueBasedValue,
+      profit_multiple: profitBasedValue,
+      dcf: dcfValue,
+      venture: ventureValue,
+      comparable: comparableValue
+    }, mode)
+    
+    const applicable = methods.filter(m => m.weight > 0)
+    const primary = applicable.reduce<MethodBreakdown | null>(
+      (best, m) => (!best || m.contribution > best.contribution ? m : best),
+      null
     )
+    const baseValue = applicable.reduce((sum, m) => sum + m.contribution, 0)
     
     // Apply adjustments
     const adjustedValue = baseValue * growthMultiplier * ageMultiplier
     
-    // Calculate confidence interval (±20% base)
-    const confidenceRange = 0.2
-    const lowerBound = Math.round(adjustedValue * (1 - confidenceRange))
-    const upperBound = Math.round(adjustedValue * (1 + confidenceRange))
-    
-    // Determine which method was primary
-    let primaryMethod = 'revenue_multiple'
-    if (profitBasedValue > revenueBasedValue && profitBasedValue > dcfValue && profitBasedValue > ventureValue) {
-      primaryMethod = 'profit_multiple'
-    } else if (dcfValue > revenueBasedValue && dcfValue > profitBasedValue && dcfValue > ventureValue) {
-      primaryMethod = 'dcf'
-    } else if (ventureValue > revenueBasedValue && ventureValue > profitBasedValue && ventureValue > dcfValue) {
-      primaryMethod = 'venture'
-    }
+    // Blended results are reported as such; otherwise the single method used
+    const primaryMethod = mode === 'blended' && applicable.length > 1
+      ? 'blended'
+      : primary?.method || (mode !== 'max' && mode !== 'blended' ? mode : 'revenue_multiple')
     
     // Calculate effective multiple
     const effectiveMultiple = annualProfit > 0 ? adjustedValue / annualProfit : 
                             annualRevenue > 0 ? adjustedValue / annualRevenue : 0
     
+    // Compare against profit multiples when the business is profitable, revenue multiples otherwise
+    const comparableMultiples = options.comparables
+      ? (annualProfit > 0 ? options.comparables.profitMultiples : options.comparables.revenueMultiples)
+      : []
+    const inputCompleteness = applicable.reduce((sum, m) => sum + m.weight * m.completeness, 0)
+    const interval = this.calculateConfidenceInterval(adjustedValue, comparableMultiples, inputCompleteness)
+    const hasDistribution = comparableMultiples.length >= MIN_INTERVAL_SAMPLE
+    
     return {
       estimatedValue: Math.round(adjustedValue),
       multiple: Number(effectiveMultiple.toFixed(1)),
       method: primaryMethod,
-      confidenceInterval: [lowerBound, upperBound],
+      confidenceInterval: interval.bounds,
       industryBenchmark: profitMultiple,
-      percentileRank: this.calculatePercentileRank(effectiveMultiple, industryData),
+      percentileRank: hasDistribution
+        ? Math.round(Math.min(Math.max(percentileRank(comparableMultiples, effectiveMultiple), 1), 99))
+        : this.calculatePercentileRank(effectiveMultiple, industryData),
+      sampleSize: hasDistribution ? comparableMultiples.length : 0,
+      mode,
       details: {
         revenueBasedValue: Math.round(revenueBasedValue),
         profitBasedValue: Math.round(profitBasedValue),
         dcfValue: Math.round(dcfValue),
         ventureValue: Math.round(ventureValue),
+        methods,
+        dcf: dcf || undefined,
+        comparable: comparable || undefined,
+        interval: {
+          basis: hasDistribution ? 'comparables' : 'default',
+          level: INTERVAL_LEVEL,
+          scope: hasDistribution ? options.comparables?.scope : undefined,
+          bandSampleSize: options.comparables?.bandSampleSize,
+          widening: interval.widening
+        },
         adjustments: {
           growthMultiplier: Number(growthMultiplier.toFixed(2)),
           ageMultiplier: Number(ageMultiplier.toFixed(2))
@@ -133,32 +366,262 @@ export class ValuationEngine {
     }
   }
   
-  private static calculateDCF(input: ValuationEngineInput): number {
-    if (!input.freeCashFlow || !input.discountRate || !input.terminalGrowthRate) {
-      return 0
+  /**
+   * Weight each method for the requested mode. In blended mode the industry's base
+   * weight is scaled by how complete the method's inputs are, then normalized over
+   * the methods that produced a value. 'max' and forced modes put all weight on one method.
+   */
+  static calculateMethodWeights(
+    input: ValuationEngineInput,
+    industryData: IndustryMultiple,
+    values: Record<EngineMethod, number>,
+    mode: ValuationMode = 'blended'
+  ): MethodBreakdown[] {
+    const completeness: Record<EngineMethod, number> = {
+      // A multiple taken from real industry data counts as a provided input
+      revenue_multiple: calculateInputCompleteness('multiple', {
+        revenue: input.monthlyRevenue,
+        selected_multiple: industryData.avg_revenue_multiple || industryData.median_revenue_multiple,
+        multiple_type: 'revenue'
+      }),
+      profit_multiple: calculateInputCompleteness('multiple', {
+        profit: input.monthlyProfit,
+        selected_multiple: industryData.avg_profit_multiple || industryData.median_profit_multiple,
+        multiple_type: 'profit'
+      }),
+      dcf: calculateInputCompleteness('dcf', {
+        revenue: input.monthlyRevenue || undefined,
+        free_cash_flow: input.freeCashFlow ?? input.cashFlowSchedule?.[0],
+        discount_rate: input.discountRate,
+        // An exit multiple stands in for terminal growth
+        terminal_growth_rate: input.terminalValueMethod === 'exit_multiple' ? input.exitMultiple : input.terminalGrowthRate
+      }),
+      venture: calculateInputCompleteness('venture', {
+        stage: input.stage,
+        total_addressable_market: input.totalAddressableMarket,
+        burn_rate: input.burnRate
+      }),
+      comparable: calculateInputCompleteness('comparable', {
+        comparable_companies: input.comparablePeers?.length ? input.comparablePeers.map(p => p.title) : undefined
+      })
     }
     
-    const projectionYears = input.projectionYears || 5
-    const discountRate = input.discountRate / 100
-    const terminalGrowthRate = input.terminalGrowthRate / 100
-    const growthRate = (input.growthRate || 10) / 100
+    const methodNames = Object.keys(values) as EngineMethod[]
+    const rawWeights: Record<EngineMethod, number> = { revenue_multiple: 0, profit_multiple: 0, dcf: 0, venture: 0, comparable: 0 }
     
-    let presentValue = 0
-    let currentCashFlow = input.freeCashFlow * 12 // Annualize
+    if (mode === 'blended') {
+      const baseWeights = getIndustryMethodWeights(input.industry)
+      methodNames.forEach(method => {
+        if (values[method] > 0) rawWeights[method] = baseWeights[method] * completeness[method]
+      })
+      // An industry that gives no base weight to the only applicable methods still gets a value
+      if (methodNames.every(method => rawWeights[method] === 0)) {
+        methodNames.forEach(method => {
+          if (values[method] > 0) rawWeights[method] = completeness[method]
+        })
+      }
+    } else if (mode === 'max') {
+      const highest = methodNames.reduce((best, method) => values[method] > values[best] ? method : best)
+      if (values[highest] > 0) rawWeights[highest] = 1
+    } else if (values[mode] > 0) {
+      rawWeights[mode] = 1
+    }
+    
+    const totalWeight = methodNames.reduce((sum, method) => sum + rawWeights[method], 0)
+    
+    return methodNames.map(method => {
+      const weight = totalWeight > 0 ? rawWeights[method] / totalWeight : 0
+      return {
+        method,
+        value: Math.round(values[method]),
+        completeness: Number(completeness[method].toFixed(2)),
+        weight: Number(weight.toFixed(4)),
+        contribution: Math.round(values[method] * weight)
+      }
+    })
+  }
+  
+  /**
+   * Interval from the spread of comparable multiples around their median (10th-90th
+   * percentile), applied to the estimate. Widened for small samples (1/sqrt(n)) and
+   * for incomplete inputs; without enough comparables a fixed ±20% is widened instead.
+   */
+  private static calculateConfidenceInterval(
+    value: number,
+    multiples: number[],
+    inputCompleteness: number
+  ): { bounds: [number, number]; widening: number } {
+    const completenessWidening = 1 + (1 - Math.min(Math.max(inputCompleteness, 0), 1)) * 0.5
     
-    // Calculate present value of projected cash flows
-    for (let year = 1; year <= projectionYears; year++) {
-      currentCashFlow *= (1 + growthRate)
-      const discountFactor = Math.pow(1 + discountRate, year)
-      presentValue += currentCashFlow / discountFactor
+    let lowerSpread = DEFAULT_INTERVAL_RANGE
+    let upperSpread = DEFAULT_INTERVAL_RANGE
+    let widening = completenessWidening
+    
+    if (multiples.length >= MIN_INTERVAL_SAMPLE) {
+      const center = median(multiples)
+      const tail = (1 - INTERVAL_LEVEL) / 2
+      lowerSpread = 1 - quantile(multiples, tail) / center
+      upperSpread = quantile(multiples, 1 - tail) / center - 1
+      widening *= 1 + 1 / Math.sqrt(multiples.length)
+    } else {
+      // No usable distribution: be explicit about the extra uncertainty
+      widening *= 1.5
     }
     
-    // Calculate terminal value
-    const terminalCashFlow = currentCashFlow * (1 + terminalGrowthRate)
-    const terminalValue = terminalCashFlow / (discountRate - terminalGrowthRate)
-    const discountedTerminalValue = terminalValue / Math.pow(1 + discountRate, projectionYears)
+    const lower = Math.max(0, value * (1 - lowerSpread * widening))
+    const upper = value * (1 + upperSpread * widening)
+    
+    return {
+      bounds: [Math.round(lower), Math.round(upper)],
+      widening: Number(widening.toFixed(2))
+    }
+  }
+  
+  /**
+   * Cash-flow schedule for the DCF: the explicit annual schedule when given, otherwise
+   * the monthly FCF annualized and grown at growthRate for projectionYears.
+   * Returns null when the inputs can't produce a finite value.
+   */
+  static buildDCFParameters(input: ValuationEngineInput): DCFParameters | null {
+    const method: TerminalValueMethod = input.terminalValueMethod || 'gordon'
+    const schedule = input.cashFlowSchedule?.filter(cf => Number.isFinite(cf)) || []
     
-    return presentValue + discountedTerminalValue
+    if (input.discountRate === undefined || input.discountRate <= 0) return null
+    if (schedule.length === 0 && !input.freeCashFlow) return null
+    if (method === 'gordon') {
+      if (input.terminalGrowthRate === undefined) return null
+      // Gordon growth is undefined (or negative) when the discount rate doesn't exceed growth
+      if (input.discountRate <= input.terminalGrowthRate) return null
+    } else if (!input.exitMultiple || input.exitMultiple <= 0) {
+      return null
+    }
+    
+    let freeCashFlows = schedule
+    if (freeCashFlows.length === 0) {
+      const growthRate = (input.growthRate || 10) / 100
+      let cashFlow = input.freeCashFlow! * 12 // Annualize
+      freeCashFlows = []
+      for (let year = 1; year <= (input.projectionYears || 5); year++) {
+        cashFlow *= (1 + growthRate)
+        freeCashFlows.push(cashFlow)
+      }
+    }
+    
+    return {
+      free_cash_flows: freeCashFlows,
+      discount_rate: input.discountRate,
+      terminal_growth_rate: input.terminalGrowthRate ?? 0,
+      terminal_year_fcf: freeCashFlows[freeCashFlows.length - 1],
+      mid_year_convention: Boolean(input.midYearConvention),
+      terminal_value_method: method,
+      exit_multiple: input.exitMultiple
+    }
+  }
+  
+  static calculateDCF(params: DCFParameters): DCFBreakdown {
+    const discountRate = params.discount_rate / 100
+    const terminalGrowthRate = params.terminal_growth_rate / 100
+    const midYear = Boolean(params.mid_year_convention)
+    const method = params.terminal_value_method || 'gordon'
+    const finalYear = params.free_cash_flows.length
+    
+    // Mid-year convention: cash arrives on average halfway through each year
+    const years = params.free_cash_flows.map((cashFlow, index) => {
+      const period = index + 1 - (midYear ? 0.5 : 0)
+      const discountFactor = 1 / Math.pow(1 + discountRate, period)
+      return {
+        year: index + 1,
+        cashFlow: Math.round(cashFlow),
+        discountFactor: Number(discountFactor.toFixed(4)),
+        presentValue: cashFlow * discountFactor
+      }
+    })
+    
+    const terminalValue = method === 'exit_multiple'
+      ? params.terminal_year_fcf * (params.exit_multiple || 0)
+      : (params.terminal_year_fcf * (1 + terminalGrowthRate)) / (discountRate - terminalGrowthRate)
+    const discountedTerminalValue = terminalValue / Math.pow(1 + discountRate, finalYear)
+    
+    return {
+      years: years.map(y => ({ ...y, presentValue: Math.round(y.presentValue) })),
+      terminalValue: Math.round(terminalValue),
+      discountedTerminalValue: Math.round(discountedTerminalValue),
+      terminalValueMethod: method,
+      midYearConvention: midYear
+    }
+  }
+  
+  /**
+   * Peer multiples for the comparable method. Listing multiples are used as stored,
+   * otherwise derived from asking price over annualized revenue/profit.
+   */
+  static buildComparableParameters(input: ValuationEngineInput): ComparableParameters {
+    const peers = input.comparablePeers || []
+    
+    return {
+      target_metrics: {
+        revenue: input.monthlyRevenue * 12,
+        profit: input.monthlyProfit * 12,
+        growth_rate: input.growthRate
+      },
+      peer_companies: peers.map(peer => {
+        const annualRevenue = peer.monthlyRevenue ? peer.monthlyRevenue * 12 : undefined
+        const annualProfit = peer.monthlyProfit ? peer.monthlyProfit * 12 : undefined
+        const derive = (annual?: number) =>
+          peer.askingPrice && annual && annual > 0 ? peer.askingPrice / annual : undefined
+        
+        return {
+          name: peer.title,
+          profit_multiple: peer.profitMultiple || derive(annualProfit),
+          revenue_multiple: peer.revenueMultiple || derive(annualRevenue),
+          annual_revenue: annualRevenue
+        }
+      })
+    }
+  }
+  
+  /**
+   * Median and 10%-trimmed mean of the peer multiples, averaged, then scaled for the
+   * target's size relative to the median peer. Profit multiples are used when the
+   * target is profitable and enough peers report them, revenue multiples otherwise.
+   * Peer amounts must be in the target's currency (see convertPeers).
+   */
+  static calculateComparable(params: ComparableParameters): ComparableBreakdown | null {
+    const positive = (values: (number | undefined)[]) =>
+      values.filter((v): v is number => v !== undefined && Number.isFinite(v) && v > 0)
+    
+    const profitMultiples = positive(params.peer_companies.map(p => p.profit_multiple))
+    const revenueMultiples = positive(params.peer_companies.map(p => p.revenue_multiple))
+    
+    const useProfit = (params.target_metrics.profit || 0) > 0 && profitMultiples.length >= MIN_COMPARABLE_PEERS
+    const multiples = useProfit ? profitMultiples : revenueMultiples
+    if (multiples.length < MIN_COMPARABLE_PEERS) return null
+    if (!useProfit && !(params.target_metrics.revenue && params.target_metrics.revenue > 0)) return null
+    
+    const medianMultiple = median(multiples)
+    const trimmedMeanMultiple = trimmedMean(multiples, 0.1)
+    
+    // Larger businesses trade at higher multiples; compare revenue to the median peer
+    const peerSizes = positive(params.peer_companies.map(p => p.annual_revenue))
+    let sizeAdjustment = 1
+    if (peerSizes.length > 0 && params.target_metrics.revenue && params.target_metrics.revenue > 0) {
+      const relativeSize = params.target_metrics.revenue / median(peerSizes)
+      sizeAdjustment = Math.min(
+        Math.max(Math.pow(relativeSize, SIZE_ELASTICITY), 1 - MAX_SIZE_ADJUSTMENT),
+        1 + MAX_SIZE_ADJUSTMENT
+      )
+    }
+    
+    const appliedMultiple = ((medianMultiple + trimmedMeanMultiple) / 2) * sizeAdjustment
+    
+    return {
+      metric: useProfit ? 'profit' : 'revenue',
+      peerCount: multiples.length,
+      medianMultiple: Number(medianMultiple.toFixed(2)),
+      trimmedMeanMultiple: Number(trimmedMeanMultiple.toFixed(2)),
+      sizeAdjustment: Number(sizeAdjustment.toFixed(3)),
+      appliedMultiple: Number(appliedMultiple.toFixed(2))
+    }
   }
   
   private static calculateVentureValue(input: ValuationEngineInput): number {
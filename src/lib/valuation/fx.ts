@@ -0,0 +1,172 @@
+// Dated FX rates: CSV parsing, as-of lookup and conversion helpers
+import { convertCurrency, CurrencyRates, FxRateLookup, FxRateSnapshot } from '@/types/valuation'
+import type { Currency } from '@/types'
+
+// One row of fx_rates: KRW per unit of `currency` on `rateDate`
+export interface FxRate {
+  currency: Currency
+  rateDate: string
+  krwPerUnit: number
+  source: string
+}
+
+export interface FxParseError {
+  line: number
+  message: string
+}
+
+// Amounts entered in ValuationForm are won; flippa_listings amounts are USD
+export const DEFAULT_INPUT_CURRENCY: Currency = 'KRW'
+export const LISTING_CURRENCY: Currency = 'USD'
+
+const SUPPORTED_CURRENCIES = Object.keys(CurrencyRates) as Currency[]
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+export function isCurrency(value: unknown): value is Currency {
+  return typeof value === 'string' && SUPPORTED_CURRENCIES.includes(value as Currency)
+}
+
+// Currency of a valuation request's amounts
+export function inputCurrency(raw: Record<string, any> | null | undefined): Currency {
+  return isCurrency(raw?.currency) ? raw!.currency : DEFAULT_INPUT_CURRENCY
+}
+
+export function toRateDate(value: string | Date = new Date()): string {
+  return (typeof value === 'string' ? value : value.toISOString()).slice(0, 10)
+}
+
+/**
+ * Parse rates from CSV with a header row. Required columns are `date`,
+ * `currency` and `rate` (KRW per unit; `krw_per_unit` is accepted too).
+ * Invalid lines are reported and skipped.
+ *
+ *   date,currency,rate
+ *   2025-01-02,USD,1468.5
+ */
+export function parseFxRatesCsv(text: string, source = 'csv'): { rates: FxRate[]; errors: FxParseError[] } {
+  const lines = text.split(/\r?\n/).map(line => line.trim())
+  const headerIndex = lines.findIndex(line => line && !line.startsWith('#'))
+  if (headerIndex === -1) {
+    return { rates: [], errors: [{ line: 1, message: '비어 있는 CSV 파일입니다' }] }
+  }
+
+  const header = lines[headerIndex].split(',').map(column => column.trim().toLowerCase())
+  const dateColumn = header.indexOf('date')
+  const currencyColumn = header.indexOf('currency')
+  const rateColumn = header.indexOf('rate') !== -1 ? header.indexOf('rate') : header.indexOf('krw_per_unit')
+
+  if (dateColumn === -1 || currencyColumn === -1 || rateColumn === -1) {
+    return {
+      rates: [],
+      errors: [{ line: headerIndex + 1, message: 'date, currency, rate 열이 필요합니다' }]
+    }
+  }
+
+  const rates: FxRate[] = []
+  const errors: FxParseError[] = []
+
+  lines.slice(headerIndex + 1).forEach((line, index) => {
+    const lineNumber = headerIndex + index + 2
+    if (!line || line.startsWith('#')) return
+
+    const cells = line.split(',').map(cell => cell.trim())
+    const rateDate = cells[dateColumn]
+    const currency = cells[currencyColumn]?.toUpperCase()
+    const krwPerUnit = Number(cells[rateColumn])
+
+    if (!DATE_PATTERN.test(rateDate || '') || isNaN(new Date(rateDate).getTime())) {
+      errors.push({ line: lineNumber, message: `날짜 형식이 올바르지 않습니다: ${rateDate}` })
+    } else if (!isCurrency(currency)) {
+      errors.push({ line: lineNumber, message: `지원하지 않는 통화입니다: ${currency}` })
+    } else if (!Number.isFinite(krwPerUnit) || krwPerUnit <= 0) {
+      errors.push({ line: lineNumber, message: `환율 값이 올바르지 않습니다: ${cells[rateColumn]}` })
+    } else {
+      rates.push({ currency, rateDate, krwPerUnit, source })
+    }
+  })
+
+  return { rates, errors }
+}
+
+/**
+ * In-memory table of dated rates. Lookups use the latest rate on or before the
+ * requested date, the earliest known rate for older dates, and the static
+ * CurrencyRates fallback for currencies without any rows.
+ */
+export class FxRateTable {
+  private byCurrency = new Map<Currency, FxRate[]>()
+
+  constructor(rates: FxRate[] = []) {
+    rates.forEach(rate => {
+      const list = this.byCurrency.get(rate.currency) || []
+      list.push(rate)
+      this.byCurrency.set(rate.currency, list)
+    })
+    this.byCurrency.forEach(list => list.sort((a, b) => a.rateDate.localeCompare(b.rateDate)))
+  }
+
+  get size(): number {
+    let count = 0
+    this.byCurrency.forEach(list => { count += list.length })
+    return count
+  }
+
+  rateOn(currency: Currency, date?: string): FxRate | null {
+    if (currency === 'KRW') {
+      return { currency, rateDate: toRateDate(date), krwPerUnit: 1, source: 'identity' }
+    }
+    const list = this.byCurrency.get(currency)
+    if (!list || list.length === 0) return null
+
+    const target = toRateDate(date)
+    // Binary search for the last rate on or before the target date
+    let low = 0
+    let high = list.length - 1
+    let found = -1
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (list[mid].rateDate <= target) {
+        found = mid
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+    return list[found === -1 ? 0 : found]
+  }
+
+  lookup: FxRateLookup = (currency, date) => this.rateOn(currency, date)?.krwPerUnit
+
+  convert(amount: number, from: Currency, to: Currency, date?: string): number {
+    return convertCurrency(amount, from, to, { rates: this.lookup, date })
+  }
+
+  snapshot(currency: Currency, date?: string): FxRateSnapshot {
+    const rate = this.rateOn(currency, date)
+    return rate
+      ? { currency, krwPerUnit: rate.krwPerUnit, rateDate: rate.rateDate, source: rate.source }
+      : { currency, krwPerUnit: CurrencyRates[currency], rateDate: toRateDate(date), source: 'default' }
+  }
+}
+
+export function isFxRateSnapshot(value: any): value is FxRateSnapshot {
+  return Boolean(value) &&
+    isCurrency(value.currency) &&
+    Number.isFinite(value.krwPerUnit) && value.krwPerUnit > 0 &&
+    typeof value.rateDate === 'string' && DATE_PATTERN.test(value.rateDate)
+}
+
+/**
+ * Convert with the rate stored on a valuation; the snapshot pins the rate of
+ * its own currency, anything else falls back to the static table.
+ */
+export function convertWithSnapshot(
+  amount: number,
+  from: Currency,
+  to: Currency,
+  snapshot?: FxRateSnapshot | null
+): number {
+  const rates: FxRateLookup = currency =>
+    snapshot && currency === snapshot.currency ? snapshot.krwPerUnit : undefined
+  return convertCurrency(amount, from, to, { rates })
+}
@@ -0,0 +1,218 @@
+// Monthly valuation quota (free plan: 3 per month, premium: unlimited)
+import { createServerClient } from '@/lib/supabase'
+import { checkUserSubscription, MembershipStatus } from '@/lib/subscription/service'
+
+export const FREE_MONTHLY_VALUATION_LIMIT = 3
+
+export type ValuationUseSource = 'calculate' | 'save'
+
+export interface ValuationUse {
+  id: string
+  input_data: Record<string, any> | null
+  valuation_id: string | null
+}
+
+// Usage could not be read or written; callers answer 503 rather than let the
+// user through uncounted
+export class QuotaUnavailableError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'QuotaUnavailableError'
+  }
+}
+
+export interface ValuationQuota {
+  membershipStatus: MembershipStatus
+  limit: number | null // null = unlimited
+  used: number
+  remaining: number | null // null = unlimited
+  resetsAt: string
+}
+
+// Quota periods are calendar months in UTC
+function getMonthBounds(now = new Date()): { start: Date; end: Date } {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  return { start, end }
+}
+
+async function hasUnlimitedPlan(userId: string): Promise<boolean> {
+  const subscription = await checkUserSubscription(userId)
+  return subscription.status === 'premium' && subscription.isActive
+}
+
+function quotaFor(unlimited: boolean, used: number, resetsAt: Date): ValuationQuota {
+  if (unlimited) {
+    return { membershipStatus: 'premium', limit: null, used: 0, remaining: null, resetsAt: resetsAt.toISOString() }
+  }
+  return {
+    membershipStatus: 'free',
+    limit: FREE_MONTHLY_VALUATION_LIMIT,
+    used,
+    remaining: Math.max(0, FREE_MONTHLY_VALUATION_LIMIT - used),
+    resetsAt: resetsAt.toISOString()
+  }
+}
+
+/**
+ * Count the user's valuation runs this month against their plan's limit.
+ * Every /api/valuation/calculate run uses one slot, saved or not.
+ */
+export async function getValuationQuota(userId: string): Promise<ValuationQuota> {
+  const { start, end } = getMonthBounds()
+
+  if (await hasUnlimitedPlan(userId)) {
+    return quotaFor(true, 0, end)
+  }
+
+  const supabase = createServerClient()
+  const { count, error } = await supabase
+    .from('valuation_usage')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .gte('created_at', start.toISOString())
+    .lt('created_at', end.toISOString())
+
+  if (error || count === null) {
+    console.error('Error counting monthly valuations:', error)
+    throw new QuotaUnavailableError(error?.message || 'Valuation usage count unavailable')
+  }
+
+  return quotaFor(false, count, end)
+}
+
+/**
+ * Take one slot of the month's quota. The count and the insert happen in one
+ * locked database call (claim_valuation_use), so concurrent runs can't all
+ * pass the check. usageId is null when the quota is used up; quota includes
+ * the claimed slot
+ */
+export async function claimValuationUse(
+  userId: string,
+  source: ValuationUseSource,
+  inputData?: Record<string, any>
+): Promise<{ usageId: string | null; quota: ValuationQuota }> {
+  const { start, end } = getMonthBounds()
+  const unlimited = await hasUnlimitedPlan(userId)
+
+  const supabase = createServerClient()
+  const { data, error } = await supabase.rpc('claim_valuation_use', {
+    p_user_id: userId,
+    p_source: source,
+    p_input_data: inputData ?? null,
+    p_limit: unlimited ? null : FREE_MONTHLY_VALUATION_LIMIT,
+    p_period_start: start.toISOString(),
+    p_period_end: end.toISOString()
+  })
+
+  const row = (Array.isArray(data) ? data[0] : data) as { usage_id: string | null; used: number } | null
+  if (error || !row) {
+    console.error('Error claiming valuation use:', error)
+    throw new QuotaUnavailableError(error?.message || 'Valuation use not recorded')
+  }
+
+  return { usageId: row.usage_id, quota: quotaFor(unlimited, Number(row.used), end) }
+}
+
+// Give back a slot whose run produced no result; linked uses are kept
+export async function releaseValuationUse(usageId: string): Promise<void> {
+  const supabase = createServerClient()
+  const { error } = await supabase
+    .from('valuation_usage')
+    .delete()
+    .eq('id', usageId)
+    .is('valuation_id', null)
+
+  if (error) {
+    console.error('Error releasing valuation use:', error)
+  }
+}
+
+// A use recorded for this user, or null
+export async function getValuationUse(userId: string, usageId: string): Promise<ValuationUse | null> {
+  const supabase = createServerClient()
+  const { data, error } = await supabase
+    .from('valuation_usage')
+    .select('id, input_data, valuation_id')
+    .eq('id', usageId)
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error loading valuation use:', error)
+    throw new QuotaUnavailableError(error.message)
+  }
+
+  return data as ValuationUse | null
+}
+
+// The use a saved valuation came from, or null
+export async function getValuationUseForValuation(userId: string, valuationId: string): Promise<ValuationUse | null> {
+  const supabase = createServerClient()
+  const { data, error } = await supabase
+    .from('valuation_usage')
+    .select('id, input_data, valuation_id')
+    .eq('valuation_id', valuationId)
+    .eq('user_id', userId)
+    .limit(1)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error loading valuation use:', error)
+    throw new QuotaUnavailableError(error.message)
+  }
+
+  return data as ValuationUse | null
+}
+
+/**
+ * Link a use to the valuation saved from it. Only an unlinked use is linked,
+ * so two saves of one run can't both use its slot; false when another save
+ * got there first
+ */
+export async function linkValuationUse(usageId: string, valuationId: string): Promise<boolean> {
+  const supabase = createServerClient()
+  const { data, error } = await supabase
+    .from('valuation_usage')
+    .update({ valuation_id: valuationId })
+    .eq('id', usageId)
+    .is('valuation_id', null)
+    .select('id')
+
+  if (error) {
+    console.error('Error linking valuation use:', error)
+    throw new QuotaUnavailableError(error.message)
+  }
+
+  return Boolean(data && data.length > 0)
+}
+
+export function hasQuotaRemaining(quota: ValuationQuota): boolean {
+  return quota.remaining === null || quota.remaining > 0
+}
+
+// Error body returned with HTTP 403 when the quota is used up
+export function quotaExceededError(quota: ValuationQuota) {
+  const resetDate = new Date(quota.resetsAt).toLocaleDateString('ko-KR')
+
+  return {
+    error: 'Monthly valuation quota exceeded',
+    code: 'QUOTA_EXCEEDED',
+    message: `이번 달 무료 밸류에이션 ${quota.limit}회를 모두 사용하셨습니다. ${resetDate}에 초기화됩니다.`,
+    quota: {
+      limit: quota.limit,
+      used: quota.used,
+      remaining: quota.remaining,
+      resetsAt: quota.resetsAt
+    }
+  }
+}
+
+// Error body returned with HTTP 503 when usage cannot be checked
+export function quotaUnavailableError() {
+  return {
+    error: 'Valuation quota unavailable',
+    code: 'QUOTA_UNAVAILABLE',
+    message: '이용 한도를 확인할 수 없습니다. 잠시 후 다시 시도해주세요.'
+  }
+}
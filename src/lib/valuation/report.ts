@@ -0,0 +1,364 @@
+// PDF valuation report (premium feature): HTML template rendered to PDF with headless Chrome
+import puppeteer from 'puppeteer'
+import type { Valuation, ValuationResult, FlippaListing, IndustryMultiple } from '@/types'
+import type { TimeSeriesDataPoint } from '@/types/charts'
+import { toEngineInput } from './engine'
+import type { ValuationEngineInput, ValuationEngineResult } from './engine'
+import { formatCurrency, formatKoreanWon, formatMultiple, getValueGrade, getGradeDescription } from './utils'
+import { convertWithSnapshot, isCurrency, isFxRateSnapshot } from './fx'
+import type { Currency } from '@/types'
+
+export interface ValuationReportData {
+  valuation: Valuation
+  engineInput: ValuationEngineInput
+  engineResult: ValuationEngineResult
+  industryData: IndustryMultiple
+  comparables: FlippaListing[] // amounts in the valuation's currency
+  timeseries: TimeSeriesDataPoint[]
+  generatedAt: Date
+}
+
+const METHOD_LABELS: Record<string, string> = {
+  profit_multiple: '순이익 멀티플',
+  revenue_multiple: '매출 멀티플',
+  dcf: 'DCF 모델',
+  venture: '벤처 밸류에이션',
+  blended: '가중 평균',
+  multiple: '배수 평가법',
+  comparable: '비교 기업'
+}
+
+// Saved valuations may hold either input shape; company and industry come from the row
+export function engineInputFromValuation(valuation: Valuation): ValuationEngineInput {
+  return {
+    ...toEngineInput(valuation.input_data || {}),
+    companyName: valuation.company_name,
+    industry: valuation.industry
+  }
+}
+
+// Saved results come from the client (POST/PUT /api/valuation/save), so every
+// field the report prints is coerced to the type the template expects
+function toNumber(value: unknown, fallback = 0): number {
+  const number = Number(value)
+  return value !== null && value !== '' && Number.isFinite(number) ? number : fallback
+}
+
+function toOptionalNumber(value: unknown): number | undefined {
+  const number = toNumber(value, NaN)
+  return Number.isFinite(number) ? number : undefined
+}
+
+function sanitizeDetails(details: any): ValuationEngineResult['details'] {
+  if (!details || typeof details !== 'object') return undefined
+  const dcf = details.dcf && typeof details.dcf === 'object' && Array.isArray(details.dcf.years)
+    ? {
+        years: details.dcf.years.map((year: any) => ({
+          year: toNumber(year?.year),
+          cashFlow: toNumber(year?.cashFlow),
+          discountFactor: toNumber(year?.discountFactor),
+          presentValue: toNumber(year?.presentValue)
+        })),
+        terminalValue: toNumber(details.dcf.terminalValue),
+        discountedTerminalValue: toNumber(details.dcf.discountedTerminalValue),
+        terminalValueMethod: details.dcf.terminalValueMethod === 'exit_multiple' ? 'exit_multiple' as const : 'gordon' as const,
+        midYearConvention: Boolean(details.dcf.midYearConvention)
+      }
+    : undefined
+
+  return {
+    revenueBasedValue: toOptionalNumber(details.revenueBasedValue),
+    profitBasedValue: toOptionalNumber(details.profitBasedValue),
+    dcfValue: toOptionalNumber(details.dcfValue),
+    ventureValue: toOptionalNumber(details.ventureValue),
+    methods: Array.isArray(details.methods)
+      ? details.methods.map((method: any) => ({
+          method: String(method?.method ?? ''),
+          value: toNumber(method?.value),
+          completeness: toNumber(method?.completeness),
+          weight: toNumber(method?.weight),
+          contribution: toNumber(method?.contribution)
+        }))
+      : undefined,
+    dcf,
+    adjustments: details.adjustments && typeof details.adjustments === 'object'
+      ? {
+          growthMultiplier: toOptionalNumber(details.adjustments.growthMultiplier),
+          ageMultiplier: toOptionalNumber(details.adjustments.ageMultiplier),
+          stageMultiplier: toOptionalNumber(details.adjustments.stageMultiplier)
+        }
+      : undefined
+  }
+}
+
+/**
+ * The result as it was saved. Valuations saved from /api/valuation/calculate
+ * hold the engine result; older rows only have the ValuationResult summary
+ */
+export function engineResultFromValuation(valuation: Valuation): ValuationEngineResult {
+  const stored = (valuation.results || {}) as Record<string, any>
+  const method = String(stored.method || valuation.valuation_method || '')
+
+  if (stored.estimatedValue !== undefined && Number.isFinite(Number(stored.estimatedValue))) {
+    const value = toNumber(stored.estimatedValue)
+    const interval = Array.isArray(stored.confidenceInterval) ? stored.confidenceInterval : []
+    return {
+      estimatedValue: value,
+      multiple: toNumber(stored.multiple),
+      method,
+      confidenceInterval: [toNumber(interval[0], value), toNumber(interval[1], value)],
+      industryBenchmark: toNumber(stored.industryBenchmark),
+      percentileRank: toNumber(stored.percentileRank),
+      sampleSize: toNumber(stored.sampleSize),
+      details: sanitizeDetails(stored.details)
+    }
+  }
+
+  const value = toNumber(stored.valuation)
+  const sensitivity = stored.sensitivity_analysis
+  return {
+    estimatedValue: value,
+    multiple: toNumber(stored.multiple_details?.applied_multiple ?? stored.key_metrics?.profit_multiple),
+    method,
+    confidenceInterval: sensitivity && typeof sensitivity === 'object'
+      ? [toNumber(sensitivity.pessimistic, value), toNumber(sensitivity.optimistic, value)]
+      : [value, value],
+    industryBenchmark: 0,
+    percentileRank: 0,
+    sampleSize: 0
+  }
+}
+
+function escapeHtml(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function methodLabel(method: string): string {
+  return METHOD_LABELS[method] || escapeHtml(method || '-')
+}
+
+function money(amount: number | undefined, currency: string): string {
+  if (amount === undefined || amount === null || isNaN(amount)) return '-'
+  return currency === 'KRW' ? formatKoreanWon(amount) : formatCurrency(amount, currency as 'USD')
+}
+
+function percentAdjustment(multiplier?: number): string {
+  if (!multiplier) return '-'
+  const pct = (multiplier - 1) * 100
+  return `${pct >= 0 ? '+' : ''}${pct.toFixed(0)}%`
+}
+
+// Inline SVG line chart of the industry's daily median profit multiple
+function renderIndustryChart(points: TimeSeriesDataPoint[], companyMultiple: number): string {
+  const series = points
+    .map(p => ({ date: p.date, value: Number(p.median_profit_multiple ?? p.avg_profit_multiple ?? 0) }))
+    .filter(p => p.value > 0)
+
+  if (series.length < 2) {
+    return '<p class="muted">업종 시계열 데이터가 충분하지 않아 차트를 표시할 수 없습니다.</p>'
+  }
+
+  const width = 640
+  const height = 240
+  const pad = { top: 16, right: 16, bottom: 28, left: 40 }
+  const values = [...series.map(p => p.value), companyMultiple].filter(v => v > 0)
+  const min = Math.min(...values) * 0.9
+  const max = Math.max(...values) * 1.1
+  const x = (i: number) => pad.left + (i / (series.length - 1)) * (width - pad.left - pad.right)
+  const y = (v: number) => pad.top + (1 - (v - min) / (max - min)) * (height - pad.top - pad.bottom)
+
+  const path = series.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ')
+  const ticks = [min, (min + max) / 2, max]
+  const companyY = companyMultiple > 0 ? y(companyMultiple) : null
+
+  return `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+      ${ticks.map(t => `
+        <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(t)}" y2="${y(t)}" stroke="#eee" />
+        <text x="${pad.left - 6}" y="${y(t) + 4}" font-size="10" text-anchor="end" fill="#888">${t.toFixed(1)}x</text>
+      `).join('')}
+      <path d="${path}" fill="none" stroke="#1a8917" stroke-width="2" />
+      ${companyY !== null ? `
+        <line x1="${pad.left}" x2="${width - pad.right}" y1="${companyY}" y2="${companyY}" stroke="#e5484d" stroke-dasharray="4 3" />
+        <text x="${width - pad.right}" y="${companyY - 6}" font-size="10" text-anchor="end" fill="#e5484d">당사 ${companyMultiple.toFixed(1)}x</text>
+      ` : ''}
+      <text x="${pad.left}" y="${height - 8}" font-size="10" fill="#888">${escapeHtml(series[0].date)}</text>
+      <text x="${width - pad.right}" y="${height - 8}" font-size="10" text-anchor="end" fill="#888">${escapeHtml(series[series.length - 1].date)}</text>
+    </svg>`
+}
+
+export function buildValuationReportHtml(data: ValuationReportData): string {
+  const { valuation, engineInput, engineResult, industryData, comparables, timeseries } = data
+  const currency = isCurrency(valuation.currency) ? valuation.currency : 'KRW'
+  const fxRate = isFxRateSnapshot(valuation.fx_rate) ? valuation.fx_rate : null
+  const fxRateNote = fxRate
+    ? `${escapeHtml(fxRate.rateDate)} 환율 ${toNumber(fxRate.krwPerUnit).toLocaleString()}원 기준`
+    : ''
+  const grade = getValueGrade(engineResult.percentileRank)
+  const details = engineResult.details || {}
+  const adjustments = details.adjustments || {}
+
+  const inputRows: Array<[string, string]> = [
+    ['회사명', escapeHtml(engineInput.companyName)],
+    ['업종', escapeHtml(engineInput.industry)],
+    ['월 매출', money(engineInput.monthlyRevenue, currency)],
+    ['월 순이익', money(engineInput.monthlyProfit, currency)],
+    ['사업 연수', engineInput.businessAge ? `${engineInput.businessAge}개월` : '-'],
+    ['월 성장률', engineInput.growthRate !== undefined ? `${engineInput.growthRate}%` : '-'],
+    ['월 잉여현금흐름', money(engineInput.freeCashFlow, currency)],
+    ['할인율', engineInput.discountRate !== undefined ? `${engineInput.discountRate}%` : '-'],
+    ['영구성장률', engineInput.terminalGrowthRate !== undefined ? `${engineInput.terminalGrowthRate}%` : '-'],
+    ['예측 기간', engineInput.projectionYears ? `${engineInput.projectionYears}년` : '-']
+  ]
+
+  const breakdownRows: Array<[string, string]> = [
+    ['매출 기반 가치', money(details.revenueBasedValue, currency)],
+    ['순이익 기반 가치', money(details.profitBasedValue, currency)],
+    ['DCF 기반 가치', money(details.dcfValue, currency)],
+    ['벤처 방식 가치', money(details.ventureValue, currency)],
+    ...(details.methods || [])
+      .filter(m => m.weight > 0)
+      .map((m): [string, string] => [
+        `${methodLabel(m.method)} 비중 ${(m.weight * 100).toFixed(0)}%`,
+        money(m.contribution, currency)
+      ]),
+    ['성장률 조정', percentAdjustment(adjustments.growthMultiplier)],
+    ['사업 연수 조정', percentAdjustment(adjustments.ageMultiplier)]
+  ]
+
+  const comparableRows = comparables.map(listing => `
+    <tr>
+      <td>${escapeHtml(listing.title)}</td>
+      <td class="num">${money(listing.asking_price, currency)}</td>
+      <td class="num">${money(listing.monthly_revenue, currency)}</td>
+      <td class="num">${money(listing.monthly_profit, currency)}</td>
+      <td class="num">${listing.profit_multiple ? formatMultiple(Number(listing.profit_multiple)) : '-'}</td>
+    </tr>`).join('')
+
+  const table = (rows: Array<[string, string]>) => `
+    <table class="kv">
+      ${rows.map(([label, value]) => `<tr><th>${label}</th><td class="num">${value}</td></tr>`).join('')}
+    </table>`
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(valuation.company_name)} 기업가치 평가 리포트</title>
+<style>
+  @page { size: A4; margin: 18mm 16mm; }
+  body { font-family: 'Noto Sans KR', 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif; color: #242424; font-size: 12px; line-height: 1.6; }
+  .page { page-break-after: always; }
+  .page:last-child { page-break-after: auto; }
+  h1 { font-size: 26px; margin: 0 0 4px; }
+  h2 { font-size: 16px; border-bottom: 2px solid #1a8917; padding-bottom: 4px; margin: 24px 0 12px; }
+  .muted { color: #6b6b6b; }
+  .hero { background: #f2f9f1; border: 1px solid #cfe8cc; border-radius: 8px; padding: 24px; margin-top: 24px; text-align: center; }
+  .hero .value { font-size: 32px; font-weight: 700; color: #1a8917; }
+  .grid { display: flex; gap: 12px; margin-top: 16px; }
+  .card { flex: 1; border: 1px solid #e6e6e6; border-radius: 8px; padding: 12px; text-align: center; }
+  .card .label { color: #6b6b6b; font-size: 11px; }
+  .card .metric { font-size: 16px; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #eee; text-align: left; }
+  table.kv th { width: 40%; font-weight: 500; color: #6b6b6b; }
+  .num { text-align: right; }
+  .footer { margin-top: 32px; font-size: 10px; color: #999; }
+</style>
+</head>
+<body>
+  <section class="page">
+    <p class="muted">The Founder 기업가치 평가 리포트</p>
+    <h1>${escapeHtml(valuation.company_name)}</h1>
+    <p class="muted">${escapeHtml(valuation.industry)} · 평가일 ${new Date(valuation.created_at).toLocaleDateString('ko-KR')}</p>
+
+    <div class="hero">
+      <div class="muted">추정 기업가치</div>
+      <div class="value">${money(engineResult.estimatedValue, currency)}</div>
+      ${fxRate && currency !== 'KRW' ? `<div class="muted">≈ ${formatKoreanWon(convertWithSnapshot(engineResult.estimatedValue, currency as Currency, 'KRW', fxRate))} (${fxRateNote})</div>` : ''}
+      ${fxRate && currency === 'KRW' && fxRate.currency !== 'KRW' ? `<div class="muted">≈ ${formatCurrency(convertWithSnapshot(engineResult.estimatedValue, 'KRW', fxRate.currency, fxRate), fxRate.currency)} (${fxRateNote})</div>` : ''}
+      <div class="muted">${methodLabel(engineResult.method)} · ${toNumber(engineResult.multiple).toFixed(1)}x 멀티플</div>
+    </div>
+
+    <div class="grid">
+      <div class="card"><div class="label">신뢰구간 (하단)</div><div class="metric">${money(engineResult.confidenceInterval[0], currency)}</div></div>
+      <div class="card"><div class="label">신뢰구간 (상단)</div><div class="metric">${money(engineResult.confidenceInterval[1], currency)}</div></div>
+      <div class="card"><div class="label">비교 표본 수</div><div class="metric">${engineResult.sampleSize > 0 ? `${toNumber(engineResult.sampleSize)}건` : '부족'}</div></div>
+      <div class="card"><div class="label">업종 내 백분위</div><div class="metric">${toNumber(engineResult.percentileRank).toFixed(0)}%</div></div>
+      <div class="card"><div class="label">가치 등급</div><div class="metric">${grade} (${getGradeDescription(grade)})</div></div>
+    </div>
+
+    <h2>입력 정보</h2>
+    ${table(inputRows)}
+  </section>
+
+  <section class="page">
+    <h2>평가 방법별 상세 분석</h2>
+    ${table(breakdownRows)}
+
+    ${details.dcf ? `
+    <h2>DCF 현금흐름 (${details.dcf.terminalValueMethod === 'exit_multiple' ? '엑시트 멀티플' : '영구성장'}${details.dcf.midYearConvention ? ', 기중 할인' : ''})</h2>
+    <table>
+      <thead><tr><th>연도</th><th class="num">현금흐름</th><th class="num">할인계수</th><th class="num">현재가치</th></tr></thead>
+      <tbody>
+        ${details.dcf.years.map(y => `<tr><td>${toNumber(y.year)}년차</td><td class="num">${money(y.cashFlow, currency)}</td><td class="num">${toNumber(y.discountFactor).toFixed(4)}</td><td class="num">${money(y.presentValue, currency)}</td></tr>`).join('')}
+        <tr><td>잔존가치</td><td class="num">${money(details.dcf.terminalValue, currency)}</td><td></td><td class="num">${money(details.dcf.discountedTerminalValue, currency)}</td></tr>
+      </tbody>
+    </table>` : ''}
+
+    <h2>업종 벤치마크</h2>
+    ${table([
+      ['평균 순이익 멀티플', industryData.avg_profit_multiple ? formatMultiple(industryData.avg_profit_multiple) : '-'],
+      ['중간값 순이익 멀티플', industryData.median_profit_multiple ? formatMultiple(industryData.median_profit_multiple) : '-'],
+      ['평균 매출 멀티플', industryData.avg_revenue_multiple ? formatMultiple(industryData.avg_revenue_multiple) : '-'],
+      ['표본 수', `${industryData.sample_size || 0}개사`]
+    ])}
+
+    <h2>업종 멀티플 추이</h2>
+    ${renderIndustryChart(timeseries, engineResult.multiple)}
+  </section>
+
+  <section class="page">
+    <h2>비교 대상 매물</h2>
+    ${comparables.length > 0 ? `
+      <table>
+        <thead><tr><th>매물</th><th class="num">호가</th><th class="num">월 매출</th><th class="num">월 순이익</th><th class="num">멀티플</th></tr></thead>
+        <tbody>${comparableRows}</tbody>
+      </table>` : '<p class="muted">유사한 매출 규모의 비교 매물이 없습니다.</p>'}
+
+    <p class="footer">
+      본 리포트는 입력된 정보와 공개 거래 데이터를 바탕으로 산출된 참고 자료이며, 투자 판단의 근거로 사용될 수 없습니다.<br />
+      생성일시: ${data.generatedAt.toLocaleString('ko-KR')}
+    </p>
+  </section>
+</body>
+</html>`
+}
+
+export async function renderPdf(html: string): Promise<Uint8Array> {
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  })
+
+  try {
+    // The HTML is built from stored user data: no scripts and no network
+    // access (inline SVG and styles need neither)
+    const page = await browser.newPage()
+    await page.setJavaScriptEnabled(false)
+    await page.setRequestInterception(true)
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return
+      request.abort()
+    })
+    await page.setContent(html, { waitUntil: 'load' })
+    return await page.pdf({ format: 'A4', printBackground: true })
+  } finally {
+    await browser.close()
+  }
+}
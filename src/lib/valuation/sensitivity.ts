@@ -0,0 +1,271 @@
+// Sensitivity and scenario analysis: re-runs ValuationEngine over swept inputs
+import type { IndustryMultiple, ScenarioName, ValuationScenario } from '@/types'
+import {
+  ValuationEngine,
+  ValuationEngineInput,
+  ValuationEngineOptions
+} from './engine'
+
+export type SensitivityVariable =
+  | 'growthRate'
+  | 'discountRate'
+  | 'terminalGrowthRate'
+  | 'profitMargin'
+  | 'businessAge'
+
+export const SENSITIVITY_VARIABLES: Record<SensitivityVariable, {
+  label: string
+  unit: string
+  min: number
+  max: number
+  step: number // default distance between sweep points and tornado low/high
+}> = {
+  growthRate: { label: '성장률', unit: '%', min: -50, max: 200, step: 5 },
+  discountRate: { label: '할인율', unit: '%', min: 1, max: 100, step: 2 },
+  terminalGrowthRate: { label: '영구성장률', unit: '%', min: 0, max: 10, step: 1 },
+  profitMargin: { label: '순이익률', unit: '%', min: 0, max: 100, step: 5 },
+  businessAge: { label: '사업 연수', unit: '개월', min: 0, max: 600, step: 12 }
+}
+
+export const MAX_SWEEP_STEPS = 11
+
+export interface SweepAxis {
+  variable: SensitivityVariable
+  values: number[]
+}
+
+export interface SweepAxisRequest {
+  variable: SensitivityVariable
+  from?: number
+  to?: number
+  steps?: number
+}
+
+export interface SensitivityTable {
+  x: SweepAxis
+  y?: SweepAxis
+  // rows follow y (a single row without y), columns follow x; null where the inputs are invalid
+  values: (number | null)[][]
+}
+
+export interface TornadoBar {
+  variable: SensitivityVariable
+  label: string
+  lowInput: number
+  highInput: number
+  lowValue: number
+  highValue: number
+  swing: number
+}
+
+export function isSensitivityVariable(value: any): value is SensitivityVariable {
+  return typeof value === 'string' && value in SENSITIVITY_VARIABLES
+}
+
+export function getVariableValue(input: ValuationEngineInput, variable: SensitivityVariable): number {
+  if (variable === 'profitMargin') {
+    return input.monthlyRevenue > 0 ? (input.monthlyProfit / input.monthlyRevenue) * 100 : 0
+  }
+  return input[variable] ?? 0
+}
+
+export function withVariable(
+  input: ValuationEngineInput,
+  variable: SensitivityVariable,
+  value: number
+): ValuationEngineInput {
+  const { min, max } = SENSITIVITY_VARIABLES[variable]
+  const clamped = Math.min(Math.max(value, min), max)
+
+  if (variable === 'profitMargin') {
+    return { ...input, monthlyProfit: input.monthlyRevenue * (clamped / 100) }
+  }
+  return { ...input, [variable]: clamped }
+}
+
+function round(value: number, decimals = 2): number {
+  return Number(value.toFixed(decimals))
+}
+
+/**
+ * Evenly spaced sweep values; defaults to two steps either side of the current input
+ */
+export function buildAxis(input: ValuationEngineInput, request: SweepAxisRequest): SweepAxis {
+  const { min, max, step } = SENSITIVITY_VARIABLES[request.variable]
+  const base = getVariableValue(input, request.variable)
+  const from = Math.max(request.from ?? base - step * 2, min)
+  const to = Math.min(request.to ?? base + step * 2, max)
+  const steps = Math.min(Math.max(Math.round(request.steps ?? 5), 2), MAX_SWEEP_STEPS)
+
+  const values: number[] = []
+  for (let i = 0; i < steps; i++) {
+    values.push(round(from + ((to - from) * i) / (steps - 1)))
+  }
+
+  return { variable: request.variable, values }
+}
+
+// A perpetuity with discount rate at or below terminal growth has no finite value
+function hasValidDcfInputs(input: ValuationEngineInput): boolean {
+  if (input.terminalValueMethod === 'exit_multiple') return true
+  if (input.discountRate === undefined || input.terminalGrowthRate === undefined) return true
+  return input.discountRate > input.terminalGrowthRate
+}
+
+async function valueOf(
+  input: ValuationEngineInput,
+  industryData: IndustryMultiple,
+  options: ValuationEngineOptions
+): Promise<number | null> {
+  if (!hasValidDcfInputs(input)) return null
+  const result = await ValuationEngine.calculateValuation(input, industryData, options)
+  return Number.isFinite(result.estimatedValue) ? result.estimatedValue : null
+}
+
+export async function runSensitivityTable(
+  input: ValuationEngineInput,
+  industryData: IndustryMultiple,
+  options: ValuationEngineOptions,
+  x: SweepAxis,
+  y?: SweepAxis
+): Promise<SensitivityTable> {
+  const rows = y ? y.values : [null]
+  const values: (number | null)[][] = []
+
+  for (const rowValue of rows) {
+    const rowInput = y && rowValue !== null ? withVariable(input, y.variable, rowValue) : input
+    const row: (number | null)[] = []
+    for (const colValue of x.values) {
+      row.push(await valueOf(withVariable(rowInput, x.variable, colValue), industryData, options))
+    }
+    values.push(row)
+  }
+
+  return { x, y, values }
+}
+
+/**
+ * One-at-a-time sensitivity: each variable moved one step down and up from the
+ * current input, sorted by the size of the resulting value swing
+ */
+export async function runTornado(
+  input: ValuationEngineInput,
+  industryData: IndustryMultiple,
+  options: ValuationEngineOptions,
+  variables: SensitivityVariable[] = Object.keys(SENSITIVITY_VARIABLES) as SensitivityVariable[]
+): Promise<TornadoBar[]> {
+  const bars: TornadoBar[] = []
+
+  for (const variable of variables) {
+    const { label, step, min, max } = SENSITIVITY_VARIABLES[variable]
+    const base = getVariableValue(input, variable)
+    const lowInput = round(Math.max(base - step, min))
+    const highInput = round(Math.min(base + step, max))
+
+    const lowValue = await valueOf(withVariable(input, variable, lowInput), industryData, options)
+    const highValue = await valueOf(withVariable(input, variable, highInput), industryData, options)
+    if (lowValue === null || highValue === null) continue
+
+    bars.push({
+      variable,
+      label,
+      lowInput,
+      highInput,
+      lowValue,
+      highValue,
+      swing: Math.abs(highValue - lowValue)
+    })
+  }
+
+  return bars.sort((a, b) => b.swing - a.swing)
+}
+
+export const SCENARIO_LABELS: Record<ScenarioName, string> = {
+  bear: '비관',
+  base: '기본',
+  bull: '낙관'
+}
+
+/**
+ * Default bear/base/bull cases: growth ±5pp, profit margin ±20% (relative),
+ * and discount rate ±2pp when DCF inputs are present
+ */
+export function defaultScenarios(input: ValuationEngineInput): ValuationScenario[] {
+  const growth = getVariableValue(input, 'growthRate')
+  const margin = getVariableValue(input, 'profitMargin')
+  const hasDcf = input.discountRate !== undefined
+
+  const scenario = (name: ScenarioName, direction: -1 | 0 | 1): ValuationScenario => ({
+    name,
+    label: SCENARIO_LABELS[name],
+    overrides: direction === 0 ? {} : {
+      growthRate: round(growth + 5 * direction),
+      profitMargin: round(margin * (1 + 0.2 * direction)),
+      ...(hasDcf ? { discountRate: round(input.discountRate! - 2 * direction) } : {})
+    }
+  })
+
+  return [scenario('bear', -1), scenario('base', 0), scenario('bull', 1)]
+}
+
+export function applyScenario(input: ValuationEngineInput, scenario: ValuationScenario): ValuationEngineInput {
+  return (Object.keys(scenario.overrides) as SensitivityVariable[]).reduce((current, variable) => {
+    const value = scenario.overrides[variable]
+    return value === undefined ? current : withVariable(current, variable, value)
+  }, input)
+}
+
+export async function runScenarios(
+  input: ValuationEngineInput,
+  industryData: IndustryMultiple,
+  options: ValuationEngineOptions,
+  scenarios: ValuationScenario[]
+): Promise<ValuationScenario[]> {
+  const results: ValuationScenario[] = []
+
+  for (const scenario of scenarios) {
+    const scenarioInput = applyScenario(input, scenario)
+    if (!hasValidDcfInputs(scenarioInput)) {
+      results.push({ ...scenario, estimatedValue: undefined, confidenceInterval: undefined })
+      continue
+    }
+    const result = await ValuationEngine.calculateValuation(scenarioInput, industryData, options)
+    results.push({
+      ...scenario,
+      estimatedValue: result.estimatedValue,
+      confidenceInterval: result.confidenceInterval
+    })
+  }
+
+  return results
+}
+
+/**
+ * Keep only well-formed scenarios from a request body (used before saving)
+ */
+export function sanitizeScenarios(raw: any): ValuationScenario[] {
+  if (!Array.isArray(raw)) return []
+
+  return raw
+    .filter(s => s && (s.name === 'bear' || s.name === 'base' || s.name === 'bull'))
+    .slice(0, 3)
+    .map(s => {
+      const overrides: ValuationScenario['overrides'] = {}
+      Object.keys(s.overrides || {}).forEach(key => {
+        const value = Number(s.overrides[key])
+        if (isSensitivityVariable(key) && Number.isFinite(value)) overrides[key] = value
+      })
+
+      const interval = Array.isArray(s.confidenceInterval) && s.confidenceInterval.length === 2
+        ? [Number(s.confidenceInterval[0]), Number(s.confidenceInterval[1])] as [number, number]
+        : undefined
+
+      return {
+        name: s.name as ScenarioName,
+        label: String(s.label || SCENARIO_LABELS[s.name as ScenarioName]).slice(0, 50),
+        overrides,
+        estimatedValue: typeof s.estimatedValue === 'number' && Number.isFinite(s.estimatedValue) ? s.estimatedValue : undefined,
+        confidenceInterval: interval
+      }
+    })
+}
@@ -0,0 +1,210 @@
+// Similarity scoring between a valuation target and flippa listings, used to suggest comparables
+import { quantile } from '@/lib/utils/statistics'
+import {
+  getAgeMonths,
+  getCategory,
+  getLifecycleState,
+  getListedAt,
+  getMonetization,
+  getMonthlyProfit,
+  getMonthlyRevenue,
+  getPrice,
+  getProfitMultiple,
+  getRevenueMultiple,
+  getSoldPrice
+} from '@/lib/utils/listing-fields'
+import type { Currency } from '@/types'
+import { formatKoreanWon } from './utils'
+
+// Amounts are in `currency`; listings must be converted to it before scoring
+export interface SimilarityTarget {
+  industry: string
+  monthlyRevenue: number
+  monthlyProfit: number
+  businessAge?: number // months
+  monetizationModel?: string
+  currency?: Currency // default KRW, the valuation form's currency
+}
+
+export type SimilarityFactor = 'industry' | 'revenue' | 'margin' | 'age' | 'monetization' | 'recency'
+
+// Relative importance of each factor; factors the target or listing can't be compared on are dropped
+export const SIMILARITY_WEIGHTS: Record<SimilarityFactor, number> = {
+  industry: 0.25,
+  revenue: 0.25,
+  margin: 0.2,
+  age: 0.1,
+  monetization: 0.1,
+  recency: 0.1
+}
+
+export interface SimilarListing {
+  listing: any
+  score: number // 0-100
+  factors: Partial<Record<SimilarityFactor, number>> // each 0-1
+  reasons: string[]
+  multiple: number | null // profit multiple when the target is profitable, revenue multiple otherwise
+  isOutlier: boolean
+}
+
+const DAY_MS = 1000 * 60 * 60 * 24
+// A sold listing's final price is a real transaction, worth more than an asking price
+const SOLD_SCORE_BONUS = 5
+
+function clamp01(value: number): number {
+  return Math.min(Math.max(value, 0), 1)
+}
+
+function normalize(value: string): string {
+  return value.toLowerCase().replace(/[^a-z0-9가-힣]/g, '')
+}
+
+function formatAmount(value: number, currency: Currency = 'KRW'): string {
+  if (currency === 'KRW') return formatKoreanWon(value)
+  return value >= 1000 ? `$${Math.round(value / 1000).toLocaleString()}K` : `$${Math.round(value)}`
+}
+
+/**
+ * Score one listing against the target. Each factor is 0-1; the score is the
+ * weighted average over the factors both sides have data for.
+ */
+export function scoreListing(target: SimilarityTarget, listing: any, now = new Date()): SimilarListing {
+  const factors: Partial<Record<SimilarityFactor, number>> = {}
+  const reasons: string[] = []
+
+  // Industry: exact category match, or one name containing the other (e.g. "SaaS" / "SaaS Tools")
+  const category = getCategory(listing)
+  if (category && target.industry) {
+    const a = normalize(category)
+    const b = normalize(target.industry)
+    factors.industry = a === b ? 1 : (a.includes(b) || b.includes(a)) ? 0.6 : 0
+    if (factors.industry > 0) reasons.push(`동일 업종 (${category})`)
+  }
+
+  // Revenue scale: log distance, an order of magnitude apart scores 0
+  const revenue = getMonthlyRevenue(listing)
+  if (revenue && revenue > 0 && target.monthlyRevenue > 0) {
+    const distance = Math.abs(Math.log10(revenue / target.monthlyRevenue))
+    factors.revenue = clamp01(1 - distance)
+    if (distance <= Math.log10(1.5)) reasons.push(`매출 규모 유사 (월 ${formatAmount(revenue, target.currency)})`)
+  }
+
+  // Profit margin: 50 percentage points apart scores 0
+  const profit = getMonthlyProfit(listing)
+  if (revenue && revenue > 0 && profit !== null && target.monthlyRevenue > 0) {
+    const listingMargin = profit / revenue
+    const targetMargin = target.monthlyProfit / target.monthlyRevenue
+    factors.margin = clamp01(1 - Math.abs(listingMargin - targetMargin) / 0.5)
+    if (Math.abs(listingMargin - targetMargin) <= 0.1) {
+      reasons.push(`순이익률 비슷 (${Math.round(listingMargin * 100)}%)`)
+    }
+  }
+
+  // Business age: ratio of the younger to the older
+  const age = getAgeMonths(listing, now)
+  if (age !== null && target.businessAge && target.businessAge > 0) {
+    factors.age = age > 0 ? Math.min(age, target.businessAge) / Math.max(age, target.businessAge) : 0
+    if (factors.age >= 0.7) reasons.push(`운영 기간 비슷 (${Math.round(age)}개월)`)
+  }
+
+  const monetization = getMonetization(listing)
+  if (monetization && target.monetizationModel) {
+    const a = normalize(monetization)
+    const b = normalize(target.monetizationModel)
+    factors.monetization = a === b ? 1 : (a.includes(b) || b.includes(a)) ? 0.6 : 0
+    if (factors.monetization > 0) reasons.push(`수익 모델 동일 (${monetization})`)
+  }
+
+  // Recency: full score within 30 days, nothing after a year
+  const listedAt = getListedAt(listing)
+  if (listedAt) {
+    const ageDays = (now.getTime() - new Date(listedAt).getTime()) / DAY_MS
+    if (Number.isFinite(ageDays)) {
+      factors.recency = clamp01(1 - Math.max(ageDays - 30, 0) / 335)
+      if (ageDays <= 30) reasons.push('최근 30일 내 등록')
+    }
+  }
+
+  const scored = (Object.keys(factors) as SimilarityFactor[])
+  const totalWeight = scored.reduce((sum, f) => sum + SIMILARITY_WEIGHTS[f], 0)
+  const weighted = scored.reduce((sum, f) => sum + SIMILARITY_WEIGHTS[f] * factors[f]!, 0)
+  // Listings missing most factors can't be trusted to be similar; scale by the weight covered
+  let score = totalWeight > 0 ? (weighted / totalWeight) * Math.sqrt(totalWeight) * 100 : 0
+  let multiple = target.monthlyProfit > 0 ? getProfitMultiple(listing) : getRevenueMultiple(listing)
+
+  // Sold listings: value at the final price instead of the asking price
+  const soldPrice = getSoldPrice(listing)
+  if (soldPrice) {
+    const earnings = target.monthlyProfit > 0 ? getMonthlyProfit(listing) : getMonthlyRevenue(listing)
+    if (earnings && earnings > 0) multiple = soldPrice / (earnings * 12)
+    score = Math.min(score + SOLD_SCORE_BONUS, 100)
+    reasons.unshift(`실거래 완료 (${formatAmount(soldPrice, target.currency)})`)
+  }
+
+  return {
+    listing,
+    score: Math.round(score),
+    factors,
+    reasons,
+    multiple,
+    isOutlier: false
+  }
+}
+
+/**
+ * Flag multiples outside Tukey's fences (1.5 x IQR) among the matches
+ */
+export function flagOutliers(matches: SimilarListing[]): SimilarListing[] {
+  const multiples = matches.map(m => m.multiple).filter((m): m is number => m !== null)
+  if (multiples.length < 4) return matches
+
+  const q1 = quantile(multiples, 0.25)
+  const q3 = quantile(multiples, 0.75)
+  const iqr = q3 - q1
+  const low = q1 - 1.5 * iqr
+  const high = q3 + 1.5 * iqr
+
+  return matches.map(match => {
+    const isOutlier = match.multiple !== null && (match.multiple < low || match.multiple > high)
+    return isOutlier
+      ? { ...match, isOutlier, reasons: [...match.reasons, `멀티플 이상치 (${match.multiple!.toFixed(1)}x)`] }
+      : match
+  })
+}
+
+export function rankListings(
+  target: SimilarityTarget,
+  listings: any[],
+  limit = 10,
+  now = new Date()
+): SimilarListing[] {
+  const ranked = listings
+    .filter(listing => getPrice(listing))
+    .map(listing => scoreListing(target, listing, now))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+
+  return flagOutliers(ranked)
+}
+
+// Shape consumed by ComparablesList
+export function toComparableCompany(match: SimilarListing) {
+  const { listing } = match
+  return {
+    id: listing.id ?? listing.listing_id,
+    title: listing.title,
+    url: listing.url,
+    askingPrice: getPrice(listing) ?? undefined,
+    monthlyRevenue: getMonthlyRevenue(listing) ?? undefined,
+    monthlyProfit: getMonthlyProfit(listing) ?? undefined,
+    profitMultiple: getProfitMultiple(listing) ?? undefined,
+    revenueMultiple: getRevenueMultiple(listing) ?? undefined,
+    businessType: getCategory(listing) ?? undefined,
+    listingStatus: getLifecycleState(listing),
+    soldPrice: getSoldPrice(listing) ?? undefined,
+    listingDate: getListedAt(listing) ?? undefined,
+    similarityScore: match.score,
+    matchReasons: match.reasons,
+    isOutlier: match.isOutlier
+  }
+}
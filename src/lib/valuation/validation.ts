@@ -1,3 +1,5 @@
+import { VALUATION_MODES, ValuationMode } from './engine'
+
 export interface ValidationError {
   field: string
   message: string
@@ -14,11 +16,17 @@ export interface ValuationInputValidation {
   discountRate?: number
   terminalGrowthRate?: number
   projectionYears?: number
+  cashFlowSchedule?: number[]
+  midYearConvention?: boolean
+  terminalValueMethod?: string
+  exitMultiple?: number
+  comparablePeers?: any[]
   stage?: string
   totalAddressableMarket?: number
   marketShare?: number
   burnRate?: number
   runwayMonths?: number
+  valuationMode?: string
 }
 
 export function validateValuationInput(input: ValuationInputValidation): ValidationError[] {
@@ -146,6 +154,75 @@ export function validateValuationInput(input: ValuationInputValidation): Validat
     }
   }
 
+  const terminalValueMethod = input.terminalValueMethod || 'gordon'
+  if (terminalValueMethod !== 'gordon' && terminalValueMethod !== 'exit_multiple') {
+    errors.push({
+      field: 'terminalValueMethod',
+      message: '잔존가치 산정 방식은 영구성장 또는 엑시트 멀티플 중에서 선택해주세요'
+    })
+  }
+
+  // Gordon growth has no finite value unless the discount rate exceeds terminal growth
+  if (
+    terminalValueMethod === 'gordon' &&
+    input.discountRate !== undefined &&
+    input.terminalGrowthRate !== undefined &&
+    input.discountRate <= input.terminalGrowthRate
+  ) {
+    errors.push({
+      field: 'discountRate',
+      message: '할인율은 영구성장률보다 커야 합니다'
+    })
+  }
+
+  if (terminalValueMethod === 'exit_multiple') {
+    if (input.exitMultiple === undefined || input.exitMultiple <= 0 || input.exitMultiple > 100) {
+      errors.push({
+        field: 'exitMultiple',
+        message: '엑시트 멀티플은 0보다 크고 100 이하인 값을 입력해주세요'
+      })
+    }
+  }
+
+  if (input.cashFlowSchedule !== undefined) {
+    if (
+      !Array.isArray(input.cashFlowSchedule) ||
+      input.cashFlowSchedule.length < 1 ||
+      input.cashFlowSchedule.length > 20
+    ) {
+      errors.push({
+        field: 'cashFlowSchedule',
+        message: '연도별 현금흐름은 1년에서 20년까지 입력할 수 있습니다'
+      })
+    } else if (input.cashFlowSchedule.some(cf => typeof cf !== 'number' || !Number.isFinite(cf))) {
+      errors.push({
+        field: 'cashFlowSchedule',
+        message: '연도별 현금흐름에 숫자가 아닌 값이 있습니다'
+      })
+    }
+  }
+
+  if (input.comparablePeers !== undefined) {
+    if (!Array.isArray(input.comparablePeers) || input.comparablePeers.length > 30) {
+      errors.push({
+        field: 'comparablePeers',
+        message: '비교 기업은 최대 30개까지 선택할 수 있습니다'
+      })
+    } else if (input.comparablePeers.some(peer => !peer || !String(peer.title || '').trim())) {
+      errors.push({
+        field: 'comparablePeers',
+        message: '비교 기업의 이름을 입력해주세요'
+      })
+    } else if (input.comparablePeers.some(peer =>
+      !peer.profitMultiple && !peer.revenueMultiple && !(peer.askingPrice && (peer.monthlyRevenue || peer.monthlyProfit))
+    )) {
+      errors.push({
+        field: 'comparablePeers',
+        message: '비교 기업마다 멀티플 또는 매각가와 매출/순이익을 입력해주세요'
+      })
+    }
+  }
+
   // Venture specific validations
   if (input.totalAddressableMarket !== undefined && input.totalAddressableMarket < 0) {
     errors.push({
@@ -179,6 +256,13 @@ export function validateValuationInput(input: ValuationInputValidation): Validat
     }
   }
 
+  if (input.valuationMode !== undefined && !VALUATION_MODES.includes(input.valuationMode as ValuationMode)) {
+    errors.push({
+      field: 'valuationMode',
+      message: '지원하지 않는 평가 방식입니다'
+    })
+  }
+
   return errors
 }
 
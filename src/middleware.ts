@@ -1,8 +1,51 @@
 import { NextResponse, type NextRequest } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
 import { updateSession } from '@/lib/supabase/middleware'
+import { loadSlugRedirects } from '@/lib/notion/slug-history'
+
+const POST_PATH = /^\/(posts|blog)\/([^/]+)\/?$/
+
+// Old slugs are read in one query per minute, not per request; renames newer
+// than that are redirected by the post pages themselves
+const SLUG_REDIRECTS_TTL_MS = 60 * 1000
+let slugRedirects: { loadedAt: number; redirects: Promise<Map<string, string>> } | null = null
+
+function getSlugRedirects(): Promise<Map<string, string>> {
+  if (!slugRedirects || Date.now() - slugRedirects.loadedAt > SLUG_REDIRECTS_TTL_MS) {
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL!,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY!,
+      { auth: { persistSession: false, autoRefreshToken: false } }
+    )
+    slugRedirects = {
+      loadedAt: Date.now(),
+      redirects: loadSlugRedirects(supabase).catch(error => {
+        console.error('Post redirect lookup failed:', error)
+        return new Map<string, string>()
+      })
+    }
+  }
+  return slugRedirects.redirects
+}
+
+// 301 from a renamed post's old slug to its current one
+async function redirectRenamedPost(request: NextRequest) {
+  const match = request.nextUrl.pathname.match(POST_PATH)
+  if (!match) return null
+
+  const currentSlug = (await getSlugRedirects()).get(decodeURIComponent(match[2]).toLowerCase())
+  if (!currentSlug) return null
+
+  const url = request.nextUrl.clone()
+  url.pathname = `/${match[1]}/${encodeURIComponent(currentSlug)}`
+  return NextResponse.redirect(url, 301)
+}
 
 export async function middleware(request: NextRequest) {
-  // Handle Supabase auth session only
+  const redirect = await redirectRenamedPost(request)
+  if (redirect) return redirect
+
+  // Handle Supabase auth session
   return await updateSession(request);
 }
 
@@ -10,4 +53,4 @@ export const config = {
   matcher: [
     '/((?!_next/static|_next/image|favicon.ico|.*\\.(?:svg|png|jpg|jpeg|gif|webp)$).*)',
   ],
-};
\ No newline at end of file
+};
@@ -21,6 +21,10 @@ export interface IndustryChartData {
     totalTransactions: number
     avgPrice: number
   }
+  // Number of listings behind the series in the requested window
+  sampleSize?: number
+  // True when the series is a baseline placeholder because there were too few samples
+  fallback?: boolean
 }
 
 export interface ChartTimeRange {
@@ -45,18 +49,29 @@ export interface ChartApiResponse {
   totalIndustries: number
   lastUpdated: string
   fallback?: boolean
+  meta?: {
+    days: number
+    limit: number
+    sortBy: string
+    minSamples: number
+    fallbackIndustries: string[]
+    dbError?: string | null
+  }
 }
 
 export interface TimeSeriesDataPoint {
   industry: string
   date: string
   avg_profit_multiple: number | null
+  median_profit_multiple: number | null
   avg_revenue_multiple: number | null
+  median_revenue_multiple: number | null
   transaction_count: number
   total_volume: number
   volatility_index: number | null
   high_multiple: number | null
   low_multiple: number | null
+  listing_ids: string[]
 }
 
 // Chart formatting utilities
@@ -1,3 +1,6 @@
+import type { FxRateSnapshot } from './valuation'
+import type { ListingsCriteria } from '@/lib/dashboard/listings-filter'
+
 export interface User {
   id: string
   email: string
@@ -196,6 +199,10 @@ export interface ValuationInput {
   discount_rate?: number
   terminal_growth_rate?: number
   projection_years?: number
+  free_cash_flows?: number[] // explicit annual schedule, overrides free_cash_flow growth
+  mid_year_convention?: boolean
+  terminal_value_method?: 'gordon' | 'exit_multiple'
+  exit_multiple?: number
   
   // Multiple specific
   selected_multiple?: number
@@ -262,10 +269,93 @@ export interface Valuation {
   results: ValuationResult
   notes?: string
   is_draft: boolean
+  scenarios?: ValuationScenario[]
+  // FX rate used at calculation time; null for valuations saved before rates were stored
+  fx_rate?: FxRateSnapshot | null
   created_at: string
   updated_at: string
 }
 
+export type ScenarioName = 'bear' | 'base' | 'bull'
+
+// Named what-if case saved alongside a valuation; overrides are absolute input values
+export interface ValuationScenario {
+  name: ScenarioName
+  label: string
+  overrides: {
+    growthRate?: number
+    discountRate?: number
+    terminalGrowthRate?: number
+    profitMargin?: number
+    businessAge?: number
+  }
+  estimatedValue?: number
+  confidenceInterval?: [number, number]
+}
+
+export type SavedSearchDelivery = 'instant' | 'daily' | 'weekly'
+
+// Listing alert criteria owned by a user; filters use the /api/dashboard/listings vocabulary
+export interface SavedSearch {
+  id: string
+  user_id: string
+  name: string
+  filters: ListingsCriteria
+  delivery: SavedSearchDelivery
+  notify_email: string | null
+  is_active: boolean
+  last_notified_at: string | null
+  created_at: string
+  updated_at: string
+}
+
+export interface SavedSearchMatch {
+  id: number
+  saved_search_id: string
+  user_id: string
+  listing_id: string
+  match_type: 'new' | 'updated'
+  scan_id: string | null
+  listing_snapshot: Record<string, any>
+  matched_at: string
+  notified_at: string | null
+}
+
+// What a notification is about; the channel it went out on is separate
+export type NotificationEventType =
+  | 'high_value_listing'
+  | 'high_revenue_listing'
+  | 'price_drop'
+  | 'trending_categories'
+  | 'rule_match'
+  | 'saved_search_match'
+
+export type NotificationChannel = 'in_app' | 'email'
+
+export type NotificationChannelSettings = Record<NotificationChannel, boolean>
+
+export interface NotificationPreferences {
+  user_id: string
+  email: string | null
+  channels: Partial<Record<NotificationEventType, NotificationChannelSettings>>
+  created_at: string
+  updated_at: string
+}
+
+// Inbox row: a notification_queue row with notification_type 'dashboard' and a user_id
+export interface UserNotification {
+  notification_id: string
+  user_id: string
+  event_type: NotificationEventType | null
+  scan_id: string | null
+  priority: 'high' | 'normal' | 'low'
+  subject: string | null
+  content: Record<string, any>
+  listing_id: string | null
+  read_at: string | null
+  created_at: string
+}
+
 export interface FlippaListing {
   id: number
   flippa_id: string
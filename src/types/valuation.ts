@@ -2,11 +2,17 @@
 import { Currency, Country, ValuationMethod, ValuationInput, ValuationResult } from './index'
 
 // Valuation calculation parameters
+export type TerminalValueMethod = 'gordon' | 'exit_multiple'
+
+// Rates are percentages; free_cash_flows are annual amounts for years 1..N
 export interface DCFParameters {
   free_cash_flows: number[]
   discount_rate: number
   terminal_growth_rate: number
   terminal_year_fcf: number
+  mid_year_convention?: boolean
+  terminal_value_method?: TerminalValueMethod
+  exit_multiple?: number
 }
 
 export interface MultipleParameters {
@@ -26,6 +32,7 @@ export interface ComparableParameters {
     revenue_multiple?: number
     profit_multiple?: number
     growth_rate?: number
+    annual_revenue?: number // used for the size adjustment
   }[]
 }
 
@@ -90,7 +97,7 @@ export const IndustryValuationRanges: Record<string, {
   }
 }
 
-// Currency conversion rates (would be fetched from API in production)
+// Fallback KRW per unit, used when no dated rate is available (see fx_rates)
 export const CurrencyRates: Record<Currency, number> = {
   'KRW': 1,
   'USD': 1300,
@@ -99,6 +106,17 @@ export const CurrencyRates: Record<Currency, number> = {
   'CNY': 180
 }
 
+// KRW per unit of `currency` as of `date` (YYYY-MM-DD), or undefined when unknown
+export type FxRateLookup = (currency: Currency, date?: string) => number | undefined
+
+// Rate a valuation was calculated with, stored alongside it
+export interface FxRateSnapshot {
+  currency: Currency
+  krwPerUnit: number
+  rateDate: string
+  source: string
+}
+
 // Helper functions for valuation data
 export const formatCurrency = (amount: number, currency: Currency): string => {
   const formatter = new Intl.NumberFormat('ko-KR', {
@@ -113,11 +131,14 @@ export const formatCurrency = (amount: number, currency: Currency): string => {
 export const convertCurrency = (
   amount: number, 
   fromCurrency: Currency, 
-  toCurrency: Currency
+  toCurrency: Currency,
+  options: { rates?: FxRateLookup; date?: string } = {}
 ): number => {
   if (fromCurrency === toCurrency) return amount
-  const krwAmount = amount * CurrencyRates[fromCurrency]
-  return krwAmount / CurrencyRates[toCurrency]
+  const rateOf = (currency: Currency) =>
+    options.rates?.(currency, options.date) ?? CurrencyRates[currency]
+  const krwAmount = amount * rateOf(fromCurrency)
+  return krwAmount / rateOf(toCurrency)
 }
 
 export const getConfidenceLevel = (
@@ -0,0 +1,25 @@
+-- Industry timeseries is now rolled up from flippa_listings by the aggregation job
+-- (src/lib/charts/aggregation.ts). Add the median columns it writes and drop the
+-- random sample rows the original migration seeded.
+
+ALTER TABLE industry_multiples_timeseries
+  ADD COLUMN IF NOT EXISTS median_profit_multiple DECIMAL(10,2),
+  ADD COLUMN IF NOT EXISTS median_revenue_multiple DECIMAL(10,2),
+  ADD COLUMN IF NOT EXISTS listing_ids TEXT[] NOT NULL DEFAULT '{}';
+
+-- Seeded rows predate any aggregation run and carry no median
+DELETE FROM industry_multiples_timeseries WHERE median_profit_multiple IS NULL AND median_revenue_multiple IS NULL;
+
+-- Service role writes the aggregates
+DROP POLICY IF EXISTS "Service role full access" ON industry_multiples_timeseries;
+CREATE POLICY "Service role full access" ON industry_multiples_timeseries
+  FOR ALL
+  USING (auth.jwt()->>'role' = 'service_role')
+  WITH CHECK (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON COLUMN industry_multiples_timeseries.transaction_count IS 'Distinct listings observed in the category that day';
+COMMENT ON COLUMN industry_multiples_timeseries.listing_ids IS 'Flippa listing ids behind the row, for distinct counts across days';
+COMMENT ON COLUMN industry_multiples_timeseries.total_volume IS 'Sum of asking prices (USD) of those listings';
+COMMENT ON COLUMN industry_multiples_timeseries.volatility_index IS 'Coefficient of variation of profit multiples that day';
+COMMENT ON COLUMN industry_multiples_timeseries.high_multiple IS 'Highest profit multiple observed that day';
+COMMENT ON COLUMN industry_multiples_timeseries.low_multiple IS 'Lowest profit multiple observed that day';
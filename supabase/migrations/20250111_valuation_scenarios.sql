@@ -0,0 +1,6 @@
+-- Bear/base/bull scenarios saved alongside a valuation
+
+ALTER TABLE valuations
+  ADD COLUMN IF NOT EXISTS scenarios JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN valuations.scenarios IS 'Named what-if scenarios: [{name, label, overrides, estimatedValue, confidenceInterval}]';
@@ -0,0 +1,30 @@
+-- Dated FX rates (KRW per unit) imported from CSV, and the rate each valuation used
+
+CREATE TABLE IF NOT EXISTS fx_rates (
+  id BIGSERIAL PRIMARY KEY,
+  currency TEXT NOT NULL CHECK (currency IN ('USD', 'EUR', 'JPY', 'CNY')),
+  rate_date DATE NOT NULL,
+  krw_per_unit DECIMAL(14,6) NOT NULL CHECK (krw_per_unit > 0),
+  source TEXT NOT NULL DEFAULT 'csv',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_rates_currency_date ON fx_rates(currency, rate_date DESC);
+
+ALTER TABLE fx_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public can view fx rates" ON fx_rates
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Service role full access" ON fx_rates
+  FOR ALL
+  USING (auth.jwt()->>'role' = 'service_role')
+  WITH CHECK (auth.jwt()->>'role' = 'service_role');
+
+ALTER TABLE valuations
+  ADD COLUMN IF NOT EXISTS fx_rate JSONB;
+
+COMMENT ON TABLE fx_rates IS 'KRW per unit of currency by date; lookups use the latest rate on or before a date';
+COMMENT ON COLUMN valuations.fx_rate IS 'Rate used at calculation time: {currency, krwPerUnit, rateDate, source}';
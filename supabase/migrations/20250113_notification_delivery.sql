@@ -0,0 +1,46 @@
+-- Delivery worker for notification_queue (src/lib/notifications/delivery-worker.ts):
+-- retry scheduling, dead-letter status and a row per delivery attempt
+
+ALTER TABLE notification_queue
+  ADD COLUMN IF NOT EXISTS schedule_id TEXT,
+  ADD COLUMN IF NOT EXISTS execution_id TEXT,
+  ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS max_attempts INTEGER,
+  ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS error_message TEXT;
+
+-- 'sending' marks a claimed row, 'dead_letter' one that exhausted its retries,
+-- 'read' is set by the dashboard for in-app rows
+ALTER TABLE notification_queue DROP CONSTRAINT IF EXISTS notification_queue_status_check;
+ALTER TABLE notification_queue DROP CONSTRAINT IF EXISTS valid_status;
+ALTER TABLE notification_queue ADD CONSTRAINT notification_queue_status_check
+  CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'dead_letter', 'cancelled', 'read'));
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_due
+  ON notification_queue(status, next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS notification_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  notification_id TEXT NOT NULL,
+  attempt_number INTEGER NOT NULL,
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'webhook')),
+  status TEXT NOT NULL CHECK (status IN ('success', 'failed')),
+  response_code INTEGER,
+  response_body TEXT,
+  error_message TEXT,
+  duration_ms INTEGER,
+  attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_attempts_notification
+  ON notification_attempts(notification_id, attempt_number);
+
+ALTER TABLE notification_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role access" ON notification_attempts FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON COLUMN notification_queue.next_attempt_at IS 'Earliest time the worker retries a failed delivery (exponential backoff)';
+COMMENT ON COLUMN notification_queue.max_attempts IS 'Per-row override of the worker''s attempt limit before dead-lettering';
+COMMENT ON TABLE notification_attempts IS 'One row per email/webhook delivery attempt with the SMTP reply or HTTP status';
@@ -0,0 +1,54 @@
+-- Per-user saved listing searches with instant or digest alerts
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  -- Same vocabulary as /api/dashboard/listings: search, category, priceMin/Max,
+  -- revenueMin/Max, ageMin/Max, multipleMax, keywords
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  delivery TEXT NOT NULL DEFAULT 'instant' CHECK (delivery IN ('instant', 'daily', 'weekly')),
+  notify_email TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_notified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_active ON saved_searches(is_active, delivery);
+
+-- Listings that matched a saved search during a scan; notified_at is set once alerted
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+  id BIGSERIAL PRIMARY KEY,
+  saved_search_id UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  listing_id TEXT NOT NULL,
+  match_type TEXT NOT NULL CHECK (match_type IN ('new', 'updated')),
+  scan_id TEXT,
+  listing_snapshot JSONB NOT NULL DEFAULT '{}'::jsonb,
+  matched_at TIMESTAMPTZ DEFAULT NOW(),
+  notified_at TIMESTAMPTZ,
+  UNIQUE (saved_search_id, listing_id, scan_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending
+  ON saved_search_matches(saved_search_id, notified_at);
+
+ALTER TABLE saved_searches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_search_matches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage own saved searches" ON saved_searches
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users view own saved search matches" ON saved_search_matches
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access" ON saved_searches
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+CREATE POLICY "Service role full access" ON saved_search_matches
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
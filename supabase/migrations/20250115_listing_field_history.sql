@@ -0,0 +1,54 @@
+-- Append-only field-level history for Flippa listings
+-- One row per tracked field whenever a scan sees a value different from the last one recorded
+
+CREATE TABLE IF NOT EXISTS listing_field_history (
+  id BIGSERIAL PRIMARY KEY,
+  listing_id TEXT NOT NULL,
+  field_name TEXT NOT NULL CHECK (field_name IN (
+    'title', 'asking_price', 'monthly_revenue', 'monthly_profit',
+    'profit_multiple', 'bid_count', 'watch_count', 'badges'
+  )),
+  old_value JSONB,
+  new_value JSONB,
+  scan_id TEXT,
+  observed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_field_history_listing ON listing_field_history(listing_id, observed_at);
+CREATE INDEX IF NOT EXISTS idx_listing_field_history_field ON listing_field_history(listing_id, field_name, observed_at DESC);
+
+-- History is never rewritten
+CREATE OR REPLACE FUNCTION prevent_listing_history_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'listing_field_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS listing_field_history_append_only ON listing_field_history;
+CREATE TRIGGER listing_field_history_append_only
+  BEFORE UPDATE OR DELETE ON listing_field_history
+  FOR EACH ROW EXECUTE FUNCTION prevent_listing_history_changes();
+
+-- Latest recorded value of each field, used to diff the next scan against
+CREATE OR REPLACE VIEW listing_field_latest AS
+SELECT DISTINCT ON (listing_id, field_name)
+  listing_id,
+  field_name,
+  new_value AS value,
+  observed_at
+FROM listing_field_history
+ORDER BY listing_id, field_name, observed_at DESC, id DESC;
+
+ALTER TABLE listing_field_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public can view listing history" ON listing_field_history
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Service role full access" ON listing_field_history
+  FOR ALL
+  USING (auth.jwt()->>'role' = 'service_role')
+  WITH CHECK (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON TABLE listing_field_history IS 'Append-only per-field change log; the first row for a field has old_value NULL';
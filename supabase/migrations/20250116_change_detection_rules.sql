@@ -0,0 +1,55 @@
+-- Change-detection rules evaluated by BaselineComparison after each scan
+-- Each match is written to incremental_changes with the rule's change_type and severity
+
+CREATE TABLE IF NOT EXISTS change_detection_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_key TEXT UNIQUE NOT NULL CHECK (rule_key ~ '^[a-z][a-z0-9_]*$'),
+  name TEXT NOT NULL,
+  -- A tracked listing field (asking_price, monthly_revenue, badges, ...) or 'listing' for the listing itself
+  field TEXT NOT NULL,
+  operator TEXT NOT NULL CHECK (operator IN (
+    'pct_change', 'abs_change', 'crossed_above', 'crossed_below', 'changed', 'appeared', 'disappeared'
+  )),
+  direction TEXT NOT NULL DEFAULT 'any' CHECK (direction IN ('up', 'down', 'any')),
+  threshold NUMERIC,
+  -- For appeared/disappeared on list fields (badges): only this element
+  value TEXT,
+  severity TEXT NOT NULL DEFAULT 'info' CHECK (severity IN ('info', 'warning', 'critical')),
+  change_type TEXT NOT NULL CHECK (change_type ~ '^[a-z][a-z0-9_]*$'),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (operator IN ('changed', 'appeared', 'disappeared') OR threshold IS NOT NULL),
+  CHECK (field <> 'listing' OR operator IN ('appeared', 'disappeared'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_detection_rules_active ON change_detection_rules(is_active);
+
+-- Defaults reproduce the thresholds that used to be hardcoded
+INSERT INTO change_detection_rules (rule_key, name, field, operator, direction, threshold, severity, change_type) VALUES
+('new_listing', 'New listing', 'listing', 'appeared', 'any', NULL, 'info', 'new'),
+('deleted_listing', 'Listing removed', 'listing', 'disappeared', 'any', NULL, 'info', 'deleted'),
+('price_drop', 'Price drop over 20%', 'asking_price', 'pct_change', 'down', 20, 'warning', 'price_drop'),
+('revenue_change', 'Revenue change over $5K', 'monthly_revenue', 'abs_change', 'any', 5000, 'info', 'revenue_change'),
+('category_change', 'Category changed', 'category', 'changed', 'any', NULL, 'info', 'category_change')
+ON CONFLICT (rule_key) DO NOTHING;
+
+-- Rule-driven rows carry the rule and its severity; change_type is no longer a fixed list
+ALTER TABLE incremental_changes
+  DROP CONSTRAINT IF EXISTS incremental_changes_change_type_check;
+
+ALTER TABLE incremental_changes
+  ADD CONSTRAINT incremental_changes_change_type_check CHECK (change_type ~ '^[a-z][a-z0-9_]*$');
+
+ALTER TABLE incremental_changes
+  ADD COLUMN IF NOT EXISTS rule_key TEXT,
+  ADD COLUMN IF NOT EXISTS severity TEXT CHECK (severity IN ('info', 'warning', 'critical'));
+
+CREATE INDEX IF NOT EXISTS idx_incremental_changes_severity ON incremental_changes(severity, detected_at DESC);
+
+ALTER TABLE change_detection_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access" ON change_detection_rules FOR SELECT USING (true);
+CREATE POLICY "Service role full access" ON change_detection_rules FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON TABLE change_detection_rules IS 'Alert rules over listing changes; operators: pct_change, abs_change, crossed_above, crossed_below, changed, appeared, disappeared';
@@ -0,0 +1,54 @@
+-- Listing lifecycle: active -> unseen -> confirmed_removed / sold, and relisted when a
+-- removed or sold listing shows up again. Absence from a partial scan only makes a
+-- listing unseen; removal and sales are confirmed by checking the listing page.
+
+ALTER TABLE flippa_listings
+  ADD COLUMN IF NOT EXISTS lifecycle_state TEXT NOT NULL DEFAULT 'active'
+    CHECK (lifecycle_state IN ('active', 'unseen', 'confirmed_removed', 'sold', 'relisted')),
+  ADD COLUMN IF NOT EXISTS lifecycle_changed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_seen_scan_id TEXT,
+  -- Scans that covered the listing's page without finding it
+  ADD COLUMN IF NOT EXISTS consecutive_misses INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS sold_price NUMERIC,
+  ADD COLUMN IF NOT EXISTS sold_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_flippa_listings_lifecycle ON flippa_listings(lifecycle_state, last_checked_at);
+CREATE INDEX IF NOT EXISTS idx_flippa_listings_sold ON flippa_listings(sold_at DESC) WHERE lifecycle_state = 'sold';
+
+-- Every state change, with what caused it
+CREATE TABLE IF NOT EXISTS listing_lifecycle_events (
+  id BIGSERIAL PRIMARY KEY,
+  listing_id TEXT NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  -- scan_seen, scan_missing, page_live, page_sold, page_removed
+  reason TEXT NOT NULL,
+  scan_id TEXT,
+  sold_price NUMERIC,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_lifecycle_events_listing ON listing_lifecycle_events(listing_id, occurred_at DESC);
+
+ALTER TABLE listing_lifecycle_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access" ON listing_lifecycle_events FOR SELECT USING (true);
+CREATE POLICY "Service role full access" ON listing_lifecycle_events FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+-- Removal is now confirmed by a page check rather than inferred from absence
+UPDATE change_detection_rules
+SET name = 'Listing confirmed removed', updated_at = NOW()
+WHERE rule_key = 'deleted_listing' AND name = 'Listing removed';
+
+-- 'changed' rules with a value only fire for changes to that value
+INSERT INTO change_detection_rules (rule_key, name, field, operator, direction, threshold, value, severity, change_type) VALUES
+('listing_sold', 'Listing sold', 'lifecycle_state', 'changed', 'any', NULL, 'sold', 'warning', 'sold'),
+('listing_relisted', 'Listing relisted', 'lifecycle_state', 'changed', 'any', NULL, 'relisted', 'info', 'relisted')
+ON CONFLICT (rule_key) DO NOTHING;
+
+COMMENT ON COLUMN change_detection_rules.value IS 'changed: only changes to this value; appeared/disappeared on list fields: only this element';
+
+COMMENT ON COLUMN flippa_listings.lifecycle_state IS 'active | unseen (not in the latest scan) | confirmed_removed | sold | relisted';
+COMMENT ON COLUMN flippa_listings.sold_price IS 'Final sale price from the listing page, when Flippa shows it';
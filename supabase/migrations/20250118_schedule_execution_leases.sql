@@ -0,0 +1,32 @@
+-- Lease-based schedule execution (src/lib/scheduling/schedule-executions.ts):
+-- one execution row per scheduled time, claimed by a single scheduler instance,
+-- and a per-schedule policy for runs missed while no scheduler was running
+
+ALTER TABLE scraping_schedules
+  ADD COLUMN IF NOT EXISTS misfire_policy TEXT NOT NULL DEFAULT 'run_once'
+    CHECK (misfire_policy IN ('run_once', 'run_all', 'skip'));
+
+ALTER TABLE schedule_executions
+  ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS lease_owner TEXT,
+  ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+-- 'skipped' records a missed run the misfire policy chose not to execute
+ALTER TABLE schedule_executions DROP CONSTRAINT IF EXISTS valid_status;
+ALTER TABLE schedule_executions ADD CONSTRAINT valid_status CHECK (
+  status IN ('pending', 'running', 'completed', 'failed', 'cancelled', 'skipped')
+);
+
+-- The claim: only one instance can insert the execution for a scheduled time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_executions_schedule_slot
+  ON schedule_executions(schedule_id, scheduled_for)
+  WHERE scheduled_for IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_executions_running_lease
+  ON schedule_executions(lease_expires_at)
+  WHERE status = 'running';
+
+COMMENT ON COLUMN scraping_schedules.misfire_policy IS 'Runs missed while no scheduler was up: run_once (latest only), run_all, or skip';
+COMMENT ON COLUMN schedule_executions.scheduled_for IS 'Cron time this execution belongs to; null for manual runs';
+COMMENT ON COLUMN schedule_executions.lease_owner IS 'Scheduler instance running the execution';
+COMMENT ON COLUMN schedule_executions.lease_expires_at IS 'Renewed while running; an expired lease means the instance died mid-run';
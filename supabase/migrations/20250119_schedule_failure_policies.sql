@@ -0,0 +1,38 @@
+-- Failure policies for scraping schedules (src/lib/scheduling/schedule-failures.ts):
+-- exponential backoff, auto-pause after repeated failures, and circuit breakers
+-- shared by schedules that scan the same target
+
+ALTER TABLE scraping_schedules
+  ADD COLUMN IF NOT EXISTS backoff_base_seconds INTEGER NOT NULL DEFAULT 300 CHECK (backoff_base_seconds >= 0),
+  ADD COLUMN IF NOT EXISTS backoff_max_seconds INTEGER NOT NULL DEFAULT 21600 CHECK (backoff_max_seconds >= 0),
+  ADD COLUMN IF NOT EXISTS pause_after_failures INTEGER NOT NULL DEFAULT 5 CHECK (pause_after_failures >= 0),
+  ADD COLUMN IF NOT EXISTS circuit_key TEXT,
+  ADD COLUMN IF NOT EXISTS backoff_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS paused_reason TEXT,
+  ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS schedule_circuit_breakers (
+  circuit_key TEXT PRIMARY KEY,
+  state TEXT NOT NULL DEFAULT 'closed' CHECK (state IN ('closed', 'open', 'half_open')),
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  failure_threshold INTEGER NOT NULL DEFAULT 3 CHECK (failure_threshold > 0),
+  cooldown_seconds INTEGER NOT NULL DEFAULT 1800 CHECK (cooldown_seconds > 0),
+  opened_at TIMESTAMPTZ,
+  open_until TIMESTAMPTZ,
+  last_failure_at TIMESTAMPTZ,
+  last_error TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_circuit_key ON scraping_schedules(circuit_key) WHERE circuit_key IS NOT NULL;
+
+ALTER TABLE schedule_circuit_breakers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON schedule_circuit_breakers FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON COLUMN scraping_schedules.backoff_base_seconds IS 'Delay after the first failure, doubled per further failure; 0 disables backoff';
+COMMENT ON COLUMN scraping_schedules.pause_after_failures IS 'Consecutive failures before the schedule pauses itself; 0 never pauses';
+COMMENT ON COLUMN scraping_schedules.circuit_key IS 'Schedules sharing a key share a circuit breaker (e.g. the scanned site)';
+COMMENT ON COLUMN scraping_schedules.backoff_until IS 'Runs before this time are skipped';
+COMMENT ON COLUMN scraping_schedules.paused_reason IS 'Why the schedule is disabled: paused manually or by the failure policy';
+COMMENT ON TABLE schedule_circuit_breakers IS 'Opens after failure_threshold failures across its schedules; one trial run after cooldown_seconds';
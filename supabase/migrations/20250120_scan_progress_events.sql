@@ -0,0 +1,24 @@
+-- Scan progress events streamed to the dashboards over Server-Sent Events
+-- (src/lib/monitoring/scan-progress.ts). The id doubles as the SSE event id,
+-- so a reconnecting client replays everything after its Last-Event-ID.
+
+CREATE TABLE IF NOT EXISTS scan_progress_events (
+  id BIGSERIAL PRIMARY KEY,
+  scan_id TEXT NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN ('started', 'page', 'error', 'comparison', 'completed', 'failed')),
+  data JSONB NOT NULL DEFAULT '{}'::JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_progress_events_scan ON scan_progress_events(scan_id, id);
+CREATE INDEX IF NOT EXISTS idx_scan_progress_events_created_at ON scan_progress_events(created_at);
+
+ALTER TABLE scan_progress_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access" ON scan_progress_events FOR SELECT USING (true);
+CREATE POLICY "Service role full access" ON scan_progress_events FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+GRANT SELECT ON scan_progress_events TO anon;
+
+COMMENT ON TABLE scan_progress_events IS 'Per-scan progress log: pages scanned, listings found, errors and comparison results';
+COMMENT ON COLUMN scan_progress_events.id IS 'SSE event id; clients resume from the last id they received';
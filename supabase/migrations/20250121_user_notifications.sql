@@ -0,0 +1,51 @@
+-- User-scoped notifications (src/lib/notifications/user-notifications.ts):
+-- inbox rows in notification_queue carry the recipient's user_id and their own
+-- read state; rows without user_id stay the admin monitoring feed
+
+ALTER TABLE notification_queue
+  ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS scan_id TEXT,
+  ADD COLUMN IF NOT EXISTS event_type TEXT,
+  ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_user_inbox
+  ON notification_queue(user_id, created_at DESC)
+  WHERE notification_type = 'dashboard' AND user_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_user_unread
+  ON notification_queue(user_id)
+  WHERE notification_type = 'dashboard' AND read_at IS NULL;
+
+-- Which notification types a user receives on which channel. channels maps an
+-- event type to {"in_app": bool, "email": bool}; missing types use the defaults in code
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT,
+  channels JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users view own notifications" ON notification_queue
+  FOR SELECT
+  USING (auth.uid() = user_id AND notification_type = 'dashboard');
+
+CREATE POLICY "Users mark own notifications read" ON notification_queue
+  FOR UPDATE
+  USING (auth.uid() = user_id AND notification_type = 'dashboard')
+  WITH CHECK (auth.uid() = user_id AND notification_type = 'dashboard');
+
+CREATE POLICY "Users manage own notification preferences" ON notification_preferences
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access" ON notification_preferences
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON COLUMN notification_queue.user_id IS 'Recipient of an inbox or email row; NULL for the admin monitoring feed';
+COMMENT ON COLUMN notification_queue.event_type IS 'What happened (high_value_listing, price_drop, saved_search_match, ...); notification_type is the channel';
+COMMENT ON COLUMN notification_queue.read_at IS 'Set when the recipient reads an inbox row';
+COMMENT ON TABLE notification_preferences IS 'Per-user notification types and channels (in_app, email)';
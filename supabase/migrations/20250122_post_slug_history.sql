@@ -0,0 +1,23 @@
+-- Slug history for renamed posts
+-- The Notion sync regenerates a post's slug when its title changes and keeps
+-- the previous slug here so old links redirect to the current one
+
+CREATE TABLE IF NOT EXISTS post_slug_history (
+  slug TEXT PRIMARY KEY,
+  post_id TEXT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_slug_history_post ON post_slug_history(post_id);
+
+-- RLS: redirects are looked up with the anon key from the middleware
+ALTER TABLE post_slug_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Slug history is viewable by everyone" ON post_slug_history
+  FOR SELECT USING (true);
+
+CREATE POLICY "Service role full access" ON post_slug_history
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON TABLE post_slug_history IS 'Previous slugs of renamed posts, used for permanent redirects';
+COMMENT ON COLUMN post_slug_history.slug IS 'A slug the post no longer uses; never the current posts.slug';
@@ -0,0 +1,34 @@
+-- Incremental Notion sync
+-- Posts remember the Notion edit time they were converted from, and the sync
+-- keeps a cursor so each run only converts pages edited since the last one.
+-- Posts that leave the 발행 status or are deleted in Notion are unpublished,
+-- not removed
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS notion_last_edited_time TIMESTAMPTZ;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS notion_synced_at TIMESTAMPTZ;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS unpublished_at TIMESTAMPTZ;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS unpublish_reason TEXT
+  CHECK (unpublish_reason IN ('status', 'deleted'));
+
+CREATE INDEX IF NOT EXISTS idx_posts_unpublished ON posts(unpublished_at)
+  WHERE unpublished_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS notion_sync_state (
+  source TEXT PRIMARY KEY,
+  cursor TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_report JSONB,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE notion_sync_state ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON notion_sync_state
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON COLUMN posts.notion_last_edited_time IS 'last_edited_time of the Notion page this row was converted from';
+COMMENT ON COLUMN posts.notion_synced_at IS 'When the sync last converted the page';
+COMMENT ON COLUMN posts.unpublished_at IS 'When the page left the 발행 status or was deleted in Notion';
+COMMENT ON COLUMN posts.unpublish_reason IS 'status: moved out of 발행; deleted: archived or deleted in Notion';
+COMMENT ON TABLE notion_sync_state IS 'Cursor and last report of the incremental Notion sync';
+COMMENT ON COLUMN notion_sync_state.cursor IS 'Pages edited on or after this time are converted on the next run';
@@ -0,0 +1,34 @@
+-- Mirrored Notion assets
+-- Notion serves uploaded images and files from signed URLs that expire after
+-- about an hour. The sync copies each one into the post-assets bucket and
+-- rewrites posts to the stable URL. source_key is the Notion URL without its
+-- signature; content_hash lets identical files share one stored copy
+
+CREATE TABLE IF NOT EXISTS notion_assets (
+  source_key TEXT PRIMARY KEY,
+  content_hash TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  url TEXT NOT NULL,
+  content_type TEXT,
+  bytes INTEGER,
+  width INTEGER,
+  height INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notion_assets_hash ON notion_assets(content_hash);
+
+ALTER TABLE notion_assets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access" ON notion_assets
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+-- Public bucket for the mirrored files
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('post-assets', 'post-assets', true)
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE notion_assets IS 'Notion-hosted images and files copied into the post-assets bucket';
+COMMENT ON COLUMN notion_assets.source_key IS 'Notion file URL without the signed query string';
+COMMENT ON COLUMN notion_assets.content_hash IS 'SHA-256 of the file; identical files reuse one storage object';
+COMMENT ON COLUMN notion_assets.storage_key IS 'Object key of the original; width variants sit next to it as <hash>-w<width>.webp';
@@ -0,0 +1,27 @@
+-- Monthly valuation quota ledger (src/lib/valuation/quota.ts): one row per
+-- valuation a user ran, whether or not they saved it. Written by the service
+-- role only, so users cannot delete or backdate their own uses
+
+CREATE TABLE IF NOT EXISTS valuation_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('calculate', 'save')),
+  -- Form input of the run; sensitivity analysis re-runs this input only
+  input_data JSONB,
+  valuation_id UUID REFERENCES valuations(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_valuation_usage_user_month ON valuation_usage(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_valuation_usage_valuation ON valuation_usage(valuation_id) WHERE valuation_id IS NOT NULL;
+
+ALTER TABLE valuation_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users view own valuation usage" ON valuation_usage
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role full access" ON valuation_usage
+  FOR ALL USING (auth.jwt()->>'role' = 'service_role');
+
+COMMENT ON COLUMN valuation_usage.source IS 'calculate: /api/valuation/calculate run; save: valuation saved without a prior run';
+COMMENT ON COLUMN valuation_usage.valuation_id IS 'Saved valuation the run ended up as, if any';
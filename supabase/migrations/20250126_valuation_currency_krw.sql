@@ -0,0 +1,5 @@
+-- Valuations and company profiles were stamped 'USD' although the valuation
+-- form collects amounts in won. Nothing saved so far was entered in another
+-- currency, so relabel those rows as KRW
+UPDATE valuations SET currency = 'KRW' WHERE currency = 'USD';
+UPDATE company_profiles SET currency = 'KRW' WHERE currency = 'USD';
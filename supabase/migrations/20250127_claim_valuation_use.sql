@@ -0,0 +1,45 @@
+-- Atomic quota claim for valuation_usage (src/lib/valuation/quota.ts).
+-- Counting and inserting in separate requests let concurrent runs from one
+-- user all pass the check; this takes a per-user lock, counts the period's
+-- uses and inserts only while the count is under the limit (NULL = unlimited).
+-- Returns the new use's id (NULL when the quota is used up) and the count
+-- including it
+
+CREATE OR REPLACE FUNCTION claim_valuation_use(
+  p_user_id UUID,
+  p_source TEXT,
+  p_input_data JSONB,
+  p_limit INTEGER,
+  p_period_start TIMESTAMPTZ,
+  p_period_end TIMESTAMPTZ
+)
+RETURNS TABLE (usage_id UUID, used INTEGER) AS $$
+DECLARE
+  current_count INTEGER;
+  new_id UUID;
+BEGIN
+  -- Serializes claims per user until the transaction ends
+  PERFORM pg_advisory_xact_lock(hashtext('valuation_usage:' || p_user_id::text));
+
+  SELECT COUNT(*) INTO current_count
+  FROM valuation_usage
+  WHERE valuation_usage.user_id = p_user_id
+    AND created_at >= p_period_start
+    AND created_at < p_period_end;
+
+  IF p_limit IS NOT NULL AND current_count >= p_limit THEN
+    RETURN QUERY SELECT NULL::UUID, current_count;
+    RETURN;
+  END IF;
+
+  INSERT INTO valuation_usage (user_id, source, input_data)
+  VALUES (p_user_id, p_source, p_input_data)
+  RETURNING id INTO new_id;
+
+  RETURN QUERY SELECT new_id, current_count + 1;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The limit is a parameter, so only the server may call it
+REVOKE EXECUTE ON FUNCTION claim_valuation_use(UUID, TEXT, JSONB, INTEGER, TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_valuation_use(UUID, TEXT, JSONB, INTEGER, TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
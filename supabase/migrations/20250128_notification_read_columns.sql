@@ -0,0 +1,20 @@
+-- Narrow what users may change on their inbox rows (PATCH /api/notifications).
+-- The UPDATE policy from 20250121 checked only ownership, so a user could
+-- rewrite subject, content, user_id or delivery columns of their own rows.
+-- Column privileges limit updates to the read state and the policy only
+-- accepts marking a row read
+
+REVOKE UPDATE ON notification_queue FROM anon, authenticated;
+GRANT UPDATE (read_at, status) ON notification_queue TO authenticated;
+
+DROP POLICY IF EXISTS "Users mark own notifications read" ON notification_queue;
+
+CREATE POLICY "Users mark own notifications read" ON notification_queue
+  FOR UPDATE
+  USING (auth.uid() = user_id AND notification_type = 'dashboard')
+  WITH CHECK (
+    auth.uid() = user_id
+    AND notification_type = 'dashboard'
+    AND read_at IS NOT NULL
+    AND status = 'read'
+  );